@@ -24,8 +24,15 @@ export default function RootLayout() {
           <DraggableSidebar>
             <Stack>
               <Stack.Screen name="inbox" options={{ headerShown: false }} />
+              <Stack.Screen name="search" options={{ headerShown: false }} />
+              <Stack.Screen name="today" options={{ headerShown: false }} />
+              <Stack.Screen name="upcoming" options={{ headerShown: false }} />
+              <Stack.Screen name="conflicts" options={{ headerShown: false }} />
+              <Stack.Screen name="failed-changes" options={{ headerShown: false }} />
+              <Stack.Screen name="sign-in" options={{ headerShown: false }} />
               <Stack.Screen name="project/[projectId]" options={{ headerShown: false }} />
               <Stack.Screen name="task/[taskId]" options={{ headerShown: false }} />
+              <Stack.Screen name="tag/[tagId]" options={{ headerShown: false }} />
               <Stack.Screen name="modal" options={{ presentation: 'modal', title: 'Modal' }} />
             </Stack>
           </DraggableSidebar>
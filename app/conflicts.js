@@ -0,0 +1,295 @@
+import { Ionicons } from '@expo/vector-icons';
+import { ActivityIndicator, Alert, FlatList, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useApplyConflictVersion, useConflicts, useMarkConflictReviewed } from '@/hooks/use-conflicts';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useDatabase } from '@/hooks/use-database';
+import { valuesEqual } from '@/lib/conflict-resolution';
+
+const TABLE_LABELS = {
+  projects: { label: 'Project', icon: 'folder-outline' },
+  tasks: { label: 'Task', icon: 'checkbox-outline' },
+  tags: { label: 'Tag', icon: 'pricetag-outline' },
+  task_tags: { label: 'Task tag', icon: 'pricetags-outline' },
+  checklist_items: { label: 'Checklist item', icon: 'list-outline' },
+  reminders: { label: 'Reminder', icon: 'alarm-outline' },
+};
+
+const RESOLUTION_LABELS = {
+  local: "Kept this device's version",
+  remote: "Kept the other device's version",
+  merged: 'Merged both versions',
+};
+
+const BOOLEAN_FIELDS = ['completed'];
+
+function formatFieldName(field) {
+  const name = field.replace(/_/g, ' ');
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function formatValue(field, value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (BOOLEAN_FIELDS.includes(field)) return value === true || value === 1 ? 'Yes' : 'No';
+  return String(value);
+}
+
+function ConflictCard({ conflict, onAccept, onApply, isBusy }) {
+  const colorScheme = useColorScheme();
+  const table = TABLE_LABELS[conflict.table_name] || { label: conflict.table_name, icon: 'help-outline' };
+  const title = conflict.resolved_data.title || conflict.resolved_data.name || table.label;
+  const canRevert = conflict.table_name !== 'task_tags' && conflict.fields.length > 0;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name={table.icon} size={18} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+        <ThemedText style={styles.cardTitle} numberOfLines={1}>{title}</ThemedText>
+      </View>
+      <ThemedText style={styles.cardSubtitle}>
+        {table.label} · {RESOLUTION_LABELS[conflict.resolution] || conflict.resolution}
+      </ThemedText>
+
+      {conflict.fields.map(field => {
+        const kept = conflict.resolved_data[field];
+        return (
+          <View key={field} style={styles.field}>
+            <ThemedText style={styles.fieldName}>{formatFieldName(field)}</ThemedText>
+            {[
+              ['This device', conflict.local_data[field]],
+              ['Other device', conflict.remote_data[field]],
+            ].map(([label, value]) => (
+              <View key={label} style={styles.fieldValueRow}>
+                <Ionicons
+                  name={valuesEqual(value, kept) ? 'checkmark-circle' : 'ellipse-outline'}
+                  size={14}
+                  color={valuesEqual(value, kept) ? '#34C759' : '#999'}
+                />
+                <ThemedText style={styles.fieldLabel}>{label}:</ThemedText>
+                <ThemedText style={styles.fieldValue} numberOfLines={3}>
+                  {formatValue(field, value)}
+                </ThemedText>
+              </View>
+            ))}
+          </View>
+        );
+      })}
+
+      <View style={styles.actions}>
+        {canRevert && conflict.resolution !== 'local' ? (
+          <TouchableOpacity style={styles.secondaryButton} onPress={() => onApply('local')} disabled={isBusy}>
+            <ThemedText style={styles.secondaryButtonText}>Use this device&apos;s</ThemedText>
+          </TouchableOpacity>
+        ) : null}
+        {canRevert && conflict.resolution !== 'remote' ? (
+          <TouchableOpacity style={styles.secondaryButton} onPress={() => onApply('remote')} disabled={isBusy}>
+            <ThemedText style={styles.secondaryButtonText}>Use other device&apos;s</ThemedText>
+          </TouchableOpacity>
+        ) : null}
+        <TouchableOpacity style={styles.primaryButton} onPress={onAccept} disabled={isBusy}>
+          <ThemedText style={styles.primaryButtonText}>OK</ThemedText>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function ConflictsScreen() {
+  const { isInitializing, error: dbError } = useDatabase();
+  const { data: conflicts, isLoading } = useConflicts();
+  const markReviewedMutation = useMarkConflictReviewed();
+  const applyVersionMutation = useApplyConflictVersion();
+  const isBusy = markReviewedMutation.isPending || applyVersionMutation.isPending;
+
+  const handleAccept = async (conflictId) => {
+    try {
+      await markReviewedMutation.mutateAsync(conflictId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update conflict');
+      console.error('Error marking conflict reviewed:', error);
+    }
+  };
+
+  const handleApply = async (conflictId, side) => {
+    try {
+      await applyVersionMutation.mutateAsync({ conflictId, side });
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to apply version');
+      console.error('Error applying conflict version:', error);
+    }
+  };
+
+  if (isInitializing) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Initializing database...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (dbError) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Database Error: {dbError}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText type="title" style={styles.screenTitle}>Sync Conflicts</ThemedText>
+
+      <ThemedView style={styles.content}>
+        {isLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator />
+          </ThemedView>
+        ) : conflicts && conflicts.length > 0 ? (
+          <FlatList
+            data={conflicts}
+            keyExtractor={(item) => item.id.toString()}
+            renderItem={({ item }) => (
+              <ConflictCard
+                conflict={item}
+                isBusy={isBusy}
+                onAccept={() => handleAccept(item.id)}
+                onApply={(side) => handleApply(item.id, side)}
+              />
+            )}
+            contentContainerStyle={styles.listContent}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              No conflicts to review. Records edited on two devices between syncs will show up here.
+            </ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 18,
+  },
+  screenTitle: {
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+    fontSize: 26,
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  listContent: {
+    paddingTop: 10,
+    paddingBottom: 20,
+    gap: 12,
+  },
+  card: {
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    padding: 16,
+    gap: 6,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    opacity: 0.7,
+  },
+  field: {
+    marginTop: 8,
+    gap: 4,
+  },
+  fieldName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  fieldValueRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 6,
+  },
+  fieldLabel: {
+    fontSize: 13,
+    opacity: 0.7,
+    lineHeight: 18,
+  },
+  fieldValue: {
+    flex: 1,
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 12,
+  },
+  secondaryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -0,0 +1,245 @@
+import { Ionicons } from '@expo/vector-icons';
+import { ActivityIndicator, Alert, FlatList, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useDatabase } from '@/hooks/use-database';
+import { useDiscardFailedChange, useFailedChanges, useRetryFailedChange } from '@/hooks/use-failed-changes';
+
+const TABLE_LABELS = {
+  projects: { label: 'Project', icon: 'folder-outline' },
+  tasks: { label: 'Task', icon: 'checkbox-outline' },
+  tags: { label: 'Tag', icon: 'pricetag-outline' },
+  task_tags: { label: 'Task tag', icon: 'pricetags-outline' },
+  checklist_items: { label: 'Checklist item', icon: 'list-outline' },
+  reminders: { label: 'Reminder', icon: 'alarm-outline' },
+};
+
+const OPERATION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+};
+
+function FailedChangeCard({ change, onRetry, onDiscard, isBusy }) {
+  const colorScheme = useColorScheme();
+  const table = TABLE_LABELS[change.table_name] || { label: change.table_name, icon: 'help-outline' };
+  const title = change.record?.title || change.record?.name || table.label;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name={table.icon} size={18} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+        <ThemedText style={styles.cardTitle} numberOfLines={1}>{title}</ThemedText>
+      </View>
+      <ThemedText style={styles.cardSubtitle}>
+        {table.label} · {OPERATION_LABELS[change.operation] || change.operation} · {change.attempts} attempts
+      </ThemedText>
+      {change.last_error ? (
+        <ThemedText style={styles.errorMessage} numberOfLines={3}>{change.last_error}</ThemedText>
+      ) : null}
+
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={onDiscard} disabled={isBusy}>
+          <ThemedText style={styles.secondaryButtonText}>Discard</ThemedText>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.primaryButton} onPress={onRetry} disabled={isBusy}>
+          <ThemedText style={styles.primaryButtonText}>Retry</ThemedText>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default function FailedChangesScreen() {
+  const { isInitializing, error: dbError } = useDatabase();
+  const { data: changes, isLoading } = useFailedChanges();
+  const retryMutation = useRetryFailedChange();
+  const discardMutation = useDiscardFailedChange();
+  const isBusy = retryMutation.isPending || discardMutation.isPending;
+
+  const handleRetry = async (changeId) => {
+    try {
+      await retryMutation.mutateAsync(changeId);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to retry change');
+      console.error('Error retrying failed change:', error);
+    }
+  };
+
+  const handleDiscard = (changeId) => {
+    Alert.alert(
+      'Discard Change',
+      'This change stays on this device but will not be synced, and may be overwritten by the next sync.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await discardMutation.mutateAsync(changeId);
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to discard change');
+              console.error('Error discarding failed change:', error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (isInitializing) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Initializing database...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (dbError) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Database Error: {dbError}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText type="title" style={styles.screenTitle}>Unsynced Changes</ThemedText>
+
+      <ThemedView style={styles.content}>
+        {isLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator />
+          </ThemedView>
+        ) : changes && changes.length > 0 ? (
+          <FlatList
+            data={changes}
+            keyExtractor={(item) => item.id.toString()}
+            renderItem={({ item }) => (
+              <FailedChangeCard
+                change={item}
+                isBusy={isBusy}
+                onRetry={() => handleRetry(item.id)}
+                onDiscard={() => handleDiscard(item.id)}
+              />
+            )}
+            contentContainerStyle={styles.listContent}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              All changes are synced. Changes that keep failing to upload will show up here.
+            </ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 18,
+  },
+  screenTitle: {
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+    fontSize: 26,
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  listContent: {
+    paddingTop: 10,
+    paddingBottom: 20,
+    gap: 12,
+  },
+  card: {
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    padding: 16,
+    gap: 6,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    opacity: 0.7,
+  },
+  errorMessage: {
+    fontSize: 13,
+    color: '#FF3B30',
+    lineHeight: 18,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 8,
+    marginTop: 12,
+  },
+  secondaryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
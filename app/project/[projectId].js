@@ -1,14 +1,16 @@
 import { Ionicons } from '@expo/vector-icons';
 import { useLocalSearchParams, useRouter } from 'expo-router';
 import { useEffect, useState } from 'react';
-import { ActivityIndicator, Alert, FlatList, StyleSheet, TouchableOpacity } from 'react-native';
+import { ActivityIndicator, Alert, StyleSheet, TouchableOpacity, View } from 'react-native';
 
 import AddTaskModal from '@/components/add-task-modal';
+import ReorderableList from '@/components/reorderable-list';
+import TaskListItem from '@/components/task-list-item';
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
 import { useColorScheme } from '@/hooks/use-color-scheme';
 import { useDatabase } from '@/hooks/use-database';
-import { useDeleteTask, useTasksByProject } from '@/hooks/use-tasks';
+import { useReorderTask, useTasksByProject, useToggleTaskCompleted } from '@/hooks/use-tasks';
 import { getProjectById } from '@/repositories/projects';
 
 export default function ProjectDetailScreen() {
@@ -19,9 +21,16 @@ export default function ProjectDetailScreen() {
   const [project, setProject] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showAddTaskModal, setShowAddTaskModal] = useState(false);
+  const [showCompleted, setShowCompleted] = useState(false);
+  // 'manual' shows the dragged order, 'priority' sorts for triage
+  const [sort, setSort] = useState('manual');
   
-  const { data: tasks, isLoading: tasksLoading } = useTasksByProject(parseInt(projectId));
-  const deleteTaskMutation = useDeleteTask();
+  const { data: tasks, isLoading: tasksLoading } = useTasksByProject(projectId, {
+    status: showCompleted ? 'all' : 'active',
+    sort,
+  });
+  const reorderTaskMutation = useReorderTask();
+  const toggleTaskCompletedMutation = useToggleTaskCompleted();
 
   useEffect(() => {
     const loadProjectData = async () => {
@@ -30,7 +39,7 @@ export default function ProjectDetailScreen() {
         
         // Only load project data when database is initialized
         if (isInitialized && projectId) {
-          const projectData = await getProjectById(parseInt(projectId));
+          const projectData = await getProjectById(projectId);
           setProject(projectData);
         }
         
@@ -49,27 +58,24 @@ export default function ProjectDetailScreen() {
     setShowAddTaskModal(true);
   };
 
-  const handleDeleteTask = async (taskId) => {
-    Alert.alert(
-      'Delete Task',
-      'Are you sure you want to delete this task?',
-      [
-        { text: 'Cancel', style: 'cancel' },
-        { 
-          text: 'Delete', 
-          style: 'destructive',
-          onPress: async () => {
-            try {
-              await deleteTaskMutation.mutateAsync(taskId);
-              Alert.alert('Success', 'Task deleted successfully!');
-            } catch (error) {
-              Alert.alert('Error', 'Failed to delete task');
-              console.error('Error deleting task:', error);
-            }
-          }
-        }
-      ]
-    );
+  const handleToggleCompleted = async (taskId) => {
+    try {
+      await toggleTaskCompletedMutation.mutateAsync(taskId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update task');
+      console.error('Error toggling task completion:', error);
+    }
+  };
+
+  // Tasks are deleted from their detail screen; a long press here picks the
+  // task up to drag it
+  const handleReorder = async (task, target, placement) => {
+    try {
+      await reorderTaskMutation.mutateAsync({ taskId: task.id, targetId: target.id, placement });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to move task');
+      console.error('Error reordering task:', error);
+    }
   };
 
   if (isInitializing) {
@@ -110,44 +116,54 @@ export default function ProjectDetailScreen() {
     <ThemedView style={styles.container}>
       {/* Tasks List */}
       <ThemedView style={styles.content}>
+        <View style={styles.listToolbar}>
+          <TouchableOpacity
+            style={styles.showCompletedToggle}
+            onPress={() => setSort(prev => prev === 'priority' ? 'manual' : 'priority')}
+            activeOpacity={0.7}
+          >
+            <Ionicons
+              name={sort === 'priority' ? 'flag' : 'reorder-three-outline'}
+              size={16}
+              color={colorScheme === 'dark' ? '#888' : '#666'}
+            />
+            <ThemedText style={styles.showCompletedText}>
+              {sort === 'priority' ? 'By priority' : 'Manual order'}
+            </ThemedText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.showCompletedToggle}
+            onPress={() => setShowCompleted(prev => !prev)}
+            activeOpacity={0.7}
+          >
+            <Ionicons
+              name={showCompleted ? 'eye-outline' : 'eye-off-outline'}
+              size={16}
+              color={colorScheme === 'dark' ? '#888' : '#666'}
+            />
+            <ThemedText style={styles.showCompletedText}>
+              {showCompleted ? 'Hide completed' : 'Show completed'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
         {tasksLoading ? (
           <ThemedView style={styles.loadingContainer}>
             <ActivityIndicator />
             <ThemedText>Loading tasks...</ThemedText>
           </ThemedView>
         ) : tasks && tasks.length > 0 ? (
-          <FlatList
+          <ReorderableList
             data={tasks}
             keyExtractor={(item) => item.id.toString()}
+            onReorder={handleReorder}
+            canDrag={() => sort === 'manual'}
             renderItem={({ item }) => (
-              <TouchableOpacity 
-                style={styles.taskItem}
+              <TaskListItem
+                task={item}
                 onPress={() => router.push(`/task/${item.id}`)}
-                activeOpacity={0.7}
-              >
-                <TouchableOpacity 
-                  onPress={(e) => {
-                    e.stopPropagation(); // Prevent task navigation
-                    handleDeleteTask(item.id);
-                  }}
-                  style={styles.checkboxContainer}
-                >
-                  <Ionicons 
-                    name="square-outline" 
-                    size={20} 
-                    color={colorScheme === 'dark' ? '#888' : '#666'} 
-                    style={styles.checkbox}
-                  />
-                </TouchableOpacity>
-                <ThemedView style={styles.taskContent}>
-                  <ThemedText type="defaultSemiBold" style={styles.taskTitle}>
-                    {item.title}
-                  </ThemedText>
-                  <ThemedText style={styles.taskDescription}>
-                    {item.description || 'No description'}
-                  </ThemedText>
-                </ThemedView>
-              </TouchableOpacity>
+                onToggleCompleted={handleToggleCompleted}
+              />
             )}
             style={styles.tasksList}
             contentContainerStyle={styles.tasksListContent}
@@ -213,6 +229,21 @@ const styles = StyleSheet.create({
     paddingHorizontal: 20,
     paddingBottom: 100, // Space for FAB
   },
+  listToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  showCompletedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  showCompletedText: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
   tasksList: {
     flex: 1,
     backgroundColor: 'rgba(0,0,0,0.1)',
@@ -222,34 +253,6 @@ const styles = StyleSheet.create({
   tasksListContent: {
     paddingBottom: 20,
   },
-  taskItem: {
-    flexDirection: 'row',
-    alignItems: 'flex-start',
-    paddingVertical: 16,
-    paddingHorizontal: 16,
-    borderBottomWidth: 0, // No visible separators
-  },
-  checkboxContainer: {
-    padding: 4,
-    marginRight: 8,
-  },
-  checkbox: {
-    marginTop: 2,
-  },
-  taskContent: {
-    flex: 1,
-  },
-  taskTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    marginBottom: 4,
-    lineHeight: 22,
-  },
-  taskDescription: {
-    fontSize: 14,
-    opacity: 0.7,
-    lineHeight: 20,
-  },
   emptyState: {
     flex: 1,
     justifyContent: 'center',
@@ -0,0 +1,252 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useRouter } from 'expo-router';
+import { useEffect, useState } from 'react';
+import { ActivityIndicator, FlatList, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useProjects } from '@/hooks/use-projects';
+import { useSearchTasks } from '@/hooks/use-tasks';
+import { splitHighlights } from '@/lib/search';
+
+// Delay before a keystroke triggers a new query
+const SEARCH_DEBOUNCE_MS = 250;
+
+function HighlightedText({ text, style }) {
+  return (
+    <ThemedText style={style}>
+      {splitHighlights(text).map((segment, index) => (
+        <ThemedText
+          key={index}
+          style={[style, segment.highlighted && styles.highlight]}
+        >
+          {segment.text}
+        </ThemedText>
+      ))}
+    </ThemedText>
+  );
+}
+
+export default function SearchScreen() {
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [projectId, setProjectId] = useState(null);
+
+  const { data: projects } = useProjects();
+  const { data: results, isFetching } = useSearchTasks(debouncedQuery, { projectId });
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedQuery(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [query]);
+
+  const hasQuery = debouncedQuery.trim().length > 0;
+
+  return (
+    <ThemedView style={styles.container}>
+      {/* Search Input */}
+      <View style={styles.searchHeader}>
+        <View
+          style={[
+            styles.searchBox,
+            {
+              backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+              borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+            }
+          ]}
+        >
+          <Ionicons name="search" size={18} color={colorScheme === 'dark' ? '#888' : '#666'} />
+          <TextInput
+            style={[styles.searchInput, { color: colorScheme === 'dark' ? '#fff' : '#000' }]}
+            value={query}
+            onChangeText={setQuery}
+            placeholder="Search tasks"
+            placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+            autoFocus
+            autoCorrect={false}
+            returnKeyType="search"
+          />
+          {isFetching ? (
+            <ActivityIndicator size="small" />
+          ) : query.length > 0 ? (
+            <TouchableOpacity onPress={() => setQuery('')}>
+              <Ionicons name="close-circle" size={18} color={colorScheme === 'dark' ? '#888' : '#666'} />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      </View>
+
+      {/* Project Filter */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.filters}
+        contentContainerStyle={styles.filtersContent}
+      >
+        {[{ id: null, name: 'All projects' }, ...(projects || [])].map(project => {
+          const selected = project.id === projectId;
+          return (
+            <TouchableOpacity
+              key={project.id ?? 'all'}
+              style={[styles.filterChip, selected && styles.filterChipSelected]}
+              onPress={() => setProjectId(project.id)}
+            >
+              <ThemedText style={[styles.filterChipText, selected && styles.filterChipTextSelected]}>
+                {project.name}
+              </ThemedText>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {/* Results */}
+      <ThemedView style={styles.content}>
+        {!hasQuery ? (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              Search task titles and descriptions.
+            </ThemedText>
+          </ThemedView>
+        ) : results && results.length > 0 ? (
+          <FlatList
+            data={results}
+            keyExtractor={(item) => item.id.toString()}
+            keyboardShouldPersistTaps="handled"
+            renderItem={({ item }) => (
+              <TouchableOpacity
+                style={styles.resultItem}
+                onPress={() => router.push(`/task/${item.id}`)}
+                activeOpacity={0.7}
+              >
+                <HighlightedText text={item.title_highlight} style={styles.resultTitle} />
+                {item.description ? (
+                  <HighlightedText text={item.description_snippet} style={styles.resultSnippet} />
+                ) : null}
+                <View style={styles.resultMeta}>
+                  <Ionicons name="folder-outline" size={12} color={colorScheme === 'dark' ? '#888' : '#666'} />
+                  <ThemedText style={styles.resultMetaText}>{item.project_name}</ThemedText>
+                </View>
+              </TouchableOpacity>
+            )}
+            style={styles.resultsList}
+            contentContainerStyle={styles.resultsListContent}
+          />
+        ) : !isFetching ? (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              No tasks match &ldquo;{debouncedQuery.trim()}&rdquo;.
+            </ThemedText>
+          </ThemedView>
+        ) : null}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  searchHeader: {
+    paddingTop: 50,
+    paddingLeft: 80, // Clear the sidebar hamburger button
+    paddingRight: 20,
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 22,
+    paddingHorizontal: 14,
+    height: 44,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+  },
+  filters: {
+    flexGrow: 0,
+    marginTop: 12,
+  },
+  filtersContent: {
+    paddingHorizontal: 20,
+    gap: 8,
+  },
+  filterChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  filterChipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  filterChipTextSelected: {
+    color: '#FFFFFF',
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  resultsList: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    marginTop: 10,
+  },
+  resultsListContent: {
+    paddingBottom: 20,
+  },
+  resultItem: {
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    gap: 4,
+  },
+  resultTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    lineHeight: 22,
+  },
+  resultSnippet: {
+    fontSize: 14,
+    opacity: 0.7,
+    lineHeight: 20,
+  },
+  highlight: {
+    backgroundColor: 'rgba(255,204,0,0.4)',
+    fontWeight: '700',
+  },
+  resultMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
+  resultMetaText: {
+    fontSize: 12,
+    opacity: 0.7,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
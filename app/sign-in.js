@@ -0,0 +1,277 @@
+import * as Linking from 'expo-linking';
+import { useRouter } from 'expo-router';
+import { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import {
+  useAuth,
+  useCompleteSignInFromUrl,
+  useSendMagicLink,
+  useSignIn,
+  useSignUp,
+} from '@/hooks/use-auth';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { isSupabaseConfigured } from '@/lib/supabase';
+
+export default function SignInScreen() {
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const url = Linking.useURL();
+  const { isSignedIn, isLoading } = useAuth();
+  const signInMutation = useSignIn();
+  const signUpMutation = useSignUp();
+  const sendMagicLinkMutation = useSendMagicLink();
+  const completeSignInMutation = useCompleteSignInFromUrl();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const isBusy =
+    signInMutation.isPending ||
+    signUpMutation.isPending ||
+    sendMagicLinkMutation.isPending ||
+    completeSignInMutation.isPending;
+
+  // Magic links open the app on this screen with the session in the URL
+  const { mutate: completeSignIn } = completeSignInMutation;
+  useEffect(() => {
+    if (!url?.includes('#')) return;
+    completeSignIn(url, {
+      onError: (error) => {
+        Alert.alert('Error', error.message || 'Failed to sign in from link');
+        console.error('Error completing sign-in from link:', error);
+      },
+    });
+  }, [url, completeSignIn]);
+
+  useEffect(() => {
+    if (isSignedIn) {
+      router.replace('/inbox');
+    }
+  }, [isSignedIn, router]);
+
+  const validate = (needsPassword) => {
+    if (!email.trim()) {
+      Alert.alert('Error', 'Please enter your email address');
+      return false;
+    }
+    if (needsPassword && !password) {
+      Alert.alert('Error', 'Please enter a password');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSignIn = async () => {
+    if (!validate(true)) return;
+    try {
+      await signInMutation.mutateAsync({ email: email.trim(), password });
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to sign in');
+      console.error('Error signing in:', error);
+    }
+  };
+
+  const handleSignUp = async () => {
+    if (!validate(true)) return;
+    try {
+      const user = await signUpMutation.mutateAsync({ email: email.trim(), password });
+      if (!user) {
+        Alert.alert('Check your email', 'Confirm your email address, then sign in.');
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to create account');
+      console.error('Error signing up:', error);
+    }
+  };
+
+  const handleSendMagicLink = async () => {
+    if (!validate(false)) return;
+    try {
+      await sendMagicLinkMutation.mutateAsync(email.trim());
+      Alert.alert('Check your email', `We sent a sign-in link to ${email.trim()}.`);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to send sign-in link');
+      console.error('Error sending magic link:', error);
+    }
+  };
+
+  const inputStyle = [
+    styles.input,
+    {
+      backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+      borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+      color: colorScheme === 'dark' ? '#fff' : '#000',
+    },
+  ];
+
+  if (isLoading) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText type="title" style={styles.screenTitle}>Sign In</ThemedText>
+
+      <View style={styles.content}>
+        <ThemedText style={styles.description}>
+          Sign in to sync your projects and tasks across devices. Your data is only visible to your account.
+        </ThemedText>
+
+        {!isSupabaseConfigured() ? (
+          <ThemedText style={styles.errorText}>
+            Supabase is not configured, so this app can only be used offline.
+          </ThemedText>
+        ) : null}
+
+        <TextInput
+          style={inputStyle}
+          placeholder="Email"
+          placeholderTextColor={colorScheme === 'dark' ? '#999' : '#666'}
+          value={email}
+          onChangeText={setEmail}
+          autoCapitalize="none"
+          autoComplete="email"
+          keyboardType="email-address"
+          editable={!isBusy}
+        />
+        <TextInput
+          style={inputStyle}
+          placeholder="Password"
+          placeholderTextColor={colorScheme === 'dark' ? '#999' : '#666'}
+          value={password}
+          onChangeText={setPassword}
+          autoCapitalize="none"
+          autoComplete="password"
+          secureTextEntry
+          editable={!isBusy}
+        />
+
+        <TouchableOpacity
+          style={[styles.primaryButton, isBusy && styles.buttonDisabled]}
+          onPress={handleSignIn}
+          disabled={isBusy}
+        >
+          {signInMutation.isPending || completeSignInMutation.isPending ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <ThemedText style={styles.primaryButtonText}>Sign In</ThemedText>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, isBusy && styles.buttonDisabled]}
+          onPress={handleSignUp}
+          disabled={isBusy}
+        >
+          <ThemedText style={styles.secondaryButtonText}>
+            {signUpMutation.isPending ? 'Creating account...' : 'Create Account'}
+          </ThemedText>
+        </TouchableOpacity>
+
+        <View style={styles.divider}>
+          <View style={styles.dividerLine} />
+          <ThemedText style={styles.dividerText}>or</ThemedText>
+          <View style={styles.dividerLine} />
+        </View>
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, isBusy && styles.buttonDisabled]}
+          onPress={handleSendMagicLink}
+          disabled={isBusy}
+        >
+          <ThemedText style={styles.secondaryButtonText}>
+            {sendMagicLinkMutation.isPending ? 'Sending...' : 'Email Me a Sign-In Link'}
+          </ThemedText>
+        </TouchableOpacity>
+      </View>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  screenTitle: {
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+    fontSize: 26,
+  },
+  content: {
+    paddingTop: 20,
+    paddingHorizontal: 20,
+    gap: 12,
+  },
+  description: {
+    fontSize: 15,
+    opacity: 0.7,
+    lineHeight: 22,
+    marginBottom: 8,
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  primaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 44,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+    marginTop: 4,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 44,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  divider: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginVertical: 4,
+  },
+  dividerLine: {
+    flex: 1,
+    height: StyleSheet.hairlineWidth,
+    backgroundColor: '#999',
+  },
+  dividerText: {
+    fontSize: 13,
+    opacity: 0.6,
+  },
+});
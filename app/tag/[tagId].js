@@ -0,0 +1,224 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useState } from 'react';
+import { ActivityIndicator, Alert, FlatList, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import TaskListItem from '@/components/task-list-item';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useDatabase } from '@/hooks/use-database';
+import { useTag } from '@/hooks/use-tags';
+import { useDeleteTask, useTasksByTag, useToggleTaskCompleted } from '@/hooks/use-tasks';
+
+// Every task carrying one tag, across projects
+export default function TagDetailScreen() {
+  const { tagId } = useLocalSearchParams();
+  const router = useRouter();
+  const colorScheme = useColorScheme();
+  const { isInitializing, error: dbError } = useDatabase();
+  const [showCompleted, setShowCompleted] = useState(false);
+
+  const { data: tag, isLoading: tagLoading } = useTag(tagId);
+  const { data: tasks, isLoading: tasksLoading } = useTasksByTag(tagId, {
+    status: showCompleted ? 'all' : 'active',
+  });
+  const deleteTaskMutation = useDeleteTask();
+  const toggleTaskCompletedMutation = useToggleTaskCompleted();
+
+  const handleToggleCompleted = async (taskId) => {
+    try {
+      await toggleTaskCompletedMutation.mutateAsync(taskId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update task');
+      console.error('Error toggling task completion:', error);
+    }
+  };
+
+  const handleDeleteTask = async (taskId) => {
+    Alert.alert(
+      'Delete Task',
+      'Are you sure you want to delete this task?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTaskMutation.mutateAsync(taskId);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete task');
+              console.error('Error deleting task:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isInitializing) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Initializing database...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (dbError) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Database Error: {dbError}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (tagLoading) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Loading tag...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (!tag) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Tag not found</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <View style={styles.titleRow}>
+        <Ionicons name="pricetag-outline" size={22} color="#007AFF" />
+        <ThemedText type="title" style={styles.screenTitle} numberOfLines={1}>{tag.name}</ThemedText>
+      </View>
+
+      <ThemedView style={styles.content}>
+        <View style={styles.listToolbar}>
+          <TouchableOpacity
+            style={styles.showCompletedToggle}
+            onPress={() => setShowCompleted(prev => !prev)}
+            activeOpacity={0.7}
+          >
+            <Ionicons
+              name={showCompleted ? 'eye-outline' : 'eye-off-outline'}
+              size={16}
+              color={colorScheme === 'dark' ? '#888' : '#666'}
+            />
+            <ThemedText style={styles.showCompletedText}>
+              {showCompleted ? 'Hide completed' : 'Show completed'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {tasksLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator />
+            <ThemedText>Loading tasks...</ThemedText>
+          </ThemedView>
+        ) : tasks && tasks.length > 0 ? (
+          <FlatList
+            data={tasks}
+            keyExtractor={(item) => item.id.toString()}
+            renderItem={({ item }) => (
+              <TaskListItem
+                task={item}
+                onPress={() => router.push(`/task/${item.id}`)}
+                onLongPress={() => handleDeleteTask(item.id)}
+                onToggleCompleted={handleToggleCompleted}
+                showProject
+              />
+            )}
+            style={styles.tasksList}
+            contentContainerStyle={styles.tasksListContent}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              No tasks with this tag. Add it from a task&apos;s details.
+            </ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 18,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+  },
+  screenTitle: {
+    flexShrink: 1,
+    fontSize: 26,
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  listToolbar: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  showCompletedToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  showCompletedText: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  tasksList: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    marginTop: 10,
+  },
+  tasksListContent: {
+    paddingBottom: 20,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -1,89 +1,165 @@
 import { Ionicons } from '@expo/vector-icons';
 import { useLocalSearchParams, useRouter } from 'expo-router';
-import { useEffect, useState } from 'react';
-import { ActivityIndicator, Alert, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { useRef, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
 
+import PriorityPicker from '@/components/priority-picker';
+import ReminderModal from '@/components/reminder-modal';
+import RepeatPickerModal from '@/components/repeat-picker-modal';
+import TagPicker from '@/components/tag-picker';
+import TaskChecklist from '@/components/task-checklist';
+import TaskDatesModal from '@/components/task-dates-modal';
+import TaskOptionsModal from '@/components/task-options-modal';
 import { ThemedText } from '@/components/themed-text';
 import { ThemedView } from '@/components/themed-view';
 import { useColorScheme } from '@/hooks/use-color-scheme';
-import { getTaskById } from '@/repositories/tasks';
+import { useAddReminder, useDeleteReminder, useReminders } from '@/hooks/use-reminders';
+import { useAddTagToTask, useRemoveTagFromTask, useTaskTags } from '@/hooks/use-tags';
+import { useDeleteTask, useTask, useUpdateTask, useUpdateTaskDates } from '@/hooks/use-tasks';
+import { formatDateKey, isOverdue } from '@/lib/dates';
+import { DEFAULT_PRIORITY } from '@/lib/priorities';
+import { describeRecurrence } from '@/lib/recurrence';
+import { describeReminder } from '@/lib/reminders';
 
 export default function TaskDetailScreen() {
   const { taskId } = useLocalSearchParams();
   const router = useRouter();
   const colorScheme = useColorScheme();
-  const [task, setTask] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const { data: task, isLoading, error: loadError } = useTask(taskId);
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [isEditingDescription, setIsEditingDescription] = useState(false);
   const [editedTitle, setEditedTitle] = useState('');
   const [editedDescription, setEditedDescription] = useState('');
-
-  useEffect(() => {
-    const loadTaskData = async () => {
-      try {
-        setLoading(true);
-        
-        // Load task details
-        const taskData = await getTaskById(parseInt(taskId));
-        setTask(taskData);
-        setEditedTitle(taskData.title);
-        setEditedDescription(taskData.description || '');
-        
-      } catch (err) {
-        console.error('Failed to load task:', err);
-        Alert.alert('Error', 'Failed to load task details');
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    if (taskId) {
-      loadTaskData();
-    }
-  }, [taskId]);
+  const [showDatesModal, setShowDatesModal] = useState(false);
+  const [showRepeatModal, setShowRepeatModal] = useState(false);
+  const [showReminderModal, setShowReminderModal] = useState(false);
+  const [showOptionsModal, setShowOptionsModal] = useState(false);
+  const [isEditingTags, setIsEditingTags] = useState(false);
+  const checklistInputRef = useRef(null);
+  const { data: taskTags = [] } = useTaskTags(taskId);
+  const { data: reminders = [] } = useReminders(taskId);
+  const updateTaskMutation = useUpdateTask();
+  const updateTaskDatesMutation = useUpdateTaskDates();
+  const deleteTaskMutation = useDeleteTask();
+  const addTagMutation = useAddTagToTask();
+  const removeTagMutation = useRemoveTagFromTask();
+  const addReminderMutation = useAddReminder();
+  const deleteReminderMutation = useDeleteReminder();
 
   const handleEditTitle = () => {
+    setEditedTitle(task.title);
     setIsEditingTitle(true);
   };
 
   const handleEditDescription = () => {
+    setEditedDescription(task.description || '');
     setIsEditingDescription(true);
   };
 
-  const handleSaveTitle = async () => {
-    if (editedTitle.trim() !== task.title) {
-      try {
-        // TODO: Implement update task functionality
-        Alert.alert('Save Title', 'Title update functionality will be implemented here');
-        setTask({ ...task, title: editedTitle.trim() });
-      } catch (error) {
-        Alert.alert('Error', 'Failed to update title');
-        setEditedTitle(task.title); // Reset on error
-      }
+  // The cached task is updated optimistically, so the edit shows as soon as
+  // the field closes and is rolled back if the save fails
+  const saveChanges = async (changes, errorMessage) => {
+    try {
+      await updateTaskMutation.mutateAsync({ taskId: task.id, changes });
+    } catch (error) {
+      Alert.alert('Error', errorMessage);
+      console.error('Error updating task:', error);
     }
+  };
+
+  const handleSaveTitle = async () => {
     setIsEditingTitle(false);
+
+    const title = editedTitle.trim();
+    if (!title) {
+      Alert.alert('Error', 'Task title cannot be empty');
+      return;
+    }
+    if (title !== task.title) {
+      await saveChanges({ title }, 'Failed to update title');
+    }
   };
 
   const handleSaveDescription = async () => {
-    if (editedDescription !== (task.description || '')) {
-      try {
-        // TODO: Implement update task functionality
-        Alert.alert('Save Description', 'Description update functionality will be implemented here');
-        setTask({ ...task, description: editedDescription });
-      } catch (error) {
-        Alert.alert('Error', 'Failed to update description');
-        setEditedDescription(task.description || ''); // Reset on error
-      }
-    }
     setIsEditingDescription(false);
+
+    const description = editedDescription.trim() || null;
+    if (description !== (task.description || null)) {
+      await saveChanges({ description }, 'Failed to update description');
+    }
   };
 
-  const handleCancelEdit = () => {
-    setEditedTitle(task.title);
-    setEditedDescription(task.description || '');
-    setIsEditingTitle(false);
-    setIsEditingDescription(false);
+  const handleSaveDates = async ({ dueDate, dueTime, startDate }) => {
+    try {
+      await updateTaskDatesMutation.mutateAsync({ taskId: task.id, dueDate, dueTime, startDate });
+      setShowDatesModal(false);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update dates');
+      console.error('Error updating task dates:', error);
+    }
+  };
+
+  const handleSaveRepeat = async (recurrence) => {
+    setShowRepeatModal(false);
+    if (recurrence !== (task.recurrence || null)) {
+      await saveChanges({ recurrence }, 'Failed to update repeat');
+    }
+  };
+
+  const handleSavePriority = async (priority) => {
+    if (priority !== (task.priority ?? DEFAULT_PRIORITY)) {
+      await saveChanges({ priority }, 'Failed to update priority');
+    }
+  };
+
+  const handleAddReminder = async (reminder) => {
+    try {
+      await addReminderMutation.mutateAsync({ taskId: task.id, ...reminder });
+      setShowReminderModal(false);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to add reminder');
+      console.error('Error adding reminder:', error);
+    }
+  };
+
+  const handleDeleteReminder = async (reminderId) => {
+    try {
+      await deleteReminderMutation.mutateAsync(reminderId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete reminder');
+      console.error('Error deleting reminder:', error);
+    }
+  };
+
+  const handleToggleTag = async (tagId, selected) => {
+    try {
+      const mutation = selected ? addTagMutation : removeTagMutation;
+      await mutation.mutateAsync({ taskId: task.id, tagId });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update tags');
+      console.error('Error updating task tags:', error);
+    }
+  };
+
+  const getDatesSummary = () => {
+    const parts = [];
+    if (task.due_date) parts.push(`Due ${formatDateKey(task.due_date)}${task.due_time ? ` at ${task.due_time}` : ''}`);
+    if (task.start_date) parts.push(`Starts ${formatDateKey(task.start_date)}`);
+    return parts.length > 0 ? parts.join(' · ') : 'No date';
+  };
+
+  const getRepeatSummary = () => {
+    try {
+      return describeRecurrence(task.recurrence);
+    } catch {
+      // Synced from a version with rules this one cannot read
+      return 'Repeats (unknown rule)';
+    }
+  };
+
+  const handleDuplicated = (copy) => {
+    setShowOptionsModal(false);
+    router.push(`/task/${copy.id}`);
   };
 
   const handleDelete = () => {
@@ -95,16 +171,22 @@ export default function TaskDetailScreen() {
         { 
           text: 'Delete', 
           style: 'destructive',
-          onPress: () => {
-            // TODO: Implement delete task functionality
-            Alert.alert('Delete', 'Delete functionality will be implemented here');
+          onPress: async () => {
+            try {
+              await deleteTaskMutation.mutateAsync(task.id);
+              setShowOptionsModal(false);
+              router.back();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete task');
+              console.error('Error deleting task:', error);
+            }
           }
         }
       ]
     );
   };
 
-  if (loading) {
+  if (isLoading) {
     return (
       <ThemedView style={styles.loadingContainer}>
         <ActivityIndicator size="large" />
@@ -116,7 +198,9 @@ export default function TaskDetailScreen() {
   if (!task) {
     return (
       <ThemedView style={styles.errorContainer}>
-        <ThemedText style={styles.errorText}>Task not found</ThemedText>
+        <ThemedText style={styles.errorText}>
+          {loadError ? 'Failed to load task details' : 'Task not found'}
+        </ThemedText>
       </ThemedView>
     );
   }
@@ -135,7 +219,7 @@ export default function TaskDetailScreen() {
             color={colorScheme === 'dark' ? '#fff' : '#000'} 
           />
         </TouchableOpacity>
-        <View style={styles.headerCenter}>
+        <TouchableOpacity style={styles.headerCenter} onPress={() => setShowOptionsModal(true)}>
           <ThemedText type="title" style={styles.projectName}>
             {task.project_name}
           </ThemedText>
@@ -144,9 +228,9 @@ export default function TaskDetailScreen() {
             size={16} 
             color={colorScheme === 'dark' ? '#888' : '#666'} 
           />
-        </View>
+        </TouchableOpacity>
         <TouchableOpacity 
-          onPress={() => Alert.alert('More Options', 'More options functionality will be implemented here')} 
+          onPress={() => setShowOptionsModal(true)} 
           style={styles.moreButton}
         >
           <Ionicons 
@@ -158,17 +242,19 @@ export default function TaskDetailScreen() {
       </View>
 
       {/* Content */}
-      <ThemedView style={styles.content}>
-        {/* Date and Repetition Row */}
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Date Row */}
         <View style={styles.dateRow}>
-          <View style={styles.dateLeft}>
+          <TouchableOpacity style={styles.dateLeft} onPress={() => setShowDatesModal(true)}>
             <Ionicons 
-              name="square-outline" 
+              name="calendar-outline" 
               size={20} 
-              color={colorScheme === 'dark' ? '#888' : '#666'} 
+              color={isOverdue(task) ? '#FF3B30' : colorScheme === 'dark' ? '#888' : '#666'} 
             />
-            <ThemedText style={styles.dateText}>Date and repetition</ThemedText>
-          </View>
+            <ThemedText style={[styles.dateText, isOverdue(task) && styles.overdueDateText]}>
+              {getDatesSummary()}
+            </ThemedText>
+          </TouchableOpacity>
           <TouchableOpacity style={styles.bookmarkButton}>
             <Ionicons 
               name="bookmark-outline" 
@@ -178,6 +264,54 @@ export default function TaskDetailScreen() {
           </TouchableOpacity>
         </View>
 
+        {/* Repeat Row */}
+        <TouchableOpacity style={styles.repeatRow} onPress={() => setShowRepeatModal(true)}>
+          <Ionicons 
+            name="repeat" 
+            size={20} 
+            color={task.recurrence ? '#007AFF' : colorScheme === 'dark' ? '#888' : '#666'} 
+          />
+          <ThemedText style={[styles.dateText, task.recurrence && styles.repeatText]}>
+            {getRepeatSummary()}
+          </ThemedText>
+        </TouchableOpacity>
+
+        {/* Priority Row */}
+        <View style={styles.priorityRow}>
+          <Ionicons 
+            name="flag-outline" 
+            size={20} 
+            color={colorScheme === 'dark' ? '#888' : '#666'} 
+          />
+          <PriorityPicker value={task.priority ?? DEFAULT_PRIORITY} onChange={handleSavePriority} />
+        </View>
+
+        {/* Reminders: tap x to remove one, + to add */}
+        <View style={styles.remindersRow}>
+          <Ionicons 
+            name="alarm-outline" 
+            size={20} 
+            color={colorScheme === 'dark' ? '#888' : '#666'} 
+          />
+          <View style={styles.tagChips}>
+            {reminders.length > 0 ? (
+              reminders.map(reminder => (
+                <View key={reminder.id} style={styles.tagChip}>
+                  <ThemedText style={styles.tagChipText}>{describeReminder(reminder)}</ThemedText>
+                  <TouchableOpacity onPress={() => handleDeleteReminder(reminder.id)} hitSlop={8}>
+                    <Ionicons name="close" size={14} color="#007AFF" />
+                  </TouchableOpacity>
+                </View>
+              ))
+            ) : (
+              <ThemedText style={styles.noTagsText}>No reminders</ThemedText>
+            )}
+          </View>
+          <TouchableOpacity onPress={() => setShowReminderModal(true)} style={styles.editTagsButton}>
+            <Ionicons name="add" size={20} color="#007AFF" />
+          </TouchableOpacity>
+        </View>
+
         {/* Task Title */}
         <TouchableOpacity 
           style={styles.titleSection}
@@ -196,7 +330,6 @@ export default function TaskDetailScreen() {
               value={editedTitle}
               onChangeText={setEditedTitle}
               onBlur={handleSaveTitle}
-              onEndEditing={handleSaveTitle}
               autoFocus
               multiline
             />
@@ -207,6 +340,46 @@ export default function TaskDetailScreen() {
           )}
         </TouchableOpacity>
 
+        {/* Tags: chips open the tag's task list, the pencil edits them */}
+        <View style={styles.tagsRow}>
+          <Ionicons 
+            name="pricetags-outline" 
+            size={20} 
+            color={colorScheme === 'dark' ? '#888' : '#666'} 
+          />
+          <View style={styles.tagChips}>
+            {taskTags.length > 0 ? (
+              taskTags.map(tag => (
+                <TouchableOpacity
+                  key={tag.id}
+                  style={styles.tagChip}
+                  onPress={() => router.push(`/tag/${tag.id}`)}
+                >
+                  <ThemedText style={styles.tagChipText}>{tag.name}</ThemedText>
+                </TouchableOpacity>
+              ))
+            ) : (
+              <ThemedText style={styles.noTagsText}>No tags</ThemedText>
+            )}
+          </View>
+          <TouchableOpacity onPress={() => setIsEditingTags(prev => !prev)} style={styles.editTagsButton}>
+            <Ionicons 
+              name={isEditingTags ? 'checkmark' : 'pencil'} 
+              size={18} 
+              color="#007AFF" 
+            />
+          </TouchableOpacity>
+        </View>
+        {isEditingTags && (
+          <View style={styles.tagPicker}>
+            <TagPicker
+              selectedTagIds={taskTags.map(tag => tag.id)}
+              onToggle={handleToggleTag}
+              disabled={addTagMutation.isPending || removeTagMutation.isPending}
+            />
+          </View>
+        )}
+
         {/* Task Description */}
         <TouchableOpacity 
           style={styles.descriptionSection}
@@ -225,7 +398,6 @@ export default function TaskDetailScreen() {
               value={editedDescription}
               onChangeText={setEditedDescription}
               onBlur={handleSaveDescription}
-              onEndEditing={handleSaveDescription}
               placeholder="Enter description..."
               placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
               multiline
@@ -238,7 +410,10 @@ export default function TaskDetailScreen() {
             </ThemedText>
           )}
         </TouchableOpacity>
-      </ThemedView>
+
+        {/* Checklist */}
+        <TaskChecklist taskId={task.id} inputRef={checklistInputRef} />
+      </ScrollView>
 
       {/* Bottom Navigation */}
       <View style={styles.bottomNav}>
@@ -249,7 +424,7 @@ export default function TaskDetailScreen() {
             color={colorScheme === 'dark' ? '#888' : '#666'} 
           />
         </TouchableOpacity>
-        <TouchableOpacity style={styles.navButton}>
+        <TouchableOpacity style={styles.navButton} onPress={() => checklistInputRef.current?.focus()}>
           <Ionicons 
             name="list-outline" 
             size={24} 
@@ -264,6 +439,47 @@ export default function TaskDetailScreen() {
           />
         </TouchableOpacity>
       </View>
+
+      {/* Dates Modal */}
+      <TaskDatesModal
+        visible={showDatesModal}
+        onClose={() => setShowDatesModal(false)}
+        dueDate={task.due_date}
+        dueTime={task.due_time}
+        startDate={task.start_date}
+        onSave={handleSaveDates}
+        isSaving={updateTaskDatesMutation.isPending}
+      />
+
+      {/* Repeat Modal */}
+      <RepeatPickerModal
+        visible={showRepeatModal}
+        onClose={() => setShowRepeatModal(false)}
+        recurrence={task.recurrence}
+        dueDate={task.due_date}
+        startDate={task.start_date}
+        onSave={handleSaveRepeat}
+        isSaving={updateTaskMutation.isPending}
+      />
+
+      {/* Reminder Modal */}
+      <ReminderModal
+        visible={showReminderModal}
+        onClose={() => setShowReminderModal(false)}
+        dueDate={task.due_date}
+        dueTime={task.due_time}
+        onAdd={handleAddReminder}
+        isSaving={addReminderMutation.isPending}
+      />
+
+      {/* More Options */}
+      <TaskOptionsModal
+        visible={showOptionsModal}
+        onClose={() => setShowOptionsModal(false)}
+        task={task}
+        onDuplicated={handleDuplicated}
+        onDelete={handleDelete}
+      />
     </ThemedView>
   );
 }
@@ -313,14 +529,14 @@ const styles = StyleSheet.create({
     padding: 8,
   },
   content: {
-    flex: 1,
+    flexGrow: 1,
     padding: 20,
   },
   dateRow: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'space-between',
-    marginBottom: 20,
+    marginBottom: 12,
   },
   dateLeft: {
     flexDirection: 'row',
@@ -331,6 +547,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     opacity: 0.7,
   },
+  overdueDateText: {
+    color: '#FF3B30',
+    opacity: 1,
+  },
+  repeatRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 12,
+  },
+  priorityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 12,
+  },
+  remindersRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 20,
+  },
+  repeatText: {
+    color: '#007AFF',
+    opacity: 1,
+  },
   bookmarkButton: {
     padding: 4,
   },
@@ -353,8 +595,42 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     minHeight: 40,
   },
-  descriptionSection: {
+  tagsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 16,
+  },
+  tagChips: {
     flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(0,122,255,0.1)',
+  },
+  tagChipText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  noTagsText: {
+    fontSize: 16,
+    opacity: 0.7,
+  },
+  editTagsButton: {
+    padding: 4,
+  },
+  tagPicker: {
+    marginBottom: 16,
+  },
+  descriptionSection: {
     paddingVertical: 8,
   },
   taskDescription: {
@@ -0,0 +1,195 @@
+import { useRouter } from 'expo-router';
+import { useMemo } from 'react';
+import { ActivityIndicator, Alert, SectionList, StyleSheet } from 'react-native';
+
+import TaskListItem from '@/components/task-list-item';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useDatabase } from '@/hooks/use-database';
+import { useDeleteTask, useOverdueTasks, useTasksDueBetween, useToggleTaskCompleted } from '@/hooks/use-tasks';
+import { toDateKey } from '@/lib/dates';
+
+export default function TodayScreen() {
+  const router = useRouter();
+  const today = toDateKey();
+  const { isInitializing, error: dbError } = useDatabase();
+
+  const { data: overdueTasks, isLoading: overdueLoading } = useOverdueTasks(today);
+  const { data: todayTasks, isLoading: todayLoading } = useTasksDueBetween(today, today, {
+    status: 'all',
+    includeStarting: true,
+  });
+  const deleteTaskMutation = useDeleteTask();
+  const toggleTaskCompletedMutation = useToggleTaskCompleted();
+
+  const sections = useMemo(() => {
+    const result = [];
+    if (overdueTasks?.length) {
+      result.push({ title: 'Overdue', data: overdueTasks });
+    }
+    // A task that started today can also be overdue; list it only once
+    const overdueIds = new Set((overdueTasks || []).map(task => task.id));
+    const dueToday = (todayTasks || []).filter(task => !overdueIds.has(task.id));
+    if (dueToday.length) {
+      result.push({ title: 'Today', data: dueToday });
+    }
+    return result;
+  }, [overdueTasks, todayTasks]);
+
+  const handleToggleCompleted = async (taskId) => {
+    try {
+      await toggleTaskCompletedMutation.mutateAsync(taskId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update task');
+      console.error('Error toggling task completion:', error);
+    }
+  };
+
+  const handleDeleteTask = async (taskId) => {
+    Alert.alert(
+      'Delete Task',
+      'Are you sure you want to delete this task?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTaskMutation.mutateAsync(taskId);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete task');
+              console.error('Error deleting task:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isInitializing) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Initializing database...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (dbError) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Database Error: {dbError}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText type="title" style={styles.screenTitle}>Today</ThemedText>
+
+      <ThemedView style={styles.content}>
+        {overdueLoading || todayLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator />
+            <ThemedText>Loading tasks...</ThemedText>
+          </ThemedView>
+        ) : sections.length > 0 ? (
+          <SectionList
+            sections={sections}
+            keyExtractor={(item) => item.id.toString()}
+            renderSectionHeader={({ section }) => (
+              <ThemedText
+                style={[styles.sectionHeader, section.title === 'Overdue' && styles.overdueHeader]}
+              >
+                {section.title}
+              </ThemedText>
+            )}
+            renderItem={({ item }) => (
+              <TaskListItem
+                task={item}
+                showProject
+                onPress={() => router.push(`/task/${item.id}`)}
+                onLongPress={() => handleDeleteTask(item.id)}
+                onToggleCompleted={handleToggleCompleted}
+              />
+            )}
+            style={styles.tasksList}
+            contentContainerStyle={styles.tasksListContent}
+            stickySectionHeadersEnabled={false}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              Nothing due today. Enjoy the free time!
+            </ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 18,
+  },
+  screenTitle: {
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+    fontSize: 26,
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  tasksList: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    marginTop: 10,
+  },
+  tasksListContent: {
+    paddingBottom: 20,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: '600',
+    opacity: 0.8,
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  overdueHeader: {
+    color: '#FF3B30',
+    opacity: 1,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -0,0 +1,186 @@
+import { useRouter } from 'expo-router';
+import { useMemo } from 'react';
+import { ActivityIndicator, Alert, SectionList, StyleSheet } from 'react-native';
+
+import TaskListItem from '@/components/task-list-item';
+import { ThemedText } from '@/components/themed-text';
+import { ThemedView } from '@/components/themed-view';
+import { useDatabase } from '@/hooks/use-database';
+import { useDeleteTask, useTasksDueBetween, useToggleTaskCompleted } from '@/hooks/use-tasks';
+import { addDays, formatDateKey, toDateKey } from '@/lib/dates';
+
+// How many days ahead the Upcoming view looks, starting tomorrow
+const UPCOMING_DAYS = 14;
+
+export default function UpcomingScreen() {
+  const router = useRouter();
+  const today = toDateKey();
+  const start = addDays(today, 1);
+  const end = addDays(today, UPCOMING_DAYS);
+  const { isInitializing, error: dbError } = useDatabase();
+
+  const { data: tasks, isLoading: tasksLoading } = useTasksDueBetween(start, end, { status: 'active' });
+  const deleteTaskMutation = useDeleteTask();
+  const toggleTaskCompletedMutation = useToggleTaskCompleted();
+
+  // Group tasks into one section per due date
+  const sections = useMemo(() => {
+    const byDate = new Map();
+    for (const task of tasks || []) {
+      if (!byDate.has(task.due_date)) {
+        byDate.set(task.due_date, []);
+      }
+      byDate.get(task.due_date).push(task);
+    }
+    return Array.from(byDate, ([dateKey, data]) => ({ title: formatDateKey(dateKey, today), data }));
+  }, [tasks, today]);
+
+  const handleToggleCompleted = async (taskId) => {
+    try {
+      await toggleTaskCompletedMutation.mutateAsync(taskId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update task');
+      console.error('Error toggling task completion:', error);
+    }
+  };
+
+  const handleDeleteTask = async (taskId) => {
+    Alert.alert(
+      'Delete Task',
+      'Are you sure you want to delete this task?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteTaskMutation.mutateAsync(taskId);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete task');
+              console.error('Error deleting task:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  if (isInitializing) {
+    return (
+      <ThemedView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" />
+        <ThemedText>Initializing database...</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (dbError) {
+    return (
+      <ThemedView style={styles.errorContainer}>
+        <ThemedText style={styles.errorText}>Database Error: {dbError}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText type="title" style={styles.screenTitle}>Upcoming</ThemedText>
+
+      <ThemedView style={styles.content}>
+        {tasksLoading ? (
+          <ThemedView style={styles.loadingContainer}>
+            <ActivityIndicator />
+            <ThemedText>Loading tasks...</ThemedText>
+          </ThemedView>
+        ) : sections.length > 0 ? (
+          <SectionList
+            sections={sections}
+            keyExtractor={(item) => item.id.toString()}
+            renderSectionHeader={({ section }) => (
+              <ThemedText style={styles.sectionHeader}>{section.title}</ThemedText>
+            )}
+            renderItem={({ item }) => (
+              <TaskListItem
+                task={item}
+                showProject
+                onPress={() => router.push(`/task/${item.id}`)}
+                onLongPress={() => handleDeleteTask(item.id)}
+                onToggleCompleted={handleToggleCompleted}
+              />
+            )}
+            style={styles.tasksList}
+            contentContainerStyle={styles.tasksListContent}
+            stickySectionHeadersEnabled={false}
+          />
+        ) : (
+          <ThemedView style={styles.emptyState}>
+            <ThemedText style={styles.emptyText}>
+              Nothing due in the next two weeks.
+            </ThemedText>
+          </ThemedView>
+        )}
+      </ThemedView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 16,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  errorText: {
+    color: 'red',
+    fontSize: 18,
+  },
+  screenTitle: {
+    paddingTop: 56, // Clear the sidebar hamburger button
+    paddingLeft: 80,
+    paddingRight: 20,
+    fontSize: 26,
+  },
+  content: {
+    flex: 1,
+    paddingTop: 10,
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+  },
+  tasksList: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.1)',
+    borderRadius: 12,
+    marginTop: 10,
+  },
+  tasksListContent: {
+    paddingBottom: 20,
+  },
+  sectionHeader: {
+    fontSize: 14,
+    fontWeight: '600',
+    opacity: 0.8,
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    opacity: 0.6,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
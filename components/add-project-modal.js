@@ -14,7 +14,8 @@ import { useCreateProject } from '@/hooks/use-projects';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
-export default function AddProjectModal({ visible, onClose }) {
+// With a parentProject, the new project is created inside it
+export default function AddProjectModal({ visible, onClose, parentProject = null }) {
   const colorScheme = useColorScheme();
   const [projectName, setProjectName] = useState('');
   const createProjectMutation = useCreateProject();
@@ -26,7 +27,10 @@ export default function AddProjectModal({ visible, onClose }) {
     }
 
     try {
-      await createProjectMutation.mutateAsync(projectName.trim());
+      await createProjectMutation.mutateAsync({
+        name: projectName.trim(),
+        parentId: parentProject?.id ?? null,
+      });
       
       // Reset form
       setProjectName('');
@@ -57,7 +61,9 @@ export default function AddProjectModal({ visible, onClose }) {
           <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
             <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
           </TouchableOpacity>
-          <ThemedText type="title" style={styles.title}>Add Project</ThemedText>
+          <ThemedText type="title" style={styles.title}>
+            {parentProject ? 'Add Subproject' : 'Add Project'}
+          </ThemedText>
           <TouchableOpacity 
             onPress={handleSubmit} 
             style={[
@@ -79,7 +85,9 @@ export default function AddProjectModal({ visible, onClose }) {
             size={16} 
             color={colorScheme === 'dark' ? '#fff' : '#000'} 
           />
-          <ThemedText style={styles.projectInfoText}>Create a new project</ThemedText>
+          <ThemedText style={styles.projectInfoText}>
+            {parentProject ? `Inside "${parentProject.name}"` : 'Create a new project'}
+          </ThemedText>
         </View>
 
         {/* Form */}
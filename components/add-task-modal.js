@@ -1,8 +1,9 @@
 import { Ionicons } from '@expo/vector-icons';
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import {
   Alert,
   Modal,
+  ScrollView,
   StyleSheet,
   TextInput,
   TouchableOpacity,
@@ -10,32 +11,65 @@ import {
 } from 'react-native';
 
 import { useColorScheme } from '@/hooks/use-color-scheme';
-import { useCreateTask } from '@/hooks/use-tasks';
+import { useQuickAddTask } from '@/hooks/use-tasks';
+import { toDateKey } from '@/lib/dates';
+import { DEFAULT_PRIORITY, getPriority } from '@/lib/priorities';
+import { parseQuickAdd } from '@/lib/quick-add';
+import PriorityPicker from './priority-picker';
+import TagPicker from './tag-picker';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
+const TOKEN_ICONS = {
+  date: 'calendar-outline',
+  time: 'time-outline',
+  recurrence: 'repeat',
+  project: 'folder-outline',
+  tag: 'pricetag-outline',
+  priority: 'flag',
+};
+
+// The title field takes a whole task in one line (lib/quick-add.js): dates,
+// times, #project, @tags, !priority and repeats become chips, and tapping a
+// chip's x keeps that phrase in the title instead
 export default function AddTaskModal({ visible, onClose, projectId, projectName }) {
   const colorScheme = useColorScheme();
   const [title, setTitle] = useState('');
+  const [ignoredPhrases, setIgnoredPhrases] = useState([]);
   const [description, setDescription] = useState('');
-  const createTaskMutation = useCreateTask();
+  const [priority, setPriority] = useState(DEFAULT_PRIORITY);
+  const [tagIds, setTagIds] = useState([]);
+  const quickAddTaskMutation = useQuickAddTask();
+
+  const parsed = useMemo(
+    () => parseQuickAdd(title, toDateKey(), { ignore: ignoredPhrases }),
+    [title, ignoredPhrases]
+  );
+
+  const resetForm = () => {
+    setTitle('');
+    setIgnoredPhrases([]);
+    setDescription('');
+    setPriority(DEFAULT_PRIORITY);
+    setTagIds([]);
+  };
 
   const handleSubmit = async () => {
-    if (!title.trim()) {
+    if (!parsed.title) {
       Alert.alert('Error', 'Please enter a task title');
       return;
     }
 
     try {
-      await createTaskMutation.mutateAsync({
-        projectId: parseInt(projectId),
-        title: title.trim(),
+      await quickAddTaskMutation.mutateAsync({
+        projectId,
+        parsed,
         description: description.trim() || null,
+        priority,
+        tagIds,
       });
       
-      // Reset form
-      setTitle('');
-      setDescription('');
+      resetForm();
       onClose();
       
       Alert.alert('Success', 'Task created successfully!');
@@ -46,11 +80,18 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName
   };
 
   const handleClose = () => {
-    setTitle('');
-    setDescription('');
+    resetForm();
     onClose();
   };
 
+  const handleIgnoreToken = (token) => {
+    setIgnoredPhrases(prev => [...prev, token.text.toLowerCase()]);
+  };
+
+  const handleToggleTag = (tagId, selected) => {
+    setTagIds(prev => selected ? [...prev, tagId] : prev.filter(id => id !== tagId));
+  };
+
   return (
     <Modal
       visible={visible}
@@ -69,12 +110,12 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName
             onPress={handleSubmit} 
             style={[
               styles.saveButton,
-              { backgroundColor: createTaskMutation.isPending ? '#ccc' : '#007AFF' }
+              { backgroundColor: quickAddTaskMutation.isPending ? '#ccc' : '#007AFF' }
             ]}
-            disabled={createTaskMutation.isPending}
+            disabled={quickAddTaskMutation.isPending}
           >
             <ThemedText style={styles.saveButtonText}>
-              {createTaskMutation.isPending ? 'Saving...' : 'Save'}
+              {quickAddTaskMutation.isPending ? 'Saving...' : 'Save'}
             </ThemedText>
           </TouchableOpacity>
         </View>
@@ -86,11 +127,11 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName
             size={16} 
             color={colorScheme === 'dark' ? '#fff' : '#000'} 
           />
-          <ThemedText style={styles.projectName}>{projectName}</ThemedText>
+          <ThemedText style={styles.projectName}>{parsed.projectName ?? projectName}</ThemedText>
         </View>
 
         {/* Form */}
-        <View style={styles.form}>
+        <ScrollView contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
           <View style={styles.inputGroup}>
             <ThemedText style={styles.label}>Title *</ThemedText>
             <TextInput
@@ -104,10 +145,33 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName
               ]}
               value={title}
               onChangeText={setTitle}
-              placeholder="Enter task title"
+              onSubmitEditing={handleSubmit}
+              placeholder="e.g. Call Sam tomorrow 3pm #work @phone !1"
               placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+              returnKeyType="done"
               autoFocus
             />
+            {parsed.tokens.length > 0 && (
+              <>
+                <View style={styles.tokenChips}>
+                  {parsed.tokens.map(token => {
+                    const color = token.type === 'priority' ? getPriority(parsed.priority).color : '#007AFF';
+                    return (
+                      <View key={`${token.type}-${token.start}`} style={[styles.tokenChip, { borderColor: color }]}>
+                        <Ionicons name={TOKEN_ICONS[token.type]} size={12} color={color} />
+                        <ThemedText style={[styles.tokenChipText, { color }]}>{token.label}</ThemedText>
+                        <TouchableOpacity onPress={() => handleIgnoreToken(token)} hitSlop={8}>
+                          <Ionicons name="close" size={12} color={color} />
+                        </TouchableOpacity>
+                      </View>
+                    );
+                  })}
+                </View>
+                <ThemedText style={styles.parsedTitle}>
+                  {parsed.title ? `Title: ${parsed.title}` : 'No title left'}
+                </ThemedText>
+              </>
+            )}
           </View>
 
           <View style={styles.inputGroup}>
@@ -130,7 +194,21 @@ export default function AddTaskModal({ visible, onClose, projectId, projectName
               textAlignVertical="top"
             />
           </View>
-        </View>
+
+          <View style={styles.inputGroup}>
+            <ThemedText style={styles.label}>Priority</ThemedText>
+            <PriorityPicker
+              value={parsed.priority ?? priority}
+              onChange={setPriority}
+              disabled={parsed.priority !== null}
+            />
+          </View>
+
+          <View style={styles.inputGroup}>
+            <ThemedText style={styles.label}>Tags</ThemedText>
+            <TagPicker selectedTagIds={tagIds} onToggle={handleToggleTag} />
+          </View>
+        </ScrollView>
       </ThemedView>
     </Modal>
   );
@@ -181,7 +259,6 @@ const styles = StyleSheet.create({
     color: '#007AFF',
   },
   form: {
-    flex: 1,
     padding: 20,
     gap: 20,
   },
@@ -199,6 +276,29 @@ const styles = StyleSheet.create({
     paddingVertical: 12,
     fontSize: 16,
   },
+  tokenChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  tokenChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    borderWidth: 1,
+    backgroundColor: 'rgba(0,122,255,0.08)',
+  },
+  tokenChipText: {
+    fontSize: 13,
+    lineHeight: 18,
+  },
+  parsedTitle: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
   textArea: {
     borderWidth: 1,
     borderRadius: 8,
@@ -1,9 +1,15 @@
+import { useAuth, useSignOut } from '@/hooks/use-auth';
 import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useConflictCount } from '@/hooks/use-conflicts';
 import { useDatabase } from '@/hooks/use-database';
-import { useDeleteProject, useProjects } from '@/hooks/use-projects';
+import { useFailedChangeCount } from '@/hooks/use-failed-changes';
+import { useDeleteProject, useProjects, useReorderProject } from '@/hooks/use-projects';
+import { useReminderScheduler } from '@/hooks/use-reminders';
+import { useDeleteTag, useTags } from '@/hooks/use-tags';
+import { buildProjectTree, flattenProjectTree, getDescendantIds } from '@/lib/project-tree';
 import { Ionicons } from '@expo/vector-icons';
 import { useRouter } from 'expo-router';
-import React, { useRef, useState } from 'react';
+import React, { useMemo, useRef, useState } from 'react';
 import {
     ActivityIndicator,
     Alert,
@@ -17,10 +23,14 @@ import {
     View
 } from 'react-native';
 import { PanGestureHandler } from 'react-native-gesture-handler';
-import { useSync } from '../hooks/use-sync';
-import { syncService } from '../lib/sync-service';
+import { useRealtimeSync, useSync } from '../hooks/use-sync';
+import { syncService } from '../lib/app-sync-service';
+import { isLocalOnlyMode } from '../lib/supabase';
 import AddProjectModal from './add-project-modal';
 import EditProjectModal from './edit-project-modal';
+import EditTagModal from './edit-tag-modal';
+import MoveProjectModal from './move-project-modal';
+import { ReorderableStack } from './reorderable-list';
 import { ThemedText } from './themed-text';
 import { ThemedView } from './themed-view';
 
@@ -34,12 +44,34 @@ export default function DraggableSidebar({ children }) {
   const { isInitialized, isInitializing, error: dbError } = useDatabase();
   const { data: projects, isLoading: projectsLoading } = useProjects();
   const deleteProjectMutation = useDeleteProject();
+  const reorderProjectMutation = useReorderProject();
+  const { data: tags = [] } = useTags();
+  const deleteTagMutation = useDeleteTag();
   const { sync, syncInProgress, syncStatus, isOnline } = useSync();
+  useRealtimeSync();
+  useReminderScheduler();
+  const { data: conflictCount } = useConflictCount();
+  const { data: failedChangeCount } = useFailedChangeCount();
+  const { user, isSignedIn } = useAuth();
+  const signOutMutation = useSignOut();
   const [isOpen, setIsOpen] = useState(false);
   const [showAddProjectModal, setShowAddProjectModal] = useState(false);
   const [showEditProjectModal, setShowEditProjectModal] = useState(false);
   const [showProjectOptions, setShowProjectOptions] = useState(false);
   const [selectedProject, setSelectedProject] = useState(null);
+  const [showMoveProjectModal, setShowMoveProjectModal] = useState(false);
+  const [addProjectParent, setAddProjectParent] = useState(null);
+  const [collapsedProjectIds, setCollapsedProjectIds] = useState(new Set());
+  const [draggingProject, setDraggingProject] = useState(false);
+
+  // Projects as a tree, minus the subprojects of collapsed ones
+  const projectRows = useMemo(
+    () => flattenProjectTree(buildProjectTree(projects || []), collapsedProjectIds),
+    [projects, collapsedProjectIds]
+  );
+  const [showTagOptions, setShowTagOptions] = useState(false);
+  const [showEditTagModal, setShowEditTagModal] = useState(false);
+  const [selectedTag, setSelectedTag] = useState(null);
   const translateX = useRef(new Animated.Value(-SIDEBAR_WIDTH)).current;
   const overlayOpacity = useRef(new Animated.Value(0)).current;
   const hamburgerRotation = useRef(new Animated.Value(0)).current;
@@ -141,6 +173,11 @@ export default function DraggableSidebar({ children }) {
   };
 
   const handleSync = async () => {
+    if (!isSignedIn && !isLocalOnlyMode()) {
+      navigateToScreen('sign-in');
+      return;
+    }
+
     try {
       const result = await sync(true);
       if (result.success) {
@@ -175,13 +212,76 @@ export default function DraggableSidebar({ children }) {
     }
   };
 
+  const handleSignOut = () => {
+    Alert.alert(
+      'Sign Out',
+      'Signing out removes all projects and tasks from this device. Changes that have not synced yet will be lost.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await signOutMutation.mutateAsync();
+              closeSidebar();
+              router.replace('/inbox');
+            } catch (error) {
+              Alert.alert('Error', 'Failed to sign out');
+              console.error('Error signing out:', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const handleProjectOptions = (project) => {
     setSelectedProject(project);
     setShowProjectOptions(true);
   };
 
+  // A project dropped before or after another one becomes its sibling, so
+  // dragging it among a project's subprojects moves it inside that project
+  const handleReorderProject = async (project, target, placement) => {
+    if (getDescendantIds(projects, project.id).includes(target.id)) {
+      Alert.alert('Cannot Move Project', `"${project.name}" can't be moved inside one of its own subprojects.`);
+      return;
+    }
+
+    try {
+      await reorderProjectMutation.mutateAsync({ id: project.id, targetId: target.id, placement });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to move project');
+      console.error('Error reordering project:', error);
+    }
+  };
+
+  const deleteSelectedProject = async (children) => {
+    try {
+      await deleteProjectMutation.mutateAsync({ id: selectedProject.id, children });
+      Alert.alert('Success', 'Project deleted successfully!');
+      closeProjectOptions();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete project');
+      console.error('Error deleting project:', error);
+    }
+  };
+
   const handleOptionSelect = (option) => {
-    if (option === 'Delete') {
+    const hasSubprojects = projects?.some(project => project.parent_id === selectedProject?.id);
+
+    if (option === 'Delete' && hasSubprojects) {
+      Alert.alert(
+        'Delete Project',
+        `"${selectedProject?.name}" contains other projects. Move them up a level, or delete them along with all of their tasks?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Move Subprojects', onPress: () => deleteSelectedProject('move') },
+          { text: 'Delete All', style: 'destructive', onPress: () => deleteSelectedProject('delete') }
+        ]
+      );
+    } else if (option === 'Delete') {
       Alert.alert(
         'Delete Project',
         `Are you sure you want to delete "${selectedProject?.name}"? This will also delete all tasks in this project.`,
@@ -190,16 +290,7 @@ export default function DraggableSidebar({ children }) {
           { 
             text: 'Delete', 
             style: 'destructive',
-            onPress: async () => {
-              try {
-                await deleteProjectMutation.mutateAsync(selectedProject.id);
-                Alert.alert('Success', 'Project deleted successfully!');
-                closeProjectOptions();
-              } catch (error) {
-                Alert.alert('Error', 'Failed to delete project');
-                console.error('Error deleting project:', error);
-              }
-            }
+            onPress: () => deleteSelectedProject('move')
           }
         ]
       );
@@ -207,6 +298,14 @@ export default function DraggableSidebar({ children }) {
       // Close the options popup but keep the selected project for editing
       setShowProjectOptions(false);
       setShowEditProjectModal(true);
+    } else if (option === 'Move') {
+      setShowProjectOptions(false);
+      setShowMoveProjectModal(true);
+    } else if (option === 'AddSubproject') {
+      setAddProjectParent(selectedProject);
+      closeProjectOptions();
+      setShowAddProjectModal(true);
+      closeSidebar();
     } else {
       console.log(`Selected option "${option}" for project:`, selectedProject?.name);
       // TODO: Implement the actual functionality for Archive option
@@ -224,6 +323,77 @@ export default function DraggableSidebar({ children }) {
     setSelectedProject(null);
   };
 
+  const closeMoveModal = () => {
+    setShowMoveProjectModal(false);
+    setSelectedProject(null);
+  };
+
+  const closeAddProjectModal = () => {
+    setShowAddProjectModal(false);
+    setAddProjectParent(null);
+  };
+
+  const toggleProjectCollapsed = (projectId) => {
+    setCollapsedProjectIds(prev => {
+      const next = new Set(prev);
+      if (next.has(projectId)) {
+        next.delete(projectId);
+      } else {
+        next.add(projectId);
+      }
+      return next;
+    });
+  };
+
+  const navigateToTag = (tagId) => {
+    router.push(`/tag/${tagId}`);
+    closeSidebar();
+  };
+
+  const handleTagOptions = (tag) => {
+    setSelectedTag(tag);
+    setShowTagOptions(true);
+  };
+
+  const closeTagOptions = () => {
+    setShowTagOptions(false);
+    setSelectedTag(null);
+  };
+
+  const closeEditTagModal = () => {
+    setShowEditTagModal(false);
+    setSelectedTag(null);
+  };
+
+  const handleTagOptionSelect = (option) => {
+    if (option === 'Delete') {
+      Alert.alert(
+        'Delete Tag',
+        `Are you sure you want to delete "${selectedTag?.name}"? It will be removed from all tasks, but the tasks are kept.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Delete',
+            style: 'destructive',
+            onPress: async () => {
+              try {
+                await deleteTagMutation.mutateAsync(selectedTag.id);
+                closeTagOptions();
+              } catch (error) {
+                Alert.alert('Error', 'Failed to delete tag');
+                console.error('Error deleting tag:', error);
+              }
+            }
+          }
+        ]
+      );
+    } else if (option === 'Edit') {
+      // Keep the selected tag for the edit modal
+      setShowTagOptions(false);
+      setShowEditTagModal(true);
+    }
+  };
+
   return (
     <View style={styles.container}>
       {/* Main Content */}
@@ -291,9 +461,86 @@ export default function DraggableSidebar({ children }) {
             },
           ]}
         >
-          <ScrollView style={styles.sidebarScrollView} showsVerticalScrollIndicator={false}>
+          <ScrollView
+            style={styles.sidebarScrollView}
+            showsVerticalScrollIndicator={false}
+            scrollEnabled={!draggingProject}
+          >
             <ThemedView style={styles.sidebarContent}>
               <View style={styles.sidebarItems}>
+                {/* Search */}
+                <TouchableOpacity
+                  style={styles.sidebarItem}
+                  onPress={() => navigateToScreen('search')}
+                >
+                  <Ionicons
+                    name="search-outline"
+                    size={22}
+                    color={colorScheme === 'dark' ? '#fff' : '#000'}
+                  />
+                  <ThemedText style={styles.sidebarItemText}>Search</ThemedText>
+                </TouchableOpacity>
+
+                {/* Date-based views */}
+                <TouchableOpacity
+                  style={styles.sidebarItem}
+                  onPress={() => navigateToScreen('today')}
+                >
+                  <Ionicons
+                    name="today-outline"
+                    size={22}
+                    color={colorScheme === 'dark' ? '#fff' : '#000'}
+                  />
+                  <ThemedText style={styles.sidebarItemText}>Today</ThemedText>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.sidebarItem}
+                  onPress={() => navigateToScreen('upcoming')}
+                >
+                  <Ionicons
+                    name="calendar-outline"
+                    size={22}
+                    color={colorScheme === 'dark' ? '#fff' : '#000'}
+                  />
+                  <ThemedText style={styles.sidebarItemText}>Upcoming</ThemedText>
+                </TouchableOpacity>
+
+                {/* Sync conflicts waiting for review */}
+                {conflictCount > 0 && (
+                  <TouchableOpacity
+                    style={styles.sidebarItem}
+                    onPress={() => navigateToScreen('conflicts')}
+                  >
+                    <Ionicons
+                      name="git-compare-outline"
+                      size={22}
+                      color="#FF9500"
+                    />
+                    <ThemedText style={styles.sidebarItemText}>Sync Conflicts</ThemedText>
+                    <View style={styles.badge}>
+                      <ThemedText style={styles.badgeText}>{conflictCount}</ThemedText>
+                    </View>
+                  </TouchableOpacity>
+                )}
+
+                {/* Local changes that gave up uploading */}
+                {failedChangeCount > 0 && (
+                  <TouchableOpacity
+                    style={styles.sidebarItem}
+                    onPress={() => navigateToScreen('failed-changes')}
+                  >
+                    <Ionicons
+                      name="cloud-offline-outline"
+                      size={22}
+                      color="#FF3B30"
+                    />
+                    <ThemedText style={styles.sidebarItemText}>Unsynced Changes</ThemedText>
+                    <View style={[styles.badge, styles.errorBadge]}>
+                      <ThemedText style={styles.badgeText}>{failedChangeCount}</ThemedText>
+                    </View>
+                  </TouchableOpacity>
+                )}
+
                 {/* Database Status */}
                 {isInitializing ? (
                   <ThemedText style={styles.loadingText}>Initializing database...</ThemedText>
@@ -302,38 +549,84 @@ export default function DraggableSidebar({ children }) {
                 ) : projectsLoading ? (
                   <ThemedText style={styles.loadingText}>Loading projects...</ThemedText>
                 ) : projects && projects.length > 0 ? (
-                  projects.map((project) => (
-                    <TouchableOpacity 
-                      key={project.id}
-                      style={styles.inboxItem}
-                      onPress={() => {
-                        if (project.name === 'Inbox') {
-                          navigateToProject(project.id);
-                        } else {
-                          navigateToProject(project.id);
-                        }
-                      }}
-                    >
-                      <Ionicons 
-                        name={project.name === 'Inbox' ? 'mail-outline' : 'folder-outline'}
-                        size={22} 
-                        color={colorScheme === 'dark' ? '#fff' : '#000'} 
-                      />
-                      <ThemedText style={styles.inboxItemText}>{project.name}</ThemedText>
-                      <TouchableOpacity 
-                        style={styles.verticalDots}
-                        onPress={() => handleProjectOptions(project)}
-                        activeOpacity={0.7}
+                  <ReorderableStack
+                    data={projectRows}
+                    keyExtractor={(project) => project.id}
+                    canDrag={(project) => project.name !== 'Inbox'}
+                    onReorder={handleReorderProject}
+                    onDragStart={() => setDraggingProject(true)}
+                    onDragEnd={() => setDraggingProject(false)}
+                    style={styles.projectList}
+                    renderItem={({ item: project }) => (
+                      <TouchableOpacity
+                        style={[styles.inboxItem, { marginLeft: project.depth * 16 }]}
+                        onPress={() => navigateToProject(project.id)}
                       >
-                        <View style={styles.dot} />
-                        <View style={styles.dot} />
-                        <View style={styles.dot} />
+                        {project.children.length > 0 ? (
+                          <TouchableOpacity
+                            onPress={() => toggleProjectCollapsed(project.id)}
+                            hitSlop={8}
+                          >
+                            <Ionicons
+                              name={collapsedProjectIds.has(project.id) ? 'chevron-forward' : 'chevron-down'}
+                              size={16}
+                              color={colorScheme === 'dark' ? '#888' : '#666'}
+                            />
+                          </TouchableOpacity>
+                        ) : (
+                          <View style={styles.chevronSpacer} />
+                        )}
+                        <Ionicons 
+                          name={project.name === 'Inbox' ? 'mail-outline' : 'folder-outline'}
+                          size={22} 
+                          color={colorScheme === 'dark' ? '#fff' : '#000'} 
+                        />
+                        <ThemedText style={styles.inboxItemText} numberOfLines={1}>{project.name}</ThemedText>
+                        <TouchableOpacity 
+                          style={styles.verticalDots}
+                          onPress={() => handleProjectOptions(project)}
+                          activeOpacity={0.7}
+                        >
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                        </TouchableOpacity>
                       </TouchableOpacity>
-                    </TouchableOpacity>
-                  ))
+                    )}
+                  />
                 ) : (
                   <ThemedText style={styles.noProjectsText}>No projects yet</ThemedText>
                 )}
+
+                {/* Tags */}
+                {tags.length > 0 && (
+                  <>
+                    <ThemedText style={styles.sectionHeader}>Tags</ThemedText>
+                    {tags.map((tag) => (
+                      <TouchableOpacity
+                        key={tag.id}
+                        style={styles.sidebarItem}
+                        onPress={() => navigateToTag(tag.id)}
+                      >
+                        <Ionicons
+                          name="pricetag-outline"
+                          size={22}
+                          color={colorScheme === 'dark' ? '#fff' : '#000'}
+                        />
+                        <ThemedText style={styles.sidebarItemText} numberOfLines={1}>{tag.name}</ThemedText>
+                        <TouchableOpacity
+                          style={styles.verticalDots}
+                          onPress={() => handleTagOptions(tag)}
+                          activeOpacity={0.7}
+                        >
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                          <View style={styles.dot} />
+                        </TouchableOpacity>
+                      </TouchableOpacity>
+                    ))}
+                  </>
+                )}
               </View>
 
               {/* Send Data Button - NEW */}
@@ -351,6 +644,44 @@ export default function DraggableSidebar({ children }) {
                 </ThemedText>
               </TouchableOpacity>
 
+              {/* Account */}
+              {isLocalOnlyMode() ? (
+                <View style={styles.accountRow}>
+                  <Ionicons
+                    name="phone-portrait-outline"
+                    size={22}
+                    color={colorScheme === 'dark' ? '#fff' : '#000'}
+                  />
+                  <ThemedText style={styles.accountEmail} numberOfLines={1}>Local only</ThemedText>
+                </View>
+              ) : isSignedIn ? (
+                <View style={styles.accountRow}>
+                  <Ionicons
+                    name="person-circle-outline"
+                    size={22}
+                    color={colorScheme === 'dark' ? '#fff' : '#000'}
+                  />
+                  <ThemedText style={styles.accountEmail} numberOfLines={1}>{user.email}</ThemedText>
+                  <TouchableOpacity onPress={handleSignOut} disabled={signOutMutation.isPending}>
+                    <ThemedText style={styles.signOutText}>
+                      {signOutMutation.isPending ? 'Signing out...' : 'Sign Out'}
+                    </ThemedText>
+                  </TouchableOpacity>
+                </View>
+              ) : (
+                <TouchableOpacity
+                  style={styles.accountRow}
+                  onPress={() => navigateToScreen('sign-in')}
+                >
+                  <Ionicons
+                    name="log-in-outline"
+                    size={22}
+                    color="#007AFF"
+                  />
+                  <ThemedText style={styles.signInText}>Sign in to sync</ThemedText>
+                </TouchableOpacity>
+              )}
+
               {/* Sync Button */}
               <TouchableOpacity 
                 style={[
@@ -427,7 +758,8 @@ export default function DraggableSidebar({ children }) {
       {/* Add Project Modal */}
       <AddProjectModal
         visible={showAddProjectModal}
-        onClose={() => setShowAddProjectModal(false)}
+        onClose={closeAddProjectModal}
+        parentProject={addProjectParent}
       />
 
       {/* Edit Project Modal */}
@@ -437,9 +769,59 @@ export default function DraggableSidebar({ children }) {
         project={selectedProject}
       />
 
+      {/* Move Project Modal */}
+      <MoveProjectModal
+        visible={showMoveProjectModal}
+        onClose={closeMoveModal}
+        project={selectedProject}
+      />
+
+      {/* Edit Tag Modal */}
+      <EditTagModal
+        visible={showEditTagModal}
+        onClose={closeEditTagModal}
+        tag={selectedTag}
+      />
+
+      {/* Tag Options Popup */}
+      <Modal
+        visible={showTagOptions && !showEditTagModal}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={closeTagOptions}
+      >
+        <TouchableWithoutFeedback onPress={closeTagOptions}>
+          <View style={styles.popupOverlay}>
+            <TouchableWithoutFeedback>
+              <View style={styles.popupContainer}>
+                <ThemedText style={styles.popupTitle}>
+                  {selectedTag?.name} Options
+                </ThemedText>
+
+                <TouchableOpacity
+                  style={styles.popupOption}
+                  onPress={() => handleTagOptionSelect('Edit')}
+                >
+                  <Ionicons name="pencil" size={20} color="#007AFF" />
+                  <ThemedText style={styles.popupOptionText}>Rename Tag</ThemedText>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={styles.popupOption}
+                  onPress={() => handleTagOptionSelect('Delete')}
+                >
+                  <Ionicons name="trash" size={20} color="#FF3B30" />
+                  <ThemedText style={styles.popupOptionText}>Delete Tag</ThemedText>
+                </TouchableOpacity>
+              </View>
+            </TouchableWithoutFeedback>
+          </View>
+        </TouchableWithoutFeedback>
+      </Modal>
+
       {/* Project Options Popup */}
       <Modal
-        visible={showProjectOptions && !showEditProjectModal}
+        visible={showProjectOptions && !showEditProjectModal && !showMoveProjectModal}
         transparent={true}
         animationType="fade"
         onRequestClose={closeProjectOptions}
@@ -459,6 +841,26 @@ export default function DraggableSidebar({ children }) {
                   <Ionicons name="pencil" size={20} color="#007AFF" />
                   <ThemedText style={styles.popupOptionText}>Edit Project</ThemedText>
                 </TouchableOpacity>
+
+                {selectedProject?.name !== 'Inbox' && (
+                  <>
+                    <TouchableOpacity
+                      style={styles.popupOption}
+                      onPress={() => handleOptionSelect('AddSubproject')}
+                    >
+                      <Ionicons name="add-circle-outline" size={20} color="#007AFF" />
+                      <ThemedText style={styles.popupOptionText}>Add Subproject</ThemedText>
+                    </TouchableOpacity>
+
+                    <TouchableOpacity
+                      style={styles.popupOption}
+                      onPress={() => handleOptionSelect('Move')}
+                    >
+                      <Ionicons name="return-down-forward" size={20} color="#007AFF" />
+                      <ThemedText style={styles.popupOptionText}>Move Project</ThemedText>
+                    </TouchableOpacity>
+                  </>
+                )}
                 
                 <TouchableOpacity 
                   style={styles.popupOption}
@@ -562,6 +964,9 @@ const styles = StyleSheet.create({
   sidebarItems: {
     gap: 15,
   },
+  projectList: {
+    gap: 15,
+  },
   sidebarItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -574,6 +979,23 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  badge: {
+    marginLeft: 'auto',
+    minWidth: 22,
+    paddingHorizontal: 6,
+    borderRadius: 11,
+    backgroundColor: '#FF9500',
+    alignItems: 'center',
+  },
+  errorBadge: {
+    backgroundColor: '#FF3B30',
+  },
+  badgeText: {
+    fontSize: 12,
+    lineHeight: 22,
+    fontWeight: '600',
+    color: '#FFFFFF',
+  },
   inboxItem: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -587,6 +1009,7 @@ const styles = StyleSheet.create({
     marginBottom: 8,
   },
   inboxItemText: {
+    flexShrink: 1,
     fontSize: 17,
     fontWeight: '600',
     color: '#007AFF',
@@ -621,6 +1044,18 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontStyle: 'italic',
   },
+  sectionHeader: {
+    fontSize: 13,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    opacity: 0.6,
+    marginTop: 16,
+    marginBottom: 4,
+    marginLeft: 15,
+  },
+  chevronSpacer: {
+    width: 16,
+  },
   noProjectsText: {
     fontSize: 12,
     opacity: 0.6,
@@ -656,6 +1091,25 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#007AFF',
   },
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 10,
+    marginBottom: 8,
+  },
+  accountEmail: {
+    flex: 1,
+    fontSize: 14,
+  },
+  signOutText: {
+    fontSize: 14,
+    color: '#FF3B30',
+  },
+  signInText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
   syncButton: {
     flexDirection: 'row',
     alignItems: 'center',
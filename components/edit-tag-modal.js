@@ -0,0 +1,222 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import {
+    Alert,
+    Modal,
+    StyleSheet,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useTags, useUpdateTag } from '@/hooks/use-tags';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+export default function EditTagModal({ visible, onClose, tag }) {
+  const colorScheme = useColorScheme();
+  const [tagName, setTagName] = useState('');
+  const { data: tags = [] } = useTags();
+  const updateTagMutation = useUpdateTag();
+
+  // Set initial tag name when modal opens
+  useEffect(() => {
+    if (tag && visible) {
+      setTagName(tag.name);
+    }
+  }, [tag, visible]);
+
+  const handleSubmit = async () => {
+    const name = tagName.trim();
+    if (!name) {
+      Alert.alert('Error', 'Please enter a tag name');
+      return;
+    }
+
+    if (name === tag?.name) {
+      Alert.alert('No Changes', 'The tag name is the same as before');
+      return;
+    }
+
+    // Tag pickers match names case-insensitively, so two tags differing only
+    // in case could not be told apart
+    if (tags.some(other => other.id !== tag.id && other.name.toLowerCase() === name.toLowerCase())) {
+      Alert.alert('Error', `A tag named "${name}" already exists`);
+      return;
+    }
+
+    try {
+      await updateTagMutation.mutateAsync({ tagId: tag.id, name });
+      
+      // Reset form
+      setTagName('');
+      onClose();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update tag');
+      console.error('Error updating tag:', error);
+    }
+  };
+
+  const handleClose = () => {
+    setTagName('');
+    onClose();
+  };
+
+  if (!tag) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={handleClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={handleClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Edit Tag</ThemedText>
+          <TouchableOpacity 
+            onPress={handleSubmit} 
+            style={[
+              styles.saveButton,
+              { backgroundColor: updateTagMutation.isPending ? '#ccc' : '#007AFF' }
+            ]}
+            disabled={updateTagMutation.isPending}
+          >
+            <ThemedText style={styles.saveButtonText}>
+              {updateTagMutation.isPending ? 'Saving...' : 'Save'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {/* Tag Info */}
+        <View style={styles.tagInfo}>
+          <Ionicons 
+            name="pricetag-outline" 
+            size={16} 
+            color={colorScheme === 'dark' ? '#fff' : '#000'} 
+          />
+          <ThemedText style={styles.tagInfoText}>
+            Editing &quot;{tag.name}&quot;
+          </ThemedText>
+        </View>
+
+        {/* Form */}
+        <View style={styles.form}>
+          <View style={styles.inputGroup}>
+            <ThemedText style={styles.label}>Tag Name *</ThemedText>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+                  color: colorScheme === 'dark' ? '#fff' : '#000',
+                  borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+                }
+              ]}
+              value={tagName}
+              onChangeText={setTagName}
+              placeholder="Enter tag name"
+              placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+              autoFocus
+            />
+          </View>
+
+          <View style={styles.helpText}>
+            <Ionicons 
+              name="information-circle-outline" 
+              size={16} 
+              color={colorScheme === 'dark' ? '#888' : '#666'} 
+            />
+            <ThemedText style={styles.helpTextContent}>
+              Renaming a tag updates every task that carries it. The change will be synced across all your devices.
+            </ThemedText>
+          </View>
+        </View>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  tagInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    backgroundColor: 'rgba(0,122,255,0.1)',
+    gap: 8,
+  },
+  tagInfoText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#007AFF',
+  },
+  form: {
+    flex: 1,
+    padding: 20,
+    gap: 20,
+  },
+  inputGroup: {
+    gap: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  helpText: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    padding: 12,
+    backgroundColor: 'rgba(0,0,0,0.05)',
+    borderRadius: 8,
+  },
+  helpTextContent: {
+    fontSize: 14,
+    opacity: 0.7,
+    flex: 1,
+    lineHeight: 20,
+  },
+});
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Alert, Text, TouchableOpacity, View } from 'react-native';
-import { syncService } from '../lib/sync-service';
+import { syncService } from '../lib/app-sync-service';
 
 // Minimal inline component - just add this to any screen
 export function InlineSendButton() {
@@ -0,0 +1,154 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useMoveProject, useProjects } from '@/hooks/use-projects';
+import { buildProjectTree, flattenProjectTree, getDescendantIds } from '@/lib/project-tree';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+// Pick a new parent for a project: the top level, or any project outside its
+// own subtree. The Inbox always stays on its own.
+export default function MoveProjectModal({ visible, onClose, project }) {
+  const colorScheme = useColorScheme();
+  const { data: projects = [] } = useProjects();
+  const moveProjectMutation = useMoveProject();
+  const iconColor = colorScheme === 'dark' ? '#fff' : '#000';
+
+  const targets = useMemo(() => {
+    if (!project) return [];
+    const excluded = new Set([project.id, ...getDescendantIds(projects, project.id)]);
+    return flattenProjectTree(buildProjectTree(projects))
+      .filter(node => !excluded.has(node.id) && node.name !== 'Inbox');
+  }, [projects, project]);
+
+  const handleMove = async (parentId) => {
+    if (parentId === (project.parent_id || null)) {
+      onClose();
+      return;
+    }
+
+    try {
+      await moveProjectMutation.mutateAsync({ id: project.id, parentId });
+      onClose();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to move project');
+      console.error('Error moving project:', error);
+    }
+  };
+
+  if (!project) return null;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={iconColor} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Move Project</ThemedText>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        {/* Project Info */}
+        <View style={styles.projectInfo}>
+          <Ionicons name="folder-outline" size={16} color={iconColor} />
+          <ThemedText style={styles.projectInfoText}>
+            Moving &quot;{project.name}&quot; and everything inside it
+          </ThemedText>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <TouchableOpacity
+            style={styles.row}
+            onPress={() => handleMove(null)}
+            disabled={moveProjectMutation.isPending}
+          >
+            <Ionicons name="albums-outline" size={20} color={iconColor} />
+            <ThemedText style={styles.rowText}>Top level</ThemedText>
+            {!project.parent_id && <Ionicons name="checkmark" size={20} color="#007AFF" />}
+          </TouchableOpacity>
+
+          {targets.map(target => (
+            <TouchableOpacity
+              key={target.id}
+              style={[styles.row, { paddingLeft: target.depth * 20 }]}
+              onPress={() => handleMove(target.id)}
+              disabled={moveProjectMutation.isPending}
+            >
+              <Ionicons name="folder-outline" size={20} color={iconColor} />
+              <ThemedText style={styles.rowText} numberOfLines={1}>{target.name}</ThemedText>
+              {target.id === project.parent_id && <Ionicons name="checkmark" size={20} color="#007AFF" />}
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  projectInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    backgroundColor: 'rgba(0,122,255,0.1)',
+    gap: 8,
+  },
+  projectInfoText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#007AFF',
+  },
+  content: {
+    padding: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,56 @@
+import { Ionicons } from '@expo/vector-icons';
+import React from 'react';
+import { StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { PRIORITIES } from '@/lib/priorities';
+import { ThemedText } from './themed-text';
+
+// One chip per priority, P1 to P4; the selected one is filled with its color.
+// onChange(priority) receives the tapped value.
+export default function PriorityPicker({ value, onChange, disabled = false }) {
+  return (
+    <View style={styles.chips}>
+      {PRIORITIES.map(priority => {
+        const selected = priority.value === value;
+        return (
+          <TouchableOpacity
+            key={priority.value}
+            style={[
+              styles.chip,
+              { borderColor: priority.color },
+              selected && { backgroundColor: priority.color },
+            ]}
+            onPress={() => onChange(priority.value)}
+            disabled={disabled}
+          >
+            <Ionicons name="flag" size={12} color={selected ? '#FFFFFF' : priority.color} />
+            <ThemedText style={[styles.chipText, { color: selected ? '#FFFFFF' : priority.color }]}>
+              {priority.label}
+            </ThemedText>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
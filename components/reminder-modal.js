@@ -0,0 +1,256 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { addDays, isValidDateKey, isValidTime, toDateKey } from '@/lib/dates';
+import { DEFAULT_DUE_TIME, describeOffset, REMINDER_OFFSETS } from '@/lib/reminders';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+// Adds a reminder to a task: some time before it is due, or at a set date
+// and time
+export default function ReminderModal({ visible, onClose, dueDate, dueTime, onAdd, isSaving = false }) {
+  const colorScheme = useColorScheme();
+  const [offset, setOffset] = useState(REMINDER_OFFSETS[0]);
+  const [atTime, setAtTime] = useState(false);
+  const [date, setDate] = useState('');
+  const [time, setTime] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setOffset(REMINDER_OFFSETS[0]);
+      setAtTime(!dueDate);
+      setDate(dueDate || addDays(toDateKey(), 1));
+      setTime(dueTime || DEFAULT_DUE_TIME);
+    }
+  }, [visible, dueDate, dueTime]);
+
+  const inputColors = {
+    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+    color: colorScheme === 'dark' ? '#fff' : '#000',
+    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+  };
+
+  const handleSave = async () => {
+    if (!atTime) {
+      await onAdd({ offsetMinutes: offset });
+      return;
+    }
+
+    if (!isValidDateKey(date.trim())) {
+      Alert.alert('Error', 'Date must be a valid date in YYYY-MM-DD format');
+      return;
+    }
+    if (!isValidTime(time.trim())) {
+      Alert.alert('Error', 'Time must be a valid time in HH:MM format');
+      return;
+    }
+    await onAdd({ remindAt: `${date.trim()}T${time.trim()}` });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Reminder</ThemedText>
+          <TouchableOpacity
+            onPress={handleSave}
+            style={[
+              styles.saveButton,
+              { backgroundColor: isSaving ? '#ccc' : '#007AFF' }
+            ]}
+            disabled={isSaving}
+          >
+            <ThemedText style={styles.saveButtonText}>
+              {isSaving ? 'Saving...' : 'Add'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {/* Form */}
+        <View style={styles.form}>
+          <View style={styles.inputGroup}>
+            <View style={styles.labelRow}>
+              <ThemedText style={styles.label}>Before it is due</ThemedText>
+              <ThemedText style={styles.currentValue}>
+                {dueDate ? `Due ${dueTime || `${DEFAULT_DUE_TIME} (no time set)`}` : 'No due date yet'}
+              </ThemedText>
+            </View>
+            <View style={styles.quickOptions}>
+              {REMINDER_OFFSETS.map(minutes => {
+                const selected = !atTime && minutes === offset;
+                return (
+                  <TouchableOpacity
+                    key={minutes}
+                    style={[styles.quickOption, selected && styles.quickOptionSelected]}
+                    onPress={() => {
+                      setOffset(minutes);
+                      setAtTime(false);
+                    }}
+                  >
+                    <ThemedText style={[styles.quickOptionText, selected && styles.quickOptionTextSelected]}>
+                      {describeOffset(minutes)}
+                    </ThemedText>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            {!dueDate && !atTime && (
+              <ThemedText style={styles.hint}>
+                This reminder fires once the task has a due date.
+              </ThemedText>
+            )}
+          </View>
+
+          <View style={styles.inputGroup}>
+            <TouchableOpacity style={styles.labelRow} onPress={() => setAtTime(true)}>
+              <ThemedText style={styles.label}>At a set time</ThemedText>
+              <Ionicons
+                name={atTime ? 'radio-button-on' : 'radio-button-off'}
+                size={20}
+                color="#007AFF"
+              />
+            </TouchableOpacity>
+            <View style={styles.dateTimeRow}>
+              <TextInput
+                style={[styles.input, styles.dateInput, inputColors]}
+                value={date}
+                onChangeText={setDate}
+                onFocus={() => setAtTime(true)}
+                placeholder="YYYY-MM-DD"
+                placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+              <TextInput
+                style={[styles.input, styles.timeInput, inputColors]}
+                value={time}
+                onChangeText={setTime}
+                onFocus={() => setAtTime(true)}
+                placeholder="HH:MM"
+                placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+          </View>
+        </View>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  form: {
+    flex: 1,
+    padding: 20,
+    gap: 28,
+  },
+  inputGroup: {
+    gap: 10,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  currentValue: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  hint: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  quickOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  quickOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  quickOptionSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  quickOptionText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  quickOptionTextSelected: {
+    color: '#FFFFFF',
+  },
+  dateTimeRow: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  dateInput: {
+    flex: 2,
+  },
+  timeInput: {
+    flex: 1,
+  },
+});
@@ -0,0 +1,219 @@
+import * as Haptics from 'expo-haptics';
+import React, { createContext, useContext, useRef, useState } from 'react';
+import { FlatList, View } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import Animated, { useAnimatedStyle, useSharedValue, withTiming } from 'react-native-reanimated';
+
+// Lists whose rows can be dragged into a new order: long-press a row, move it
+// up or down and let go. The rows in between slide out of its way while it
+// moves. On drop, onReorder(item, targetItem, placement) reports the row it
+// landed 'before' or 'after', which is what the repositories' moveXBefore and
+// moveXAfter functions take.
+
+const LONG_PRESS_MS = 350;
+const SHIFT_DURATION_MS = 150;
+
+const ReorderContext = createContext(null);
+
+function useReorder(data, onReorder, onDragStart, onDragEnd) {
+  // Row positions from onLayout, by index, relative to the list's content
+  const layouts = useRef([]);
+  const drag = useRef({ index: -1, hover: -1 });
+
+  // Mirrors of `drag` that the row styles animate from
+  const dragIndex = useSharedValue(-1);
+  const hoverIndex = useSharedValue(-1);
+  const dragHeight = useSharedValue(0);
+  const translationY = useSharedValue(0);
+
+  const reset = () => {
+    drag.current = { index: -1, hover: -1 };
+    dragIndex.value = -1;
+    hoverIndex.value = -1;
+    translationY.value = 0;
+  };
+
+  const beginDrag = (index) => {
+    const layout = layouts.current[index];
+    if (!layout) return;
+
+    // Rows make way by the dragged row's height plus the spacing between rows
+    const next = layouts.current[index + 1];
+    const previous = layouts.current[index - 1];
+    const spacing = next
+      ? next.y - (layout.y + layout.height)
+      : previous ? layout.y - (previous.y + previous.height) : 0;
+
+    drag.current = { index, hover: index };
+    dragHeight.value = layout.height + Math.max(spacing, 0);
+    translationY.value = 0;
+    hoverIndex.value = index;
+    dragIndex.value = index;
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    onDragStart?.();
+  };
+
+  const updateDrag = (dy) => {
+    const { index } = drag.current;
+    if (index === -1) return;
+
+    translationY.value = dy;
+
+    // The row under the dragged row's centre, by the slots the rows had when
+    // the drag began
+    const from = layouts.current[index];
+    const center = from.y + from.height / 2 + dy;
+    let hover = 0;
+    for (let i = 0; i < data.length; i++) {
+      const layout = layouts.current[i];
+      if (layout && center >= layout.y) hover = i;
+    }
+
+    if (hover !== drag.current.hover) {
+      drag.current.hover = hover;
+      hoverIndex.value = hover;
+      Haptics.selectionAsync();
+    }
+  };
+
+  const endDrag = (success) => {
+    const { index, hover } = drag.current;
+    if (index === -1) return;
+
+    reset();
+    onDragEnd?.();
+    if (success && hover !== index && data[index] && data[hover]) {
+      onReorder(data[index], data[hover], hover > index ? 'after' : 'before');
+    }
+  };
+
+  const setLayout = (index, { y, height }) => {
+    layouts.current[index] = { y, height };
+  };
+
+  return { dragIndex, hoverIndex, dragHeight, translationY, beginDrag, updateDrag, endDrag, setLayout };
+}
+
+// Wraps one row. The dragged row follows the finger above the others, and the
+// rows between where it was and where it would land move by its height.
+function ReorderableCell({ index, style, onLayout, children, ...props }) {
+  const { dragIndex, hoverIndex, dragHeight, translationY, setLayout } = useContext(ReorderContext);
+
+  const animatedStyle = useAnimatedStyle(() => {
+    const from = dragIndex.value;
+    const to = hoverIndex.value;
+    if (from === -1) {
+      return { zIndex: 0, opacity: 1, transform: [{ translateY: 0 }, { scale: 1 }] };
+    }
+    if (index === from) {
+      return { zIndex: 1, opacity: 0.9, transform: [{ translateY: translationY.value }, { scale: 1.02 }] };
+    }
+
+    let shift = 0;
+    if (from < index && index <= to) {
+      shift = -dragHeight.value;
+    } else if (to <= index && index < from) {
+      shift = dragHeight.value;
+    }
+    return {
+      zIndex: 0,
+      opacity: 1,
+      transform: [{ translateY: withTiming(shift, { duration: SHIFT_DURATION_MS }) }, { scale: 1 }],
+    };
+  });
+
+  return (
+    <Animated.View
+      {...props}
+      style={[style, animatedStyle]}
+      onLayout={(event) => {
+        setLayout(index, event.nativeEvent.layout);
+        onLayout?.(event);
+      }}
+    >
+      {children}
+    </Animated.View>
+  );
+}
+
+// The FlatList hands its cell renderer a few props that are not View props
+function ReorderableListCell({ item, cellKey, ...props }) {
+  return <ReorderableCell {...props} />;
+}
+
+// Starts a drag after a long press on the row
+function DragHandle({ index, enabled, children }) {
+  const { beginDrag, updateDrag, endDrag } = useContext(ReorderContext);
+
+  const gesture = Gesture.Pan()
+    .enabled(enabled)
+    .activateAfterLongPress(LONG_PRESS_MS)
+    .runOnJS(true)
+    .onStart(() => beginDrag(index))
+    .onUpdate((event) => updateDrag(event.translationY))
+    .onFinalize((event, success) => endDrag(success));
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <View collapsable={false}>{children}</View>
+    </GestureDetector>
+  );
+}
+
+// A FlatList of draggable rows. canDrag(item) can keep some rows in place.
+export default function ReorderableList({
+  data,
+  renderItem,
+  onReorder,
+  canDrag = () => true,
+  scrollEnabled = true,
+  ...listProps
+}) {
+  const [dragging, setDragging] = useState(false);
+  const reorder = useReorder(data, onReorder, () => setDragging(true), () => setDragging(false));
+
+  return (
+    <ReorderContext.Provider value={reorder}>
+      <FlatList
+        {...listProps}
+        data={data}
+        scrollEnabled={scrollEnabled && !dragging}
+        CellRendererComponent={ReorderableListCell}
+        renderItem={(info) => (
+          <DragHandle index={info.index} enabled={canDrag(info.item)}>
+            {renderItem(info)}
+          </DragHandle>
+        )}
+      />
+    </ReorderContext.Provider>
+  );
+}
+
+// The same rows without a list of their own, for use inside another scroll
+// view. onDragStart and onDragEnd let that scroll view hold still meanwhile.
+export function ReorderableStack({
+  data,
+  keyExtractor,
+  renderItem,
+  onReorder,
+  canDrag = () => true,
+  onDragStart,
+  onDragEnd,
+  style,
+}) {
+  const reorder = useReorder(data, onReorder, onDragStart, onDragEnd);
+
+  return (
+    <ReorderContext.Provider value={reorder}>
+      <View style={style}>
+        {data.map((item, index) => (
+          <ReorderableCell key={keyExtractor(item, index)} index={index}>
+            <DragHandle index={index} enabled={canDrag(item)}>
+              {renderItem({ item, index })}
+            </DragHandle>
+          </ReorderableCell>
+        ))}
+      </View>
+    </ReorderContext.Provider>
+  );
+}
@@ -0,0 +1,367 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { formatDateKey, parseDateKey, toDateKey } from '@/lib/dates';
+import { describeRecurrence, formatRecurrence, nextDates, parseRecurrence } from '@/lib/recurrence';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+const KINDS = [
+  { value: 'none', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'completion', label: 'After completion' },
+];
+
+const INTERVAL_UNITS = {
+  daily: ['day', 'days'],
+  weekly: ['week', 'weeks'],
+  monthly: ['month', 'months'],
+  completion: ['day', 'days'],
+};
+
+// Monday first, as weeks are counted from Monday
+const WEEKDAY_OPTIONS = [
+  { day: 1, label: 'M' },
+  { day: 2, label: 'T' },
+  { day: 3, label: 'W' },
+  { day: 4, label: 'T' },
+  { day: 5, label: 'F' },
+  { day: 6, label: 'S' },
+  { day: 0, label: 'S' },
+];
+
+// The picker's fields for a stored rule. New weekly and monthly rules start on
+// the weekday and day of the month of the due date, or of today.
+function getDraft(recurrence, anchor) {
+  const anchorDate = parseDateKey(anchor);
+  const draft = {
+    kind: 'none',
+    interval: '1',
+    byDay: [anchorDate.getDay()],
+    monthDay: String(anchorDate.getDate()),
+  };
+
+  let rule = null;
+  try {
+    rule = parseRecurrence(recurrence);
+  } catch (error) {
+    console.warn('Unreadable repeat rule:', error.message);
+  }
+  if (!rule) return draft;
+
+  return {
+    kind: rule.fromCompletion ? 'completion' : rule.freq,
+    interval: String(rule.interval),
+    byDay: rule.byDay.length > 0 ? rule.byDay : draft.byDay,
+    monthDay: rule.byMonthDay ? String(rule.byMonthDay) : draft.monthDay,
+  };
+}
+
+// The rule for the picker's fields; throws with a message for the user when a
+// field is out of range
+function getRule(draft) {
+  if (draft.kind === 'none') return null;
+
+  const interval = Number(draft.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 999) {
+    throw new Error('Repeat every must be a whole number from 1 to 999');
+  }
+
+  const rule = {
+    freq: draft.kind === 'completion' ? 'daily' : draft.kind,
+    interval,
+    byDay: [],
+    byMonthDay: null,
+    fromCompletion: draft.kind === 'completion',
+  };
+
+  if (draft.kind === 'weekly') {
+    if (draft.byDay.length === 0) {
+      throw new Error('Choose at least one day of the week');
+    }
+    rule.byDay = draft.byDay;
+  }
+
+  if (draft.kind === 'monthly') {
+    const day = Number(draft.monthDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      throw new Error('Day of the month must be a number from 1 to 31');
+    }
+    rule.byMonthDay = day;
+  }
+
+  return rule;
+}
+
+export default function RepeatPickerModal({ visible, onClose, recurrence, dueDate, startDate, onSave, isSaving = false }) {
+  const colorScheme = useColorScheme();
+  const today = toDateKey();
+  const anchor = dueDate || startDate || today;
+  const [draft, setDraft] = useState(() => getDraft(recurrence, anchor));
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(getDraft(recurrence, anchor));
+    }
+  }, [visible, recurrence, anchor]);
+
+  const inputColors = {
+    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+    color: colorScheme === 'dark' ? '#fff' : '#000',
+    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleWeekday = (day) => {
+    updateDraft({
+      byDay: draft.byDay.includes(day)
+        ? draft.byDay.filter(d => d !== day)
+        : [...draft.byDay, day].sort((a, b) => a - b),
+    });
+  };
+
+  // What the picker would save, and when the next occurrence would be due if
+  // the task were completed today
+  let preview = null;
+  try {
+    const rule = getRule(draft);
+    if (rule) {
+      const next = nextDates({ recurrence: formatRecurrence(rule), due_date: dueDate, start_date: startDate }, today);
+      preview = `${describeRecurrence(rule)}. Completed today, the next one is due ${formatDateKey(next.due_date ?? next.start_date, today)}.`;
+    }
+  } catch {
+    // Shown as an alert when saving
+  }
+
+  const handleSave = async () => {
+    let rule;
+    try {
+      rule = getRule(draft);
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return;
+    }
+
+    await onSave(formatRecurrence(rule));
+  };
+
+  const intervalUnits = INTERVAL_UNITS[draft.kind];
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Repeat</ThemedText>
+          <TouchableOpacity
+            onPress={handleSave}
+            style={[
+              styles.saveButton,
+              { backgroundColor: isSaving ? '#ccc' : '#007AFF' }
+            ]}
+            disabled={isSaving}
+          >
+            <ThemedText style={styles.saveButtonText}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {/* Form */}
+        <ScrollView contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
+          <View style={styles.quickOptions}>
+            {KINDS.map(kind => {
+              const selected = kind.value === draft.kind;
+              return (
+                <TouchableOpacity
+                  key={kind.value}
+                  style={[styles.quickOption, selected && styles.quickOptionSelected]}
+                  onPress={() => updateDraft({ kind: kind.value })}
+                >
+                  <ThemedText style={[styles.quickOptionText, selected && styles.quickOptionTextSelected]}>
+                    {kind.label}
+                  </ThemedText>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {intervalUnits && (
+            <View style={styles.fieldRow}>
+              <ThemedText style={styles.label}>Every</ThemedText>
+              <TextInput
+                style={[styles.numberInput, inputColors]}
+                value={draft.interval}
+                onChangeText={interval => updateDraft({ interval })}
+                keyboardType="number-pad"
+                maxLength={3}
+              />
+              <ThemedText style={styles.label}>
+                {draft.interval === '1' ? intervalUnits[0] : intervalUnits[1]}
+                {draft.kind === 'completion' ? ' after completing the task' : ''}
+              </ThemedText>
+            </View>
+          )}
+
+          {draft.kind === 'weekly' && (
+            <View style={styles.inputGroup}>
+              <ThemedText style={styles.label}>On</ThemedText>
+              <View style={styles.weekdays}>
+                {WEEKDAY_OPTIONS.map(({ day, label }) => {
+                  const selected = draft.byDay.includes(day);
+                  return (
+                    <TouchableOpacity
+                      key={day}
+                      style={[styles.weekday, selected && styles.quickOptionSelected]}
+                      onPress={() => toggleWeekday(day)}
+                    >
+                      <ThemedText style={[styles.quickOptionText, selected && styles.quickOptionTextSelected]}>
+                        {label}
+                      </ThemedText>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
+          {draft.kind === 'monthly' && (
+            <View style={styles.fieldRow}>
+              <ThemedText style={styles.label}>On day</ThemedText>
+              <TextInput
+                style={[styles.numberInput, inputColors]}
+                value={draft.monthDay}
+                onChangeText={monthDay => updateDraft({ monthDay })}
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+              <ThemedText style={styles.hint}>or the month&apos;s last day</ThemedText>
+            </View>
+          )}
+
+          {preview && <ThemedText style={styles.hint}>{preview}</ThemedText>}
+        </ScrollView>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  form: {
+    padding: 20,
+    gap: 28,
+  },
+  inputGroup: {
+    gap: 10,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 10,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  hint: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  quickOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  quickOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  quickOptionSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  quickOptionText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  quickOptionTextSelected: {
+    color: '#FFFFFF',
+  },
+  weekdays: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  weekday: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  numberInput: {
+    width: 64,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+});
@@ -1,6 +1,6 @@
 import React from 'react';
 import { Alert, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
-import { syncService } from '../lib/sync-service';
+import { syncService } from '../lib/app-sync-service';
 
 export function SimpleTestSend() {
   const [isLoading, setIsLoading] = React.useState(false);
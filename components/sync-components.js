@@ -2,8 +2,8 @@ import { Ionicons } from '@expo/vector-icons';
 import React from 'react';
 import { ActivityIndicator, Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { useAutoSync, useSync } from '../hooks/use-sync';
-import { SYNC_CONFIG } from '../lib/supabase';
-import { syncService } from '../lib/sync-service';
+import { syncService } from '../lib/app-sync-service';
+import { SYNC_CONFIG } from '../lib/sync-config';
 
 export function SyncStatusIndicator() {
   const { syncStatus, syncData, isOnline, lastSyncTime } = useSync();
@@ -90,7 +90,6 @@ export function SyncButton() {
               const result = await syncService.exportAllDataToSupabase({
                 clearSupabaseFirst: false,
                 skipExisting: true,
-                batchSize: 10,
                 onProgress: (progress) => {
                   console.log(`📊 Export progress: ${progress.exported}/${progress.total} records`);
                 }
@@ -135,7 +134,6 @@ export function SyncButton() {
               const result = await syncService.exportAllDataToSupabase({
                 clearSupabaseFirst: true,
                 skipExisting: false,
-                batchSize: 10,
                 onProgress: (progress) => {
                   console.log(`📊 Export progress: ${progress.exported}/${progress.total} records`);
                 }
@@ -301,7 +299,7 @@ export function DataExportPanel() {
       const result = await syncService.exportAllDataToSupabase({
         clearSupabaseFirst: options.clearSupabaseFirst || false,
         skipExisting: options.skipExisting !== false,
-        batchSize: options.batchSize || 10,
+        batchSize: options.batchSize,
         onProgress: (progress) => {
           setExportProgress(progress);
           console.log(`📊 Export progress: ${progress.exported}/${progress.total} records`);
@@ -0,0 +1,148 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { Alert, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useCreateTag, useTags } from '@/hooks/use-tags';
+import { ThemedText } from './themed-text';
+
+// Tag chips to toggle, plus a field to create a tag and select it straight
+// away. onToggle(tagId, selected) receives the new state of a chip.
+export default function TagPicker({ selectedTagIds = [], onToggle, disabled = false }) {
+  const colorScheme = useColorScheme();
+  const { data: tags = [] } = useTags();
+  const createTagMutation = useCreateTag();
+  const [newTagName, setNewTagName] = useState('');
+
+  const handleCreate = async () => {
+    const name = newTagName.trim();
+    if (!name) return;
+
+    const existing = tags.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if (!selectedTagIds.includes(existing.id)) onToggle(existing.id, true);
+      setNewTagName('');
+      return;
+    }
+
+    try {
+      const tag = await createTagMutation.mutateAsync(name);
+      onToggle(tag.id, true);
+      setNewTagName('');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to create tag');
+      console.error('Error creating tag:', error);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      {tags.length > 0 ? (
+        <View style={styles.chips}>
+          {tags.map(tag => {
+            const selected = selectedTagIds.includes(tag.id);
+            return (
+              <TouchableOpacity
+                key={tag.id}
+                style={[styles.chip, selected && styles.chipSelected]}
+                onPress={() => onToggle(tag.id, !selected)}
+                disabled={disabled}
+              >
+                <Ionicons name="pricetag-outline" size={12} color={selected ? '#FFFFFF' : '#007AFF'} />
+                <ThemedText style={[styles.chipText, selected && styles.chipTextSelected]}>
+                  {tag.name}
+                </ThemedText>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      ) : (
+        <ThemedText style={styles.emptyText}>No tags yet</ThemedText>
+      )}
+
+      <View style={styles.newTagRow}>
+        <TextInput
+          style={[
+            styles.input,
+            {
+              backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+              color: colorScheme === 'dark' ? '#fff' : '#000',
+              borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+            }
+          ]}
+          value={newTagName}
+          onChangeText={setNewTagName}
+          onSubmitEditing={handleCreate}
+          placeholder="New tag"
+          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+          autoCapitalize="none"
+          returnKeyType="done"
+        />
+        <TouchableOpacity
+          style={[styles.addButton, { opacity: newTagName.trim() && !createTagMutation.isPending ? 1 : 0.5 }]}
+          onPress={handleCreate}
+          disabled={!newTagName.trim() || createTagMutation.isPending || disabled}
+        >
+          <Ionicons name="add" size={20} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 12,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  chipTextSelected: {
+    color: '#FFFFFF',
+  },
+  emptyText: {
+    fontSize: 14,
+    opacity: 0.6,
+  },
+  newTagRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 8,
+    backgroundColor: '#007AFF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
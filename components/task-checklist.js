@@ -0,0 +1,195 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { Alert, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import {
+  useAddChecklistItem,
+  useChecklist,
+  useDeleteChecklistItem,
+  useToggleChecklistItem,
+  useUpdateChecklistItem,
+} from '@/hooks/use-checklist';
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { ThemedText } from './themed-text';
+
+// The editable checklist of the task detail screen. Tap an item to rename it;
+// clearing its text removes it. `inputRef` reaches the "Add an item" field.
+export default function TaskChecklist({ taskId, inputRef }) {
+  const colorScheme = useColorScheme();
+  const { data: items = [] } = useChecklist(taskId);
+  const addItemMutation = useAddChecklistItem();
+  const updateItemMutation = useUpdateChecklistItem();
+  const toggleItemMutation = useToggleChecklistItem();
+  const deleteItemMutation = useDeleteChecklistItem();
+  const [newItemTitle, setNewItemTitle] = useState('');
+  const [editingItemId, setEditingItemId] = useState(null);
+  const [editedTitle, setEditedTitle] = useState('');
+  const mutedColor = colorScheme === 'dark' ? '#888' : '#666';
+  const inputColors = {
+    backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+    color: colorScheme === 'dark' ? '#fff' : '#000',
+    borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+  };
+  const doneCount = items.filter(item => item.completed).length;
+
+  // The field keeps focus after adding, so steps can be typed one after another
+  const handleAdd = async () => {
+    const title = newItemTitle.trim();
+    if (!title) return;
+
+    try {
+      await addItemMutation.mutateAsync({ taskId, title });
+      setNewItemTitle('');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to add checklist item');
+      console.error('Error adding checklist item:', error);
+    }
+  };
+
+  const handleToggle = async (itemId) => {
+    try {
+      await toggleItemMutation.mutateAsync(itemId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update checklist item');
+      console.error('Error toggling checklist item:', error);
+    }
+  };
+
+  const handleDelete = async (itemId) => {
+    try {
+      await deleteItemMutation.mutateAsync(itemId);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete checklist item');
+      console.error('Error deleting checklist item:', error);
+    }
+  };
+
+  const handleEdit = (item) => {
+    setEditedTitle(item.title);
+    setEditingItemId(item.id);
+  };
+
+  const handleSaveEdit = async (item) => {
+    setEditingItemId(null);
+
+    const title = editedTitle.trim();
+    if (!title) {
+      await handleDelete(item.id);
+      return;
+    }
+    if (title === item.title) return;
+
+    try {
+      await updateItemMutation.mutateAsync({ itemId: item.id, title });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update checklist item');
+      console.error('Error updating checklist item:', error);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="list-outline" size={20} color={mutedColor} />
+        <ThemedText style={styles.headerText}>Checklist</ThemedText>
+        {items.length > 0 && (
+          <ThemedText style={styles.progressText}>{doneCount}/{items.length}</ThemedText>
+        )}
+      </View>
+
+      {items.map(item => (
+        <View key={item.id} style={styles.itemRow}>
+          <TouchableOpacity onPress={() => handleToggle(item.id)} hitSlop={8}>
+            <Ionicons
+              name={item.completed ? 'checkbox' : 'square-outline'}
+              size={20}
+              color={item.completed ? '#34C759' : mutedColor}
+            />
+          </TouchableOpacity>
+          {editingItemId === item.id ? (
+            <TextInput
+              style={[styles.itemInput, inputColors]}
+              value={editedTitle}
+              onChangeText={setEditedTitle}
+              onBlur={() => handleSaveEdit(item)}
+              returnKeyType="done"
+              autoFocus
+            />
+          ) : (
+            <TouchableOpacity style={styles.itemTitleButton} onPress={() => handleEdit(item)}>
+              <ThemedText style={[styles.itemTitle, item.completed && styles.completedItemTitle]}>
+                {item.title}
+              </ThemedText>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => handleDelete(item.id)} hitSlop={8}>
+            <Ionicons name="close" size={18} color={mutedColor} />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.itemRow}>
+        <Ionicons name="add" size={20} color="#007AFF" />
+        <TextInput
+          ref={inputRef}
+          style={[styles.itemInput, inputColors]}
+          value={newItemTitle}
+          onChangeText={setNewItemTitle}
+          onSubmitEditing={handleAdd}
+          placeholder="Add an item"
+          placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+          returnKeyType="done"
+          blurOnSubmit={false}
+          editable={!addItemMutation.isPending}
+        />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 16,
+    gap: 4,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 4,
+  },
+  headerText: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  progressText: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    minHeight: 40,
+  },
+  itemTitleButton: {
+    flex: 1,
+    paddingVertical: 8,
+  },
+  itemTitle: {
+    fontSize: 16,
+  },
+  completedItemTitle: {
+    textDecorationLine: 'line-through',
+    opacity: 0.5,
+  },
+  itemInput: {
+    flex: 1,
+    fontSize: 16,
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+});
@@ -0,0 +1,308 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Modal,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { addDays, formatDateKey, isValidDateKey, isValidTime, toDateKey } from '@/lib/dates';
+import { DEFAULT_DUE_TIME } from '@/lib/reminders';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+function getQuickOptions(today) {
+  return [
+    { label: 'Today', value: today },
+    { label: 'Tomorrow', value: addDays(today, 1) },
+    { label: 'Next week', value: addDays(today, 7) },
+    { label: 'None', value: null },
+  ];
+}
+
+const TIME_OPTIONS = [
+  { label: 'Morning', value: '09:00' },
+  { label: 'Noon', value: '12:00' },
+  { label: 'Evening', value: '18:00' },
+  { label: 'None', value: null },
+];
+
+function DateField({ label, value, onChange, today }) {
+  const colorScheme = useColorScheme();
+  const [text, setText] = useState(value || '');
+
+  useEffect(() => {
+    setText(value || '');
+  }, [value]);
+
+  return (
+    <View style={styles.inputGroup}>
+      <View style={styles.labelRow}>
+        <ThemedText style={styles.label}>{label}</ThemedText>
+        <ThemedText style={styles.currentValue}>
+          {value ? formatDateKey(value, today) : 'No date'}
+        </ThemedText>
+      </View>
+
+      <View style={styles.quickOptions}>
+        {getQuickOptions(today).map(option => {
+          const selected = option.value === value;
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.quickOption, selected && styles.quickOptionSelected]}
+              onPress={() => onChange(option.value)}
+            >
+              <ThemedText style={[styles.quickOptionText, selected && styles.quickOptionTextSelected]}>
+                {option.label}
+              </ThemedText>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <TextInput
+        style={[
+          styles.input,
+          {
+            backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+            color: colorScheme === 'dark' ? '#fff' : '#000',
+            borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+          }
+        ]}
+        value={text}
+        onChangeText={setText}
+        onEndEditing={() => onChange(text.trim() || null)}
+        placeholder="YYYY-MM-DD"
+        placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+}
+
+// The time of day a task is due, 'HH:MM'. Without one, reminders count from
+// DEFAULT_DUE_TIME.
+function TimeField({ value, onChange }) {
+  const colorScheme = useColorScheme();
+  const [text, setText] = useState(value || '');
+
+  useEffect(() => {
+    setText(value || '');
+  }, [value]);
+
+  return (
+    <View style={styles.inputGroup}>
+      <View style={styles.labelRow}>
+        <ThemedText style={styles.label}>Due time</ThemedText>
+        <ThemedText style={styles.currentValue}>
+          {value || `No time (reminders use ${DEFAULT_DUE_TIME})`}
+        </ThemedText>
+      </View>
+
+      <View style={styles.quickOptions}>
+        {TIME_OPTIONS.map(option => {
+          const selected = option.value === value;
+          return (
+            <TouchableOpacity
+              key={option.label}
+              style={[styles.quickOption, selected && styles.quickOptionSelected]}
+              onPress={() => onChange(option.value)}
+            >
+              <ThemedText style={[styles.quickOptionText, selected && styles.quickOptionTextSelected]}>
+                {option.label}
+              </ThemedText>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      <TextInput
+        style={[
+          styles.input,
+          {
+            backgroundColor: colorScheme === 'dark' ? '#333' : '#fff',
+            color: colorScheme === 'dark' ? '#fff' : '#000',
+            borderColor: colorScheme === 'dark' ? '#555' : '#ddd',
+          }
+        ]}
+        value={text}
+        onChangeText={setText}
+        onEndEditing={() => onChange(text.trim() || null)}
+        placeholder="HH:MM"
+        placeholderTextColor={colorScheme === 'dark' ? '#888' : '#999'}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+}
+
+export default function TaskDatesModal({ visible, onClose, dueDate, dueTime, startDate, onSave, isSaving = false }) {
+  const colorScheme = useColorScheme();
+  const today = toDateKey();
+  const [draftDueDate, setDraftDueDate] = useState(dueDate || null);
+  const [draftDueTime, setDraftDueTime] = useState(dueTime || null);
+  const [draftStartDate, setDraftStartDate] = useState(startDate || null);
+
+  useEffect(() => {
+    if (visible) {
+      setDraftDueDate(dueDate || null);
+      setDraftDueTime(dueTime || null);
+      setDraftStartDate(startDate || null);
+    }
+  }, [visible, dueDate, dueTime, startDate]);
+
+  const handleSave = async () => {
+    for (const [label, value] of [['Due date', draftDueDate], ['Start date', draftStartDate]]) {
+      if (value && !isValidDateKey(value)) {
+        Alert.alert('Error', `${label} must be a valid date in YYYY-MM-DD format`);
+        return;
+      }
+    }
+
+    if (draftDueTime && !isValidTime(draftDueTime)) {
+      Alert.alert('Error', 'Due time must be a valid time in HH:MM format');
+      return;
+    }
+
+    if (draftDueTime && !draftDueDate) {
+      Alert.alert('Error', 'Set a due date to give the task a due time');
+      return;
+    }
+
+    if (draftDueDate && draftStartDate && draftStartDate > draftDueDate) {
+      Alert.alert('Error', 'Start date must be on or before the due date');
+      return;
+    }
+
+    await onSave({ dueDate: draftDueDate, dueTime: draftDueTime, startDate: draftStartDate });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colorScheme === 'dark' ? '#fff' : '#000'} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>Dates</ThemedText>
+          <TouchableOpacity
+            onPress={handleSave}
+            style={[
+              styles.saveButton,
+              { backgroundColor: isSaving ? '#ccc' : '#007AFF' }
+            ]}
+            disabled={isSaving}
+          >
+            <ThemedText style={styles.saveButtonText}>
+              {isSaving ? 'Saving...' : 'Save'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+
+        {/* Form */}
+        <View style={styles.form}>
+          <DateField label="Due date" value={draftDueDate} onChange={setDraftDueDate} today={today} />
+          <TimeField value={draftDueTime} onChange={setDraftDueTime} />
+          <DateField label="Start date" value={draftStartDate} onChange={setDraftStartDate} today={today} />
+        </View>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  saveButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  form: {
+    flex: 1,
+    padding: 20,
+    gap: 28,
+  },
+  inputGroup: {
+    gap: 10,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  currentValue: {
+    fontSize: 14,
+    opacity: 0.7,
+  },
+  quickOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  quickOption: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'rgba(0,122,255,0.3)',
+  },
+  quickOptionSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  quickOptionText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  quickOptionTextSelected: {
+    color: '#FFFFFF',
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+});
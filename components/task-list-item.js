@@ -0,0 +1,192 @@
+import { Ionicons } from '@expo/vector-icons';
+import React from 'react';
+import { StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { formatDateKey, isOverdue, toDateKey } from '@/lib/dates';
+import { DEFAULT_PRIORITY, getPriority } from '@/lib/priorities';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+export default function TaskListItem({ task, onPress, onLongPress, onToggleCompleted, showProject = false }) {
+  const colorScheme = useColorScheme();
+  const today = toDateKey();
+  const overdue = isOverdue(task, today);
+  const mutedColor = colorScheme === 'dark' ? '#888' : '#666';
+  const tags = task.tags || [];
+  const checklistTotal = task.checklist_total || 0;
+  const checklistDone = task.checklist_done || 0;
+  // P4 is the default, so only P1 to P3 get a badge
+  const priority = task.priority && task.priority !== DEFAULT_PRIORITY ? getPriority(task.priority) : null;
+
+  return (
+    <TouchableOpacity
+      style={styles.taskItem}
+      onPress={onPress}
+      onLongPress={onLongPress}
+      activeOpacity={0.7}
+    >
+      <TouchableOpacity
+        onPress={(e) => {
+          e.stopPropagation(); // Prevent task navigation
+          onToggleCompleted?.(task.id);
+        }}
+        style={styles.checkboxContainer}
+      >
+        <Ionicons
+          name={task.completed ? 'checkbox' : 'square-outline'}
+          size={20}
+          color={task.completed ? '#34C759' : priority?.color ?? mutedColor}
+          style={styles.checkbox}
+        />
+      </TouchableOpacity>
+      <ThemedView style={styles.taskContent}>
+        <ThemedText
+          type="defaultSemiBold"
+          style={[styles.taskTitle, task.completed && styles.completedTaskTitle]}
+        >
+          {task.title}
+        </ThemedText>
+        <ThemedText style={styles.taskDescription}>
+          {task.description || 'No description'}
+        </ThemedText>
+
+        {(priority || task.due_date || task.start_date || task.recurrence || (showProject && task.project_name) || checklistTotal > 0 || tags.length > 0) && (
+          <View style={styles.metaRow}>
+            {priority && (
+              <View style={[styles.priorityBadge, { backgroundColor: priority.color }]}>
+                <Ionicons name="flag" size={10} color="#FFFFFF" />
+                <ThemedText style={styles.priorityBadgeText}>{priority.label}</ThemedText>
+              </View>
+            )}
+            {task.due_date && (
+              <View style={styles.metaItem}>
+                <Ionicons name="calendar-outline" size={12} color={overdue ? '#FF3B30' : mutedColor} />
+                <ThemedText style={[styles.metaText, overdue && styles.overdueText]}>
+                  {formatDateKey(task.due_date, today)}{task.due_time ? ` ${task.due_time}` : ''}
+                </ThemedText>
+              </View>
+            )}
+            {task.start_date && (
+              <View style={styles.metaItem}>
+                <Ionicons name="play-outline" size={12} color={mutedColor} />
+                <ThemedText style={styles.metaText}>
+                  Starts {formatDateKey(task.start_date, today)}
+                </ThemedText>
+              </View>
+            )}
+            {task.recurrence && (
+              <View style={styles.metaItem}>
+                <Ionicons name="repeat" size={12} color={mutedColor} />
+              </View>
+            )}
+            {showProject && task.project_name && (
+              <View style={styles.metaItem}>
+                <Ionicons name="folder-outline" size={12} color={mutedColor} />
+                <ThemedText style={styles.metaText}>{task.project_name}</ThemedText>
+              </View>
+            )}
+            {checklistTotal > 0 && (
+              <View style={styles.metaItem}>
+                <Ionicons
+                  name={checklistDone === checklistTotal ? 'checkmark-circle-outline' : 'list-outline'}
+                  size={12}
+                  color={checklistDone === checklistTotal ? '#34C759' : mutedColor}
+                />
+                <ThemedText style={styles.metaText}>{checklistDone}/{checklistTotal}</ThemedText>
+              </View>
+            )}
+            {tags.map(tag => (
+              <View key={tag.id} style={styles.tagChip}>
+                <Ionicons name="pricetag-outline" size={10} color="#007AFF" />
+                <ThemedText style={styles.tagChipText}>{tag.name}</ThemedText>
+              </View>
+            ))}
+          </View>
+        )}
+      </ThemedView>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  taskItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 16,
+    paddingHorizontal: 16,
+    borderBottomWidth: 0, // No visible separators
+  },
+  checkboxContainer: {
+    padding: 4,
+    marginRight: 8,
+  },
+  checkbox: {
+    marginTop: 2,
+  },
+  taskContent: {
+    flex: 1,
+  },
+  taskTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+    lineHeight: 22,
+  },
+  completedTaskTitle: {
+    textDecorationLine: 'line-through',
+    opacity: 0.5,
+  },
+  taskDescription: {
+    fontSize: 14,
+    opacity: 0.7,
+    lineHeight: 20,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 6,
+  },
+  metaItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  metaText: {
+    fontSize: 12,
+    opacity: 0.7,
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0,122,255,0.1)',
+  },
+  tagChipText: {
+    fontSize: 12,
+    lineHeight: 16,
+    color: '#007AFF',
+  },
+  priorityBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 3,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+    borderRadius: 8,
+  },
+  priorityBadgeText: {
+    fontSize: 11,
+    lineHeight: 16,
+    fontWeight: '700',
+    color: '#FFFFFF',
+  },
+  overdueText: {
+    color: '#FF3B30',
+    opacity: 1,
+  },
+});
@@ -0,0 +1,188 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useMemo } from 'react';
+import {
+  Alert,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  View,
+} from 'react-native';
+
+import { useColorScheme } from '@/hooks/use-color-scheme';
+import { useProjects } from '@/hooks/use-projects';
+import { useAddTagToTask, useRemoveTagFromTask, useTaskTags } from '@/hooks/use-tags';
+import { useDuplicateTask, useUpdateTask } from '@/hooks/use-tasks';
+import { buildProjectTree, flattenProjectTree } from '@/lib/project-tree';
+import TagPicker from './tag-picker';
+import { ThemedText } from './themed-text';
+import { ThemedView } from './themed-view';
+
+// "More Options" sheet of the task detail screen: move the task to another
+// project, edit its tags, duplicate or delete it
+export default function TaskOptionsModal({ visible, onClose, task, onDuplicated, onDelete }) {
+  const colorScheme = useColorScheme();
+  const { data: projects = [] } = useProjects();
+  const { data: taskTags = [] } = useTaskTags(task.id);
+  const updateTaskMutation = useUpdateTask();
+  const duplicateTaskMutation = useDuplicateTask();
+  const addTagMutation = useAddTagToTask();
+  const removeTagMutation = useRemoveTagFromTask();
+  const iconColor = colorScheme === 'dark' ? '#fff' : '#000';
+  const projectRows = useMemo(() => flattenProjectTree(buildProjectTree(projects)), [projects]);
+
+  const handleMove = async (projectId) => {
+    if (projectId === task.project_id) return;
+
+    try {
+      await updateTaskMutation.mutateAsync({ taskId: task.id, changes: { project_id: projectId } });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to move task');
+      console.error('Error moving task:', error);
+    }
+  };
+
+  const handleToggleTag = async (tagId, selected) => {
+    try {
+      const mutation = selected ? addTagMutation : removeTagMutation;
+      await mutation.mutateAsync({ taskId: task.id, tagId });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to update tags');
+      console.error('Error updating task tags:', error);
+    }
+  };
+
+  const handleDuplicate = async () => {
+    try {
+      const copy = await duplicateTaskMutation.mutateAsync(task.id);
+      onDuplicated?.(copy);
+    } catch (error) {
+      Alert.alert('Error', 'Failed to duplicate task');
+      console.error('Error duplicating task:', error);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <ThemedView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={iconColor} />
+          </TouchableOpacity>
+          <ThemedText type="title" style={styles.title}>More Options</ThemedText>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          {/* Project */}
+          <View style={styles.section}>
+            <ThemedText style={styles.sectionTitle}>Project</ThemedText>
+            {projectRows.map(project => {
+              const selected = project.id === task.project_id;
+              return (
+                <TouchableOpacity
+                  key={project.id}
+                  style={[styles.row, { paddingLeft: project.depth * 20 }]}
+                  onPress={() => handleMove(project.id)}
+                  disabled={updateTaskMutation.isPending}
+                >
+                  <Ionicons
+                    name={project.name === 'Inbox' ? 'mail-outline' : 'folder-outline'}
+                    size={20}
+                    color={iconColor}
+                  />
+                  <ThemedText style={styles.rowText} numberOfLines={1}>{project.name}</ThemedText>
+                  {selected && <Ionicons name="checkmark" size={20} color="#007AFF" />}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          {/* Tags */}
+          <View style={styles.section}>
+            <ThemedText style={styles.sectionTitle}>Tags</ThemedText>
+            <TagPicker
+              selectedTagIds={taskTags.map(tag => tag.id)}
+              onToggle={handleToggleTag}
+              disabled={addTagMutation.isPending || removeTagMutation.isPending}
+            />
+          </View>
+
+          {/* Actions */}
+          <View style={styles.section}>
+            <TouchableOpacity
+              style={styles.row}
+              onPress={handleDuplicate}
+              disabled={duplicateTaskMutation.isPending}
+            >
+              <Ionicons name="copy-outline" size={20} color={iconColor} />
+              <ThemedText style={styles.rowText}>
+                {duplicateTaskMutation.isPending ? 'Duplicating...' : 'Duplicate task'}
+              </ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.row} onPress={onDelete}>
+              <Ionicons name="trash-outline" size={20} color="#FF3B30" />
+              <ThemedText style={[styles.rowText, styles.destructiveText]}>Delete task</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </ThemedView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    paddingTop: 60,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: 'rgba(0,0,0,0.1)',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  content: {
+    padding: 20,
+    gap: 28,
+  },
+  section: {
+    gap: 10,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 10,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 16,
+  },
+  destructiveText: {
+    color: '#FF3B30',
+  },
+});
@@ -1,7 +1,7 @@
 import { Ionicons } from '@expo/vector-icons';
 import React from 'react';
 import { Alert, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
-import { syncService } from '../lib/sync-service';
+import { syncService } from '../lib/app-sync-service';
 
 export function TestDataSend() {
   const [isLoading, setIsLoading] = React.useState(false);
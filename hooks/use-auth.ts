@@ -0,0 +1,74 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useEffect, useState } from 'react';
+import {
+  completeSignInFromUrl,
+  getCurrentUser,
+  onAuthChange,
+  sendMagicLink,
+  signInWithPassword,
+  signOut,
+  signUpWithPassword,
+} from '../lib/auth.js';
+
+export function useAuth() {
+  const [user, setUser] = useState<any>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    getCurrentUser()
+      .then(setUser)
+      .catch((error: Error) => console.error('Error loading session:', error))
+      .finally(() => setIsLoading(false));
+
+    return onAuthChange(setUser);
+  }, []);
+
+  return { user, isLoading, isSignedIn: !!user };
+}
+
+// Signing in may replace another account's local data, so cached queries are
+// refetched afterwards
+function useSignInMutation<T>(mutationFn: (variables: T) => Promise<any>) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries();
+    },
+  });
+}
+
+export function useSignIn() {
+  return useSignInMutation(({ email, password }: { email: string; password: string }) =>
+    signInWithPassword(email, password)
+  );
+}
+
+export function useSignUp() {
+  return useSignInMutation(({ email, password }: { email: string; password: string }) =>
+    signUpWithPassword(email, password)
+  );
+}
+
+export function useCompleteSignInFromUrl() {
+  return useSignInMutation((url: string) => completeSignInFromUrl(url));
+}
+
+export function useSendMagicLink() {
+  return useMutation({
+    mutationFn: (email: string) => sendMagicLink(email),
+  });
+}
+
+export function useSignOut() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: signOut,
+    onSuccess: () => {
+      // Nothing cached belongs to the next user
+      queryClient.resetQueries();
+    },
+  });
+}
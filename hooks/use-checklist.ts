@@ -0,0 +1,64 @@
+import { QueryClient, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+  addChecklistItem,
+  deleteChecklistItem,
+  getChecklistItems,
+  toggleChecklistItem,
+  updateChecklistItem,
+} from '../repositories/checklist-items.js';
+import { useDatabase } from './use-database';
+
+// Task rows show checklist progress, so every checklist change refreshes the
+// task lists as well
+function invalidateChecklists(queryClient: QueryClient) {
+  queryClient.invalidateQueries({ queryKey: ['checklist'] });
+  queryClient.invalidateQueries({ queryKey: ['tasks'] });
+}
+
+export function useChecklist(taskId: string) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['checklist', taskId],
+    queryFn: () => getChecklistItems(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+export function useAddChecklistItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ taskId, title }: { taskId: string; title: string }) => addChecklistItem(taskId, title),
+    onSuccess: () => invalidateChecklists(queryClient),
+  });
+}
+
+export function useUpdateChecklistItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ itemId, title }: { itemId: string; title: string }) => updateChecklistItem(itemId, title),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['checklist'] });
+    },
+  });
+}
+
+export function useToggleChecklistItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (itemId: string) => toggleChecklistItem(itemId),
+    onSuccess: () => invalidateChecklists(queryClient),
+  });
+}
+
+export function useDeleteChecklistItem() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (itemId: string) => deleteChecklistItem(itemId),
+    onSuccess: () => invalidateChecklists(queryClient),
+  });
+}
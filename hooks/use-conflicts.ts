@@ -0,0 +1,79 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useEffect } from 'react';
+import { syncService } from '../lib/app-sync-service.js';
+import { SYNC_CONFIG } from '../lib/sync-config.js';
+import {
+  applyConflictVersion,
+  getUnreviewedConflictCount,
+  getUnreviewedConflicts,
+  markConflictReviewed,
+} from '../repositories/conflicts.js';
+import { useDatabase } from './use-database';
+
+// Conflicts are only ever created by a sync, so refetch when one finishes
+function useRefetchConflictsAfterSync() {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const unsubscribe = syncService.addSyncListener(({ status }: { status: string }) => {
+      if (status !== SYNC_CONFIG.SYNC_STATUS.SYNCING) {
+        queryClient.invalidateQueries({ queryKey: ['conflicts'] });
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [queryClient]);
+}
+
+export function useConflicts() {
+  const { isInitialized } = useDatabase();
+  useRefetchConflictsAfterSync();
+
+  return useQuery({
+    queryKey: ['conflicts'],
+    queryFn: getUnreviewedConflicts,
+    enabled: isInitialized,
+  });
+}
+
+export function useConflictCount() {
+  const { isInitialized } = useDatabase();
+  useRefetchConflictsAfterSync();
+
+  return useQuery({
+    queryKey: ['conflicts', 'count'],
+    queryFn: getUnreviewedConflictCount,
+    enabled: isInitialized,
+  });
+}
+
+export function useMarkConflictReviewed() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (conflictId: number) => markConflictReviewed(conflictId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conflicts'] });
+    },
+  });
+}
+
+export function useApplyConflictVersion() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ conflictId, side }: { conflictId: number; side: 'local' | 'remote' }) =>
+      applyConflictVersion(conflictId, side),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conflicts'] });
+      // The reverted record may be a task, project, tag, checklist item or
+      // reminder
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['checklist'] });
+      queryClient.invalidateQueries({ queryKey: ['reminders'] });
+    },
+  });
+}
@@ -1,5 +1,10 @@
 import { useEffect, useState } from 'react';
-import { initDatabase } from '../lib/database';
+import { syncService } from '../lib/app-sync-service.js';
+import * as database from '../lib/database';
+import { checkIntegrity } from '../lib/integrity.js';
+
+// The orphan check runs once per launch, after the database first opens
+let integrityCheck: Promise<unknown> | null = null;
 
 export function useDatabase() {
   const [isInitialized, setIsInitialized] = useState(false);
@@ -12,7 +17,11 @@ export function useDatabase() {
         setIsInitializing(true);
         setError(null);
         console.log('Initializing database...');
-        await initDatabase();
+        await database.initDatabase();
+        integrityCheck ??= checkIntegrity(database, syncService).catch((err) => {
+          console.error('Database integrity check failed:', err);
+        });
+        await integrityCheck;
         console.log('Database initialized successfully');
         setIsInitialized(true);
       } catch (err) {
@@ -0,0 +1,75 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useEffect } from 'react';
+import { syncService } from '../lib/app-sync-service.js';
+import { SYNC_CONFIG } from '../lib/sync-config.js';
+import {
+  discardFailedChange,
+  getFailedChangeCount,
+  getFailedChanges,
+  retryFailedChange,
+} from '../repositories/failed-changes.js';
+import { useDatabase } from './use-database';
+
+// Uploads only fail during a sync, so refetch when one finishes
+function useRefetchFailedChangesAfterSync() {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const unsubscribe = syncService.addSyncListener(({ status }: { status: string }) => {
+      if (status !== SYNC_CONFIG.SYNC_STATUS.SYNCING) {
+        queryClient.invalidateQueries({ queryKey: ['failed-changes'] });
+      }
+    });
+
+    return () => {
+      unsubscribe();
+    };
+  }, [queryClient]);
+}
+
+export function useFailedChanges() {
+  const { isInitialized } = useDatabase();
+  useRefetchFailedChangesAfterSync();
+
+  return useQuery({
+    queryKey: ['failed-changes'],
+    queryFn: getFailedChanges,
+    enabled: isInitialized,
+  });
+}
+
+export function useFailedChangeCount() {
+  const { isInitialized } = useDatabase();
+  useRefetchFailedChangesAfterSync();
+
+  return useQuery({
+    queryKey: ['failed-changes', 'count'],
+    queryFn: getFailedChangeCount,
+    enabled: isInitialized,
+  });
+}
+
+export function useRetryFailedChange() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async (changeId: number) => {
+      await retryFailedChange(changeId);
+      await syncService.sync();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['failed-changes'] });
+    },
+  });
+}
+
+export function useDiscardFailedChange() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (changeId: number) => discardFailedChange(changeId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['failed-changes'] });
+    },
+  });
+}
@@ -1,5 +1,14 @@
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { createProject, deleteProject, getAllProjects, updateProject } from '../repositories/projects.js';
+import {
+  createProject,
+  deleteProject,
+  getAllProjects,
+  moveProject,
+  moveProjectAfter,
+  moveProjectBefore,
+  updateProject,
+} from '../repositories/projects.js';
+import { moveInList } from '../lib/sort-keys.js';
 import { useDatabase } from './use-database';
 
 export function useProjects() {
@@ -17,7 +26,8 @@ export function useCreateProject() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: createProject,
+    mutationFn: ({ name, parentId = null }: { name: string; parentId?: string | null }) =>
+      createProject(name, { parentId }),
     onSuccess: () => {
       // Invalidate and refetch projects after creating a new one
       queryClient.invalidateQueries({ queryKey: ['projects'] });
@@ -29,9 +39,51 @@ export function useDeleteProject() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: deleteProject,
+    mutationFn: ({ id, children = 'move' }: { id: string; children?: 'move' | 'delete' }) =>
+      deleteProject(id, { children }),
     onSuccess: () => {
-      // Invalidate and refetch projects after deleting one
+      // Invalidate and refetch projects after deleting one. Deleting
+      // subprojects deletes their tasks too.
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useMoveProject() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ id, parentId }: { id: string; parentId: string | null }) => moveProject(id, parentId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['projects'] });
+    },
+  });
+}
+
+// Move a project right before or after another one, into that project's
+// parent if it has another
+export function useReorderProject() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, targetId, placement }: { id: string; targetId: string; placement: 'before' | 'after' }) =>
+      placement === 'after' ? moveProjectAfter(id, targetId) : moveProjectBefore(id, targetId),
+    onMutate: async ({ id, targetId, placement }) => {
+      // Show the new order as soon as the project is dropped
+      await queryClient.cancelQueries({ queryKey: ['projects'] });
+      const previous = queryClient.getQueryData<{ id: string; parent_id: string | null }[]>(['projects']);
+      const target = previous?.find(project => project.id === targetId);
+      if (previous && target) {
+        const moved = previous.map(project => project.id === id ? { ...project, parent_id: target.parent_id } : project);
+        queryClient.setQueryData(['projects'], moveInList(moved, id, targetId, placement));
+      }
+      return { previous };
+    },
+    onError: (error, variables, context) => {
+      queryClient.setQueryData(['projects'], context?.previous);
+    },
+    onSettled: () => {
       queryClient.invalidateQueries({ queryKey: ['projects'] });
     },
   });
@@ -0,0 +1,88 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useRouter } from 'expo-router';
+import { useEffect } from 'react';
+import { AppState } from 'react-native';
+import { reminderScheduler } from '../lib/app-reminder-scheduler.js';
+import { syncService } from '../lib/app-sync-service.js';
+import { addReminder, deleteReminder, getReminders } from '../repositories/reminders.js';
+import { useAuth } from './use-auth';
+import { useDatabase } from './use-database';
+
+export function useReminders(taskId: string) {
+  const { isInitialized } = useDatabase();
+
+  return useQuery({
+    queryKey: ['reminders', taskId],
+    queryFn: () => getReminders(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+export function useAddReminder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ taskId, offsetMinutes = null, remindAt = null }: {
+      taskId: string;
+      offsetMinutes?: number | null;
+      remindAt?: string | null;
+    }) => addReminder(taskId, { offsetMinutes, remindAt }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['reminders'] });
+    },
+  });
+}
+
+export function useDeleteReminder() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (reminderId: string) => deleteReminder(reminderId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['reminders'] });
+    },
+  });
+}
+
+// Keeps this device's notifications in step with the reminders: reconciles
+// after every successful local write (they all go through mutations), after
+// syncs and realtime pushes, when the app comes back to the foreground and
+// when the signed-in user changes. Opening a notification opens its task.
+export function useReminderScheduler() {
+  const queryClient = useQueryClient();
+  const router = useRouter();
+  const { isInitialized } = useDatabase();
+  const { user } = useAuth();
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const stop = reminderScheduler.start(syncService);
+    const unsubscribeMutations = queryClient.getMutationCache().subscribe((event) => {
+      if (event.type === 'updated' && event.action.type === 'success') {
+        reminderScheduler.requestReconcile();
+      }
+    });
+    // Later reminders are scheduled as earlier ones fire, see MAX_SCHEDULED
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        reminderScheduler.requestReconcile();
+      }
+    });
+
+    return () => {
+      stop();
+      unsubscribeMutations();
+      appStateSubscription.remove();
+    };
+  }, [isInitialized, userId, queryClient]);
+
+  useEffect(() => {
+    return reminderScheduler.addOpenListener((data: { taskId?: unknown }) => {
+      if (typeof data?.taskId === 'string') {
+        router.push({ pathname: '/task/[taskId]', params: { taskId: data.taskId } });
+      }
+    });
+  }, [router]);
+}
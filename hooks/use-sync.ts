@@ -1,6 +1,10 @@
+import { useQueryClient } from '@tanstack/react-query';
 import { useCallback, useEffect, useState } from 'react';
-import { SYNC_CONFIG } from '../lib/supabase.js';
-import { syncService } from '../lib/sync-service.js';
+import { syncService } from '../lib/app-sync-service.js';
+import { isLocalOnlyMode } from '../lib/supabase.js';
+import { SYNC_CONFIG } from '../lib/sync-config.js';
+import { useAuth } from './use-auth';
+import { useDatabase } from './use-database';
 
 export function useSync() {
   const [syncStatus, setSyncStatus] = useState(SYNC_CONFIG.SYNC_STATUS.IDLE);
@@ -121,3 +125,58 @@ export function useSyncStatus() {
 
   return status;
 }
+
+type RemoteChange = { tableName: string; record: Record<string, unknown> };
+
+// Keeps the signed-in user's data live: subscribes to Supabase Realtime and
+// refetches the queries affected by each pushed change
+export function useRealtimeSync() {
+  const queryClient = useQueryClient();
+  const { isInitialized } = useDatabase();
+  const { user } = useAuth();
+  const userId = user?.id;
+
+  useEffect(() => {
+    // Local-only mode has no other devices to hear from
+    if (!isInitialized || !userId || isLocalOnlyMode()) return;
+
+    const invalidate = (changes: RemoteChange[]) => {
+      const tables = new Set(changes.map(change => change.tableName));
+      if (tables.has('projects')) {
+        queryClient.invalidateQueries({ queryKey: ['projects'] });
+      }
+      if (tables.has('tags') || tables.has('task_tags')) {
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+      }
+      if (tables.has('checklist_items')) {
+        queryClient.invalidateQueries({ queryKey: ['checklist'] });
+      }
+      if (tables.has('reminders')) {
+        queryClient.invalidateQueries({ queryKey: ['reminders'] });
+      }
+      // Task lists show project names and tags, so any change can affect
+      // them; the prefix also covers every ['tasks', projectId] list
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['conflicts'] });
+    };
+
+    const removeChangeListener = syncService.addChangeListener(invalidate);
+    // Syncs started by the subscription catch up on changes missed offline
+    const removeSyncListener = syncService.addSyncListener(({ status, downloadedCount }: { status: string; downloadedCount?: number }) => {
+      if (status === SYNC_CONFIG.SYNC_STATUS.SUCCESS && downloadedCount) {
+        queryClient.invalidateQueries({ queryKey: ['projects'] });
+        queryClient.invalidateQueries({ queryKey: ['tasks'] });
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+        queryClient.invalidateQueries({ queryKey: ['checklist'] });
+        queryClient.invalidateQueries({ queryKey: ['reminders'] });
+      }
+    });
+    syncService.startRealtime(userId);
+
+    return () => {
+      removeChangeListener();
+      removeSyncListener();
+      syncService.stopRealtime();
+    };
+  }, [isInitialized, userId, queryClient]);
+}
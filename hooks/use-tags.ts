@@ -0,0 +1,98 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { createTag, deleteTag, getAllTags, getTagById, updateTag } from '../repositories/tags.js';
+import { addTagToTask, getTaskTags, removeTagFromTask } from '../repositories/tasks.js';
+import { useDatabase } from './use-database';
+
+type TaskTagInput = { taskId: string; tagId: string };
+
+export function useTags() {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tags'],
+    queryFn: getAllTags,
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    enabled: isInitialized,
+  });
+}
+
+export function useTag(tagId: string) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tags', 'detail', tagId],
+    queryFn: () => getTagById(tagId),
+    enabled: isInitialized && !!tagId,
+  });
+}
+
+export function useTaskTags(taskId: string) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tags', 'task', taskId],
+    queryFn: () => getTaskTags(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+export function useCreateTag() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (name: string) => createTag(name),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+    },
+  });
+}
+
+export function useUpdateTag() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ tagId, name }: { tagId: string; name: string }) => updateTag(tagId, name),
+    onSuccess: () => {
+      // Task rows show their tag names
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useDeleteTag() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (tagId: string) => deleteTag(tagId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useAddTagToTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ taskId, tagId }: TaskTagInput) => addTagToTask(taskId, tagId),
+    onSuccess: () => {
+      // Tag lists and tag filters in search both depend on the links
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useRemoveTagFromTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ taskId, tagId }: TaskTagInput) => removeTagFromTask(taskId, tagId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
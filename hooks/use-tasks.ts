@@ -1,39 +1,258 @@
-import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
-import { createTask, deleteTask, getAllTasks, getTasksByProjectId } from '../repositories/tasks.js';
+import { keepPreviousData, QueryClient, QueryKey, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import {
+  createTask,
+  deleteTask,
+  duplicateTask,
+  getAllTasks,
+  getOverdueTasks,
+  getTaskById,
+  getTasksByProjectId,
+  getTasksDueBetween,
+  moveTaskAfter,
+  moveTaskBefore,
+  searchTasks,
+  toggleTaskCompleted,
+  updateTask,
+  updateTaskDates,
+} from '../repositories/tasks.js';
+import { createQuickAddTask } from '../repositories/quick-add.js';
+import { getTasksByTagId } from '../repositories/tags.js';
+import { moveInList } from '../lib/sort-keys.js';
 import { useDatabase } from './use-database';
 
-export function useTasks() {
+type NewTaskInput = {
+  projectId: string;
+  title: string;
+  description: string | null;
+  dueDate?: string | null;
+  startDate?: string | null;
+  priority?: number;
+  tagIds?: string[];
+};
+
+// A line read by parseQuickAdd (lib/quick-add.js)
+type QuickAdd = {
+  title: string;
+  dueDate: string | null;
+  dueTime: string | null;
+  priority: number | null;
+  recurrence: string | null;
+  projectName: string | null;
+  tagNames: string[];
+};
+
+type QuickAddInput = {
+  projectId: string; // Used unless the line names a project
+  parsed: QuickAdd;
+  description: string | null;
+  priority?: number; // Used unless the line sets one
+  tagIds?: string[];
+};
+
+type TaskChanges = {
+  project_id?: string;
+  title?: string;
+  description?: string | null;
+  recurrence?: string | null;
+  priority?: number;
+};
+
+type CachedTask = { id: string; [field: string]: unknown };
+type CachedTasks = CachedTask | CachedTask[] | null | undefined;
+
+// Every cached task query, the lists and the detail view, holds its own copy
+// of a task. These helpers edit all copies at once for optimistic updates and
+// hand back a snapshot to restore if the write fails.
+async function patchCachedTasks(
+  queryClient: QueryClient,
+  taskId: string,
+  patch: (task: CachedTask) => CachedTask | null
+) {
+  await queryClient.cancelQueries({ queryKey: ['tasks'] });
+  const snapshot = queryClient.getQueriesData<CachedTasks>({ queryKey: ['tasks'] });
+
+  queryClient.setQueriesData<CachedTasks>({ queryKey: ['tasks'] }, (data) => {
+    if (Array.isArray(data)) {
+      return data.flatMap(task => {
+        if (task.id !== taskId) return [task];
+        const patched = patch(task);
+        return patched ? [patched] : [];
+      });
+    }
+    // A removed task stays in its detail view until the screen closes
+    return data?.id === taskId ? patch(data) ?? data : data;
+  });
+
+  return snapshot;
+}
+
+// A reorder as a manually sorted project list shows it. Lists put active
+// tasks before completed ones (see getTasksByProjectId), but the move itself
+// is made in plain manual order, completed tasks included, as planMove does
+// when it writes the sort keys. So the list is put back in manual order
+// (tasks without a key first, like manualOrder()), the task moved, and the
+// result grouped again.
+function moveInProjectList(
+  tasks: CachedTask[],
+  taskId: string,
+  targetId: string,
+  placement: 'before' | 'after'
+) {
+  const sortKey = (task: CachedTask) => (task.sort_key as string | null) ?? null;
+  const manual = [...tasks].sort((a, b) => {
+    const [keyA, keyB] = [sortKey(a), sortKey(b)];
+    if (keyA === keyB) return 0;
+    if (keyA === null) return -1;
+    if (keyB === null) return 1;
+    return keyA < keyB ? -1 : 1;
+  });
+  const moved: CachedTask[] = moveInList(manual, taskId, targetId, placement);
+  if (moved === manual) return tasks;
+  return moved.sort((a, b) => Number(a.completed) - Number(b.completed));
+}
+
+function restoreCachedTasks(queryClient: QueryClient, snapshot?: [QueryKey, CachedTasks][]) {
+  snapshot?.forEach(([queryKey, data]) => queryClient.setQueryData(queryKey, data));
+}
+
+export function useTasks({ status = 'all', sort = 'created' } = {}) {
   const { isInitialized } = useDatabase();
   
   return useQuery({
-    queryKey: ['tasks'],
-    queryFn: getAllTasks,
+    queryKey: ['tasks', { status, sort }],
+    queryFn: () => getAllTasks({ status, sort }),
     staleTime: 5 * 60 * 1000, // 5 minutes
     enabled: isInitialized, // Only run when database is initialized
   });
 }
 
-export function useTasksByProject(projectId) {
+export function useTasksByProject(projectId, { status = 'all', sort = 'manual' } = {}) {
   const { isInitialized } = useDatabase();
   
   return useQuery({
-    queryKey: ['tasks', projectId],
-    queryFn: () => getTasksByProjectId(projectId),
+    queryKey: ['tasks', projectId, { status, sort }],
+    queryFn: () => getTasksByProjectId(projectId, { status, sort }),
     staleTime: 5 * 60 * 1000, // 5 minutes
     enabled: isInitialized && !!projectId, // Only run when database is initialized and projectId exists
   });
 }
 
+export function useTasksByTag(tagId: string, { status = 'all', sort = 'created' } = {}) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'tag', tagId, { status, sort }],
+    queryFn: () => getTasksByTagId(tagId, { status, sort }),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    enabled: isInitialized && !!tagId,
+  });
+}
+
+export function useTask(taskId: string) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'detail', taskId],
+    queryFn: () => getTaskById(taskId),
+    enabled: isInitialized && !!taskId,
+  });
+}
+
+export function useTasksDueBetween(start: string, end: string, options = {}) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'due', start, end, options],
+    queryFn: () => getTasksDueBetween(start, end, options),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    enabled: isInitialized && !!start && !!end,
+  });
+}
+
+export function useOverdueTasks(today: string) {
+  const { isInitialized } = useDatabase();
+  
+  return useQuery({
+    queryKey: ['tasks', 'overdue', today],
+    queryFn: () => getOverdueTasks(today),
+    staleTime: 5 * 60 * 1000, // 5 minutes
+    enabled: isInitialized,
+  });
+}
+
+export function useSearchTasks(query: string, options: { projectId?: string | null; tagIds?: string[] } = {}) {
+  const { isInitialized } = useDatabase();
+  const trimmedQuery = query.trim();
+  
+  return useQuery({
+    queryKey: ['tasks', 'search', trimmedQuery, options],
+    queryFn: () => searchTasks(trimmedQuery, options),
+    enabled: isInitialized && trimmedQuery.length > 0,
+    placeholderData: keepPreviousData, // Keep showing old results while typing
+  });
+}
+
 export function useCreateTask() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: ({ projectId, title, description }) => 
-      createTask(projectId, title, description),
-    onSuccess: (newTask) => {
+    mutationFn: ({ projectId, title, description, dueDate = null, startDate = null, priority, tagIds = [] }: NewTaskInput) => 
+      createTask(projectId, title, description, { dueDate, startDate, priority, tagIds }),
+    onSuccess: (newTask, { tagIds = [] }) => {
       // Invalidate and refetch tasks after creating a new one
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       queryClient.invalidateQueries({ queryKey: ['tasks', newTask.project_id] });
+      if (tagIds.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+      }
+    },
+  });
+}
+
+// Creates a task from a quick-add line, see createQuickAddTask
+export function useQuickAddTask() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ projectId, parsed, description, priority, tagIds }: QuickAddInput) =>
+      createQuickAddTask(projectId, parsed, description, { priority, tagIds }),
+    onSuccess: (newTask, { parsed, tagIds = [] }) => {
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['tasks', newTask.project_id] });
+      if (parsed.projectName) {
+        queryClient.invalidateQueries({ queryKey: ['projects'] });
+      }
+      if (parsed.tagNames.length > 0 || tagIds.length > 0) {
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+      }
+    },
+  });
+}
+
+export function useUpdateTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ taskId, changes }: { taskId: string; changes: TaskChanges }) => updateTask(taskId, changes),
+    onMutate: async ({ taskId, changes }) => {
+      // Show the edit right away. A move also changes the project name shown,
+      // which comes from the cached project list.
+      const project = changes.project_id
+        ? queryClient.getQueryData<{ id: string; name: string }[]>(['projects'])?.find(p => p.id === changes.project_id)
+        : undefined;
+      const snapshot = await patchCachedTasks(queryClient, taskId, task => ({
+        ...task,
+        ...changes,
+        ...(project && { project_name: project.name }),
+      }));
+      return { snapshot };
+    },
+    onError: (error, variables, context) => {
+      restoreCachedTasks(queryClient, context?.snapshot);
+    },
+    onSettled: () => {
+      // Refetch so moved tasks leave their old project list
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
     },
   });
 }
@@ -42,11 +261,100 @@ export function useDeleteTask() {
   const queryClient = useQueryClient();
   
   return useMutation({
-    mutationFn: (taskId) => deleteTask(taskId),
-    onSuccess: () => {
+    mutationFn: (taskId: string) => deleteTask(taskId),
+    onMutate: async (taskId) => {
+      // Take the task out of every list before the write finishes
+      const snapshot = await patchCachedTasks(queryClient, taskId, () => null);
+      return { snapshot };
+    },
+    onError: (error, taskId, context) => {
+      restoreCachedTasks(queryClient, context?.snapshot);
+    },
+    onSettled: () => {
       // Invalidate and refetch tasks after deleting one
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       queryClient.invalidateQueries({ queryKey: ['projects'] });
     },
   });
 }
+
+export function useDuplicateTask() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (taskId: string) => duplicateTask(taskId),
+    onSuccess: () => {
+      // The copy shows up in its project's lists, with the original's tags
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['tags'] });
+    },
+  });
+}
+
+// Move a task right before or after another task of its project
+export function useReorderTask() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ taskId, targetId, placement }: { taskId: string; targetId: string; placement: 'before' | 'after' }) =>
+      placement === 'after' ? moveTaskAfter(taskId, targetId) : moveTaskBefore(taskId, targetId),
+    onMutate: async ({ taskId, targetId, placement }) => {
+      // Show the new order as soon as the task is dropped, in the manually
+      // sorted lists of the task's project; other lists are not in that order
+      await queryClient.cancelQueries({ queryKey: ['tasks'] });
+      const snapshot = queryClient.getQueriesData<CachedTasks>({ queryKey: ['tasks'] });
+      const projectId = snapshot
+        .flatMap(([, data]) => (Array.isArray(data) ? data : data ? [data] : []))
+        .find(task => task.id === taskId)?.project_id;
+      if (projectId) {
+        queryClient.setQueriesData<CachedTasks>(
+          {
+            queryKey: ['tasks', projectId],
+            predicate: (query) => (query.queryKey[2] as { sort?: string } | undefined)?.sort === 'manual',
+          },
+          (data) => (Array.isArray(data) ? moveInProjectList(data, taskId, targetId, placement) : data)
+        );
+      }
+      return { snapshot };
+    },
+    onError: (error, variables, context) => {
+      restoreCachedTasks(queryClient, context?.snapshot);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useUpdateTaskDates() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: ({ taskId, dueDate, dueTime, startDate }: {
+      taskId: string;
+      dueDate: string | null;
+      dueTime?: string | null;
+      startDate: string | null;
+    }) => updateTaskDates(taskId, { dueDate, dueTime, startDate }),
+    onSuccess: () => {
+      // Dates affect the Today/Upcoming views as well as the project lists
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+    },
+  });
+}
+
+export function useToggleTaskCompleted() {
+  const queryClient = useQueryClient();
+  
+  return useMutation({
+    mutationFn: (taskId: string) => toggleTaskCompleted(taskId),
+    onSuccess: (task) => {
+      // Invalidate and refetch every task list, since completion moves tasks between filters
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      if (task.next_task_id) {
+        // The next occurrence of a repeating task carries its tags
+        queryClient.invalidateQueries({ queryKey: ['tags'] });
+      }
+    },
+  });
+}
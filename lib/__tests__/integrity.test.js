@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { generateId } from '../ids.js';
+import { checkIntegrity } from '../integrity.js';
+import { LocalBackend } from '../local-backend.js';
+import { getRecordId, SyncService } from '../sync-service.js';
+import { openTestDatabase } from './sqlite-database.js';
+
+describe('checkIntegrity', () => {
+  let database;
+  let backend;
+  let service;
+  let inbox;
+
+  function select(sql, params = []) {
+    return database.getDb().getAllAsync(sql, params);
+  }
+
+  // Write rows the way a database from before migration 11 could hold them,
+  // with nothing checking their references
+  async function seedOrphans(statements) {
+    const db = database.getDb();
+    await db.execAsync('PRAGMA foreign_keys = OFF');
+    for (const [sql, params] of statements) {
+      await db.runAsync(sql, params);
+    }
+    await db.execAsync('PRAGMA foreign_keys = ON');
+  }
+
+  function queued(tableName) {
+    return select('SELECT record_id, operation FROM sync_queue WHERE table_name = ? ORDER BY id', [tableName]);
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    database = await openTestDatabase();
+    backend = new LocalBackend();
+    service = new SyncService(backend, database);
+    inbox = await database.getDb().getFirstAsync("SELECT id FROM projects WHERE name = 'Inbox'");
+  });
+
+  afterEach(async () => {
+    await database.close();
+    mock.restoreAll();
+  });
+
+  it('reports nothing when every reference holds', async () => {
+    const project = generateId();
+    await database.withTransaction(async (db) => {
+      await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [project, 'Garden']);
+      await db.runAsync('INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [generateId(), project, 'Plant tulips']);
+    });
+
+    assert.deepEqual(await checkIntegrity(database, service), {});
+    assert.deepEqual(await queued('tasks'), []);
+  });
+
+  it('moves a task in a missing project to the Inbox and syncs the move', async () => {
+    const task = generateId();
+    await seedOrphans([
+      ['INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task, generateId(), 'Plant tulips']],
+    ]);
+
+    assert.deepEqual(await checkIntegrity(database, service), { tasks: 1 });
+    assert.deepEqual(await select('SELECT project_id FROM tasks WHERE id = ?', [task]), [{ project_id: inbox.id }]);
+    assert.deepEqual(
+      await select("SELECT sync_status FROM sync_metadata WHERE table_name = 'tasks' AND record_id = ?", [task]),
+      [{ sync_status: 'pending' }]
+    );
+    assert.deepEqual((await queued('tasks')).map(({ record_id }) => record_id), [task]);
+    assert.deepEqual(await select('PRAGMA foreign_key_check'), []);
+  });
+
+  it('purges a deleted task in a missing project', async () => {
+    const task = generateId();
+    await seedOrphans([
+      [
+        'INSERT INTO tasks (id, project_id, title, deleted_at) VALUES (?, ?, ?, ?)',
+        [task, generateId(), 'Plant tulips', new Date().toISOString()],
+      ],
+    ]);
+
+    assert.deepEqual(await checkIntegrity(database, service), { tasks: 1 });
+    assert.deepEqual(await select('SELECT id FROM tasks'), []);
+    assert.deepEqual(await queued('tasks'), []);
+  });
+
+  it('removes a tag link to a missing tag, along with its queued upload', async () => {
+    const task = generateId();
+    const kept = generateId();
+    const orphan = { task_id: task, tag_id: generateId() };
+    const link = { task_id: task, tag_id: kept };
+    await database.withTransaction(async (db) => {
+      await db.runAsync('INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task, inbox.id, 'Plant tulips']);
+      await db.runAsync('INSERT INTO tags (id, name) VALUES (?, ?)', [kept, 'outdoors']);
+      await db.runAsync('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task, kept]);
+      await service.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link));
+    });
+    await seedOrphans([['INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [orphan.task_id, orphan.tag_id]]]);
+    await service.insertSyncMetadata(database.getDb(), 'task_tags', getRecordId('task_tags', orphan));
+
+    assert.deepEqual(await checkIntegrity(database, service), { task_tags: 1 });
+    assert.deepEqual(await select('SELECT task_id, tag_id FROM task_tags'), [link]);
+    assert.deepEqual(await queued('task_tags'), [{ record_id: getRecordId('task_tags', link), operation: 'create' }]);
+    assert.deepEqual(
+      await select("SELECT record_id FROM sync_metadata WHERE table_name = 'task_tags'"),
+      [{ record_id: getRecordId('task_tags', link) }]
+    );
+  });
+
+  it('moves a project in a missing project to the top level', async () => {
+    const project = generateId();
+    await seedOrphans([
+      ['INSERT INTO projects (id, name, parent_id) VALUES (?, ?, ?)', [project, 'Garden', generateId()]],
+    ]);
+
+    assert.deepEqual(await checkIntegrity(database, service), { projects: 1 });
+    assert.deepEqual(await select('SELECT parent_id FROM projects WHERE id = ?', [project]), [{ parent_id: null }]);
+    assert.deepEqual((await queued('projects')).map(({ record_id }) => record_id), [project]);
+  });
+
+  it('breaks a loop of subprojects', async () => {
+    const [first, second] = [generateId(), generateId()];
+    await database.withTransaction(async (db) => {
+      await db.runAsync('INSERT INTO projects (id, name, parent_id) VALUES (?, ?, ?)', [first, 'Garden', second]);
+      await db.runAsync('INSERT INTO projects (id, name, parent_id) VALUES (?, ?, ?)', [second, 'Vegetables', first]);
+    });
+
+    assert.deepEqual(await checkIntegrity(database, service), { projects: 1 });
+    assert.deepEqual(
+      await select('SELECT id, parent_id FROM projects WHERE id IN (?, ?) ORDER BY rowid', [first, second]),
+      [{ id: first, parent_id: null }, { id: second, parent_id: first }]
+    );
+  });
+
+  describe('with rows arriving child first', () => {
+    it('checks references when the transaction commits, not row by row', async () => {
+      const project = generateId();
+      await database.withTransaction(async (db) => {
+        await db.runAsync('INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [generateId(), project, 'Plant tulips']);
+        await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [project, 'Garden']);
+      });
+
+      await assert.rejects(
+        database.withTransaction(async (db) => {
+          await db.runAsync('INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [generateId(), generateId(), 'Water']);
+        }),
+        /FOREIGN KEY constraint failed/
+      );
+      assert.deepEqual(await select("SELECT title FROM tasks WHERE title = 'Water'"), []);
+      assert.deepEqual(await checkIntegrity(database, service), {});
+    });
+
+    it('fetches the project of a task downloaded ahead of it', async () => {
+      const project = await backend.insert('projects', { id: generateId(), name: 'Garden' });
+      const task = await backend.insert('tasks', { id: generateId(), project_id: project.id, title: 'Plant tulips' });
+
+      await service.applyRemoteRecord('tasks', task);
+      assert.deepEqual(await select('SELECT project_id FROM tasks WHERE id = ?', [task.id]), [{ project_id: project.id }]);
+      assert.deepEqual(await select('SELECT name FROM projects WHERE id = ?', [project.id]), [{ name: 'Garden' }]);
+      assert.deepEqual(await checkIntegrity(database, service), {});
+    });
+
+    it('skips a downloaded task whose project is gone from the server too', async () => {
+      const task = await backend.insert('tasks', { id: generateId(), project_id: generateId(), title: 'Plant tulips' });
+
+      await service.applyRemoteRecord('tasks', task);
+      assert.deepEqual(await select('SELECT id FROM tasks WHERE id = ?', [task.id]), []);
+      assert.deepEqual(await checkIntegrity(database, service), {});
+    });
+  });
+});
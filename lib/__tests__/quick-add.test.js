@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseQuickAdd } from '../quick-add.js';
+
+// 2026-01-20 is a Tuesday
+const TODAY = '2026-01-20';
+
+describe('parseQuickAdd', () => {
+  it('reads dates, times, projects, tags and priorities out of the title', () => {
+    const parsed = parseQuickAdd('Call the plumber tomorrow at 9:30 am #Home @errands !1', TODAY);
+    assert.equal(parsed.title, 'Call the plumber');
+    assert.equal(parsed.dueDate, '2026-01-21');
+    assert.equal(parsed.dueTime, '09:30');
+    assert.equal(parsed.projectName, 'Home');
+    assert.deepEqual(parsed.tagNames, ['errands']);
+    assert.equal(parsed.priority, 1);
+  });
+
+  it('leaves ignored phrases in the title', () => {
+    const parsed = parseQuickAdd('Read Friday night lights', TODAY, { ignore: ['friday'] });
+    assert.equal(parsed.title, 'Read Friday night lights');
+    assert.equal(parsed.dueDate, null);
+  });
+
+  it('starts repeats without a date on the first day they fall on', () => {
+    const parsed = parseQuickAdd('Team sync every mon and thu', TODAY);
+    assert.equal(parsed.recurrence, 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH');
+    assert.equal(parsed.dueDate, '2026-01-22');
+  });
+
+  it('pins monthly repeats to the day they start on', () => {
+    assert.equal(parseQuickAdd('Pay rent monthly', TODAY).recurrence, 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=20');
+
+    const parsed = parseQuickAdd('Pay rent every month jan 31', TODAY);
+    assert.equal(parsed.dueDate, '2026-01-31');
+    assert.equal(parsed.recurrence, 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=31');
+    assert.equal(parsed.tokens.find(token => token.type === 'recurrence').label, 'Every month on day 31');
+
+    assert.equal(
+      parseQuickAdd('Back up photos every 3 months', TODAY).recurrence,
+      'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=20'
+    );
+  });
+});
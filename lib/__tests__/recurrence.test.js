@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatRecurrence, nextDates, nextOccurrence, parseRecurrence } from '../recurrence.js';
+
+// 2026-01-05 is a Monday
+
+describe('parseRecurrence and formatRecurrence', () => {
+  it('read back what they write', () => {
+    for (const text of [
+      'FREQ=DAILY;INTERVAL=2',
+      'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH',
+      'FREQ=MONTHLY;INTERVAL=3;BYMONTHDAY=31',
+      'FREQ=DAILY;INTERVAL=3;FROM=COMPLETION',
+    ]) {
+      assert.equal(formatRecurrence(parseRecurrence(text)), text);
+    }
+  });
+
+  it('reject rules they cannot read', () => {
+    for (const text of ['FREQ=YEARLY', 'FREQ=DAILY;INTERVAL=0', 'FREQ=DAILY;BYDAY=MO', 'FREQ=WEEKLY;FROM=COMPLETION']) {
+      assert.throws(() => parseRecurrence(text), /Invalid recurrence rule/);
+    }
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('steps daily rules by their interval from the anchor', () => {
+    const rule = parseRecurrence('FREQ=DAILY;INTERVAL=3');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2026-01-05'), '2026-01-08');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2026-01-09'), '2026-01-11');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2025-12-31'), '2026-01-05');
+  });
+
+  it('keeps weekly rules on their weekdays, every interval-th week', () => {
+    const rule = parseRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2026-01-05'), '2026-01-08');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2026-01-08'), '2026-01-19');
+    assert.equal(nextOccurrence(rule, '2026-01-05', '2026-01-19'), '2026-01-22');
+  });
+
+  it("repeats weekly rules without days on the anchor's weekday", () => {
+    const rule = parseRecurrence('FREQ=WEEKLY;INTERVAL=3');
+    assert.equal(nextOccurrence(rule, '2026-01-07', '2026-01-07'), '2026-01-28');
+    assert.equal(nextOccurrence(rule, '2026-01-07', '2026-01-30'), '2026-02-18');
+  });
+
+  it('moves monthly dates back to the end of shorter months', () => {
+    const rule = parseRecurrence('FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=31');
+    assert.equal(nextOccurrence(rule, '2026-01-31', '2026-01-31'), '2026-02-28');
+    assert.equal(nextOccurrence(rule, '2026-01-31', '2026-02-28'), '2026-03-31');
+    assert.equal(nextOccurrence(rule, '2026-01-31', '2026-03-31'), '2026-04-30');
+    assert.equal(nextOccurrence(rule, '2028-01-31', '2028-01-31'), '2028-02-29');
+  });
+
+  it("keeps the anchor's day for monthly rules without one", () => {
+    const rule = parseRecurrence('FREQ=MONTHLY;INTERVAL=1');
+    assert.equal(nextOccurrence(rule, '2026-01-31', '2026-01-31'), '2026-02-28');
+    assert.equal(nextOccurrence(rule, '2026-01-31', '2026-02-28'), '2026-03-31');
+  });
+
+  it('skips months by the interval', () => {
+    const rule = parseRecurrence('FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=15');
+    assert.equal(nextOccurrence(rule, '2026-01-15', '2026-01-15'), '2026-03-15');
+    assert.equal(nextOccurrence(rule, '2026-01-15', '2026-02-01'), '2026-03-15');
+    assert.equal(nextOccurrence(rule, '2026-01-15', '2026-03-15'), '2026-05-15');
+  });
+});
+
+describe('nextDates', () => {
+  it('follows the series from the due date', () => {
+    const task = { recurrence: 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO', due_date: '2026-01-05', start_date: null };
+    assert.deepEqual(nextDates(task, '2026-01-05'), {
+      due_date: '2026-01-12',
+      start_date: null,
+      recurrence: task.recurrence,
+    });
+  });
+
+  it('skips occurrences that are already past when an overdue task is completed', () => {
+    const daily = { recurrence: 'FREQ=DAILY;INTERVAL=2', due_date: '2026-01-05', start_date: null };
+    assert.equal(nextDates(daily, '2026-01-20').due_date, '2026-01-21');
+
+    const weekly = { recurrence: 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO', due_date: '2026-01-05', start_date: null };
+    assert.equal(nextDates(weekly, '2026-01-20').due_date, '2026-01-26');
+
+    const monthly = { recurrence: 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=10', due_date: '2026-01-10', start_date: null };
+    assert.equal(nextDates(monthly, '2026-03-02').due_date, '2026-03-10');
+  });
+
+  it('keeps the start date as far ahead of the due date as before', () => {
+    const task = { recurrence: 'FREQ=DAILY;INTERVAL=7', due_date: '2026-01-10', start_date: '2026-01-08' };
+    assert.deepEqual(nextDates(task, '2026-01-10'), {
+      due_date: '2026-01-17',
+      start_date: '2026-01-15',
+      recurrence: task.recurrence,
+    });
+  });
+
+  it('counts from the completion date for rules repeating after completion', () => {
+    const task = { recurrence: 'FREQ=DAILY;INTERVAL=3;FROM=COMPLETION', due_date: '2026-01-05', start_date: null };
+    assert.equal(nextDates(task, '2026-01-10').due_date, '2026-01-13');
+    assert.equal(nextDates(task, '2026-01-02').due_date, '2026-01-05');
+  });
+
+  it('anchors tasks without dates on the completion date', () => {
+    const task = { recurrence: 'FREQ=DAILY;INTERVAL=1', due_date: null, start_date: null };
+    assert.equal(nextDates(task, '2026-01-05').due_date, '2026-01-06');
+  });
+
+  it('pins the day of monthly series so it survives short months', () => {
+    let task = { recurrence: 'FREQ=MONTHLY;INTERVAL=1', due_date: '2026-01-31', start_date: null };
+    const dueDates = [];
+    for (let i = 0; i < 4; i++) {
+      task = { ...task, ...nextDates(task, task.due_date) };
+      dueDates.push(task.due_date);
+    }
+    assert.deepEqual(dueDates, ['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+    assert.equal(task.recurrence, 'FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=31');
+  });
+
+  it('returns null for tasks that do not repeat', () => {
+    assert.equal(nextDates({ recurrence: null, due_date: '2026-01-05' }, '2026-01-05'), null);
+  });
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { parseDateTime } from '../dates.js';
+import { generateId } from '../ids.js';
+import { MemoryDelivery } from '../notification-delivery.js';
+import { planNotifications, ReminderScheduler } from '../reminder-scheduler.js';
+import { openTestDatabase } from './sqlite-database.js';
+
+const at = (key, time) => parseDateTime(key, time).getTime();
+const NOW = at('2026-01-05', '08:00');
+
+function reminderRow(fields) {
+  return { id: generateId(), task_id: 'task', offset_minutes: null, remind_at: null, title: 'Water plants', due_date: null, due_time: null, ...fields };
+}
+
+describe('planNotifications', () => {
+  it('plans the reminders still to come, soonest first', () => {
+    const later = reminderRow({ due_date: '2026-01-06', due_time: '10:00', offset_minutes: 60 });
+    const sooner = reminderRow({ remind_at: '2026-01-05T12:30' });
+    const past = reminderRow({ due_date: '2026-01-05', due_time: '07:00' });
+    const undated = reminderRow({ offset_minutes: 15 });
+
+    assert.deepEqual(planNotifications([later, past, undated, sooner], NOW), [
+      {
+        id: sooner.id,
+        fireAt: at('2026-01-05', '12:30'),
+        title: 'Water plants',
+        body: 'Reminder',
+        data: { taskId: 'task', reminderId: sooner.id },
+      },
+      {
+        id: later.id,
+        fireAt: at('2026-01-06', '09:00'),
+        title: 'Water plants',
+        body: 'Due Today at 10:00',
+        data: { taskId: 'task', reminderId: later.id },
+      },
+    ]);
+  });
+
+  it('words the due date for the day the notification shows up', () => {
+    const [notification] = planNotifications([reminderRow({ due_date: '2026-01-07', offset_minutes: 24 * 60 })], NOW);
+    // Without a due time the task is due at the default time, 09:00
+    assert.equal(notification.fireAt, at('2026-01-06', '09:00'));
+    assert.equal(notification.body, 'Due Tomorrow');
+  });
+
+  it('keeps to the 60 soonest', () => {
+    const rows = Array.from({ length: 70 }, (_, i) => reminderRow({ remind_at: `2026-02-${String(1 + (i % 28)).padStart(2, '0')}T10:00` }));
+    const planned = planNotifications(rows, NOW);
+    assert.equal(planned.length, 60);
+    assert.ok(planned.every((notification, i) => i === 0 || planned[i - 1].fireAt <= notification.fireAt));
+  });
+});
+
+describe('ReminderScheduler.reconcile', () => {
+  let database;
+  let delivery;
+  let scheduler;
+  let taskId;
+
+  async function run(sql, params) {
+    await database.getDb().runAsync(sql, params);
+  }
+
+  async function addReminder(fields) {
+    const id = generateId();
+    await run(
+      'INSERT INTO reminders (id, task_id, offset_minutes, remind_at) VALUES (?, ?, ?, ?)',
+      [id, taskId, fields.offsetMinutes ?? null, fields.remindAt ?? null]
+    );
+    return id;
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    database = await openTestDatabase();
+    delivery = new MemoryDelivery();
+    scheduler = new ReminderScheduler(delivery, database);
+
+    const inbox = await database.getDb().getFirstAsync('SELECT id FROM projects');
+    taskId = generateId();
+    await run(
+      'INSERT INTO tasks (id, project_id, title, due_date, due_time) VALUES (?, ?, ?, ?, ?)',
+      [taskId, inbox.id, 'Water plants', '2026-01-05', '18:00']
+    );
+  });
+
+  afterEach(async () => {
+    await database.close();
+    mock.restoreAll();
+  });
+
+  it('schedules what the database asks for, once', async () => {
+    const atDue = await addReminder({ offsetMinutes: 0 });
+    const hourBefore = await addReminder({ offsetMinutes: 60 });
+
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 2, added: 2, cancelled: 0, permitted: true });
+    assert.deepEqual(
+      (await delivery.getScheduled()).map(({ id, fireAt }) => ({ id, fireAt })).sort((a, b) => a.fireAt - b.fireAt),
+      [{ id: hourBefore, fireAt: at('2026-01-05', '17:00') }, { id: atDue, fireAt: at('2026-01-05', '18:00') }]
+    );
+
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 2, added: 0, cancelled: 0, permitted: true });
+  });
+
+  it('replaces notifications whose task moved', async () => {
+    const id = await addReminder({ offsetMinutes: 15 });
+    await scheduler.reconcile(NOW);
+
+    await run('UPDATE tasks SET due_time = ? WHERE id = ?', ['20:00', taskId]);
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 1, added: 1, cancelled: 1, permitted: true });
+    assert.deepEqual((await delivery.getScheduled()).map(({ id, fireAt }) => ({ id, fireAt })), [
+      { id, fireAt: at('2026-01-05', '19:45') },
+    ]);
+  });
+
+  it('cancels the reminders of completed tasks and deleted reminders', async () => {
+    const kept = await addReminder({ remindAt: '2026-01-05T12:00' });
+    const deleted = await addReminder({ offsetMinutes: 0 });
+    await scheduler.reconcile(NOW);
+
+    await run('UPDATE reminders SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?', [deleted]);
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 1, added: 0, cancelled: 1, permitted: true });
+    assert.deepEqual((await delivery.getScheduled()).map(notification => notification.id), [kept]);
+
+    await run('UPDATE tasks SET completed = 1 WHERE id = ?', [taskId]);
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 0, added: 0, cancelled: 1, permitted: true });
+    assert.deepEqual(await delivery.getScheduled(), []);
+  });
+
+  it('schedules nothing without permission', async () => {
+    scheduler.setDelivery(new MemoryDelivery({ permission: false }));
+    await addReminder({ offsetMinutes: 0 });
+
+    assert.deepEqual(await scheduler.reconcile(NOW), { pending: 1, added: 0, cancelled: 0, permitted: false });
+    assert.deepEqual(await scheduler.delivery.getScheduled(), []);
+  });
+
+  it('drops reminders once they have fired', async () => {
+    const id = await addReminder({ offsetMinutes: 0 });
+    await scheduler.reconcile(NOW);
+
+    const fired = delivery.deliver(at('2026-01-05', '18:00'));
+    assert.deepEqual(fired.map(notification => notification.data), [{ taskId, reminderId: id }]);
+    assert.deepEqual(await scheduler.reconcile(at('2026-01-05', '18:01')), { pending: 0, added: 0, cancelled: 0, permitted: true });
+  });
+});
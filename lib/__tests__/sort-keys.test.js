@@ -0,0 +1,129 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { keyBetween, moveInList, planMove, sequentialKeys } from '../sort-keys.js';
+
+function assertAscending(keys) {
+  for (let i = 1; i < keys.length; i++) {
+    assert.ok(keys[i - 1] < keys[i], `${keys[i - 1]} < ${keys[i]}`);
+  }
+}
+
+describe('keyBetween', () => {
+  it('starts an empty list at a0', () => {
+    assert.equal(keyBetween(null, null), 'a0');
+  });
+
+  it('inserts between two keys', () => {
+    assert.equal(keyBetween('a0', 'a1'), 'a0V');
+    assert.equal(keyBetween('a0', 'a0V'), 'a0G');
+    assert.equal(keyBetween('a0V', 'a1'), 'a0l');
+    assert.equal(keyBetween('a1', 'a3'), 'a2');
+  });
+
+  it('prepends by stepping the integer part down', () => {
+    assert.equal(keyBetween(null, 'a0'), 'Zz');
+    assert.equal(keyBetween(null, 'Z0'), 'Yzz');
+    assert.equal(keyBetween(null, 'a0V'), 'a0');
+
+    const keys = ['a0'];
+    for (let i = 0; i < 100; i++) keys.unshift(keyBetween(null, keys[0]));
+    assertAscending(keys);
+    assert.ok(keys.every(key => key.length <= 3), keys[0]);
+  });
+
+  it('appends by stepping the integer part up, so keys stay short', () => {
+    assert.equal(keyBetween('a0', null), 'a1');
+    assert.equal(keyBetween('az', null), 'b00');
+
+    const keys = sequentialKeys(100);
+    assert.deepEqual(keys.slice(0, 3), ['a0', 'a1', 'a2']);
+    assertAscending(keys);
+    assert.ok(keys.every(key => key.length <= 3), keys[99]);
+  });
+
+  it('keeps finding room in the same gap', () => {
+    // Always right after a0, and alternately on either side of the middle
+    const front = ['a0', 'a1'];
+    const middle = ['a0', 'a1'];
+    for (let i = 0; i < 100; i++) {
+      front.splice(1, 0, keyBetween(front[0], front[1]));
+      const gap = i % 2 === 0 ? 1 : middle.length - 1;
+      middle.splice(gap, 0, keyBetween(middle[gap - 1], middle[gap]));
+    }
+
+    for (const keys of [front, middle]) {
+      assertAscending(keys);
+      assert.equal(new Set(keys).size, keys.length);
+    }
+  });
+
+  it('rejects keys out of order or not of its making', () => {
+    assert.throws(() => keyBetween('a1', 'a0'), /Sort keys out of order/);
+    assert.throws(() => keyBetween('a1', 'a1'), /Sort keys out of order/);
+    assert.throws(() => keyBetween('a10', null), /Invalid sort key/);
+    assert.throws(() => keyBetween(null, '!0'), /Invalid sort key head/);
+  });
+});
+
+describe('planMove', () => {
+  const siblings = [
+    { id: 'a', sort_key: 'a0' },
+    { id: 'b', sort_key: 'a1' },
+    { id: 'c', sort_key: 'a2' },
+  ];
+
+  it('gives only the moved row a key, between its new neighbours', () => {
+    assert.deepEqual(planMove(siblings, 'c', 'a', 'after'), [{ id: 'c', sort_key: 'a0V' }]);
+    assert.deepEqual(planMove(siblings, 'c', 'a', 'before'), [{ id: 'c', sort_key: 'Zz' }]);
+    assert.deepEqual(planMove(siblings, 'a', 'c', 'after'), [{ id: 'a', sort_key: 'a3' }]);
+  });
+
+  it('keys the whole list afresh when a new neighbour has no key', () => {
+    const unkeyed = [{ id: 'a', sort_key: 'a0' }, { id: 'b', sort_key: null }, { id: 'c', sort_key: null }];
+    assert.deepEqual(planMove(unkeyed, 'a', 'b', 'after'), [
+      { id: 'b', sort_key: 'a0' },
+      { id: 'a', sort_key: 'a1' },
+      { id: 'c', sort_key: 'a2' },
+    ]);
+  });
+
+  it('keys the whole list afresh between two rows with the same key', () => {
+    const tied = [{ id: 'a', sort_key: 'a0' }, { id: 'b', sort_key: 'a1' }, { id: 'c', sort_key: 'a1' }];
+    assert.deepEqual(planMove(tied, 'a', 'b', 'after'), [
+      { id: 'b', sort_key: 'a0' },
+      { id: 'a', sort_key: 'a1' },
+      { id: 'c', sort_key: 'a2' },
+    ]);
+  });
+
+  it('refuses to move next to a row outside the list', () => {
+    assert.throws(() => planMove(siblings, 'a', 'x'), /outside the list/);
+    assert.throws(() => planMove(siblings, 'x', 'a'), /outside the list/);
+  });
+});
+
+describe('moveInList', () => {
+  const items = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const ids = list => list.map(item => item.id).join('');
+
+  it('puts the item before or after the target', () => {
+    assert.equal(ids(moveInList(items, 'c', 'a', 'before')), 'cab');
+    assert.equal(ids(moveInList(items, 'c', 'a', 'after')), 'acb');
+    assert.equal(ids(moveInList(items, 'a', 'c', 'after')), 'bca');
+    assert.equal(ids(moveInList(items, 'a', 'c')), 'bac');
+  });
+
+  it('orders the list the way the keys from planMove sort it', () => {
+    const siblings = items.map((item, i) => ({ ...item, sort_key: sequentialKeys(3)[i] }));
+    const [moved] = planMove(siblings, 'c', 'a', 'after');
+    const sorted = siblings
+      .map(row => (row.id === moved.id ? moved : row))
+      .sort((x, y) => (x.sort_key < y.sort_key ? -1 : 1));
+    assert.equal(ids(sorted), ids(moveInList(items, 'c', 'a', 'after')));
+  });
+
+  it('leaves the list as it is when either item is missing', () => {
+    assert.equal(moveInList(items, 'x', 'a'), items);
+    assert.equal(moveInList(items, 'a', 'x'), items);
+  });
+});
@@ -0,0 +1,83 @@
+import sqlite from 'node-sqlite3-wasm';
+import { generateId } from '../ids.js';
+import { runMigrations } from '../migrations.js';
+
+// In-memory SQLite for tests, behind the slice of the expo-sqlite async API
+// the app uses. SQLite is the same engine the device runs (FTS5 included), so
+// the real migrations build the real schema.
+
+// expo-sqlite binds booleans as integers and undefined as NULL
+function bindValues(params = []) {
+  return params.map(value => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  });
+}
+
+class TestDatabase {
+  constructor() {
+    this.db = new sqlite.Database();
+  }
+
+  async execAsync(sql) {
+    this.db.exec(sql);
+  }
+
+  async getAllAsync(sql, params) {
+    return this.db.all(sql, bindValues(params));
+  }
+
+  async getFirstAsync(sql, params) {
+    return this.db.get(sql, bindValues(params)) ?? null;
+  }
+
+  async runAsync(sql, params) {
+    const { changes, lastInsertRowid } = this.db.run(sql, bindValues(params));
+    return { changes, lastInsertRowId: lastInsertRowid };
+  }
+
+  async withTransactionAsync(task) {
+    this.db.exec('BEGIN');
+    try {
+      await task();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      if (this.db.inTransaction) this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async closeAsync() {
+    this.db.close();
+  }
+}
+
+// A migrated database with an Inbox, exposed like lib/database.js:
+// { getDb, withRetry, withTransaction, close }. An in-memory database has
+// only the one connection, so transactions take turns on it instead of
+// getting their own.
+export async function openTestDatabase() {
+  const db = new TestDatabase();
+  await db.execAsync('PRAGMA foreign_keys = ON');
+  await runMigrations(db);
+  await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [generateId(), 'Inbox']);
+
+  let lastTransaction = Promise.resolve();
+  return {
+    getDb: () => db,
+    withRetry: async (operation) => await operation(),
+    withTransaction: (operation) => {
+      const transaction = lastTransaction.then(async () => {
+        let result;
+        await db.withTransactionAsync(async () => {
+          result = await operation(db);
+        });
+        return result;
+      });
+      lastTransaction = transaction.catch(() => {});
+      return transaction;
+    },
+    close: () => db.closeAsync(),
+  };
+}
@@ -0,0 +1,235 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { generateId } from '../ids.js';
+import { LocalBackend } from '../local-backend.js';
+import { SYNC_CONFIG } from '../sync-config.js';
+import { enqueueOperation, failOperation, getRetryDelay, OPERATIONS } from '../sync-queue.js';
+import { getRecordId, SyncService } from '../sync-service.js';
+import { openTestDatabase } from './sqlite-database.js';
+
+// A LocalBackend whose write requests throw until `failures` of them have,
+// only for `table` when given. Rows it stores are listed in `written`.
+class FlakyBackend extends LocalBackend {
+  constructor({ failures = Infinity, table = null } = {}) {
+    super();
+    this.failures = failures;
+    this.table = table;
+    this.written = [];
+  }
+
+  async writeRow(tableName, row, eventType) {
+    this.written.push(`${tableName}:${getRecordId(tableName, row)}`);
+    return await super.writeRow(tableName, row, eventType);
+  }
+}
+
+for (const method of ['insert', 'update', 'insertBatch', 'upsertBatch', 'delete']) {
+  FlakyBackend.prototype[method] = async function (tableName, ...args) {
+    if (this.failures > 0 && (!this.table || this.table === tableName)) {
+      this.failures--;
+      throw Object.assign(new Error('Service unavailable'), { status: 503 });
+    }
+    return await LocalBackend.prototype[method].call(this, tableName, ...args);
+  };
+}
+
+describe('getRetryDelay', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('doubles the delay per attempt, jittered to between half and all of it', () => {
+    mock.method(Math, 'random', () => 0);
+    assert.equal(getRetryDelay(1), SYNC_CONFIG.RETRY_DELAY / 2);
+    assert.equal(getRetryDelay(3), SYNC_CONFIG.RETRY_DELAY * 2);
+
+    mock.method(Math, 'random', () => 1 - Number.EPSILON);
+    assert.equal(getRetryDelay(1), SYNC_CONFIG.RETRY_DELAY);
+    assert.equal(getRetryDelay(3), SYNC_CONFIG.RETRY_DELAY * 4);
+  });
+
+  it('stops growing at MAX_RETRY_DELAY', () => {
+    mock.method(Math, 'random', () => 1 - Number.EPSILON);
+    assert.equal(getRetryDelay(SYNC_CONFIG.MAX_RETRIES * 4), SYNC_CONFIG.MAX_RETRY_DELAY);
+  });
+});
+
+describe('enqueueOperation', () => {
+  let database;
+
+  function queued() {
+    return database.getDb().getAllAsync('SELECT record_id, operation, payload FROM sync_queue ORDER BY id');
+  }
+
+  beforeEach(async () => {
+    database = await openTestDatabase();
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  it('collapses repeated edits of a record into its last operation', async () => {
+    const db = database.getDb();
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.CREATE, { title: 'Plant' });
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.UPDATE, { title: 'Plant tulips' });
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.UPDATE, { title: 'Plant daffodils' });
+
+    assert.deepEqual(await queued(), [
+      { record_id: 'a', operation: 'create', payload: JSON.stringify({ title: 'Plant daffodils' }) },
+    ]);
+  });
+
+  it('keeps edits apart once something else was queued, an upload was tried or the record was deleted', async () => {
+    const db = database.getDb();
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.UPDATE, { title: 'One' });
+    await enqueueOperation(db, 'tasks', 'b', OPERATIONS.UPDATE, { title: 'Other' });
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.UPDATE, { title: 'Two' });
+
+    const [tried] = await db.getAllAsync('SELECT * FROM sync_queue WHERE payload = ?', [JSON.stringify({ title: 'Two' })]);
+    await failOperation(db, tried, new Error('Service unavailable'));
+    await enqueueOperation(db, 'tasks', 'a', OPERATIONS.UPDATE, { title: 'Three' });
+
+    await enqueueOperation(db, 'tasks', 'c', OPERATIONS.DELETE, { title: 'Gone' });
+    await enqueueOperation(db, 'tasks', 'c', OPERATIONS.UPDATE, { title: 'Back' });
+
+    assert.deepEqual((await queued()).map(({ record_id, operation }) => `${operation} ${record_id}`), [
+      'update a',
+      'update b',
+      'update a',
+      'update a',
+      'delete c',
+      'update c',
+    ]);
+  });
+});
+
+describe('uploads from the queue', () => {
+  let database;
+  let backend;
+  let service;
+
+  // Record a change the way the repositories do
+  async function change(tableName, record, sql, params) {
+    await database.withTransaction(async (db) => {
+      await db.runAsync(sql, params);
+      await service.insertSyncMetadata(db, tableName, getRecordId(tableName, record));
+    });
+  }
+
+  async function addProject(name) {
+    const project = { id: generateId() };
+    await change('projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, name]);
+    return project;
+  }
+
+  async function addTask(project, title) {
+    const task = { id: generateId() };
+    await change('tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, title]);
+    return task;
+  }
+
+  function select(sql, params = []) {
+    return database.getDb().getAllAsync(sql, params);
+  }
+
+  // Let every waiting operation go on the next upload
+  async function skipBackoff() {
+    await database.getDb().runAsync('UPDATE sync_queue SET next_attempt_at = NULL');
+  }
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    database = await openTestDatabase();
+    backend = new FlakyBackend();
+    service = new SyncService(backend, database);
+    await service.requireUser();
+  });
+
+  afterEach(async () => {
+    await database.close();
+    mock.restoreAll();
+  });
+
+  it('waits out the backoff before trying a failed operation again', async () => {
+    const project = await addProject('Garden');
+
+    const failedAt = Date.now();
+    await service.uploadToSupabase();
+    const [operation] = await select('SELECT attempts, next_attempt_at, last_error FROM sync_queue');
+    assert.equal(operation.attempts, 1);
+    assert.equal(operation.last_error, 'Service unavailable');
+    const delay = Date.parse(operation.next_attempt_at) - failedAt;
+    assert.ok(delay >= SYNC_CONFIG.RETRY_DELAY / 2 && delay <= SYNC_CONFIG.RETRY_DELAY + 1000, `delay ${delay}`);
+
+    backend.failures = 0;
+    assert.equal(await service.uploadToSupabase(), 0);
+    assert.deepEqual(await select('SELECT attempts FROM sync_queue'), [{ attempts: 1 }]);
+
+    await skipBackoff();
+    assert.equal(await service.uploadToSupabase(), 1);
+    assert.deepEqual(await select('SELECT id FROM sync_queue'), []);
+    assert.deepEqual(
+      await select('SELECT sync_status FROM sync_metadata WHERE record_id = ?', [project.id]),
+      [{ sync_status: 'synced' }]
+    );
+  });
+
+  it('recovers when the backend stops failing within the same upload', async () => {
+    // The batch request fails, and its rows are sent again one at a time
+    backend.failures = 1;
+    await addProject('Garden');
+    await addProject('Kitchen');
+
+    assert.equal(await service.uploadToSupabase(), 2);
+    assert.deepEqual(await select('SELECT id FROM sync_queue'), []);
+  });
+
+  it('sets an operation aside after MAX_RETRIES attempts', async () => {
+    const project = await addProject('Garden');
+
+    for (let i = 0; i < SYNC_CONFIG.MAX_RETRIES; i++) {
+      await skipBackoff();
+      await service.uploadToSupabase();
+    }
+    assert.deepEqual(
+      await select('SELECT attempts, dead_at IS NOT NULL AS dead FROM sync_queue'),
+      [{ attempts: SYNC_CONFIG.MAX_RETRIES, dead: 1 }]
+    );
+    assert.deepEqual(
+      await select('SELECT sync_status FROM sync_metadata WHERE record_id = ?', [project.id]),
+      [{ sync_status: 'error' }]
+    );
+
+    // Set aside, it holds back later changes to the project and what is
+    // created in it until the user retries or discards it
+    backend.failures = 0;
+    await change('projects', project, 'UPDATE projects SET name = ? WHERE id = ?', ['Vegetable garden', project.id]);
+    const task = await addTask(project, 'Plant tulips');
+    assert.equal(await service.uploadToSupabase(), 0);
+    assert.deepEqual(backend.written, []);
+
+    await database.getDb().runAsync('UPDATE sync_queue SET attempts = 0, dead_at = NULL');
+    assert.equal(await service.uploadToSupabase(), 3);
+    assert.deepEqual(backend.written, [`projects:${project.id}`, `projects:${project.id}`, `tasks:${task.id}`]);
+  });
+
+  it('uploads a project before the tasks created in it, and holds the tasks while it fails', async () => {
+    backend.table = 'projects';
+    const project = await addProject('Garden');
+    const task = await addTask(project, 'Plant tulips');
+    const inbox = await database.getDb().getFirstAsync("SELECT id FROM projects WHERE name = 'Inbox'");
+    const unrelated = await addTask(inbox, 'Call the plumber');
+
+    await service.uploadToSupabase();
+    assert.deepEqual(backend.written, [`tasks:${unrelated.id}`]);
+    assert.deepEqual(
+      await select('SELECT record_id, attempts FROM sync_queue ORDER BY id'),
+      [{ record_id: project.id, attempts: 1 }, { record_id: task.id, attempts: 0 }]
+    );
+
+    backend.failures = 0;
+    await skipBackoff();
+    await service.uploadToSupabase();
+    assert.deepEqual(backend.written, [`tasks:${unrelated.id}`, `projects:${project.id}`, `tasks:${task.id}`]);
+  });
+});
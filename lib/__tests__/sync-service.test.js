@@ -0,0 +1,261 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { generateId } from '../ids.js';
+import { LocalBackend } from '../local-backend.js';
+import { getRecordId, SyncService } from '../sync-service.js';
+import { openTestDatabase } from './sqlite-database.js';
+
+// Two devices, each with its own database and SyncService, sharing one
+// LocalBackend as their server. Nothing leaves the process.
+async function createDevices() {
+  const backend = new LocalBackend();
+  const devices = [];
+  for (const name of ['A', 'B']) {
+    const database = await openTestDatabase();
+    devices.push({ name, database, service: new SyncService(backend, database) });
+  }
+  return devices;
+}
+
+// Run `sql` on the device and record the change for sync, the way the
+// repositories do
+async function change(device, tableName, record, sql, params, options) {
+  await device.database.withTransaction(async (db) => {
+    await db.runAsync(sql, params);
+    await device.service.insertSyncMetadata(db, tableName, getRecordId(tableName, record), options);
+  });
+}
+
+async function sync(device) {
+  const result = await device.service.sync();
+  assert.equal(result.success, true, result.error);
+  return result;
+}
+
+function select(device, sql, params = []) {
+  return device.database.getDb().getAllAsync(sql, params);
+}
+
+describe('SyncService with a LocalBackend', () => {
+  let devices;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    devices = await createDevices();
+  });
+
+  afterEach(async () => {
+    for (const device of devices) await device.database.close();
+    mock.restoreAll();
+  });
+
+  it('downloads on one device what another uploaded', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    const task = { id: generateId() };
+    const tag = { id: generateId() };
+    const link = { task_id: task.id, tag_id: tag.id };
+
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, 'Plant tulips']);
+    await change(a, 'tags', tag, 'INSERT INTO tags (id, name) VALUES (?, ?)', [tag.id, 'outdoors']);
+    await change(a, 'task_tags', link, 'INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task.id, tag.id]);
+
+    const uploaded = await sync(a);
+    assert.equal(uploaded.uploadedCount, 4);
+    assert.deepEqual(await select(a, "SELECT COUNT(*) AS count FROM sync_metadata WHERE sync_status != 'synced'"), [{ count: 0 }]);
+
+    await sync(b);
+    assert.deepEqual(await select(b, 'SELECT name FROM projects WHERE id = ?', [project.id]), [{ name: 'Garden' }]);
+    assert.deepEqual(
+      await select(b, 'SELECT project_id, title FROM tasks WHERE id = ?', [task.id]),
+      [{ project_id: project.id, title: 'Plant tulips' }]
+    );
+    assert.deepEqual(
+      await select(b, 'SELECT task_id, tag_id FROM task_tags WHERE deleted_at IS NULL'),
+      [link]
+    );
+  });
+
+  it('carries edits and deletions back to the first device', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    const task = { id: generateId() };
+    const tag = { id: generateId() };
+    const link = { task_id: task.id, tag_id: tag.id };
+
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, 'Plant tulips']);
+    await change(a, 'tags', tag, 'INSERT INTO tags (id, name) VALUES (?, ?)', [tag.id, 'outdoors']);
+    await change(a, 'task_tags', link, 'INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task.id, tag.id]);
+    await sync(a);
+    await sync(b);
+
+    await change(b, 'tasks', task, 'UPDATE tasks SET title = ? WHERE id = ?', ['Plant daffodils', task.id]);
+    await change(
+      b, 'task_tags', link,
+      'UPDATE task_tags SET deleted_at = CURRENT_TIMESTAMP WHERE task_id = ? AND tag_id = ?', [task.id, tag.id],
+      { deleted: true }
+    );
+    await sync(b);
+    await sync(a);
+
+    assert.deepEqual(await select(a, 'SELECT title FROM tasks WHERE id = ?', [task.id]), [{ title: 'Plant daffodils' }]);
+    assert.deepEqual(await select(a, 'SELECT task_id FROM task_tags WHERE deleted_at IS NULL'), []);
+  });
+
+  it('merges edits made to different fields on both devices', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    const task = { id: generateId() };
+
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, 'Plant tulips']);
+    await sync(a);
+    await sync(b);
+
+    // Both devices edit the task before either syncs again
+    await change(a, 'tasks', task, 'UPDATE tasks SET title = ? WHERE id = ?', ['Plant daffodils', task.id]);
+    await change(b, 'tasks', task, 'UPDATE tasks SET description = ? WHERE id = ?', ['By the fence', task.id]);
+    await sync(a);
+    await sync(b);
+    await sync(a);
+
+    for (const device of devices) {
+      assert.deepEqual(
+        await select(device, 'SELECT title, description FROM tasks WHERE id = ?', [task.id]),
+        [{ title: 'Plant daffodils', description: 'By the fence' }],
+        `device ${device.name}`
+      );
+    }
+  });
+
+  it('leaves no trace of a conflict that fails to apply', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    const task = { id: generateId() };
+
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, 'Plant tulips']);
+    await sync(a);
+    await sync(b);
+
+    await change(a, 'tasks', task, 'UPDATE tasks SET description = ? WHERE id = ?', ['By the fence', task.id]);
+    await sync(a);
+    await change(b, 'tasks', task, 'UPDATE tasks SET title = ? WHERE id = ?', ['Plant daffodils', task.id]);
+    const queued = await select(b, 'SELECT id, operation FROM sync_queue');
+
+    // A resolution the local table rejects, once the conflict is recorded
+    b.service.setConflictStrategy(({ remote }) => ({ winner: 'merged', record: { ...remote, title: null } }));
+    const remoteTask = await b.service.backend.selectRecord('tasks', { id: task.id });
+    await assert.rejects(b.service.applyRemoteRecord('tasks', remoteTask), /NOT NULL/);
+
+    assert.equal(b.service.conflictsDetected, 0);
+    assert.deepEqual(await select(b, 'SELECT id FROM sync_conflicts'), []);
+    assert.deepEqual(await select(b, 'SELECT id, operation FROM sync_queue'), queued);
+    assert.deepEqual(
+      await select(b, 'SELECT title, description FROM tasks WHERE id = ?', [task.id]),
+      [{ title: 'Plant daffodils', description: null }]
+    );
+  });
+
+  it('uploads an edit queued behind the creation of its record on top of it', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    // An upload was tried, so the edit is queued apart from the creation
+    await a.database.getDb().runAsync('UPDATE sync_queue SET attempts = 1');
+    await change(a, 'projects', project, 'UPDATE projects SET name = ? WHERE id = ?', ['Vegetable garden', project.id]);
+
+    const synced = await sync(a);
+    assert.equal(synced.uploadedCount, 2);
+    assert.equal(synced.conflictCount, 0);
+    await sync(b);
+    for (const device of devices) {
+      assert.deepEqual(
+        await select(device, 'SELECT name FROM projects WHERE id = ?', [project.id]),
+        [{ name: 'Vegetable garden' }],
+        `device ${device.name}`
+      );
+    }
+  });
+
+  it('counts exported rows as synced', async () => {
+    const [a, b] = devices;
+    const project = { id: generateId() };
+    const task = { id: generateId() };
+
+    await change(a, 'projects', project, 'INSERT INTO projects (id, name) VALUES (?, ?)', [project.id, 'Garden']);
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, project.id, 'Plant tulips']);
+
+    const exported = await a.service.exportAllDataToSupabase();
+    assert.equal(exported.success, true, exported.error);
+    // Both Inboxes are local only, so a's is exported along with the rest
+    assert.equal(exported.totalExported, 3);
+    assert.deepEqual(await select(a, 'SELECT id FROM sync_queue'), []);
+    assert.deepEqual(
+      await select(a, "SELECT record_id FROM sync_metadata WHERE sync_status != 'synced' OR base_updated_at IS NULL"),
+      []
+    );
+
+    const synced = await sync(a);
+    assert.equal(synced.uploadedCount, 0);
+    assert.equal(a.service.conflictsDetected, 0);
+
+    await sync(b);
+    assert.deepEqual(await select(b, 'SELECT title FROM tasks WHERE id = ?', [task.id]), [{ title: 'Plant tulips' }]);
+  });
+
+  it('keeps changes made during an export queued', async () => {
+    const [a] = devices;
+    const task = { id: generateId() };
+    const inbox = await a.database.getDb().getFirstAsync('SELECT id FROM projects');
+    await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, inbox.id, 'Plant tulips']);
+
+    // Edit the task once the export has read it, before the rows are stored
+    const { insertBatch } = a.service.backend;
+    a.service.backend.insertBatch = async (tableName, records) => {
+      if (tableName === 'tasks') {
+        await change(a, 'tasks', task, 'UPDATE tasks SET title = ? WHERE id = ?', ['Plant daffodils', task.id]);
+      }
+      return await insertBatch.call(a.service.backend, tableName, records);
+    };
+    await a.service.exportTableToSupabase('projects');
+    await a.service.exportTableToSupabase('tasks');
+
+    assert.deepEqual(await select(a, 'SELECT record_id FROM sync_queue'), [{ record_id: task.id }]);
+    await sync(a);
+    const remoteTask = await a.service.backend.selectRecord('tasks', { id: task.id });
+    assert.equal(remoteTask.title, 'Plant daffodils');
+    assert.equal(a.service.conflictsDetected, 0);
+  });
+
+  it('counts rows an export cannot store as failed uploads', async () => {
+    const [a] = devices;
+    const inbox = await a.database.getDb().getFirstAsync('SELECT id FROM projects');
+    const stored = { id: generateId() };
+    const rejected = { id: generateId() };
+    for (const [task, title] of [[stored, 'Plant tulips'], [rejected, 'Plant weeds']]) {
+      await change(a, 'tasks', task, 'INSERT INTO tasks (id, project_id, title) VALUES (?, ?, ?)', [task.id, inbox.id, title]);
+    }
+
+    const { insertBatch } = a.service.backend;
+    a.service.backend.insertBatch = async (tableName, records) => {
+      if (records.some(record => record.id === rejected.id)) {
+        throw new Error('Rejected');
+      }
+      return await insertBatch.call(a.service.backend, tableName, records);
+    };
+    await a.service.exportTableToSupabase('projects');
+    assert.deepEqual(await a.service.exportTableToSupabase('tasks'), { exported: 1, skipped: 0, errors: 1 });
+
+    assert.deepEqual(
+      await select(a, 'SELECT record_id, attempts, last_error, next_attempt_at IS NOT NULL AS waiting FROM sync_queue'),
+      [{ record_id: rejected.id, attempts: 1, last_error: 'Rejected', waiting: 1 }]
+    );
+    assert.deepEqual(
+      await select(a, "SELECT record_id, sync_status FROM sync_metadata WHERE table_name = 'tasks' ORDER BY sync_status"),
+      [{ record_id: rejected.id, sync_status: 'pending' }, { record_id: stored.id, sync_status: 'synced' }]
+    );
+  });
+});
@@ -0,0 +1,7 @@
+import * as database from './database.js';
+import { ExpoDelivery } from './expo-delivery.js';
+import { ReminderScheduler } from './reminder-scheduler.js';
+
+// The app's reminder scheduler, on the device database and delivering through
+// the system's notifications
+export const reminderScheduler = new ReminderScheduler(new ExpoDelivery(), database);
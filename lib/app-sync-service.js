@@ -0,0 +1,18 @@
+import Storage from 'expo-sqlite/kv-store';
+import * as database from './database.js';
+import { LocalBackend } from './local-backend.js';
+import { isLocalOnlyMode, isSupabaseConfigured, supabase } from './supabase.js';
+import { SupabaseBackend } from './supabase-backend.js';
+import { SyncService } from './sync-service.js';
+
+// Supabase, or a store on the device in local-only mode
+function createDefaultBackend() {
+  if (isLocalOnlyMode()) {
+    return new LocalBackend({ storage: Storage });
+  }
+  return new SupabaseBackend(supabase, { isConfigured: isSupabaseConfigured });
+}
+
+// The app's sync service, on the device database
+export const syncService = new SyncService(createDefaultBackend(), database);
+export default syncService;
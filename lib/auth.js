@@ -0,0 +1,111 @@
+import * as Linking from 'expo-linking';
+import Storage from 'expo-sqlite/kv-store';
+import { syncService } from './app-sync-service.js';
+import { clearLocalData } from './database.js';
+import { supabase } from './supabase.js';
+
+// Id of the user whose data the local database holds. It outlives sessions, so
+// a different account signing in on this device never inherits the data.
+const LOCAL_DATA_OWNER_KEY = 'localDataOwner';
+
+export async function getCurrentUser() {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.user ?? null;
+}
+
+// Calls back with the signed-in user (or null) whenever the session changes
+export function onAuthChange(callback) {
+  const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+    callback(session?.user ?? null);
+  });
+  return () => subscription.unsubscribe();
+}
+
+// The local database belongs to whoever first signs in with it. If someone
+// else signs in, the previous owner's data is dropped before it can sync into
+// the wrong account.
+async function claimLocalData(user) {
+  const owner = await Storage.getItem(LOCAL_DATA_OWNER_KEY);
+  if (owner && owner !== user.id) {
+    console.log(`🔐 Local data belongs to another account, clearing it for ${user.email}`);
+    await clearLocalData();
+    syncService.reset();
+  }
+  await Storage.setItem(LOCAL_DATA_OWNER_KEY, user.id);
+}
+
+export async function signInWithPassword(email, password) {
+  console.log(`🔐 Signing in ${email}`);
+  const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+  if (error) throw error;
+
+  await claimLocalData(data.user);
+  console.log(`✅ Signed in ${email}`);
+  return data.user;
+}
+
+// Returns the new user, or null when the project requires the email address
+// to be confirmed before the first sign-in
+export async function signUpWithPassword(email, password) {
+  console.log(`🔐 Creating account for ${email}`);
+  const { data, error } = await supabase.auth.signUp({ email, password });
+  if (error) throw error;
+
+  if (!data.session) {
+    console.log(`📧 Confirmation email sent to ${email}`);
+    return null;
+  }
+
+  await claimLocalData(data.user);
+  console.log(`✅ Account created for ${email}`);
+  return data.user;
+}
+
+// Emails a sign-in link that opens the app on the sign-in screen
+export async function sendMagicLink(email) {
+  console.log(`📧 Sending sign-in link to ${email}`);
+  const { error } = await supabase.auth.signInWithOtp({
+    email,
+    options: { emailRedirectTo: Linking.createURL('/sign-in') },
+  });
+  if (error) throw error;
+}
+
+// Finishes a magic link sign-in from the URL the link opened the app with.
+// Returns null if the URL carries no session.
+export async function completeSignInFromUrl(url) {
+  const fragment = url?.split('#')[1];
+  if (!fragment) return null;
+
+  const params = new URLSearchParams(fragment);
+  if (params.get('error_description')) {
+    throw new Error(params.get('error_description'));
+  }
+
+  const accessToken = params.get('access_token');
+  const refreshToken = params.get('refresh_token');
+  if (!accessToken || !refreshToken) return null;
+
+  const { data, error } = await supabase.auth.setSession({
+    access_token: accessToken,
+    refresh_token: refreshToken,
+  });
+  if (error) throw error;
+
+  await claimLocalData(data.user);
+  console.log(`✅ Signed in ${data.user.email} from link`);
+  return data.user;
+}
+
+// Signing out removes every project, task and tag from this device, so the
+// next person to use it starts from an empty database
+export async function signOut() {
+  console.log('🔐 Signing out');
+  const { error } = await supabase.auth.signOut();
+  if (error) throw error;
+
+  await clearLocalData();
+  await Storage.removeItem(LOCAL_DATA_OWNER_KEY);
+  syncService.reset();
+  console.log('✅ Signed out and cleared local data');
+}
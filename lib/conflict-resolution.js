@@ -0,0 +1,113 @@
+// Sync conflict resolution.
+//
+// A conflict happens when a record was edited on this device and, since the
+// version both sides last agreed on (the base), also changed in Supabase. A
+// strategy receives the three versions and decides what the record becomes.
+
+export const CONFLICT_STRATEGIES = {
+  LAST_WRITE_WINS: 'last_write_wins',
+  LOCAL_WINS: 'local_wins',
+  REMOTE_WINS: 'remote_wins',
+  FIELD_MERGE: 'field_merge',
+};
+
+// Bookkeeping columns that never count as a difference between versions
+const IGNORED_FIELDS = ['id', 'updated_at', 'created_at', 'legacy_id', 'user_id'];
+
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/;
+
+// SQLite and Postgres spell the same values differently (1 vs true,
+// "2025-01-01 10:00:00" vs "2025-01-01T10:00:00+00:00"), so values are
+// normalized before they are compared
+export function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && DATETIME_PATTERN.test(value)) {
+    // SQLite's CURRENT_TIMESTAMP is UTC without a zone designator
+    const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`;
+    const time = Date.parse(iso);
+    if (!Number.isNaN(time)) return new Date(time).toISOString();
+  }
+  return value;
+}
+
+export function valuesEqual(a, b) {
+  return normalizeValue(a) === normalizeValue(b);
+}
+
+// Fields present in both versions that differ between them
+export function getConflictingFields(local, remote) {
+  return Object.keys(local).filter(field =>
+    !IGNORED_FIELDS.includes(field) &&
+    field in remote &&
+    !valuesEqual(local[field], remote[field])
+  );
+}
+
+// Ties go to the local version
+function isRemoteNewer(local, remote) {
+  const localTime = Date.parse(normalizeValue(local.updated_at) || '') || 0;
+  const remoteTime = Date.parse(normalizeValue(remote.updated_at) || '') || 0;
+  return remoteTime > localTime;
+}
+
+function lastWriteWins({ local, remote }) {
+  return isRemoteNewer(local, remote)
+    ? { winner: 'remote', record: { ...remote } }
+    : { winner: 'local', record: { ...local } };
+}
+
+function localWins({ local }) {
+  return { winner: 'local', record: { ...local } };
+}
+
+function remoteWins({ remote }) {
+  return { winner: 'remote', record: { ...remote } };
+}
+
+// Three-way merge: a field changed on only one side keeps that change, so an
+// edited title on one device and an edited description on another both
+// survive. A field changed on both sides falls back to last-write-wins. Without
+// a base every differing field counts as changed on both sides.
+function fieldMerge({ local, remote, base }) {
+  const remoteIsNewer = isRemoteNewer(local, remote);
+  const record = { ...local };
+  let tookLocal = false;
+  let tookRemote = false;
+
+  for (const field of getConflictingFields(local, remote)) {
+    const localChanged = !base || !(field in base) || !valuesEqual(local[field], base[field]);
+    const remoteChanged = !base || !(field in base) || !valuesEqual(remote[field], base[field]);
+
+    const useRemote = localChanged && remoteChanged ? remoteIsNewer : remoteChanged;
+    if (useRemote) {
+      record[field] = remote[field];
+      tookRemote = true;
+    } else {
+      tookLocal = true;
+    }
+  }
+
+  if (tookLocal && tookRemote) return { winner: 'merged', record };
+  return tookRemote
+    ? { winner: 'remote', record: { ...remote } }
+    : { winner: 'local', record };
+}
+
+const RESOLVERS = {
+  [CONFLICT_STRATEGIES.LAST_WRITE_WINS]: lastWriteWins,
+  [CONFLICT_STRATEGIES.LOCAL_WINS]: localWins,
+  [CONFLICT_STRATEGIES.REMOTE_WINS]: remoteWins,
+  [CONFLICT_STRATEGIES.FIELD_MERGE]: fieldMerge,
+};
+
+// Resolves a conflict with a named strategy or a custom function taking
+// { local, remote, base, tableName } and returning { winner, record }, where
+// winner is 'local', 'remote' or 'merged'
+export function resolveConflict(strategy, versions) {
+  const resolver = typeof strategy === 'function' ? strategy : RESOLVERS[strategy];
+  if (!resolver) {
+    throw new Error(`Unknown conflict strategy: ${strategy}`);
+  }
+  return resolver(versions);
+}
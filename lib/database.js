@@ -1,8 +1,17 @@
 import * as SQLite from 'expo-sqlite';
+import { generateId } from './ids.js';
+import { runMigrations } from './migrations.js';
+
+export { TIMESTAMP_NOW } from './timestamps.js';
 
 let db;
 let initPromise = null;
 
+// Set on every connection. SQLite leaves foreign keys unenforced unless asked,
+// and without a busy timeout a write fails at once while a transaction on
+// another connection holds the lock.
+const CONNECTION_PRAGMAS = 'PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;';
+
 export async function initDatabase() {
   if (db) return;
   if (initPromise) return initPromise;
@@ -32,76 +41,10 @@ async function _initDatabase() {
     db = await SQLite.openDatabaseAsync('projects.db');
     console.log('Database opened successfully');
 
-    // Create projects table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS projects (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL
-      );
-    `);
-
-    // Create tasks table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS tasks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        project_id INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        description TEXT,
-        FOREIGN KEY (project_id) REFERENCES projects(id)
-      );
-    `);
-
-    // Create tags table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS tags (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL
-      );
-    `);
-
-    // Create task_tags table (many-to-many)
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS task_tags (
-        task_id INTEGER NOT NULL,
-        tag_id INTEGER NOT NULL,
-        PRIMARY KEY (task_id, tag_id),
-        FOREIGN KEY (task_id) REFERENCES tasks(id),
-        FOREIGN KEY (tag_id) REFERENCES tags(id)
-      );
-    `);
-
-    // Create sync metadata tables
-    try {
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS sync_metadata (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          table_name TEXT NOT NULL,
-          record_id INTEGER NOT NULL,
-          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
-          sync_status TEXT DEFAULT 'pending',
-          supabase_id TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(table_name, record_id)
-        )
-      `);
-
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS sync_log (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          sync_type TEXT NOT NULL,
-          status TEXT NOT NULL,
-          message TEXT,
-          records_synced INTEGER DEFAULT 0,
-          error_details TEXT,
-          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          completed_at DATETIME
-        )
-      `);
-    } catch (syncTableError) {
-      console.error('Error creating sync tables:', syncTableError);
-      // Continue without sync tables for now
-    }
+    await db.execAsync(CONNECTION_PRAGMAS);
+
+    // Bring the schema up to date before anything reads from it
+    await runMigrations(db);
 
     // Insert sample data if projects table is empty
     const result = await db.getFirstAsync('SELECT COUNT(*) AS count FROM projects');
@@ -109,10 +52,10 @@ async function _initDatabase() {
       await addSampleData();
     } else {
       // Check if inbox exists, if not create it
-      const inboxExists = await db.getFirstAsync('SELECT COUNT(*) AS count FROM projects WHERE name = ?', ['Inbox']);
+      const inboxExists = await db.getFirstAsync('SELECT COUNT(*) AS count FROM projects WHERE name = ? AND deleted_at IS NULL', ['Inbox']);
       if (inboxExists.count === 0) {
         console.log('Creating missing inbox project...');
-        await db.runAsync('INSERT INTO projects (name) VALUES (?)', ['Inbox']);
+        await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [generateId(), 'Inbox']);
         console.log('Inbox project created');
       }
     }
@@ -130,58 +73,47 @@ async function addSampleData() {
     console.log('Adding sample data...');
     
     // Add Inbox project first (main project)
-    const inboxIdResult = await db.runAsync(
-      'INSERT INTO projects (name) VALUES (?)',
-      ['Inbox']
-    );
-    const inboxId = inboxIdResult.lastInsertRowId;
+    const inboxId = generateId();
+    await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [inboxId, 'Inbox']);
     console.log('Inbox project created with ID:', inboxId);
 
     // Add a sample project
-    const projectIdResult = await db.runAsync(
-      'INSERT INTO projects (name) VALUES (?)',
-      ['My First Project']
-    );
-    const projectId = projectIdResult.lastInsertRowId;
+    const projectId = generateId();
+    await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [projectId, 'My First Project']);
     console.log('Project created with ID:', projectId);
 
-    if (!projectId || !inboxId) {
-      throw new Error('Failed to get project ID from insert result');
-    }
-
     // Add sample tasks to inbox
-    const inboxTask1 = await db.runAsync(
-      'INSERT INTO tasks (project_id, title, description) VALUES (?, ?, ?)',
-      [inboxId, 'Welcome to Inbox', 'This is your main workspace for quick tasks']
+    const inboxTaskId = generateId();
+    await db.runAsync(
+      'INSERT INTO tasks (id, project_id, title, description) VALUES (?, ?, ?, ?)',
+      [inboxTaskId, inboxId, 'Welcome to Inbox', 'This is your main workspace for quick tasks']
     );
 
     // Add sample tasks to regular project
-    const task1 = await db.runAsync(
-      'INSERT INTO tasks (project_id, title, description) VALUES (?, ?, ?)',
-      [projectId, 'Design UI', 'Create wireframes']
+    const task1Id = generateId();
+    await db.runAsync(
+      'INSERT INTO tasks (id, project_id, title, description) VALUES (?, ?, ?, ?)',
+      [task1Id, projectId, 'Design UI', 'Create wireframes']
     );
-    const task2 = await db.runAsync(
-      'INSERT INTO tasks (project_id, title, description) VALUES (?, ?, ?)',
-      [projectId, 'Build API', 'Set up backend endpoints']
+    const task2Id = generateId();
+    await db.runAsync(
+      'INSERT INTO tasks (id, project_id, title, description) VALUES (?, ?, ?, ?)',
+      [task2Id, projectId, 'Build API', 'Set up backend endpoints']
     );
 
-    console.log('Tasks created with IDs:', inboxTask1.lastInsertRowId, task1.lastInsertRowId, task2.lastInsertRowId);
+    console.log('Tasks created with IDs:', inboxTaskId, task1Id, task2Id);
 
     // Add sample tags
-    const tag1 = await db.runAsync(
-      'INSERT INTO tags (name) VALUES (?)',
-      ['UI']
-    );
-    const tag2 = await db.runAsync(
-      'INSERT INTO tags (name) VALUES (?)',
-      ['Backend']
-    );
+    const tag1Id = generateId();
+    await db.runAsync('INSERT INTO tags (id, name) VALUES (?, ?)', [tag1Id, 'UI']);
+    const tag2Id = generateId();
+    await db.runAsync('INSERT INTO tags (id, name) VALUES (?, ?)', [tag2Id, 'Backend']);
 
-    console.log('Tags created with IDs:', tag1.lastInsertRowId, tag2.lastInsertRowId);
+    console.log('Tags created with IDs:', tag1Id, tag2Id);
 
     // Link tasks with tags
-    await db.runAsync('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task1.lastInsertRowId, tag1.lastInsertRowId]);
-    await db.runAsync('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task2.lastInsertRowId, tag2.lastInsertRowId]);
+    await db.runAsync('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task1Id, tag1Id]);
+    await db.runAsync('INSERT INTO task_tags (task_id, tag_id) VALUES (?, ?)', [task2Id, tag2Id]);
 
     console.log('Sample data added successfully');
   } catch (error) {
@@ -190,6 +122,34 @@ async function addSampleData() {
   }
 }
 
+// Tables holding a user's data and its sync bookkeeping, children first
+const USER_DATA_TABLES = [
+  'reminders',
+  'checklist_items',
+  'task_tags',
+  'tasks',
+  'tags',
+  'projects',
+  'sync_metadata',
+  'sync_state',
+  'sync_conflicts',
+  'sync_queue',
+  'sync_log',
+  'legacy_id_map',
+];
+
+// Empty the database for a new user (on sign-out), leaving only an Inbox
+export async function clearLocalData() {
+  console.log('🧹 Clearing local data...');
+  await withTransaction(async (db) => {
+    for (const tableName of USER_DATA_TABLES) {
+      await db.runAsync(`DELETE FROM ${tableName}`);
+    }
+    await db.runAsync('INSERT INTO projects (id, name) VALUES (?, ?)', [generateId(), 'Inbox']);
+  });
+  console.log('✅ Local data cleared');
+}
+
 // Accessor for database
 export function getDb() {
   if (!db) throw new Error('Database not initialized. Call initDatabase() first.');
@@ -213,3 +173,25 @@ export async function withRetry(operation, maxRetries = 3) {
   }
   throw lastError;
 }
+
+// Helper: run `operation(db)` in a transaction. Everything it writes, data
+// and sync metadata alike, is committed together or not at all.
+//
+// The transaction has a connection of its own, so queries made elsewhere while
+// it is open (a sync, another screen) stay out of it and wait for it instead;
+// `operation` must run its queries on the `db` it is given. Errors are not
+// retried: the database is fine, the change is not.
+export async function withTransaction(operation) {
+  await initDatabase();
+  let result;
+  return await getDb()
+    .withExclusiveTransactionAsync(async (txn) => {
+      // A new connection starts with foreign keys off, and SQLite ignores the
+      // pragma inside a transaction, so end the one just begun and start
+      // over. IMMEDIATE takes the write lock up front, so a second
+      // transaction waits for it rather than failing when it first writes.
+      await txn.execAsync(`COMMIT; ${CONNECTION_PRAGMAS} BEGIN IMMEDIATE`);
+      result = await operation(txn);
+    })
+    .then(() => result);
+}
@@ -0,0 +1,85 @@
+// Calendar date helpers.
+//
+// Task dates are stored as local calendar days in 'YYYY-MM-DD' form ("date keys"),
+// which sort lexicographically and compare correctly as plain strings in SQL.
+// Times of day are stored the same way, as local 'HH:MM' on a 24-hour clock.
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+export function toDateKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function isValidDateKey(key) {
+  const match = DATE_KEY_PATTERN.exec(key || '');
+  if (!match) return false;
+
+  const date = parseDateKey(key);
+  return date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+}
+
+export function isValidTime(value) {
+  return TIME_PATTERN.test(value || '');
+}
+
+// 'HH:MM' of a Date, local time
+export function toTimeKey(date = new Date()) {
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Returns a Date at local midnight for the given date key
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Returns a Date at the given local time ('HH:MM') on the given date key
+export function parseDateTime(key, time) {
+  const date = parseDateKey(key);
+  const [hours, minutes] = time.split(':').map(Number);
+  date.setHours(hours, minutes);
+  return date;
+}
+
+export function addDays(key, days) {
+  const date = parseDateKey(key);
+  date.setDate(date.getDate() + days);
+  return toDateKey(date);
+}
+
+export function differenceInDays(laterKey, earlierKey) {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  // Round to absorb DST shifts between the two local midnights
+  return Math.round((parseDateKey(laterKey) - parseDateKey(earlierKey)) / msPerDay);
+}
+
+// Human friendly label for a date key relative to `today` ("Today", "Tomorrow", "Fri", "Oct 24")
+export function formatDateKey(key, today = toDateKey()) {
+  if (!key) return '';
+
+  const offset = differenceInDays(key, today);
+  if (offset === 0) return 'Today';
+  if (offset === 1) return 'Tomorrow';
+  if (offset === -1) return 'Yesterday';
+
+  const date = parseDateKey(key);
+  if (offset > 1 && offset < 7) {
+    return WEEKDAYS[date.getDay()];
+  }
+
+  const label = `${MONTHS[date.getMonth()]} ${date.getDate()}`;
+  return date.getFullYear() === parseDateKey(today).getFullYear()
+    ? label
+    : `${label}, ${date.getFullYear()}`;
+}
+
+export function isOverdue(task, today = toDateKey()) {
+  return !!task?.due_date && !task.completed && task.due_date < today;
+}
@@ -0,0 +1,93 @@
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+// Notification delivery through the system's local notifications (see
+// lib/notification-delivery.js). Each notification is scheduled under its own
+// id; its fire time travels in the content's data, since triggers read back
+// differently per platform.
+
+const ANDROID_CHANNEL_ID = 'reminders';
+
+// Reminders that come due while the app is open still show as a banner
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+export class ExpoDelivery {
+  constructor() {
+    this.name = 'System notifications';
+    this.channelReady = null;
+  }
+
+  async requestPermission() {
+    if (Platform.OS === 'android') {
+      // Android 13+ only asks for permission once a channel exists
+      this.channelReady ??= Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+        name: 'Reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+      await this.channelReady;
+    }
+
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) return true;
+    if (!current.canAskAgain) return false;
+
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  }
+
+  async getScheduled() {
+    const requests = await Notifications.getAllScheduledNotificationsAsync();
+    return requests
+      .filter(request => typeof request.content.data?.fireAt === 'number')
+      .map(request => {
+        const { fireAt, ...data } = request.content.data;
+        return {
+          id: request.identifier,
+          fireAt,
+          title: request.content.title,
+          body: request.content.body,
+          data,
+        };
+      });
+  }
+
+  async schedule({ id, fireAt, title, body, data = {} }) {
+    await Notifications.scheduleNotificationAsync({
+      identifier: id,
+      content: { title, body, data: { ...data, fireAt }, sound: true },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: fireAt,
+        channelId: ANDROID_CHANNEL_ID,
+      },
+    });
+  }
+
+  async cancel(id) {
+    await Notifications.cancelScheduledNotificationAsync(id);
+  }
+
+  // Also reports the notification that launched the app, once
+  addOpenListener(callback) {
+    const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+      callback(response.notification.request.content.data);
+      Notifications.clearLastNotificationResponseAsync();
+    });
+
+    Notifications.getLastNotificationResponseAsync().then(response => {
+      if (response) {
+        callback(response.notification.request.content.data);
+        Notifications.clearLastNotificationResponseAsync();
+      }
+    });
+
+    return () => subscription.remove();
+  }
+}
@@ -0,0 +1,113 @@
+import { findCyclicProjectIds } from './project-tree.js';
+import { dropOperations } from './sync-queue.js';
+import { getRecordId } from './sync-service.js';
+import { TIMESTAMP_NOW } from './timestamps.js';
+
+// Startup check for rows referencing a record that does not exist. Foreign
+// keys are enforced since migration 11, but rows written before then (or
+// downloaded out of order) can still be orphaned:
+//   - tag links to a missing task or tag are removed, along with their queued
+//     uploads, which the server would reject
+//   - live tasks in a missing project move to the Inbox, and the move syncs
+//   - deleted tasks in a missing project are purged; a queued deletion still
+//     uploads from its snapshot
+//   - projects inside a missing project move to the top level
+// Projects moved under each other on two devices at once can also form a
+// loop, which is broken by moving one of them to the top level.
+// Runs in one transaction of `database` (see lib/database.js), and queues the
+// repairs that sync through `syncService`. Returns the number of rows
+// repaired per table.
+export async function checkIntegrity(database, syncService) {
+  return await database.withTransaction(async (db) => {
+    const repaired = {};
+    const brokenLoops = await breakProjectLoops(db, syncService);
+    if (brokenLoops > 0) repaired.projects = brokenLoops;
+
+    const violations = await db.getAllAsync('PRAGMA foreign_key_check');
+    if (violations.length === 0) return repaired;
+
+    console.log(`🩺 Found ${violations.length} references to missing records`);
+
+    // Links first: purging a task below cascades to its links
+    const orphans = [
+      ...violations.filter(violation => violation.table === 'task_tags'),
+      ...violations.filter(violation => violation.table === 'tasks'),
+      ...violations.filter(violation => violation.table === 'projects'),
+    ];
+    const seen = new Set();
+
+    for (const { table, rowid } of orphans) {
+      if (seen.has(`${table}:${rowid}`)) continue; // One violation per broken reference
+      seen.add(`${table}:${rowid}`);
+
+      const row = await db.getFirstAsync(`SELECT * FROM ${table} WHERE rowid = ?`, [rowid]);
+      if (!row) continue;
+
+      if (table === 'task_tags') {
+        const recordId = getRecordId('task_tags', row);
+        await db.runAsync('DELETE FROM task_tags WHERE rowid = ?', [rowid]);
+        await dropOperations(db, 'task_tags', recordId);
+        await db.runAsync("DELETE FROM sync_metadata WHERE table_name = 'task_tags' AND record_id = ?", [recordId]);
+        console.log(`🩺 Removed tag link ${recordId}, its task or tag is missing`);
+      } else if (table === 'projects') {
+        await db.runAsync(
+          `UPDATE projects SET parent_id = NULL, updated_at = ${TIMESTAMP_NOW} WHERE rowid = ?`,
+          [rowid]
+        );
+        if (!row.deleted_at) {
+          await syncService.insertSyncMetadata(db, 'projects', row.id);
+        }
+        console.log(`🩺 Moved project ${row.id} to the top level, its parent ${row.parent_id} is missing`);
+      } else if (row.deleted_at) {
+        await db.runAsync('DELETE FROM tasks WHERE rowid = ?', [rowid]);
+        console.log(`🩺 Purged deleted task ${row.id}, its project ${row.project_id} is missing`);
+      } else {
+        const inbox = await db.getFirstAsync(
+          "SELECT id FROM projects WHERE name = 'Inbox' AND deleted_at IS NULL ORDER BY rowid LIMIT 1"
+        );
+        if (!inbox) {
+          throw new Error('Inbox not found');
+        }
+        await db.runAsync(
+          `UPDATE tasks SET project_id = ?, updated_at = ${TIMESTAMP_NOW} WHERE rowid = ?`,
+          [inbox.id, rowid]
+        );
+        await syncService.insertSyncMetadata(db, 'tasks', row.id);
+        console.log(`🩺 Moved task ${row.id} to the Inbox, its project ${row.project_id} is missing`);
+      }
+      repaired[table] = (repaired[table] || 0) + 1;
+    }
+
+    const unrepaired = violations.filter(violation => !['task_tags', 'tasks', 'projects'].includes(violation.table));
+    if (unrepaired.length > 0) {
+      console.log(`⚠️ ${unrepaired.length} references to missing records could not be repaired`);
+    }
+
+    console.log('✅ Integrity check repaired:', repaired);
+    return repaired;
+  });
+}
+
+// Move one project of every loop to the top level, the oldest one, and sync
+// the move. Returns the number of projects moved.
+async function breakProjectLoops(db, syncService) {
+  const projects = await db.getAllAsync('SELECT id, parent_id FROM projects WHERE deleted_at IS NULL ORDER BY rowid');
+  let moved = 0;
+
+  let cyclic = findCyclicProjectIds(projects);
+  while (cyclic.size > 0) {
+    const project = projects.find(candidate => cyclic.has(candidate.id));
+    await db.runAsync(
+      `UPDATE projects SET parent_id = NULL, updated_at = ${TIMESTAMP_NOW} WHERE id = ?`,
+      [project.id]
+    );
+    await syncService.insertSyncMetadata(db, 'projects', project.id);
+    console.log(`🩺 Moved project ${project.id} to the top level to break a loop of subprojects`);
+
+    project.parent_id = null;
+    moved++;
+    cyclic = findCyclicProjectIds(projects);
+  }
+
+  return moved;
+}
@@ -0,0 +1,171 @@
+import { getRecordKey, TABLE_KEYS } from './sync-backend.js';
+
+// Sync backend that keeps the "server" copy of every row on the device (see
+// lib/sync-backend.js). It backs local-only mode, where there is no Supabase
+// project, and lets the whole sync path run in-process: several SyncService
+// instances sharing one LocalBackend behave like devices sharing a server,
+// realtime pushes included.
+//
+// Rows live in memory. With a storage (an AsyncStorage-style getItem/setItem
+// store such as expo-sqlite/kv-store) each table is also saved under
+// `<storageKey>:<table>`, so the copy survives restarts.
+export class LocalBackend {
+  constructor({ storage = null, storageKey = 'localSyncBackend', userId = 'local' } = {}) {
+    this.name = 'Local store';
+    this.storage = storage;
+    this.storageKey = storageKey;
+    this.userId = userId;
+    this.tables = null;
+    this.lastTimestamp = 0;
+    this.subscribers = new Set();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async checkConnection() {
+    await this.load();
+  }
+
+  async getUserId() {
+    return this.userId;
+  }
+
+  async load() {
+    if (this.tables) return;
+
+    const tables = {};
+    for (const tableName of Object.keys(TABLE_KEYS)) {
+      const saved = this.storage ? await this.storage.getItem(`${this.storageKey}:${tableName}`) : null;
+      tables[tableName] = new Map(saved ? JSON.parse(saved) : []);
+      for (const row of tables[tableName].values()) {
+        this.lastTimestamp = Math.max(this.lastTimestamp, Date.parse(row.updated_at));
+      }
+    }
+    this.tables ??= tables;
+  }
+
+  async save(tableName) {
+    if (!this.storage) return;
+    await this.storage.setItem(
+      `${this.storageKey}:${tableName}`,
+      JSON.stringify([...this.tables[tableName].entries()])
+    );
+  }
+
+  // Server clock: strictly increasing, so every write sorts after the last
+  // one and download cursors never skip a row
+  now() {
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    return new Date(this.lastTimestamp).toISOString();
+  }
+
+  rowId(tableName, key) {
+    return JSON.stringify(TABLE_KEYS[tableName].map(column => key[column]));
+  }
+
+  async getRow(tableName, key) {
+    await this.load();
+    return this.tables[tableName].get(this.rowId(tableName, key)) || null;
+  }
+
+  async writeRow(tableName, row, eventType) {
+    const stored = { ...row, updated_at: this.now() };
+    this.tables[tableName].set(this.rowId(tableName, stored), stored);
+    await this.save(tableName);
+
+    // Delivered asynchronously, like changes arriving over the network
+    for (const subscriber of this.subscribers) {
+      if (subscriber.userId === stored.user_id) {
+        Promise.resolve().then(() => subscriber.onChange(tableName, eventType, { ...stored }));
+      }
+    }
+    return { ...stored };
+  }
+
+  async selectSince(tableName, cursor, limit) {
+    await this.load();
+    const keys = TABLE_KEYS[tableName];
+    const sortKey = row => [row.updated_at, ...keys.map(key => String(row[key]))];
+    const compare = (a, b) => {
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+      }
+      return 0;
+    };
+
+    const after = cursor ? [cursor.updatedAt, ...cursor.key.map(String)] : null;
+    return [...this.tables[tableName].values()]
+      .filter(row => !after || compare(sortKey(row), after) > 0)
+      .sort((a, b) => compare(sortKey(a), sortKey(b)))
+      .slice(0, limit)
+      .map(row => ({ ...row }));
+  }
+
+  async selectRecord(tableName, key) {
+    const row = await this.getRow(tableName, key);
+    return row ? { ...row } : null;
+  }
+
+  async selectByLegacyIds(tableName, legacyIds) {
+    await this.load();
+    const wanted = new Set(legacyIds.map(Number));
+    return [...this.tables[tableName].values()]
+      .filter(row => row.legacy_id != null && wanted.has(Number(row.legacy_id)))
+      .map(row => ({ id: row.id, legacy_id: row.legacy_id }));
+  }
+
+  async insert(tableName, record) {
+    if (await this.getRow(tableName, record)) return null;
+    return await this.writeRow(tableName, {
+      ...record,
+      user_id: record.user_id ?? this.userId,
+      created_at: record.created_at ?? new Date().toISOString(),
+    }, 'INSERT');
+  }
+
+  async update(tableName, key, changes, baseUpdatedAt = null) {
+    const existing = await this.getRow(tableName, key);
+    if (!existing) return null;
+    if (baseUpdatedAt && existing.updated_at !== baseUpdatedAt) return null;
+    return await this.writeRow(tableName, { ...existing, ...changes, ...getRecordKey(tableName, existing) }, 'UPDATE');
+  }
+
+  async insertBatch(tableName, records) {
+    const rows = [];
+    for (const record of records) {
+      const row = await this.insert(tableName, record);
+      if (row) rows.push(row);
+    }
+    return rows;
+  }
+
+  async upsertBatch(tableName, records) {
+    const rows = [];
+    for (const record of records) {
+      const existing = await this.getRow(tableName, record);
+      rows.push(existing
+        ? await this.writeRow(tableName, { ...existing, ...record }, 'UPDATE')
+        : await this.insert(tableName, record));
+    }
+    return rows;
+  }
+
+  async delete(tableName, key, deletedAt) {
+    return await this.update(tableName, key, { deleted_at: deletedAt });
+  }
+
+  async deleteAll(tableName) {
+    await this.load();
+    this.tables[tableName].clear();
+    await this.save(tableName);
+  }
+
+  subscribe(userId, { onChange, onStatus }) {
+    const subscriber = { userId, onChange };
+    this.subscribers.add(subscriber);
+    Promise.resolve().then(() => onStatus?.('SUBSCRIBED'));
+    return () => this.subscribers.delete(subscriber);
+  }
+}
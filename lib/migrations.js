@@ -0,0 +1,618 @@
+// Ordered schema migrations for the local SQLite database.
+//
+// Each migration runs inside its own transaction and bumps `PRAGMA user_version`
+// to its `version` when it commits, so a crash part-way through leaves the
+// database at the last fully applied version. Never edit a migration that has
+// already shipped - append a new one with the next version number instead.
+
+// SQL expression producing a random version 4 UUID, evaluated once per row
+const UUID_SQL = `lower(
+  hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' ||
+  substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))
+)`;
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    // Installs created before versioning already have these tables, so every
+    // statement here must stay idempotent.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS tasks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          FOREIGN KEY (project_id) REFERENCES projects(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS tags (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS task_tags (
+          task_id INTEGER NOT NULL,
+          tag_id INTEGER NOT NULL,
+          PRIMARY KEY (task_id, tag_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id),
+          FOREIGN KEY (tag_id) REFERENCES tags(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_metadata (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id INTEGER NOT NULL,
+          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          supabase_id TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(table_name, record_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sync_type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          message TEXT,
+          records_synced INTEGER DEFAULT 0,
+          error_details TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          completed_at DATETIME
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'task_completion',
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN completed INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE tasks ADD COLUMN completed_at DATETIME;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: 'task_dates',
+    // Dates are local calendar days stored as 'YYYY-MM-DD' (see lib/dates.js)
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN due_date TEXT;
+        ALTER TABLE tasks ADD COLUMN start_date TEXT;
+        CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'task_search',
+    // External-content FTS5 index over tasks, keyed by the tasks rowid and kept
+    // in sync by triggers. 'rebuild' indexes the rows that already exist.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+          title,
+          description,
+          content='tasks',
+          tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_after_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_after_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_after_update AFTER UPDATE OF title, description ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'soft_delete_tombstones',
+    // Deleted rows are kept as tombstones until the deletion has synced. The
+    // sync_metadata copy of deleted_at outlives the row once it is purged, so a
+    // download can't bring the record back.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE projects ADD COLUMN deleted_at DATETIME;
+        ALTER TABLE tasks ADD COLUMN deleted_at DATETIME;
+        ALTER TABLE tags ADD COLUMN deleted_at DATETIME;
+        ALTER TABLE sync_metadata ADD COLUMN deleted_at DATETIME;
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'uuid_primary_keys',
+    // Re-keys projects, tasks and tags with UUIDs and rewrites every reference
+    // to them. legacy_id_map remembers each row's old integer id together with
+    // the Supabase id it was uploaded as, so SyncService.reconcileLegacyIds()
+    // can line local rows up with the server's re-keyed rows on the next sync.
+    // Rows are copied in their old id order so rowid keeps creation order.
+    // Rows with no sync metadata at all were downloaded from (or exported to)
+    // Supabase under their own id, so that id doubles as their remote id.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE legacy_id_map (
+          table_name TEXT NOT NULL,
+          legacy_id INTEGER NOT NULL,
+          id TEXT NOT NULL,
+          remote_legacy_id INTEGER,
+          reconciled_at DATETIME,
+          PRIMARY KEY (table_name, legacy_id)
+        );
+      `);
+
+      for (const tableName of ['projects', 'tasks', 'tags']) {
+        await db.runAsync(`
+          INSERT INTO legacy_id_map (table_name, legacy_id, id, remote_legacy_id)
+          SELECT ?, r.id, ${UUID_SQL},
+            CASE WHEN sm.id IS NULL THEN r.id ELSE CAST(sm.supabase_id AS INTEGER) END
+          FROM ${tableName} r
+          LEFT JOIN sync_metadata sm ON sm.table_name = ? AND sm.record_id = r.id
+        `, [tableName, tableName]);
+      }
+
+      await db.execAsync(`
+        CREATE TABLE projects_new (
+          id TEXT PRIMARY KEY NOT NULL,
+          name TEXT NOT NULL,
+          deleted_at DATETIME
+        );
+        INSERT INTO projects_new (id, name, deleted_at)
+        SELECT m.id, p.name, p.deleted_at
+        FROM projects p
+        INNER JOIN legacy_id_map m ON m.table_name = 'projects' AND m.legacy_id = p.id
+        ORDER BY p.id;
+
+        -- Tasks pointing at a missing project keep the dangling reference as text
+        CREATE TABLE tasks_new (
+          id TEXT PRIMARY KEY NOT NULL,
+          project_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          completed INTEGER NOT NULL DEFAULT 0,
+          completed_at DATETIME,
+          due_date TEXT,
+          start_date TEXT,
+          deleted_at DATETIME,
+          FOREIGN KEY (project_id) REFERENCES projects(id)
+        );
+        INSERT INTO tasks_new (id, project_id, title, description, completed, completed_at, due_date, start_date, deleted_at)
+        SELECT m.id, COALESCE(pm.id, CAST(t.project_id AS TEXT)), t.title, t.description,
+          t.completed, t.completed_at, t.due_date, t.start_date, t.deleted_at
+        FROM tasks t
+        INNER JOIN legacy_id_map m ON m.table_name = 'tasks' AND m.legacy_id = t.id
+        LEFT JOIN legacy_id_map pm ON pm.table_name = 'projects' AND pm.legacy_id = t.project_id
+        ORDER BY t.id;
+
+        CREATE TABLE tags_new (
+          id TEXT PRIMARY KEY NOT NULL,
+          name TEXT NOT NULL,
+          deleted_at DATETIME
+        );
+        INSERT INTO tags_new (id, name, deleted_at)
+        SELECT m.id, g.name, g.deleted_at
+        FROM tags g
+        INNER JOIN legacy_id_map m ON m.table_name = 'tags' AND m.legacy_id = g.id
+        ORDER BY g.id;
+
+        -- Links to tasks or tags that no longer exist are dropped
+        CREATE TABLE task_tags_new (
+          task_id TEXT NOT NULL,
+          tag_id TEXT NOT NULL,
+          PRIMARY KEY (task_id, tag_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id),
+          FOREIGN KEY (tag_id) REFERENCES tags(id)
+        );
+        INSERT INTO task_tags_new (task_id, tag_id)
+        SELECT tm.id, gm.id
+        FROM task_tags tt
+        INNER JOIN legacy_id_map tm ON tm.table_name = 'tasks' AND tm.legacy_id = tt.task_id
+        INNER JOIN legacy_id_map gm ON gm.table_name = 'tags' AND gm.legacy_id = tt.tag_id;
+
+        -- supabase_id is cleared for re-keyed rows; reconciliation restores it
+        CREATE TABLE sync_metadata_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+          sync_status TEXT DEFAULT 'pending',
+          supabase_id TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          deleted_at DATETIME,
+          UNIQUE(table_name, record_id)
+        );
+        INSERT INTO sync_metadata_new
+          (id, table_name, record_id, last_modified, sync_status, supabase_id, created_at, updated_at, deleted_at)
+        SELECT sm.id, sm.table_name, COALESCE(m.id, CAST(sm.record_id AS TEXT)), sm.last_modified, sm.sync_status,
+          CASE WHEN m.id IS NULL THEN sm.supabase_id END, sm.created_at, sm.updated_at, sm.deleted_at
+        FROM sync_metadata sm
+        LEFT JOIN legacy_id_map m ON m.table_name = sm.table_name AND m.legacy_id = sm.record_id;
+
+        DROP TABLE task_tags;
+        DROP TABLE tasks;
+        DROP TABLE projects;
+        DROP TABLE tags;
+        DROP TABLE sync_metadata;
+
+        ALTER TABLE projects_new RENAME TO projects;
+        ALTER TABLE tasks_new RENAME TO tasks;
+        ALTER TABLE tags_new RENAME TO tags;
+        ALTER TABLE task_tags_new RENAME TO task_tags;
+        ALTER TABLE sync_metadata_new RENAME TO sync_metadata;
+
+        CREATE INDEX idx_tasks_project_id ON tasks(project_id);
+        CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+        CREATE INDEX idx_task_tags_tag_id ON task_tags(tag_id);
+
+        -- Dropping tasks dropped its search triggers; recreate them and reindex
+        CREATE TRIGGER tasks_fts_after_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        CREATE TRIGGER tasks_fts_after_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+        END;
+
+        CREATE TRIGGER tasks_fts_after_update AFTER UPDATE OF title, description ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'updated_at_watermarks',
+    // updated_at records when a row last changed on this device (or the server
+    // time of the copy last downloaded). sync_state holds the per-table
+    // download cursor: the updated_at and key of the last row pulled.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE projects ADD COLUMN updated_at TEXT;
+        ALTER TABLE tasks ADD COLUMN updated_at TEXT;
+        ALTER TABLE tags ADD COLUMN updated_at TEXT;
+
+        UPDATE projects SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+        UPDATE tasks SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+        UPDATE tags SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+        CREATE TABLE sync_state (
+          table_name TEXT PRIMARY KEY NOT NULL,
+          last_pulled_at TEXT,
+          last_pulled_key TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'sync_conflicts',
+    // base_updated_at/base_data describe the Supabase version a record was
+    // last in agreement with, so a later sync can tell whether both sides
+    // changed it. sync_conflicts keeps every detected conflict for review.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE sync_metadata ADD COLUMN base_updated_at TEXT;
+        ALTER TABLE sync_metadata ADD COLUMN base_data TEXT;
+
+        CREATE TABLE sync_conflicts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          strategy TEXT NOT NULL,
+          resolution TEXT NOT NULL,
+          fields TEXT NOT NULL,
+          local_data TEXT NOT NULL,
+          remote_data TEXT NOT NULL,
+          base_data TEXT,
+          resolved_data TEXT NOT NULL,
+          detected_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          reviewed_at DATETIME
+        );
+
+        CREATE INDEX idx_sync_conflicts_reviewed_at ON sync_conflicts(reviewed_at);
+
+        -- Download everything once more so synced records get a base version
+        DELETE FROM sync_state;
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'task_tag_tombstones',
+    // Removing a tag from a task keeps the link as a tombstone until the
+    // removal has synced, like deleted projects, tasks and tags
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE task_tags ADD COLUMN deleted_at DATETIME;
+        ALTER TABLE task_tags ADD COLUMN updated_at TEXT;
+        UPDATE task_tags SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now');
+
+        -- Links were never tracked for sync; queue the existing ones for upload
+        -- and fetch everyone else's from the start
+        INSERT OR IGNORE INTO sync_metadata (table_name, record_id, sync_status)
+        SELECT 'task_tags', task_id || ':' || tag_id, 'pending' FROM task_tags;
+        DELETE FROM sync_state WHERE table_name = 'task_tags';
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'sync_queue',
+    // Outbound operation log replayed in order by uploads (see
+    // lib/sync-queue.js). Changes still waiting in sync_metadata are queued
+    // parents first; their payload is read from the local row at upload time.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE sync_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id TEXT NOT NULL,
+          operation TEXT NOT NULL,
+          payload TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TEXT,
+          last_error TEXT,
+          dead_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_sync_queue_record ON sync_queue(table_name, record_id);
+
+        INSERT INTO sync_queue (table_name, record_id, operation)
+        SELECT table_name, record_id, CASE
+          WHEN deleted_at IS NOT NULL THEN 'delete'
+          WHEN base_updated_at IS NULL THEN 'create'
+          ELSE 'update'
+        END
+        FROM sync_metadata
+        WHERE sync_status IN ('pending', 'error')
+        ORDER BY CASE table_name
+          WHEN 'projects' THEN 0
+          WHEN 'tags' THEN 1
+          WHEN 'tasks' THEN 2
+          ELSE 3
+        END, last_modified, id;
+
+        UPDATE sync_metadata SET sync_status = 'pending' WHERE sync_status = 'error';
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: 'foreign_key_cascades',
+    // Rebuilds tasks and task_tags so their references cascade: purging a
+    // project removes its tasks, and purging a task or tag removes its links.
+    // The checks are deferred to commit, so a transaction may write a row
+    // before the row it references. Rows are copied with their rowid, which
+    // orders tasks and keys the search index. Orphans are copied as they are;
+    // lib/integrity.js repairs them on startup.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE tasks_new (
+          id TEXT PRIMARY KEY NOT NULL,
+          project_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          completed INTEGER NOT NULL DEFAULT 0,
+          completed_at DATETIME,
+          due_date TEXT,
+          start_date TEXT,
+          deleted_at DATETIME,
+          updated_at TEXT,
+          FOREIGN KEY (project_id) REFERENCES projects(id)
+            ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+        );
+        INSERT INTO tasks_new (rowid, id, project_id, title, description, completed, completed_at, due_date, start_date, deleted_at, updated_at)
+        SELECT rowid, id, project_id, title, description, completed, completed_at, due_date, start_date, deleted_at, updated_at
+        FROM tasks;
+
+        CREATE TABLE task_tags_new (
+          task_id TEXT NOT NULL,
+          tag_id TEXT NOT NULL,
+          deleted_at DATETIME,
+          updated_at TEXT,
+          PRIMARY KEY (task_id, tag_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id)
+            ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+          FOREIGN KEY (tag_id) REFERENCES tags(id)
+            ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+        );
+        INSERT INTO task_tags_new (task_id, tag_id, deleted_at, updated_at)
+        SELECT task_id, tag_id, deleted_at, updated_at FROM task_tags;
+
+        DROP TABLE task_tags;
+        DROP TABLE tasks;
+        ALTER TABLE tasks_new RENAME TO tasks;
+        ALTER TABLE task_tags_new RENAME TO task_tags;
+
+        CREATE INDEX idx_tasks_project_id ON tasks(project_id);
+        CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+        CREATE INDEX idx_task_tags_tag_id ON task_tags(tag_id);
+
+        CREATE TRIGGER tasks_fts_after_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        CREATE TRIGGER tasks_fts_after_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+        END;
+
+        CREATE TRIGGER tasks_fts_after_update AFTER UPDATE OF title, description ON tasks BEGIN
+          INSERT INTO tasks_fts(tasks_fts, rowid, title, description) VALUES ('delete', old.rowid, old.title, old.description);
+          INSERT INTO tasks_fts(rowid, title, description) VALUES (new.rowid, new.title, new.description);
+        END;
+
+        INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'nested_projects',
+    // A project can sit inside another one. Top-level projects have no
+    // parent_id. Purging a parent cascades to its subprojects, like purging a
+    // project cascades to its tasks.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE projects ADD COLUMN parent_id TEXT REFERENCES projects(id)
+          ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED;
+
+        CREATE INDEX idx_projects_parent_id ON projects(parent_id);
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: 'manual_order',
+    // Tasks within a project and projects within a parent are ordered by a
+    // fractional key (lib/sort-keys.js). Existing rows keep a null key and
+    // sort first, in creation order, until their list is first reordered.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN sort_key TEXT;
+        ALTER TABLE projects ADD COLUMN sort_key TEXT;
+
+        CREATE INDEX idx_tasks_project_sort_key ON tasks(project_id, sort_key);
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'checklist_items',
+    // Steps inside a task, checked off one by one. They sync like tasks and
+    // are ordered by sort key. Purging a task cascades to its items.
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE checklist_items (
+          id TEXT PRIMARY KEY NOT NULL,
+          task_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          completed INTEGER NOT NULL DEFAULT 0,
+          sort_key TEXT,
+          deleted_at DATETIME,
+          updated_at TEXT,
+          FOREIGN KEY (task_id) REFERENCES tasks(id)
+            ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+        );
+
+        CREATE INDEX idx_checklist_items_task_id ON checklist_items(task_id, sort_key);
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'recurrence',
+    // A repeat rule per task (lib/recurrence.js). Null for one-off tasks.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN recurrence TEXT;
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'reminders',
+    // A due time ('HH:MM') next to the due date, and reminders per task.
+    // A reminder either fires offset_minutes before the task is due or at a
+    // fixed local time remind_at ('YYYY-MM-DDTHH:MM'). Reminders sync like
+    // checklist items; the notifications they schedule are per device.
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN due_time TEXT;
+
+        CREATE TABLE reminders (
+          id TEXT PRIMARY KEY NOT NULL,
+          task_id TEXT NOT NULL,
+          offset_minutes INTEGER,
+          remind_at TEXT,
+          deleted_at DATETIME,
+          updated_at TEXT,
+          FOREIGN KEY (task_id) REFERENCES tasks(id)
+            ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+        );
+
+        CREATE INDEX idx_reminders_task_id ON reminders(task_id);
+      `);
+    },
+  },
+  {
+    version: 17,
+    name: 'priority',
+    // P1 (1) to P4 (4) per task (lib/priorities.js); existing tasks get P4
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE tasks ADD COLUMN priority INTEGER NOT NULL DEFAULT 4;
+      `);
+    },
+  },
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Apply the migrations `database` has not seen yet, each in its own transaction
+export async function runMigrations(database) {
+  const { user_version: currentVersion } = await database.getFirstAsync('PRAGMA user_version');
+
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this app supports (${LATEST_SCHEMA_VERSION}). Please update the app.`
+    );
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+  if (pending.length === 0) {
+    console.log(`Database schema is up to date (version ${currentVersion})`);
+    return;
+  }
+
+  // Migrations that rebuild tables drop and recreate parents of foreign keys.
+  // Enforcement can only be toggled outside a transaction, so it is switched
+  // off for the whole run and restored afterwards.
+  const { foreign_keys: foreignKeys } = await database.getFirstAsync('PRAGMA foreign_keys');
+  await database.execAsync('PRAGMA foreign_keys = OFF');
+
+  let previousVersion = currentVersion;
+  try {
+    for (const migration of pending) {
+      if (migration.version <= previousVersion) {
+        throw new Error(`Migration ${migration.name} is out of order (version ${migration.version})`);
+      }
+
+      console.log(`Applying migration ${migration.version} (${migration.name})...`);
+      await database.withTransactionAsync(async () => {
+        await migration.up(database);
+        // user_version is transactional, so it only advances if the migration commits
+        await database.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+      previousVersion = migration.version;
+    }
+  } finally {
+    await database.execAsync(`PRAGMA foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+
+  console.log(`Database schema migrated from version ${currentVersion} to ${previousVersion}`);
+}
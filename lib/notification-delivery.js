@@ -0,0 +1,64 @@
+// How reminders reach the user. ReminderScheduler (lib/reminder-scheduler.js)
+// only talks to a delivery through the methods below, so the same scheduling
+// logic runs against the system's notifications (lib/expo-delivery.js) or
+// against the in-memory MemoryDelivery below, which lets it run headless in
+// tests.
+//
+// A notification is { id, fireAt, title, body, data }: fireAt in milliseconds
+// since the epoch, data a JSON-safe object handed back when the user opens
+// it. Scheduling an id that is already scheduled replaces it. Methods throw on
+// failure.
+//
+//   name                        label for logs
+//   requestPermission()         true if notifications may be shown, asking the
+//                               user if they have not been asked yet
+//   getScheduled()              the pending notifications this app scheduled
+//   schedule(notification)      schedule a notification
+//   cancel(id)                  cancel a pending notification; unknown ids are ignored
+//   addOpenListener(callback)   call callback(data) when the user opens a
+//                               notification; returns an unsubscribe function
+
+// Delivery that keeps pending notifications in memory. `deliver(now)` stands
+// in for the clock reaching their fire times: it removes and returns the due
+// ones, and open(notification) stands in for the user tapping one.
+export class MemoryDelivery {
+  constructor({ permission = true } = {}) {
+    this.name = 'Memory';
+    this.permission = permission;
+    this.pending = new Map();
+    this.openListeners = new Set();
+  }
+
+  async requestPermission() {
+    return this.permission;
+  }
+
+  async getScheduled() {
+    return [...this.pending.values()].map(notification => ({ ...notification }));
+  }
+
+  async schedule(notification) {
+    this.pending.set(notification.id, { ...notification });
+  }
+
+  async cancel(id) {
+    this.pending.delete(id);
+  }
+
+  addOpenListener(callback) {
+    this.openListeners.add(callback);
+    return () => this.openListeners.delete(callback);
+  }
+
+  deliver(now) {
+    const due = [...this.pending.values()]
+      .filter(notification => notification.fireAt <= now)
+      .sort((a, b) => a.fireAt - b.fireAt);
+    due.forEach(notification => this.pending.delete(notification.id));
+    return due;
+  }
+
+  open(notification) {
+    this.openListeners.forEach(callback => callback(notification.data));
+  }
+}
@@ -0,0 +1,23 @@
+// Task priorities, P1 (most urgent) to P4. Every task has one; P4 is the
+// default and means "no particular priority", so it gets no badge. Lower
+// numbers sort first.
+
+export const DEFAULT_PRIORITY = 4;
+
+export const PRIORITIES = [
+  { value: 1, label: 'P1', name: 'Urgent', color: '#FF3B30' },
+  { value: 2, label: 'P2', name: 'High', color: '#FF9500' },
+  { value: 3, label: 'P3', name: 'Medium', color: '#007AFF' },
+  { value: 4, label: 'P4', name: 'None', color: '#8E8E93' },
+];
+
+export function isValidPriority(value) {
+  return PRIORITIES.some(priority => priority.value === value);
+}
+
+// The PRIORITIES entry for `value`, falling back to the default for rows
+// written before priorities existed
+export function getPriority(value) {
+  return PRIORITIES.find(priority => priority.value === value)
+    ?? PRIORITIES.find(priority => priority.value === DEFAULT_PRIORITY);
+}
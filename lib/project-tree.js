@@ -0,0 +1,76 @@
+// Project hierarchy helpers.
+//
+// projects.parent_id points at the enclosing project, or is null for a
+// top-level project. These helpers work on the rows getAllProjects() returns
+// and never touch the database.
+
+// Ids of the projects whose chain of parents loops back to themselves. The
+// app never creates a loop, but two devices moving projects under each other
+// at the same time can.
+export function findCyclicProjectIds(projects) {
+  const parentOf = new Map(projects.map(project => [project.id, project.parent_id || null]));
+  const cyclic = new Set();
+
+  for (const project of projects) {
+    const seen = new Set();
+    let current = parentOf.get(project.id);
+    while (current && parentOf.has(current) && !seen.has(current)) {
+      if (current === project.id) {
+        cyclic.add(project.id);
+        break;
+      }
+      seen.add(current);
+      current = parentOf.get(current);
+    }
+  }
+
+  return cyclic;
+}
+
+// Nest the projects as { ...project, depth, children } nodes, keeping the
+// order of the list within each level. A project whose parent is not in the
+// list (deleted, or not downloaded yet) or that sits on a loop is shown at the
+// top level, so no project ever goes missing from the tree.
+export function buildProjectTree(projects) {
+  const cyclic = findCyclicProjectIds(projects);
+  const nodes = new Map(projects.map(project => [project.id, { ...project, depth: 0, children: [] }]));
+  const roots = [];
+
+  for (const project of projects) {
+    const node = nodes.get(project.id);
+    const parent = !cyclic.has(project.id) && nodes.get(project.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const setDepth = (node, depth) => {
+    node.depth = depth;
+    node.children.forEach(child => setDepth(child, depth + 1));
+  };
+  roots.forEach(root => setDepth(root, 0));
+
+  return roots;
+}
+
+// Depth-first list of the tree's nodes, skipping the children of collapsed
+// projects
+export function flattenProjectTree(roots, collapsedIds = new Set()) {
+  const rows = [];
+  const visit = (node) => {
+    rows.push(node);
+    if (!collapsedIds.has(node.id)) {
+      node.children.forEach(visit);
+    }
+  };
+  roots.forEach(visit);
+  return rows;
+}
+
+// Ids of every project below projectId, at any depth
+export function getDescendantIds(projects, projectId) {
+  const node = flattenProjectTree(buildProjectTree(projects)).find(row => row.id === projectId);
+  return node ? flattenProjectTree(node.children).map(row => row.id) : [];
+}
@@ -0,0 +1,347 @@
+// Natural-language quick add: pulls a task's details out of one typed line.
+//
+//   Call Sam tomorrow 3pm #work @phone !1       due tomorrow at 15:00, P1
+//   Water plants every monday #home             repeats weekly on Mondays
+//
+// Understood anywhere in the line:
+//   dates       today, tomorrow, friday, next fri, on mon, next week, in 3 days,
+//               oct 24, 24 oct, 2026-10-24
+//   times       3pm, 3:30 pm, at 15:00, noon
+//   projects    #name, with underscores for spaces (#home_office)
+//   tags        @name, same convention
+//   priority    !1 to !4, or !p1 to !p4
+//   repeats     daily, weekly, monthly, every day, every other week,
+//               every 2 months, every weekday, every mon and thu, every 15th
+// Whatever is left is the title. Like lib/recurrence.js nothing here reads the
+// clock: callers pass `today` as a date key.
+
+import { addDays, formatDateKey, isValidDateKey, parseDateKey, toDateKey } from './dates.js';
+import { describeRecurrence, formatRecurrence, nextOccurrence, parseRecurrence } from './recurrence.js';
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_ABBREVIATIONS = {
+  sun: 0, mon: 1, tue: 2, tues: 2, wed: 3, thu: 4, thur: 4, thurs: 4, fri: 5, sat: 6,
+};
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december',
+];
+const UNITS = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+// Trailing punctuation a word may carry in a sentence
+const TRAILING_PUNCTUATION = /[,.;:?]+$/;
+// At least one letter, so issue numbers like #123 stay in the title
+const NAME_PATTERN = /^(?=.*\p{L})[\p{L}\p{N}_-]+$/u;
+
+// Weekday number of a full weekday name, or of an abbreviation when
+// `abbreviations` is set. Abbreviations like "sat" or "wed" are ordinary
+// words too, so on their own they are left in the title.
+function weekdayOf(word, abbreviations) {
+  const full = WEEKDAY_NAMES.indexOf(word);
+  if (full !== -1) return full;
+  return abbreviations && word in WEEKDAY_ABBREVIATIONS ? WEEKDAY_ABBREVIATIONS[word] : -1;
+}
+
+// Month index of a full month name or its first three letters ("sept" too)
+function monthOf(word) {
+  return MONTH_NAMES.findIndex(name => word === name || word === name.slice(0, 3) || (name === 'september' && word === 'sept'));
+}
+
+// The first `day` of the week on or after `from`
+function nextWeekday(from, day) {
+  return addDays(from, (day - parseDateKey(from).getDay() + 7) % 7);
+}
+
+// Day `day` of month `month` on or after today, or null if there is no such day
+function upcomingMonthDay(month, day, today) {
+  const year = parseDateKey(today).getFullYear();
+  for (const candidateYear of [year, year + 1]) {
+    const date = new Date(candidateYear, month, day);
+    if (date.getMonth() !== month) return null;
+    const key = toDateKey(date);
+    if (key >= today) return key;
+  }
+  return null;
+}
+
+function ordinalDay(word) {
+  const match = /^(\d{1,2})(st|nd|rd|th)?$/.exec(word);
+  const day = match ? Number(match[1]) : 0;
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+// Each matcher looks at the words from index `i` and returns { length, value }
+// for a phrase it understands, or null
+
+function matchDate(words, i, today) {
+  const [first, second, third] = words.slice(i, i + 3).map(word => word.text);
+
+  if (first === 'on') {
+    const match = matchDate(words, i + 1, today);
+    return match && { ...match, length: match.length + 1 };
+  }
+  if (first === 'today') return { length: 1, value: today };
+  if (first === 'tomorrow' || first === 'tmrw' || first === 'tmr') return { length: 1, value: addDays(today, 1) };
+  if (isValidDateKey(first)) return { length: 1, value: first };
+
+  if (first === 'next' && second === 'week') {
+    return { length: 2, value: nextWeekday(addDays(today, 1), 1) };
+  }
+  // "next fri" is the coming Friday, never today; "this fri" can be today
+  if ((first === 'next' || first === 'this') && second) {
+    const day = weekdayOf(second, true);
+    if (day !== -1) {
+      return { length: 2, value: nextWeekday(first === 'next' ? addDays(today, 1) : today, day) };
+    }
+  }
+
+  const day = weekdayOf(first, i > 0 && words[i - 1].text === 'on');
+  if (day !== -1) return { length: 1, value: nextWeekday(today, day) };
+
+  if (first === 'in' && second && third) {
+    const count = second === 'a' || second === 'an' ? 1 : Number(second);
+    const unit = third.replace(/s$/, '');
+    if (Number.isInteger(count) && count > 0 && (unit === 'day' || unit === 'week')) {
+      return { length: 3, value: addDays(today, unit === 'week' ? count * 7 : count) };
+    }
+  }
+
+  // "oct 24" or "24 oct"
+  if (second) {
+    const [month, dayOfMonth] = monthOf(first) !== -1
+      ? [monthOf(first), ordinalDay(second)]
+      : [monthOf(second), ordinalDay(first)];
+    if (month !== -1 && dayOfMonth) {
+      const value = upcomingMonthDay(month, dayOfMonth, today);
+      if (value) return { length: 2, value };
+    }
+  }
+
+  return null;
+}
+
+function toTime(hours, minutes, meridiem) {
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function matchTime(words, i) {
+  const [first, second] = words.slice(i, i + 2).map(word => word.text);
+
+  if (first === 'at' && second) {
+    const match = matchTime(words, i + 1);
+    return match && { ...match, length: match.length + 1 };
+  }
+  if (first === 'noon') return { length: 1, value: '12:00' };
+
+  // 3 pm, 3:30 pm
+  let match = /^(\d{1,2})(?::(\d{2}))?$/.exec(first);
+  if (match && (second === 'am' || second === 'pm')) {
+    const value = toTime(Number(match[1]), Number(match[2] || 0), second);
+    return value && { length: 2, value };
+  }
+
+  // 3pm, 3:30pm, 15:00
+  match = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(first) || /^(\d{1,2}):(\d{2})$/.exec(first);
+  if (match) {
+    const value = toTime(Number(match[1]), Number(match[2] || 0), match[3]);
+    return value && { length: 1, value };
+  }
+
+  return null;
+}
+
+function matchRecurrence(words, i) {
+  const first = words[i].text;
+  if (first === 'daily' || first === 'weekly' || first === 'monthly') {
+    return { length: 1, value: { freq: first, interval: 1 } };
+  }
+  if (first !== 'every' || i + 1 >= words.length) return null;
+
+  const rest = words.slice(i + 1).map(word => word.text);
+
+  if (rest[0] === 'weekday') {
+    return { length: 2, value: { freq: 'weekly', interval: 1, byDay: [1, 2, 3, 4, 5] } };
+  }
+
+  // every day, every other week, every 3 months
+  const interval = rest[0] === 'other' ? 2 : Number(rest[0]);
+  if (Number.isInteger(interval) && interval > 1 && rest[1]) {
+    const freq = UNITS[rest[1].replace(/s$/, '')];
+    if (freq) return { length: 3, value: { freq, interval } };
+  }
+  const freq = UNITS[rest[0]];
+  if (freq) return { length: 2, value: { freq, interval: 1 } };
+
+  // every 15th
+  if (/^\d{1,2}(st|nd|rd|th)$/.test(rest[0]) && ordinalDay(rest[0])) {
+    return { length: 2, value: { freq: 'monthly', interval: 1, byMonthDay: ordinalDay(rest[0]) } };
+  }
+
+  // every monday, every mon and thu, every mon,thu
+  const byDay = [];
+  let length = 1;
+  for (const word of rest) {
+    if (word === 'and' && byDay.length > 0) {
+      length++;
+      continue;
+    }
+    const days = word.split(',').filter(Boolean).map(part => weekdayOf(part, true));
+    if (days.length === 0 || days.includes(-1)) break;
+    byDay.push(...days);
+    length++;
+  }
+  if (words[i + length - 1]?.text === 'and') length--;
+  if (byDay.length > 0) {
+    return { length, value: { freq: 'weekly', interval: 1, byDay: [...new Set(byDay)] } };
+  }
+
+  return null;
+}
+
+function matchName(prefix) {
+  return (words, i) => {
+    const { raw } = words[i];
+    const name = raw.replace(TRAILING_PUNCTUATION, '');
+    if (!name.startsWith(prefix) || !NAME_PATTERN.test(name.slice(1))) return null;
+    return { length: 1, value: name.slice(1).replace(/_/g, ' ') };
+  };
+}
+
+function matchPriority(words, i) {
+  const match = /^!p?([1-4])$/.exec(words[i].text);
+  return match && { length: 1, value: Number(match[1]) };
+}
+
+// Tried in this order at each word. Only the first date, time, project,
+// priority and repeat count; later ones stay in the title. Every tag counts.
+const MATCHERS = [
+  { type: 'recurrence', match: matchRecurrence },
+  { type: 'date', match: matchDate },
+  { type: 'time', match: matchTime },
+  { type: 'project', match: matchName('#') },
+  { type: 'tag', match: matchName('@'), repeatable: true },
+  { type: 'priority', match: matchPriority },
+];
+
+function describeToken(type, value, today) {
+  switch (type) {
+    case 'recurrence':
+      return describeRecurrence(formatRecurrence(value));
+    case 'date':
+      return formatDateKey(value, today);
+    case 'priority':
+      return `P${value}`;
+    default:
+      return value;
+  }
+}
+
+// Parse `text` typed on `today`. Returns { title, dueDate, dueTime, priority,
+// recurrence, projectName, tagNames, tokens }, with null or [] for anything
+// not mentioned. `tokens` lists the recognised phrases in order as { type,
+// text, label, start, end }, `text` being the phrase as typed and start/end
+// its position. Phrases whose lowercased text is in `ignore` are left in the
+// title, so a misread word can be taken back.
+export function parseQuickAdd(text, today = toDateKey(), { ignore = [] } = {}) {
+  const words = [...(text || '').matchAll(/\S+/g)].map(match => ({
+    raw: match[0],
+    text: match[0].toLowerCase().replace(TRAILING_PUNCTUATION, ''),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+  const result = {
+    title: '',
+    dueDate: null,
+    dueTime: null,
+    priority: null,
+    recurrence: null,
+    projectName: null,
+    tagNames: [],
+    tokens: [],
+  };
+  const found = new Set();
+  const titleWords = [];
+
+  for (let i = 0; i < words.length;) {
+    let token = null;
+    for (const { type, match, repeatable } of MATCHERS) {
+      if (found.has(type) && !repeatable) continue;
+      const matched = match(words, i, today);
+      if (!matched) continue;
+
+      const phrase = words.slice(i, i + matched.length);
+      const start = phrase[0].start;
+      const end = phrase[phrase.length - 1].end;
+      const typed = text.slice(start, end).replace(TRAILING_PUNCTUATION, '');
+      if (ignore.includes(typed.toLowerCase())) continue;
+
+      token = { type, value: matched.value, length: matched.length, text: typed, start, end };
+      break;
+    }
+
+    if (!token) {
+      titleWords.push(words[i].raw);
+      i++;
+      continue;
+    }
+
+    found.add(token.type);
+    switch (token.type) {
+      case 'recurrence':
+        result.recurrence = formatRecurrence(token.value);
+        break;
+      case 'date':
+        result.dueDate = token.value;
+        break;
+      case 'time':
+        result.dueTime = token.value;
+        break;
+      case 'project':
+        result.projectName = token.value;
+        break;
+      case 'tag':
+        if (!result.tagNames.some(name => name.toLowerCase() === token.value.toLowerCase())) {
+          result.tagNames.push(token.value);
+        }
+        break;
+      case 'priority':
+        result.priority = token.value;
+        break;
+    }
+    result.tokens.push({
+      type: token.type,
+      text: token.text,
+      label: describeToken(token.type, token.value, today),
+      start: token.start,
+      end: token.end,
+    });
+    i += token.length;
+  }
+
+  // "monthly" and "every month" repeat on the day the task starts, pinned in
+  // the rule as the repeat picker does, so the series keeps its day after
+  // being moved back to the end of a short month
+  const rule = parseRecurrence(result.recurrence);
+  if (rule?.freq === 'monthly' && !rule.byMonthDay) {
+    result.recurrence = formatRecurrence({ ...rule, byMonthDay: parseDateKey(result.dueDate ?? today).getDate() });
+    const token = result.tokens.find(({ type }) => type === 'recurrence');
+    token.label = describeRecurrence(result.recurrence);
+  }
+
+  // A time or a repeat without a date starts today, or at the first day the
+  // repeat falls on
+  if (!result.dueDate && result.recurrence) {
+    result.dueDate = nextOccurrence(parseRecurrence(result.recurrence), today, addDays(today, -1));
+  } else if (!result.dueDate && result.dueTime) {
+    result.dueDate = today;
+  }
+
+  result.title = titleWords.join(' ');
+  return result;
+}
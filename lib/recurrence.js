@@ -0,0 +1,206 @@
+// Repeat rules for recurring tasks.
+//
+// tasks.recurrence holds a rule in an RRULE-like form:
+//   FREQ=DAILY;INTERVAL=2                   every other day
+//   FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH      every Monday and Thursday
+//   FREQ=MONTHLY;INTERVAL=1;BYMONTHDAY=15   the 15th of every month
+//   FREQ=DAILY;INTERVAL=3;FROM=COMPLETION   three days after each completion
+// Completing a recurring task creates its next occurrence with the dates
+// nextDates() returns. Nothing here reads the clock: callers pass `today` as a
+// date key, so the engine runs the same in the app and in plain Node.
+
+import { addDays, differenceInDays, isValidDateKey, parseDateKey, toDateKey } from './dates.js';
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_INTERVAL = 999;
+
+function invalid(text) {
+  return new Error(`Invalid recurrence rule: ${text}`);
+}
+
+// Parse a stored rule into { freq, interval, byDay, byMonthDay, fromCompletion }.
+// byDay holds weekday numbers as Date#getDay() returns them. Returns null for
+// an empty rule and throws on one it cannot read.
+export function parseRecurrence(text) {
+  if (!text) return null;
+
+  const parts = new Map();
+  for (const part of text.split(';')) {
+    const [name = '', value] = part.split('=').map(piece => piece.trim().toUpperCase());
+    if (!name || value === undefined || parts.has(name)) throw invalid(text);
+    parts.set(name, value);
+  }
+
+  const freq = (parts.get('FREQ') || '').toLowerCase();
+  const interval = parts.has('INTERVAL') ? Number(parts.get('INTERVAL')) : 1;
+  if (!FREQUENCIES.includes(freq) || !Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw invalid(text);
+  }
+
+  const rule = { freq, interval, byDay: [], byMonthDay: null, fromCompletion: false };
+
+  if (parts.has('BYDAY')) {
+    if (freq !== 'weekly') throw invalid(text);
+    const days = parts.get('BYDAY').split(',').map(code => WEEKDAY_CODES.indexOf(code));
+    if (days.length === 0 || days.includes(-1)) throw invalid(text);
+    rule.byDay = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (parts.has('BYMONTHDAY')) {
+    const day = Number(parts.get('BYMONTHDAY'));
+    if (freq !== 'monthly' || !Number.isInteger(day) || day < 1 || day > 31) throw invalid(text);
+    rule.byMonthDay = day;
+  }
+
+  if (parts.has('FROM')) {
+    if (parts.get('FROM') !== 'COMPLETION' || freq !== 'daily') throw invalid(text);
+    rule.fromCompletion = true;
+  }
+
+  const known = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'FROM'];
+  if ([...parts.keys()].some(name => !known.includes(name))) throw invalid(text);
+
+  return rule;
+}
+
+// The stored form of a rule, or null for no rule
+export function formatRecurrence(rule) {
+  if (!rule) return null;
+
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+  if (rule.freq === 'weekly' && rule.byDay?.length > 0) {
+    parts.push(`BYDAY=${[...rule.byDay].sort((a, b) => a - b).map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (rule.freq === 'monthly' && rule.byMonthDay) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  }
+  if (rule.fromCompletion) {
+    parts.push('FROM=COMPLETION');
+  }
+
+  const text = parts.join(';');
+  parseRecurrence(text); // Reject rules that could not be read back
+  return text;
+}
+
+// "Every 2 weeks on Mon, Thu", "3 days after completion", ...
+export function describeRecurrence(ruleOrText) {
+  const rule = typeof ruleOrText === 'string' ? parseRecurrence(ruleOrText) : ruleOrText;
+  if (!rule) return 'Does not repeat';
+
+  const { freq, interval } = rule;
+  if (rule.fromCompletion) {
+    return interval === 1 ? '1 day after completion' : `${interval} days after completion`;
+  }
+
+  if (freq === 'daily') {
+    return interval === 1 ? 'Every day' : `Every ${interval} days`;
+  }
+
+  if (freq === 'weekly') {
+    const every = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    return rule.byDay.length > 0
+      ? `${every} on ${rule.byDay.map(day => WEEKDAY_LABELS[day]).join(', ')}`
+      : every;
+  }
+
+  const every = interval === 1 ? 'Every month' : `Every ${interval} months`;
+  return rule.byMonthDay ? `${every} on day ${rule.byMonthDay}` : every;
+}
+
+function weekday(key) {
+  return parseDateKey(key).getDay();
+}
+
+// Monday of the week holding `key`
+function startOfWeek(key) {
+  return addDays(key, -((weekday(key) + 6) % 7));
+}
+
+// Day `day` of the month `monthIndex` months after January of `year`, moved
+// back to the month's last day when the month is shorter
+function monthDayKey(year, monthIndex, day) {
+  const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+  return toDateKey(new Date(year, monthIndex, Math.min(day, lastDay)));
+}
+
+// The first date of the rule's series strictly after `after`. The series
+// starts at `anchor`: every interval-th day from it, the chosen weekdays of
+// every interval-th week from its week, or the chosen day of every
+// interval-th month from its month. A monthly rule without BYMONTHDAY keeps
+// the anchor's day, even in months it has to be moved back in: a series from
+// January 31 goes on to February 28 and then March 31.
+export function nextOccurrence(rule, anchor, after) {
+  if (!isValidDateKey(anchor) || !isValidDateKey(after)) {
+    throw new Error('nextOccurrence needs date keys');
+  }
+  const { interval } = rule;
+
+  if (rule.freq === 'daily') {
+    if (after < anchor) return anchor;
+    const periods = Math.floor(differenceInDays(after, anchor) / interval) + 1;
+    return addDays(anchor, periods * interval);
+  }
+
+  if (rule.freq === 'weekly') {
+    const days = rule.byDay.length > 0 ? rule.byDay : [weekday(anchor)];
+    const anchorWeek = startOfWeek(anchor);
+    // Within interval + 1 weeks there is always a matching day
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const candidate = addDays(after, offset);
+      const weeks = Math.round(differenceInDays(startOfWeek(candidate), anchorWeek) / 7);
+      if (candidate >= anchor && weeks % interval === 0 && days.includes(weekday(candidate))) {
+        return candidate;
+      }
+    }
+    throw new Error('No weekly occurrence found');
+  }
+
+  const anchorDate = parseDateKey(anchor);
+  const afterDate = parseDateKey(after);
+  const day = rule.byMonthDay || anchorDate.getDate();
+  const monthsApart = (afterDate.getFullYear() - anchorDate.getFullYear()) * 12
+    + afterDate.getMonth() - anchorDate.getMonth();
+  let periods = Math.max(0, Math.floor(monthsApart / interval));
+  for (;; periods++) {
+    const candidate = monthDayKey(anchorDate.getFullYear(), anchorDate.getMonth() + periods * interval, day);
+    if (candidate > after) return candidate;
+  }
+}
+
+// Dates and rule for the occurrence after `task`, completed on `today`:
+// { due_date, start_date, recurrence }, or null if the task does not repeat.
+// The series is anchored at the due date (or the start date, or today if it
+// has neither). The next date falls after the later of the anchor and today,
+// so completing an overdue task does not create occurrences that are already
+// overdue. A start date keeps its distance to the due date.
+//
+// Each occurrence anchors the next one, so a monthly rule without BYMONTHDAY
+// gets the anchor's day pinned. Otherwise a series on the 31st would move
+// to the 28th for good after February.
+export function nextDates(task, today) {
+  const rule = parseRecurrence(task.recurrence);
+  if (!rule) return null;
+
+  const anchor = task.due_date || task.start_date || today;
+  const next = rule.fromCompletion
+    ? addDays(today, rule.interval)
+    : nextOccurrence(rule, anchor, anchor > today ? anchor : today);
+  const recurrence = rule.freq === 'monthly' && !rule.byMonthDay
+    ? formatRecurrence({ ...rule, byMonthDay: parseDateKey(anchor).getDate() })
+    : task.recurrence;
+
+  if (task.due_date) {
+    return {
+      due_date: next,
+      start_date: task.start_date ? addDays(next, differenceInDays(task.start_date, task.due_date)) : null,
+      recurrence,
+    };
+  }
+  if (task.start_date) {
+    return { due_date: null, start_date: next, recurrence };
+  }
+  return { due_date: next, start_date: null, recurrence };
+}
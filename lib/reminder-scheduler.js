@@ -0,0 +1,170 @@
+import { formatDateKey, toDateKey } from './dates.js';
+import { getFireTime } from './reminders.js';
+import { SYNC_CONFIG } from './sync-config.js';
+
+// Turns the reminders in the database into scheduled notifications on this
+// device. reconcile() works out every notification that should be pending,
+// compares them with what the delivery has scheduled and cancels, replaces or
+// adds the difference, so it can run after any change without keeping state
+// of its own. The app runs it after each local write (hooks/use-reminders.ts)
+// and start() hooks it to syncs and realtime pushes; a reminder of a deleted
+// or completed task simply stops being wanted.
+//
+// The delivery (see lib/notification-delivery.js) and the database (getDb()
+// and withRetry(), as lib/database.js provides them) are passed in, so this
+// module loads without native modules. The app's instance, delivering through
+// expo-notifications, is in lib/app-reminder-scheduler.js.
+
+// iOS keeps only the 64 soonest local notifications, so the soonest
+// MAX_SCHEDULED are scheduled and later ones follow as those fire
+const MAX_SCHEDULED = 60;
+
+// Tables whose changes can move or remove a notification
+const REMINDER_TABLES = ['tasks', 'reminders'];
+
+// Live reminders of active tasks, with the task fields a notification needs
+async function loadPendingReminders(database) {
+  return await database.withRetry(async () => {
+    const db = database.getDb();
+    return await db.getAllAsync(`
+      SELECT r.id, r.task_id, r.offset_minutes, r.remind_at, t.title, t.due_date, t.due_time
+      FROM reminders r
+      INNER JOIN tasks t ON t.id = r.task_id
+      WHERE r.deleted_at IS NULL AND t.deleted_at IS NULL AND t.completed = 0
+    `);
+  });
+}
+
+function getNotificationBody(reminder, fireAt) {
+  if (!reminder.due_date) return 'Reminder';
+  // Worded for the day the notification shows up
+  const due = formatDateKey(reminder.due_date, toDateKey(new Date(fireAt)));
+  return reminder.due_time ? `Due ${due} at ${reminder.due_time}` : `Due ${due}`;
+}
+
+// The notifications `reminders` (rows as loadPendingReminders returns them)
+// call for after `now`, soonest first, at most MAX_SCHEDULED
+export function planNotifications(reminders, now) {
+  return reminders
+    .map(reminder => ({ reminder, fireAt: getFireTime(reminder, reminder) }))
+    .filter(({ fireAt }) => fireAt !== null && fireAt > now)
+    .sort((a, b) => a.fireAt - b.fireAt || a.reminder.id.localeCompare(b.reminder.id))
+    .slice(0, MAX_SCHEDULED)
+    .map(({ reminder, fireAt }) => ({
+      id: reminder.id,
+      fireAt,
+      title: reminder.title,
+      body: getNotificationBody(reminder, fireAt),
+      data: { taskId: reminder.task_id, reminderId: reminder.id },
+    }));
+}
+
+function isSameNotification(a, b) {
+  return a.fireAt === b.fireAt && a.title === b.title && a.body === b.body && a.data?.taskId === b.data?.taskId;
+}
+
+export class ReminderScheduler {
+  constructor(delivery, database) {
+    this.delivery = delivery;
+    this.database = database;
+    this.reconciling = null;
+    this.reconcileAgain = false;
+  }
+
+  // Switch to another delivery, e.g. a MemoryDelivery in tests
+  setDelivery(delivery) {
+    console.log(`🔔 Reminder delivery set to ${delivery.name}`);
+    this.delivery = delivery;
+  }
+
+  // Bring the scheduled notifications in line with the database. Calls made
+  // while a reconcile runs are folded into one more pass after it. `now`
+  // (milliseconds) defaults to the current time.
+  async reconcile(now) {
+    if (this.reconciling) {
+      this.reconcileAgain = true;
+      return await this.reconciling;
+    }
+
+    this.reconciling = (async () => {
+      let result;
+      do {
+        this.reconcileAgain = false;
+        result = await this.reconcileOnce(now ?? Date.now());
+      } while (this.reconcileAgain);
+      return result;
+    })();
+
+    try {
+      return await this.reconciling;
+    } finally {
+      this.reconciling = null;
+    }
+  }
+
+  async reconcileOnce(now) {
+    const wanted = planNotifications(await loadPendingReminders(this.database), now);
+    const scheduled = await this.delivery.getScheduled();
+    const missing = new Map(wanted.map(notification => [notification.id, notification]));
+
+    let cancelled = 0;
+    for (const notification of scheduled) {
+      const want = missing.get(notification.id);
+      if (want && isSameNotification(notification, want)) {
+        missing.delete(notification.id);
+      } else {
+        await this.delivery.cancel(notification.id);
+        cancelled++;
+      }
+    }
+
+    let added = 0;
+    if (missing.size > 0) {
+      if (!(await this.delivery.requestPermission())) {
+        console.log(`🔕 ${missing.size} reminders not scheduled: notifications are not allowed`);
+        return { pending: wanted.length, added, cancelled, permitted: false };
+      }
+      for (const notification of missing.values()) {
+        await this.delivery.schedule(notification);
+        added++;
+      }
+    }
+
+    if (added > 0 || cancelled > 0) {
+      console.log(`🔔 Reminders reconciled: ${added} scheduled, ${cancelled} cancelled, ${wanted.length} pending`);
+    }
+    return { pending: wanted.length, added, cancelled, permitted: true };
+  }
+
+  // Reconcile in the background, logging failures
+  requestReconcile() {
+    this.reconcile().catch(error => {
+      console.error('❌ Failed to reconcile reminders:', error);
+    });
+  }
+
+  // Reconcile after syncs that downloaded changes and after realtime pushes
+  // that touch tasks or reminders. Returns a function that stops listening.
+  start(syncService) {
+    const removeSyncListener = syncService.addSyncListener(({ status, downloadedCount }) => {
+      if (status === SYNC_CONFIG.SYNC_STATUS.SUCCESS && downloadedCount) {
+        this.requestReconcile();
+      }
+    });
+    const removeChangeListener = syncService.addChangeListener((changes) => {
+      if (changes.some(change => REMINDER_TABLES.includes(change.tableName))) {
+        this.requestReconcile();
+      }
+    });
+
+    this.requestReconcile();
+    return () => {
+      removeSyncListener();
+      removeChangeListener();
+    };
+  }
+
+  addOpenListener(callback) {
+    return this.delivery.addOpenListener(callback);
+  }
+}
@@ -0,0 +1,58 @@
+// When reminders fire and how they are labelled.
+//
+// A reminder row either fires offset_minutes before its task is due, or at a
+// fixed local time remind_at ('YYYY-MM-DDTHH:MM'). A task due on a date
+// without a time is due at DEFAULT_DUE_TIME. Nothing here reads the clock, so
+// callers (lib/reminder-scheduler.js, the reminder settings) pass `now`.
+
+import { formatDateKey, isValidDateKey, isValidTime, parseDateTime, toDateKey } from './dates.js';
+
+export const DEFAULT_DUE_TIME = '09:00';
+
+// Offsets offered when adding a reminder, in minutes before the due time
+export const REMINDER_OFFSETS = [0, 15, 60, 24 * 60];
+
+// The local date and time of a remind_at value, or null if it is malformed
+export function parseRemindAt(remindAt) {
+  const [key, time] = (remindAt || '').split('T');
+  return isValidDateKey(key) && isValidTime(time) ? { key, time } : null;
+}
+
+// Milliseconds since the epoch at which `task` is due, or null without a due
+// date
+export function getDueTime(task) {
+  if (!task.due_date) return null;
+  return parseDateTime(task.due_date, task.due_time || DEFAULT_DUE_TIME).getTime();
+}
+
+// Milliseconds since the epoch at which a reminder of `task` fires, or null
+// if it cannot fire: a relative reminder on a task without a due date, or a
+// malformed fixed time
+export function getFireTime(reminder, task) {
+  if (reminder.remind_at) {
+    const at = parseRemindAt(reminder.remind_at);
+    return at ? parseDateTime(at.key, at.time).getTime() : null;
+  }
+
+  const due = getDueTime(task);
+  return due === null ? null : due - (reminder.offset_minutes || 0) * 60 * 1000;
+}
+
+// "At due time", "15 minutes before", "1 day before"
+export function describeOffset(minutes) {
+  if (!minutes) return 'At due time';
+  const units = [[24 * 60, 'day'], [60, 'hour'], [1, 'minute']];
+  const [size, unit] = units.find(([size]) => minutes % size === 0);
+  const count = minutes / size;
+  return `${count} ${unit}${count === 1 ? '' : 's'} before`;
+}
+
+// A reminder's label for the task detail screen: "1 hour before" or
+// "Tomorrow at 08:30"
+export function describeReminder(reminder, today = toDateKey()) {
+  if (reminder.remind_at) {
+    const at = parseRemindAt(reminder.remind_at);
+    return at ? `${formatDateKey(at.key, today)} at ${at.time}` : reminder.remind_at;
+  }
+  return describeOffset(reminder.offset_minutes);
+}
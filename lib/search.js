@@ -0,0 +1,47 @@
+// Helpers for full-text search over the tasks_fts index.
+
+// Markers wrapped around matched terms by FTS5 highlight()/snippet(). Control
+// characters are used so they can never collide with text the user typed.
+export const HIGHLIGHT_START = '\u0001';
+export const HIGHLIGHT_END = '\u0002';
+
+// Turns free-form user input into an FTS5 MATCH expression. Every word becomes a
+// quoted prefix query, so "desi wire" matches "Design wireframes" and FTS5
+// operators or punctuation typed by the user cannot break the query syntax.
+export function buildMatchQuery(input) {
+  const terms = (input || '')
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Splits highlighted text into segments: [{ text, highlighted }]
+export function splitHighlights(text) {
+  if (!text) return [];
+
+  const segments = [];
+  let highlighted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_END) {
+      if (current) {
+        segments.push({ text: current, highlighted });
+      }
+      current = '';
+      highlighted = char === HIGHLIGHT_START;
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    segments.push({ text: current, highlighted });
+  }
+
+  return segments;
+}
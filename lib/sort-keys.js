@@ -0,0 +1,222 @@
+// Fractional sort keys for manual ordering.
+//
+// tasks.sort_key and projects.sort_key are strings that order rows when
+// compared as plain strings, in SQL as well as in JavaScript. A key can always
+// be generated between two others, so moving a row only rewrites that row's
+// key, and reorders on different devices merge like any other edit.
+//
+// Keys follow the scheme of the fractional-indexing package: an integer part
+// whose first character encodes its length ('a0'..'az', then 'b00'.. going
+// up, 'Zz'.. going down), followed by an optional fraction in base 62 that
+// never ends in '0'. Appending at the end mostly increments the integer part,
+// so keys stay short.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const INTEGER_ZERO = 'a0';
+const SMALLEST_INTEGER = 'A' + '0'.repeat(26);
+
+function getIntegerLength(head) {
+  if (head >= 'a' && head <= 'z') {
+    return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  }
+  if (head >= 'A' && head <= 'Z') {
+    return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  }
+  throw new Error(`Invalid sort key head: ${head}`);
+}
+
+function getIntegerPart(key) {
+  const length = getIntegerLength(key[0]);
+  if (length > key.length) {
+    throw new Error(`Invalid sort key: ${key}`);
+  }
+  return key.slice(0, length);
+}
+
+function validateKey(key) {
+  if (key === SMALLEST_INTEGER) {
+    throw new Error(`Invalid sort key: ${key}`);
+  }
+  const fraction = key.slice(getIntegerPart(key).length);
+  if (fraction.endsWith('0')) {
+    throw new Error(`Invalid sort key: ${key}`);
+  }
+}
+
+// A fraction strictly between fractions a and b (b null meaning 1)
+function midpoint(a, b) {
+  if (b !== null && a >= b) {
+    throw new Error(`Sort keys out of order: ${a} >= ${b}`);
+  }
+
+  if (b) {
+    // Carry over the common prefix, padding a with zeros
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Consecutive digits
+  if (b && b.length > 1) {
+    return b.slice(0, 1);
+  }
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function incrementInteger(integer) {
+  const [head, ...digits] = integer.split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) + 1;
+    if (digit === DIGITS.length) {
+      digits[i] = '0';
+    } else {
+      digits[i] = DIGITS[digit];
+      carry = false;
+    }
+  }
+
+  if (!carry) return head + digits.join('');
+  if (head === 'Z') return 'a0';
+  if (head === 'z') return null;
+
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') {
+    digits.push('0');
+  } else {
+    digits.pop();
+  }
+  return nextHead + digits.join('');
+}
+
+function decrementInteger(integer) {
+  const [head, ...digits] = integer.split('');
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const digit = DIGITS.indexOf(digits[i]) - 1;
+    if (digit === -1) {
+      digits[i] = DIGITS[DIGITS.length - 1];
+    } else {
+      digits[i] = DIGITS[digit];
+      borrow = false;
+    }
+  }
+
+  if (!borrow) return head + digits.join('');
+  if (head === 'a') return 'Z' + DIGITS[DIGITS.length - 1];
+  if (head === 'A') return null;
+
+  const previousHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (previousHead < 'Z') {
+    digits.push(DIGITS[DIGITS.length - 1]);
+  } else {
+    digits.pop();
+  }
+  return previousHead + digits.join('');
+}
+
+// A key sorting after a and before b. Either may be null for "the start" or
+// "the end" of the list.
+export function keyBetween(a, b) {
+  if (a !== null) validateKey(a);
+  if (b !== null) validateKey(b);
+  if (a !== null && b !== null && a >= b) {
+    throw new Error(`Sort keys out of order: ${a} >= ${b}`);
+  }
+
+  if (a === null) {
+    if (b === null) return INTEGER_ZERO;
+
+    const integerB = getIntegerPart(b);
+    const fractionB = b.slice(integerB.length);
+    if (integerB === SMALLEST_INTEGER) {
+      return integerB + midpoint('', fractionB);
+    }
+    if (integerB < b) return integerB;
+    const decremented = decrementInteger(integerB);
+    if (decremented === null) {
+      throw new Error('Cannot generate a sort key before ' + b);
+    }
+    return decremented;
+  }
+
+  const integerA = getIntegerPart(a);
+  const fractionA = a.slice(integerA.length);
+
+  if (b === null) {
+    const incremented = incrementInteger(integerA);
+    return incremented === null ? integerA + midpoint(fractionA, null) : incremented;
+  }
+
+  const integerB = getIntegerPart(b);
+  const fractionB = b.slice(integerB.length);
+  if (integerA === integerB) {
+    return integerA + midpoint(fractionA, fractionB);
+  }
+  const incremented = incrementInteger(integerA);
+  if (incremented === null) {
+    throw new Error('Cannot generate a sort key after ' + a);
+  }
+  return incremented < b ? incremented : integerA + midpoint(fractionA, null);
+}
+
+// `count` ascending keys for a list with nothing around it
+export function sequentialKeys(count) {
+  const keys = [];
+  let previous = null;
+  for (let i = 0; i < count; i++) {
+    previous = keyBetween(previous, null);
+    keys.push(previous);
+  }
+  return keys;
+}
+
+// New sort keys for moving one row next to another. `siblings` are the rows
+// of the list, { id, sort_key }, in their current order. Usually only the
+// moved row gets a key, between its new neighbours. Rows created before manual
+// ordering have no key, and reorders on two devices at once can leave two rows
+// with the same key; if the new neighbours are either, the whole list is keyed
+// afresh in its new order. Returns the { id, sort_key } rows whose key changes.
+export function planMove(siblings, movingId, targetId, placement = 'before') {
+  const others = siblings.filter(row => row.id !== movingId);
+  const targetIndex = others.findIndex(row => row.id === targetId);
+  if (targetIndex === -1 || !siblings.some(row => row.id === movingId)) {
+    throw new Error('Cannot move next to a row outside the list');
+  }
+
+  const index = placement === 'after' ? targetIndex + 1 : targetIndex;
+  const previous = others[index - 1];
+  const next = others[index];
+  const neighboursKeyed = (!previous || previous.sort_key) && (!next || next.sort_key);
+  if (neighboursKeyed && (!previous || !next || previous.sort_key < next.sort_key)) {
+    return [{ id: movingId, sort_key: keyBetween(previous?.sort_key ?? null, next?.sort_key ?? null) }];
+  }
+
+  const ordered = [...others.slice(0, index), { id: movingId }, ...others.slice(index)];
+  const keys = sequentialKeys(ordered.length);
+  const current = new Map(siblings.map(row => [row.id, row.sort_key]));
+  return ordered
+    .map((row, i) => ({ id: row.id, sort_key: keys[i] }))
+    .filter(row => current.get(row.id) !== row.sort_key);
+}
+
+// The same move applied to an already ordered list of { id } items, for
+// showing a reorder before it is written. Returns the list unchanged if
+// either item is missing from it.
+export function moveInList(items, movingId, targetId, placement = 'before') {
+  const moving = items.find(item => item.id === movingId);
+  const others = items.filter(item => item.id !== movingId);
+  const targetIndex = others.findIndex(item => item.id === targetId);
+  if (!moving || targetIndex === -1) return items;
+
+  const index = placement === 'after' ? targetIndex + 1 : targetIndex;
+  return [...others.slice(0, index), moving, ...others.slice(index)];
+}
@@ -0,0 +1,133 @@
+import { TABLE_KEYS } from './sync-backend.js';
+
+// Narrow a query to a single record by its key columns
+function matchKey(query, key) {
+  return Object.entries(key).reduce((narrowed, [column, value]) => narrowed.eq(column, value), query);
+}
+
+// Sync backend for a Supabase project (see lib/sync-backend.js). Row level
+// security scopes every query to the signed-in user, and the database stamps
+// user_id and updated_at.
+export class SupabaseBackend {
+  constructor(client, { isConfigured = () => true } = {}) {
+    this.client = client;
+    this.name = 'Supabase';
+    this.isConfigured = isConfigured;
+  }
+
+  async checkConnection() {
+    const { error } = await this.client.from('projects').select('count').limit(1);
+    if (error) throw error;
+  }
+
+  async getUserId() {
+    const { data: { session } } = await this.client.auth.getSession();
+    return session?.user.id ?? null;
+  }
+
+  async selectSince(tableName, cursor, limit) {
+    const keys = TABLE_KEYS[tableName];
+    let query = this.client.from(tableName).select('*').order('updated_at', { ascending: true });
+    for (const key of keys) {
+      query = query.order(key, { ascending: true });
+    }
+
+    if (cursor) {
+      // (updated_at, key...) > (cursor.updatedAt, cursor.key...), spelled out
+      // as a PostgREST or() filter since row comparisons are not supported
+      const columns = ['updated_at', ...keys];
+      const values = [cursor.updatedAt, ...cursor.key];
+      const branches = columns.map((column, i) => {
+        const conditions = columns.slice(0, i).map((previous, j) => `${previous}.eq."${values[j]}"`);
+        conditions.push(`${column}.gt."${values[i]}"`);
+        return conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`;
+      });
+      query = query.or(branches.join(','));
+    }
+
+    const { data, error } = await query.limit(limit);
+    if (error) throw error;
+    return data || [];
+  }
+
+  async selectRecord(tableName, key) {
+    const { data, error } = await matchKey(this.client.from(tableName).select('*'), key).maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async selectByLegacyIds(tableName, legacyIds) {
+    const { data, error } = await this.client
+      .from(tableName)
+      .select('id, legacy_id')
+      .in('legacy_id', legacyIds);
+    if (error) throw error;
+    return data;
+  }
+
+  async insert(tableName, record) {
+    const { data, error } = await this.client
+      .from(tableName)
+      .insert(record)
+      .select()
+      .single();
+
+    if (error?.code === '23505') return null; // Already exists remotely
+    if (error) throw error;
+    return data;
+  }
+
+  async update(tableName, key, changes, baseUpdatedAt = null) {
+    let query = matchKey(this.client.from(tableName).update(changes), key);
+    if (baseUpdatedAt) {
+      query = query.eq('updated_at', baseUpdatedAt);
+    }
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data.length > 0 ? data[0] : null;
+  }
+
+  async insertBatch(tableName, records) {
+    const { data, error } = await this.client
+      .from(tableName)
+      .upsert(records, { onConflict: TABLE_KEYS[tableName].join(','), ignoreDuplicates: true })
+      .select();
+    if (error) throw error;
+    return data;
+  }
+
+  async upsertBatch(tableName, records) {
+    const { data, error } = await this.client
+      .from(tableName)
+      .upsert(records, { onConflict: TABLE_KEYS[tableName].join(',') })
+      .select();
+    if (error) throw error;
+    return data;
+  }
+
+  async delete(tableName, key, deletedAt) {
+    // Deletions are tombstones, so other devices learn about them on download
+    return await this.update(tableName, key, { deleted_at: deletedAt });
+  }
+
+  async deleteAll(tableName) {
+    // PostgREST refuses an unfiltered delete; every row has a non-null key
+    const { error } = await this.client.from(tableName).delete().not(TABLE_KEYS[tableName][0], 'is', null);
+    if (error) throw error;
+  }
+
+  subscribe(userId, { onChange, onStatus }) {
+    const channel = this.client.channel(`sync:${userId}`);
+    for (const tableName of Object.keys(TABLE_KEYS)) {
+      channel.on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: tableName, filter: `user_id=eq.${userId}` },
+        payload => onChange(tableName, payload.eventType, payload.eventType === 'DELETE' ? payload.old : payload.new)
+      );
+    }
+
+    channel.subscribe((status, error) => onStatus?.(status, error));
+    return () => this.client.removeChannel(channel);
+  }
+}
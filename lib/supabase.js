@@ -1,9 +1,12 @@
 import { createClient } from '@supabase/supabase-js';
 import Constants from 'expo-constants';
+import Storage from 'expo-sqlite/kv-store';
 
 // Supabase configuration
 const supabaseUrl = Constants.expoConfig?.extra?.supabaseUrl || process.env.EXPO_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = Constants.expoConfig?.extra?.supabaseAnonKey || process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY;
+// 'local' syncs against a store on the device instead (see lib/local-backend.js)
+const syncBackend = Constants.expoConfig?.extra?.syncBackend || process.env.EXPO_PUBLIC_SYNC_BACKEND;
 
 console.log('🔧 Supabase Configuration Check:');
 console.log('📡 Supabase URL:', supabaseUrl ? `${supabaseUrl.substring(0, 30)}...` : 'NOT SET');
@@ -25,10 +28,16 @@ if (!supabaseUrl || !supabaseAnonKey) {
   console.log('✅ Supabase configuration found');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+// Without a project the client is never used for sync (see isLocalOnlyMode),
+// but it is still created so auth calls fail with an error instead of a crash
+export const supabase = createClient(supabaseUrl || 'http://localhost', supabaseAnonKey || 'not-configured', {
   auth: {
+    // Keep the session across app restarts in a SQLite-backed key-value store
+    storage: Storage,
     persistSession: true,
     autoRefreshToken: true,
+    // Magic links are handled by the sign-in screen (see lib/auth.js)
+    detectSessionInUrl: false,
   },
   realtime: {
     enabled: true,
@@ -69,29 +78,13 @@ supabase.from = function(table) {
   return query;
 };
 
-// Sync configuration
-export const SYNC_CONFIG = {
-  // Sync intervals (in milliseconds)
-  AUTO_SYNC_INTERVAL: 5 * 60 * 1000, // 5 minutes
-  RETRY_DELAY: 30 * 1000, // 30 seconds
-  MAX_RETRIES: 3,
-  
-  // Batch sizes for sync operations
-  BATCH_SIZE: 50,
-  
-  // Tables to sync
-  TABLES: ['projects', 'tasks', 'tags', 'task_tags'],
-  
-  // Sync status
-  SYNC_STATUS: {
-    IDLE: 'idle',
-    SYNCING: 'syncing',
-    ERROR: 'error',
-    SUCCESS: 'success'
-  }
-};
-
 // Helper function to check if Supabase is configured
 export function isSupabaseConfigured() {
   return !!(supabaseUrl && supabaseAnonKey);
 }
+
+// Sync against a store on the device instead of Supabase: when asked to
+// (syncBackend: 'local'), or when there is no Supabase project to sync with
+export function isLocalOnlyMode() {
+  return syncBackend === 'local' || !isSupabaseConfigured();
+}
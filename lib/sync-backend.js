@@ -0,0 +1,49 @@
+// The server side of sync. SyncService only talks to it through the methods
+// below, so the same upload, download, conflict and delete logic runs against
+// Supabase (lib/supabase-backend.js) or against a store on the device
+// (lib/local-backend.js), which backs local-only mode and lets sync run
+// in-process without a Supabase project.
+//
+// Rows are plain objects. The backend stamps updated_at on every write with
+// its own clock (and created_at on insert if missing), since download cursors
+// rely on server time. Methods throw on failure, with error.code set where
+// the backend has one.
+//
+//   name                                     label for logs and the UI
+//   isConfigured()                           false if the backend cannot be used at all
+//   checkConnection()                        resolves if the backend is reachable
+//   getUserId()                              the signed-in user's id, or null
+//   selectSince(table, cursor, limit)        up to `limit` rows ordered by (updated_at, key...)
+//                                            after cursor { updatedAt, key }, or from the start
+//   selectRecord(table, key)                 the row with these key values, or null
+//   selectByLegacyIds(table, legacyIds)      [{ id, legacy_id }] for rows migrated from integer ids
+//   insert(table, record)                    the stored row, or null if the key is already taken
+//   update(table, key, changes, baseUpdatedAt)
+//                                            the updated row, or null if there is no row or, when
+//                                            baseUpdatedAt is given, its updated_at has moved on
+//   insertBatch(table, records)              insert the records whose key is not taken yet, in
+//                                            one request; returns the inserted rows only
+//   upsertBatch(table, records)              insert or overwrite the records in one request;
+//                                            returns the stored rows
+//   delete(table, key, deletedAt)            tombstone the row and return it, or null if missing
+//   deleteAll(table)                         remove every row of the table outright, without
+//                                            tombstones (for starting over from a full export)
+//   subscribe(userId, { onChange, onStatus }) push the user's changes as
+//                                            onChange(table, eventType, row) and connection
+//                                            states as onStatus(status, error); returns an
+//                                            unsubscribe function
+
+// Columns identifying a row in each synced table
+export const TABLE_KEYS = {
+  projects: ['id'],
+  tasks: ['id'],
+  tags: ['id'],
+  task_tags: ['task_id', 'tag_id'],
+  checklist_items: ['id'],
+  reminders: ['id'],
+};
+
+// The key columns and values of a row, as passed to selectRecord/update/delete
+export function getRecordKey(tableName, record) {
+  return Object.fromEntries(TABLE_KEYS[tableName].map(key => [key, record[key]]));
+}
@@ -0,0 +1,29 @@
+// Sync configuration. Kept apart from lib/supabase.js, which creates the
+// Supabase client, so the sync engine can load without it.
+export const SYNC_CONFIG = {
+  // Sync intervals (in milliseconds)
+  AUTO_SYNC_INTERVAL: 5 * 60 * 1000, // 5 minutes
+  // Failed uploads are retried after RETRY_DELAY, doubling per attempt up to
+  // MAX_RETRY_DELAY, and set aside for the user after MAX_RETRIES attempts
+  RETRY_DELAY: 30 * 1000, // 30 seconds
+  MAX_RETRY_DELAY: 30 * 60 * 1000, // 30 minutes
+  MAX_RETRIES: 8,
+  
+  // Batch sizes for sync operations
+  BATCH_SIZE: 50,
+  
+  // Tables to sync
+  TABLES: ['projects', 'tasks', 'tags', 'task_tags', 'checklist_items', 'reminders'],
+
+  // How records edited on both sides between syncs are resolved; one of
+  // CONFLICT_STRATEGIES in lib/conflict-resolution.js
+  CONFLICT_STRATEGY: 'field_merge',
+  
+  // Sync status
+  SYNC_STATUS: {
+    IDLE: 'idle',
+    SYNCING: 'syncing',
+    ERROR: 'error',
+    SUCCESS: 'success'
+  }
+};
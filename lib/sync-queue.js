@@ -0,0 +1,117 @@
+import { SYNC_CONFIG } from './sync-config.js';
+
+// Outbound operation log. Every local change to a synced record appends an
+// operation, and uploads replay them in the order they were made, so a
+// project reaches Supabase before the tasks created in it. A failed operation
+// is retried with exponential backoff and dead-lettered after
+// SYNC_CONFIG.MAX_RETRIES attempts, until the user retries or discards it.
+//
+// These helpers take the database handle from the caller, so they can run
+// inside the caller's transaction.
+
+export const OPERATIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Delay before the next attempt after `attempts` failures: RETRY_DELAY doubled
+// per failure and capped at MAX_RETRY_DELAY, then jittered to between half and
+// all of that, so devices that failed together do not retry together
+export function getRetryDelay(attempts) {
+  const delay = Math.min(SYNC_CONFIG.RETRY_DELAY * 2 ** (attempts - 1), SYNC_CONFIG.MAX_RETRY_DELAY);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Append an operation. payload is the record as it was changed; operations
+// without one (queued by migrations) upload the current local row instead.
+export async function enqueueOperation(db, tableName, recordId, operation, payload = null) {
+  const serialized = payload ? JSON.stringify(payload) : null;
+
+  // Repeated edits of a record collapse into its last operation, as long as
+  // nothing was queued after it and no upload has been attempted
+  const tail = await db.getFirstAsync('SELECT * FROM sync_queue ORDER BY id DESC LIMIT 1');
+  if (
+    operation === OPERATIONS.UPDATE &&
+    tail?.table_name === tableName &&
+    tail.record_id === recordId &&
+    tail.operation !== OPERATIONS.DELETE &&
+    tail.attempts === 0
+  ) {
+    await db.runAsync('UPDATE sync_queue SET payload = ? WHERE id = ?', [serialized, tail.id]);
+    return tail.id;
+  }
+
+  const result = await db.runAsync(
+    'INSERT INTO sync_queue (table_name, record_id, operation, payload) VALUES (?, ?, ?, ?)',
+    [tableName, recordId, operation, serialized]
+  );
+  return result.lastInsertRowId;
+}
+
+// Live (not dead-lettered) operations after `afterId`, oldest first
+export async function getQueuedOperations(db, afterId, limit) {
+  return await db.getAllAsync(
+    'SELECT * FROM sync_queue WHERE dead_at IS NULL AND id > ? ORDER BY id LIMIT ?',
+    [afterId, limit]
+  );
+}
+
+export async function getDeadOperationKeys(db) {
+  return await db.getAllAsync('SELECT DISTINCT table_name, record_id FROM sync_queue WHERE dead_at IS NOT NULL');
+}
+
+// Remove an uploaded operation. If the record was edited again while the
+// upload ran, its payload changed and the operation stays queued.
+export async function completeOperation(db, operation) {
+  await db.runAsync('DELETE FROM sync_queue WHERE id = ? AND payload IS ?', [operation.id, operation.payload]);
+}
+
+// Schedule the next attempt, or dead-letter the operation once it has failed
+// MAX_RETRIES times. Returns true if it was dead-lettered.
+export async function failOperation(db, operation, error) {
+  const attempts = operation.attempts + 1;
+  const message = error?.message || String(error);
+
+  if (attempts >= SYNC_CONFIG.MAX_RETRIES) {
+    await db.runAsync(
+      'UPDATE sync_queue SET attempts = ?, last_error = ?, next_attempt_at = NULL, dead_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [attempts, message, operation.id]
+    );
+    return true;
+  }
+
+  const nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts)).toISOString();
+  await db.runAsync(
+    'UPDATE sync_queue SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+    [attempts, message, nextAttemptAt, operation.id]
+  );
+  return false;
+}
+
+export async function hasQueuedOperations(db, tableName, recordId) {
+  const row = await db.getFirstAsync(
+    'SELECT 1 AS queued FROM sync_queue WHERE table_name = ? AND record_id = ? LIMIT 1',
+    [tableName, recordId]
+  );
+  return !!row;
+}
+
+// Drop every operation for a record, e.g. once a conflict resolution has
+// superseded them
+export async function dropOperations(db, tableName, recordId) {
+  await db.runAsync('DELETE FROM sync_queue WHERE table_name = ? AND record_id = ?', [tableName, recordId]);
+}
+
+// Every operation queued for a table, dead-lettered ones included, oldest first
+export async function getTableOperations(db, tableName) {
+  return await db.getAllAsync('SELECT * FROM sync_queue WHERE table_name = ? ORDER BY id', [tableName]);
+}
+
+// The operation an upload would replay next for a record, or null
+export async function getNextOperation(db, tableName, recordId) {
+  return await db.getFirstAsync(
+    'SELECT * FROM sync_queue WHERE table_name = ? AND record_id = ? AND dead_at IS NULL ORDER BY id LIMIT 1',
+    [tableName, recordId]
+  );
+}
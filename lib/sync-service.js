@@ -1,12 +1,91 @@
-import { getDb, withRetry } from './database.js';
-import { isSupabaseConfigured, supabase, SYNC_CONFIG } from './supabase.js';
+import { getConflictingFields, resolveConflict, valuesEqual } from './conflict-resolution.js';
+import { generateId } from './ids.js';
+import { buildProjectTree, flattenProjectTree } from './project-tree.js';
+import { getRecordKey, TABLE_KEYS } from './sync-backend.js';
+import { SYNC_CONFIG } from './sync-config.js';
+import {
+  completeOperation,
+  dropOperations,
+  enqueueOperation,
+  failOperation,
+  getDeadOperationKeys,
+  getNextOperation,
+  getQueuedOperations,
+  getTableOperations,
+  hasQueuedOperations,
+  OPERATIONS,
+} from './sync-queue.js';
+
+// Columns referencing another synced record, which has to reach Supabase first
+const TABLE_PARENTS = {
+  projects: { parent_id: 'projects' },
+  tasks: { project_id: 'projects' },
+  task_tags: { task_id: 'tasks', tag_id: 'tags' },
+  checklist_items: { task_id: 'tasks' },
+  reminders: { task_id: 'tasks' },
+};
+
+// "<table>:<record id>" keys of the records a row references
+function getParentKeys(tableName, record) {
+  if (!record) return [];
+  return Object.entries(TABLE_PARENTS[tableName] || {})
+    .filter(([column]) => record[column])
+    .map(([column, parentTable]) => `${parentTable}:${record[column]}`);
+}
+
+// Whether a queued operation uploads a tombstone. Operations without a
+// payload whose row is gone were deleted and purged since.
+function isDeletion(operation, payload) {
+  return !payload || !!payload.deleted_at || operation.operation === OPERATIONS.DELETE;
+}
+
+// sync_metadata.record_id for a row: its key values joined with ':', so a tag
+// link is identified as "<task_id>:<tag_id>"
+export function getRecordId(tableName, record) {
+  return TABLE_KEYS[tableName].map(key => record[key]).join(':');
+}
+
+// Inverse of getRecordId: the key columns and values of a record id
+function parseRecordId(tableName, recordId) {
+  const keys = TABLE_KEYS[tableName];
+  const values = keys.length === 1 ? [recordId] : recordId.split(':');
+  return Object.fromEntries(keys.map((key, i) => [key, values[i]]));
+}
+
+// The sync_metadata row of a record, or null
+async function selectSyncMetadata(db, tableName, recordId) {
+  return await db.getFirstAsync(
+    'SELECT * FROM sync_metadata WHERE table_name = ? AND record_id = ?',
+    [tableName, recordId]
+  );
+}
+
+// Names of the columns a local table has
+async function getTableColumns(db, tableName) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${tableName})`);
+  return columns.map(column => column.name);
+}
 
-class SyncService {
-  constructor() {
+// Syncs the local database with a backend (see lib/sync-backend.js).
+// `database` provides getDb(), withRetry(operation) and
+// withTransaction(operation), as lib/database.js does; the app's instance is
+// wired up in lib/app-sync-service.js. Nothing here touches native modules, so
+// the engine also runs under Node.
+export class SyncService {
+  constructor(backend, database) {
+    this.backend = backend;
+    this.database = database;
     this.isOnline = true;
     this.syncInProgress = false;
     this.lastSyncTime = null;
     this.syncListeners = new Set();
+    this.conflictStrategy = SYNC_CONFIG.CONFLICT_STRATEGY;
+    this.conflictsDetected = 0;
+    this.userId = null;
+    this.changeListeners = new Set();
+    this.realtimeUnsubscribe = null;
+    this.realtimeQueue = [];
+    this.realtimeApplying = null;
   }
 
   // Add listener for sync status changes
@@ -26,30 +105,41 @@ class SyncService {
     });
   }
 
-  // Check if Supabase is configured and online
+  // Add listener for remote changes applied outside a sync (realtime pushes).
+  // Called with an array of { tableName, record }.
+  addChangeListener(callback) {
+    this.changeListeners.add(callback);
+    return () => this.changeListeners.delete(callback);
+  }
+
+  notifyChangeListeners(changes) {
+    this.changeListeners.forEach(callback => {
+      try {
+        callback(changes);
+      } catch (error) {
+        console.error('Error in change listener:', error);
+      }
+    });
+  }
+
+  // Check if the sync backend is configured and online
   async checkConnection() {
-    console.log('🔍 Checking Supabase connection...');
+    console.log(`🔍 Checking ${this.backend.name} connection...`);
     
-    if (!isSupabaseConfigured()) {
-      console.error('❌ Supabase not configured - missing URL or API key');
-      throw new Error('Supabase not configured');
+    if (!this.backend.isConfigured()) {
+      console.error(`❌ ${this.backend.name} not configured - missing URL or API key`);
+      throw new Error(`${this.backend.name} not configured`);
     }
 
-    console.log('✅ Supabase configuration found');
-    console.log('📡 Testing connection to Supabase...');
+    console.log(`✅ ${this.backend.name} configuration found`);
+    console.log(`📡 Testing connection to ${this.backend.name}...`);
 
     try {
       const startTime = Date.now();
-      const { data, error } = await supabase.from('projects').select('count').limit(1);
+      await this.backend.checkConnection();
       const responseTime = Date.now() - startTime;
       
-      if (error) {
-        console.error('❌ Supabase connection test failed:', error);
-        throw error;
-      }
-      
-      console.log(`✅ Supabase connection successful (${responseTime}ms)`);
-      console.log('📊 Connection test response:', data);
+      console.log(`✅ ${this.backend.name} connection successful (${responseTime}ms)`);
       this.isOnline = true;
       return true;
     } catch (error) {
@@ -65,39 +155,58 @@ class SyncService {
     }
   }
 
-  // Get pending changes from SQLite
-  async getPendingChanges() {
-    return await withRetry(async () => {
-      const db = getDb();
-      try {
-        const changes = await db.getAllAsync(`
-          SELECT sm.*, sm.table_name, sm.record_id, sm.sync_status, sm.supabase_id
-          FROM sync_metadata sm
-          WHERE sm.sync_status IN ('pending', 'error')
-          ORDER BY sm.last_modified ASC
-          LIMIT ?
-        `, [SYNC_CONFIG.BATCH_SIZE]);
-        return changes;
-      } catch (error) {
-        console.log('Sync metadata table not available, returning empty changes');
-        return [];
-      }
-    });
+  // Switch to another sync backend, e.g. a LocalBackend in tests. The new
+  // backend starts from the sync state already in the local database.
+  setBackend(backend) {
+    this.stopRealtime();
+    this.backend = backend;
+  }
+
+  // Every Supabase row belongs to a user, so syncing needs a signed-in one
+  async requireUser() {
+    const userId = await this.backend.getUserId();
+    if (!userId) {
+      throw new Error('Sign in to sync');
+    }
+    this.userId = userId;
+    return userId;
+  }
+
+  // Forget the previous user's sync state after sign-out
+  reset() {
+    this.stopRealtime();
+    this.userId = null;
+    this.lastSyncTime = null;
+    this.conflictsDetected = 0;
+    this.notifyListeners(SYNC_CONFIG.SYNC_STATUS.IDLE, { message: 'Signed out' });
+  }
+
+  // Shape a local row for upload. Records keep their UUID in Supabase and are
+  // stamped with their owner; updated_at is left for the server to stamp,
+  // since download cursors rely on server time, not ours.
+  toSupabaseRecord(record) {
+    const supabaseData = { ...record, user_id: this.userId };
+    delete supabaseData.updated_at;
+    return supabaseData;
   }
 
   // Get local record data
   async getLocalRecord(tableName, recordId) {
-    return await withRetry(async () => {
-      const db = getDb();
-      const record = await db.getFirstAsync(`SELECT * FROM ${tableName} WHERE id = ?`, [recordId]);
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      const key = parseRecordId(tableName, recordId);
+      const record = await db.getFirstAsync(
+        `SELECT * FROM ${tableName} WHERE ${Object.keys(key).map(column => `${column} = ?`).join(' AND ')}`,
+        Object.values(key)
+      );
       return record;
     });
   }
 
   // Update sync metadata
   async updateSyncMetadata(tableName, recordId, updates) {
-    return await withRetry(async () => {
-      const db = getDb();
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
       const setClause = Object.keys(updates).map(key => `${key} = ?`).join(', ');
       const values = [...Object.values(updates), tableName, recordId];
       
@@ -109,26 +218,79 @@ class SyncService {
     });
   }
 
-  // Insert sync metadata
-  async insertSyncMetadata(tableName, recordId, supabaseId = null) {
-    return await withRetry(async () => {
-      const db = getDb();
-      try {
-        await db.runAsync(`
-          INSERT OR REPLACE INTO sync_metadata 
-          (table_name, record_id, sync_status, supabase_id, last_modified, created_at, updated_at)
-          VALUES (?, ?, 'pending', ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        `, [tableName, recordId, supabaseId]);
-      } catch (error) {
-        console.log('Sync metadata table not available, skipping metadata tracking');
-      }
-    });
+  // Record a local change: mark the record pending and append an operation
+  // carrying its current row to the outbound queue. Deletions stamp
+  // deleted_at on the metadata so the tombstone survives the row itself; a
+  // later non-deleting change (re-adding a tag link) clears it again.
+  // Takes the caller's database handle, so it runs in the same transaction
+  // as the change itself (see withTransaction).
+  async insertSyncMetadata(db, tableName, recordId, { deleted = false } = {}) {
+    const existing = await db.getFirstAsync(
+      'SELECT 1 AS found FROM sync_metadata WHERE table_name = ? AND record_id = ?',
+      [tableName, recordId]
+    );
+    await db.runAsync(`
+      INSERT INTO sync_metadata 
+      (table_name, record_id, sync_status, deleted_at, last_modified, created_at, updated_at)
+      VALUES (?, ?, 'pending', CASE WHEN ? THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT(table_name, record_id) DO UPDATE SET
+        sync_status = 'pending',
+        deleted_at = CASE
+          WHEN excluded.deleted_at IS NULL THEN NULL
+          ELSE COALESCE(sync_metadata.deleted_at, excluded.deleted_at)
+        END,
+        last_modified = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `, [tableName, recordId, deleted ? 1 : 0]);
+
+    const operation = deleted
+      ? OPERATIONS.DELETE
+      : existing ? OPERATIONS.UPDATE : OPERATIONS.CREATE;
+    const key = parseRecordId(tableName, recordId);
+    const payload = await db.getFirstAsync(
+      `SELECT * FROM ${tableName} WHERE ${Object.keys(key).map(column => `${column} = ?`).join(' AND ')}`,
+      Object.values(key)
+    );
+    await enqueueOperation(db, tableName, recordId, operation, payload);
+  }
+
+  // Record that a local row matches its Supabase copy, creating the metadata
+  // entry for rows that arrived by download. The Supabase row becomes the base
+  // version later syncs detect conflicts against. Takes the caller's database
+  // handle, like insertSyncMetadata.
+  async markSynced(db, tableName, recordId, remoteRecord, { pending = false } = {}) {
+    await db.runAsync(`
+      INSERT INTO sync_metadata (table_name, record_id, sync_status, supabase_id, base_updated_at, base_data)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(table_name, record_id) DO UPDATE SET
+        sync_status = excluded.sync_status,
+        supabase_id = excluded.supabase_id,
+        base_updated_at = excluded.base_updated_at,
+        base_data = excluded.base_data,
+        deleted_at = CASE WHEN ? THEN NULL ELSE sync_metadata.deleted_at END,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      tableName,
+      recordId,
+      pending ? 'pending' : 'synced',
+      recordId,
+      remoteRecord?.updated_at || null,
+      remoteRecord ? JSON.stringify(remoteRecord) : null,
+      remoteRecord && !remoteRecord.deleted_at ? 1 : 0,
+    ]);
+  }
+
+  // Get sync metadata for a single record
+  async getSyncMetadata(tableName, recordId) {
+    return await this.database.withRetry(async () =>
+      await selectSyncMetadata(this.database.getDb(), tableName, recordId)
+    );
   }
 
   // Log sync operation
   async logSyncOperation(syncType, status, message, recordsSynced = 0, errorDetails = null) {
-    return await withRetry(async () => {
-      const db = getDb();
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
       try {
         await db.runAsync(`
           INSERT INTO sync_log (sync_type, status, message, records_synced, error_details, started_at, completed_at)
@@ -141,232 +303,496 @@ class SyncService {
   }
 
   // Upload local changes to Supabase
+  // Replay the outbound queue in order. An operation that fails, or is still
+  // waiting out its backoff, holds back later operations on the same record
+  // and on records that reference it (a task waits for its project), while
+  // unrelated changes carry on. Runs of new records for the same table are
+  // uploaded in batches; edits and deletions go one at a time, since each
+  // must check that Supabase still has the version it was based on.
   async uploadToSupabase() {
     console.log('📤 Starting upload to Supabase...');
-    const changes = await this.getPendingChanges();
-    console.log(`📤 Found ${changes.length} pending changes to upload`);
-    
-    if (changes.length === 0) {
-      console.log('📤 No pending changes to upload');
-      return 0;
-    }
-    
-    let uploadedCount = 0;
-    let errorCount = 0;
 
-    for (const change of changes) {
-      try {
-        console.log(`📤 Processing ${change.table_name}:${change.record_id} (sync_status: ${change.sync_status})`);
-        
-        const localRecord = await this.getLocalRecord(change.table_name, change.record_id);
-        console.log(`📤 Local record data:`, localRecord);
-        
-        if (!localRecord) {
-          // Record was deleted locally, mark for deletion on Supabase
-          console.log(`📤 Record deleted locally, marking for deletion on Supabase`);
-          if (change.supabase_id) {
-            console.log(`📤 Deleting record ${change.supabase_id} from Supabase table ${change.table_name}`);
-            const deleteResult = await supabase
-              .from(change.table_name)
-              .delete()
-              .eq('id', change.supabase_id);
-            
-            console.log(`📤 Delete result:`, deleteResult);
-            if (deleteResult.error) throw deleteResult.error;
-            
-            console.log(`✅ Successfully deleted record ${change.supabase_id} from Supabase`);
-          }
-          
-          await this.updateSyncMetadata(change.table_name, change.record_id, {
-            sync_status: 'synced'
-          });
-          uploadedCount++;
-          continue;
+    // Records whose earlier operations have not gone through
+    const blocked = new Set(
+      (await this.database.withRetry(async () => getDeadOperationKeys(this.database.getDb())))
+        .map(({ table_name, record_id }) => `${table_name}:${record_id}`)
+    );
+
+    const stats = { uploaded: 0, errors: 0, deferred: 0 };
+    let lastId = 0;
+
+    while (true) {
+      const operations = await this.database.withRetry(async () =>
+        getQueuedOperations(this.database.getDb(), lastId, SYNC_CONFIG.BATCH_SIZE)
+      );
+      if (operations.length === 0) break;
+      lastId = operations[operations.length - 1].id;
+
+      let batch = [];
+      const flushBatch = async () => {
+        if (batch.length === 0) return;
+        await this.uploadCreateBatch(batch, blocked, stats);
+        batch = [];
+      };
+
+      for (const operation of operations) {
+        const { table_name: tableName, record_id: recordId } = operation;
+        const key = `${tableName}:${recordId}`;
+        const payload = operation.payload
+          ? JSON.parse(operation.payload)
+          : await this.getLocalRecord(tableName, recordId);
+
+        // A later change to a record waiting in the batch builds on the
+        // version the batch creates, so upload the batch before reading the
+        // record's base version
+        if (batch.some(item => item.key === key)) {
+          await flushBatch();
+        }
+        const metadata = await this.getSyncMetadata(tableName, recordId);
+
+        // A record Supabase has never seen can join the current batch, as
+        // long as the batch is for the same table. Anything else uploads the
+        // batch first, so operations still reach Supabase in order.
+        const isCreate = !isDeletion(operation, payload) && !metadata?.base_updated_at;
+        const joinsBatch = isCreate && (batch.length === 0 || batch[0].operation.table_name === tableName);
+        if (!joinsBatch) {
+          await flushBatch();
         }
 
-        // Prepare data for Supabase (exclude local id, use supabase_id if exists)
-        const supabaseData = { ...localRecord };
-        delete supabaseData.id;
-        console.log(`📤 Prepared data for Supabase upload:`, supabaseData);
+        const dependencies = [key, ...getParentKeys(tableName, payload)];
+        const isWaiting = operation.next_attempt_at && Date.parse(operation.next_attempt_at) > Date.now();
+        if (isWaiting || dependencies.some(dependency => blocked.has(dependency))) {
+          blocked.add(key);
+          stats.deferred++;
+          continue;
+        }
 
-        let result;
-        const startTime = Date.now();
-        
-        if (change.supabase_id) {
-          // Update existing record
-          console.log(`📤 Updating existing record ${change.supabase_id} in table ${change.table_name}`);
-          result = await supabase
-            .from(change.table_name)
-            .update(supabaseData)
-            .eq('id', change.supabase_id)
-            .select()
-            .single();
+        if (isCreate) {
+          batch.push({ key, operation, payload, metadata });
         } else {
-          // Create new record
-          console.log(`📤 Creating new record in table ${change.table_name}`);
-          result = await supabase
-            .from(change.table_name)
-            .insert(supabaseData)
-            .select()
-            .single();
+          await this.uploadOperation({ key, operation, payload, metadata }, blocked, stats);
         }
+      }
 
-        const responseTime = Date.now() - startTime;
-        console.log(`📤 Supabase response (${responseTime}ms):`, result);
-        
-        if (result.error) {
-          console.error(`❌ Supabase operation failed:`, result.error);
-          throw result.error;
-        }
+      await flushBatch();
+    }
 
-        console.log(`✅ Successfully ${change.supabase_id ? 'updated' : 'created'} record in Supabase:`, result.data);
+    console.log(`📤 Upload completed: ${stats.uploaded} successful, ${stats.errors} errors, ${stats.deferred} deferred`);
+    return stats.uploaded;
+  }
 
-        // Update sync metadata with Supabase ID
-        await this.updateSyncMetadata(change.table_name, change.record_id, {
-          sync_status: 'synced',
-          supabase_id: result.data.id
-        });
+  // Insert new records in one request. Rows Supabase already has are left
+  // untouched by the batch and take the one-at-a-time path, which turns them
+  // into conflicts. If the request fails as a whole every row takes that path,
+  // so each error is recorded against the operation that caused it.
+  async uploadCreateBatch(batch, blocked, stats) {
+    const tableName = batch[0].operation.table_name;
+    console.log(`📤 Creating ${batch.length} records in table ${tableName}`);
 
-        uploadedCount++;
-        console.log(`✅ Uploaded ${change.table_name}:${change.record_id} -> Supabase ID: ${result.data.id}`);
-        
+    let storedRows = [];
+    try {
+      storedRows = await this.backend.insertBatch(
+        tableName,
+        batch.map(item => this.toSupabaseRecord(item.payload))
+      );
+    } catch (error) {
+      console.error(`❌ Batch upload to ${tableName} failed, retrying records one at a time:`, error);
+    }
+
+    const storedById = new Map(storedRows.map(row => [getRecordId(tableName, row), row]));
+    for (const item of batch) {
+      const remoteRecord = storedById.get(item.operation.record_id);
+      if (!remoteRecord) {
+        await this.uploadOperation(item, blocked, stats);
+        continue;
+      }
+
+      try {
+        await this.completeUpload(item.operation, remoteRecord);
+        stats.uploaded++;
       } catch (error) {
-        errorCount++;
-        console.error(`❌ Error uploading ${change.table_name}:${change.record_id}:`, error);
-        console.error(`🔍 Error details:`, {
-          message: error.message,
-          code: error.code,
-          details: error.details,
-          hint: error.hint,
-          status: error.status
-        });
-        
-        await this.updateSyncMetadata(change.table_name, change.record_id, {
-          sync_status: 'error'
-        });
+        await this.failUpload(item, error, blocked, stats);
       }
     }
+  }
 
-    console.log(`📤 Upload completed: ${uploadedCount} successful, ${errorCount} errors`);
-    return uploadedCount;
+  async uploadOperation(item, blocked, stats) {
+    const { key, operation, payload, metadata } = item;
+    try {
+      console.log(`📤 Processing ${operation.operation} of ${key} (attempt ${operation.attempts + 1})`);
+      await this.pushOperation(operation, payload, metadata);
+      stats.uploaded++;
+      console.log(`✅ Uploaded ${key}`);
+    } catch (error) {
+      await this.failUpload(item, error, blocked, stats);
+    }
   }
 
-  // Download changes from Supabase
-  async downloadFromSupabase() {
-    console.log('📥 Starting download from Supabase...');
-    let downloadedCount = 0;
-    let errorCount = 0;
+  // Hold back the record's later operations for the rest of this upload and
+  // record the failure
+  async failUpload({ key, operation }, error, blocked, stats) {
+    stats.errors++;
+    blocked.add(key);
+    console.error(`❌ Error uploading ${key}:`, error);
+    console.error(`🔍 Error details:`, {
+      message: error.message,
+      code: error.code,
+      details: error.details,
+      hint: error.hint,
+      status: error.status
+    });
 
-    for (const tableName of SYNC_CONFIG.TABLES) {
-      try {
-        console.log(`📥 Downloading from table: ${tableName}`);
-        
-        // For now, we'll download all records since we don't have updated_at columns
-        // In a production app, you'd want to add updated_at columns to Supabase
-        const startTime = Date.now();
-        const { data, error } = await supabase.from(tableName).select('*');
-        const responseTime = Date.now() - startTime;
-        
-        console.log(`📥 Supabase query response (${responseTime}ms):`, { data, error });
-        
-        if (error) {
-          console.error(`❌ Error querying Supabase table ${tableName}:`, error);
-          throw error;
+    await this.recordFailure(operation, error);
+  }
+
+  // Schedule a retry for a failed operation, or set it aside for the user
+  // once it has run out of attempts
+  async recordFailure(operation, error) {
+    const deadLettered = await this.database.withRetry(async () => failOperation(this.database.getDb(), operation, error));
+    if (deadLettered) {
+      console.error(`☠️ Giving up on ${operation.table_name}:${operation.record_id} after ${operation.attempts + 1} attempts`);
+      await this.updateSyncMetadata(operation.table_name, operation.record_id, {
+        sync_status: 'error'
+      });
+    }
+  }
+
+  // Upload one queued operation and record the version Supabase now has
+  async pushOperation(operation, payload, metadata) {
+    const { table_name: tableName, record_id: recordId } = operation;
+    let remoteRecord;
+
+    if (isDeletion(operation, payload)) {
+      // Record was deleted locally. Push the tombstone instead of removing the
+      // remote row, so other devices learn about the deletion on download.
+      // Ids are shared with Supabase, so this is a no-op if the record
+      // never made it there.
+      console.log(`📤 Marking record ${recordId} deleted in Supabase table ${tableName}`);
+      // The tombstone becomes the base, so re-adding a removed tag link
+      // later updates it instead of conflicting with it
+      remoteRecord = await this.backend.delete(
+        tableName,
+        parseRecordId(tableName, recordId),
+        payload?.deleted_at || new Date().toISOString()
+      );
+    } else {
+      remoteRecord = await this.pushRecord(tableName, this.toSupabaseRecord(payload), metadata?.base_updated_at);
+
+      if (!remoteRecord) {
+        // Supabase changed since our base version: this is a conflict
+        remoteRecord = await this.resolveUploadConflict(metadata || operation, payload);
+      }
+    }
+
+    await this.completeUpload(operation, remoteRecord);
+  }
+
+  // Remember the version both sides now agree on. The record stays pending
+  // while later operations for it are queued.
+  async completeUpload(operation, remoteRecord) {
+    const { table_name: tableName, record_id: recordId } = operation;
+    await this.database.withTransaction(async (db) => {
+      await completeOperation(db, operation);
+      const stillQueued = await hasQueuedOperations(db, tableName, recordId);
+      await this.markSynced(db, tableName, recordId, remoteRecord, { pending: stillQueued });
+    });
+  }
+
+  // Write a record to Supabase, but only over the version we last synced
+  // with. Returns the stored row, or null if Supabase has moved on since
+  // baseUpdatedAt (or already has a record we never synced with).
+  async pushRecord(tableName, data, baseUpdatedAt) {
+    const recordId = getRecordId(tableName, data);
+    if (baseUpdatedAt) {
+      console.log(`📤 Updating record ${recordId} in table ${tableName} (base ${baseUpdatedAt})`);
+      return await this.backend.update(tableName, getRecordKey(tableName, data), data, baseUpdatedAt);
+    }
+
+    console.log(`📤 Creating record ${recordId} in table ${tableName}`);
+    return await this.backend.insert(tableName, data);
+  }
+
+  // Resolve a record that changed both here and in Supabase since the last
+  // sync, push the outcome if it differs from Supabase, and return the row
+  // Supabase ends up with
+  async resolveUploadConflict(change, localRecord) {
+    const { table_name: tableName, record_id: recordId } = change;
+    const remoteRecord = await this.backend.selectRecord(tableName, getRecordKey(tableName, localRecord));
+
+    if (!remoteRecord) {
+      // Gone from Supabase entirely, so there is nothing to conflict with
+      const [data] = await this.backend.upsertBatch(tableName, [this.toSupabaseRecord(localRecord)]);
+      return data;
+    }
+
+    const resolution = await this.database.withTransaction(async (db) => {
+      const resolution = await this.resolveConflict(db, change, localRecord, remoteRecord);
+      if (resolution.winner === 'remote') {
+        await this.writeLocalRecord(db, tableName, remoteRecord);
+      }
+      return resolution;
+    });
+    this.conflictsDetected++;
+    if (resolution.winner === 'remote') {
+      return remoteRecord;
+    }
+
+    const supabaseData = this.toSupabaseRecord(resolution.record);
+    const pushed = await this.pushRecord(tableName, supabaseData, remoteRecord.updated_at);
+    if (!pushed) {
+      // Changed yet again while we were resolving; try again next sync
+      throw new Error(`${tableName} record ${recordId} changed during conflict resolution`);
+    }
+
+    if (resolution.winner === 'merged') {
+      await this.database.withTransaction(async (db) => await this.writeLocalRecord(db, tableName, pushed));
+    }
+    return pushed;
+  }
+
+  // Apply the conflict strategy and keep a record of the conflict for review,
+  // in the caller's transaction. Callers count the conflict once that commits.
+  async resolveConflict(db, metadata, localRecord, remoteRecord) {
+    const { table_name: tableName, record_id: recordId } = metadata;
+    const base = metadata.base_data ? JSON.parse(metadata.base_data) : null;
+    const resolution = resolveConflict(this.conflictStrategy, {
+      local: localRecord,
+      remote: remoteRecord,
+      base,
+      tableName,
+    });
+
+    console.log(`⚔️ Conflict on ${tableName}:${recordId}, resolved as ${resolution.winner}`);
+
+    await db.runAsync(`
+      INSERT INTO sync_conflicts
+      (table_name, record_id, strategy, resolution, fields, local_data, remote_data, base_data, resolved_data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      tableName,
+      recordId,
+      typeof this.conflictStrategy === 'function' ? 'custom' : this.conflictStrategy,
+      resolution.winner,
+      JSON.stringify(getConflictingFields(localRecord, remoteRecord)),
+      JSON.stringify(localRecord),
+      JSON.stringify(remoteRecord),
+      metadata.base_data || null,
+      JSON.stringify(resolution.record),
+    ]);
+
+    return resolution;
+  }
+
+  // Overwrite a local row with another version of it, keeping only the
+  // columns that exist locally
+  async writeLocalRecord(db, tableName, record) {
+    const keys = TABLE_KEYS[tableName];
+    const localColumns = await getTableColumns(db, tableName);
+    const fields = Object.keys(record).filter(key => !keys.includes(key) && localColumns.includes(key));
+    if (fields.length === 0) return;
+
+    await db.runAsync(
+      `UPDATE ${tableName} SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE ${keys.map(key => `${key} = ?`).join(' AND ')}`,
+      [...fields.map(key => record[key]), ...keys.map(key => record[key])]
+    );
+  }
+
+  // Choose how conflicts are resolved: a CONFLICT_STRATEGIES value or a
+  // function taking { local, remote, base, tableName } and returning
+  // { winner: 'local' | 'remote' | 'merged', record }
+  setConflictStrategy(strategy) {
+    this.conflictStrategy = strategy;
+  }
+
+  // Get the download cursor for a table: the updated_at and key of the last
+  // row pulled, or null if the table has never been downloaded
+  async getSyncState(tableName) {
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      const state = await db.getFirstAsync('SELECT * FROM sync_state WHERE table_name = ?', [tableName]);
+      if (!state?.last_pulled_at) return null;
+      return { updatedAt: state.last_pulled_at, key: JSON.parse(state.last_pulled_key) };
+    });
+  }
+
+  // Advance the download cursor for a table
+  async saveSyncState(tableName, cursor) {
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      await db.runAsync(`
+        INSERT INTO sync_state (table_name, last_pulled_at, last_pulled_key, updated_at)
+        VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(table_name) DO UPDATE SET
+          last_pulled_at = excluded.last_pulled_at,
+          last_pulled_key = excluded.last_pulled_key,
+          updated_at = CURRENT_TIMESTAMP
+      `, [tableName, cursor.updatedAt, JSON.stringify(cursor.key)]);
+    });
+  }
+
+  // Downloaded rows arrive in any order: a task can come before a project
+  // created after the projects table was downloaded, or a realtime change can
+  // overtake its parent's. Fetch and apply the records a live row references
+  // that this device does not have, so foreign keys hold. Returns false if one
+  // of them is missing or deleted on the server as well.
+  //
+  // Projects reference their parent project, so fetching one can lead to
+  // fetching its whole chain of ancestors. `fetching` holds the chain so far:
+  // if the chain loops (see lib/project-tree.js), the record that closes the
+  // loop is applied without its reference.
+  async ensureParents(tableName, record, fetching = new Set()) {
+    fetching.add(`${tableName}:${getRecordId(tableName, record)}`);
+
+    for (const [column, parentTable] of Object.entries(TABLE_PARENTS[tableName] || {})) {
+      const parentId = record[column];
+      if (!parentId || await this.getLocalRecord(parentTable, parentId)) continue;
+
+      if (fetching.has(`${parentTable}:${parentId}`)) {
+        console.log(`📥 Dropping ${tableName} ${column} ${parentId}, the references loop`);
+        record[column] = null;
+        continue;
+      }
+
+      console.log(`📥 Fetching ${parentTable} record ${parentId} ahead of ${tableName}`);
+      const parent = await this.backend.selectRecord(parentTable, { id: parentId });
+      if (!parent || parent.deleted_at) return false;
+
+      await this.applyRemoteRecord(parentTable, parent, fetching);
+      if (!(await this.getLocalRecord(parentTable, parentId))) return false;
+    }
+    return true;
+  }
+
+  // Apply a single downloaded row to the local database
+  async applyRemoteRecord(tableName, supabaseRecord, fetching = new Set()) {
+    const keys = TABLE_KEYS[tableName];
+    const recordId = getRecordId(tableName, supabaseRecord);
+    const keyCondition = keys.map(key => `${key} = ?`).join(' AND ');
+    const keyValues = keys.map(key => supabaseRecord[key]);
+
+    if (!supabaseRecord.deleted_at && !(await this.ensureParents(tableName, supabaseRecord, fetching))) {
+      console.log(`📥 Skipping ${tableName} record ${recordId}, it references a record that no longer exists`);
+      return;
+    }
+
+    // One transaction, so a conflict is recorded, resolved and its upload
+    // queued together or not at all
+    const conflicted = await this.database.withTransaction(async (db) => {
+      // Never resurrect a record that was deleted on this device. Tag links
+      // are the exception: once our removal has synced, a live remote link
+      // means another device added the tag again.
+      const metadata = await selectSyncMetadata(db, tableName, recordId);
+      const relinked = keys.length > 1 && metadata?.sync_status === 'synced' && !supabaseRecord.deleted_at;
+      if (metadata?.deleted_at && !relinked) {
+        console.log(`📥 Skipping ${tableName} record ${recordId}, deleted locally`);
+        return false;
+      }
+
+      const localColumns = await getTableColumns(db, tableName);
+      const existingRecord = await db.getFirstAsync(
+        `SELECT * FROM ${tableName} WHERE ${keyCondition}`,
+        keyValues
+      );
+
+      if (existingRecord && ['pending', 'error'].includes(metadata?.sync_status)) {
+        // Local edits have not been uploaded yet
+        if (metadata.base_updated_at && valuesEqual(metadata.base_updated_at, supabaseRecord.updated_at)) {
+          console.log(`📥 Keeping pending local changes to ${recordId}, remote unchanged`);
+          return false;
         }
 
-        if (!data || data.length === 0) {
-          console.log(`📥 No data found in table ${tableName}`);
-          continue;
+        const resolution = await this.resolveConflict(db, metadata, existingRecord, supabaseRecord);
+        if (resolution.winner !== 'local') {
+          await this.writeLocalRecord(db, tableName, resolution.record);
+        }
+        // The resolution supersedes the queued operations. Unless the remote
+        // version won outright, the result still has to be uploaded, now on
+        // top of the remote version.
+        await dropOperations(db, tableName, recordId);
+        if (resolution.winner !== 'remote') {
+          const resolvedRecord = await db.getFirstAsync(
+            `SELECT * FROM ${tableName} WHERE ${keyCondition}`,
+            keyValues
+          );
+          await enqueueOperation(db, tableName, recordId, OPERATIONS.UPDATE, resolvedRecord);
         }
+        await this.markSynced(db, tableName, recordId, supabaseRecord, {
+          pending: resolution.winner !== 'remote',
+        });
+        return true;
+      }
 
-        console.log(`📥 Found ${data.length} records in table ${tableName}`);
+      if (existingRecord) {
+        console.log(`📥 Updating existing local record ${recordId}`);
+        await this.writeLocalRecord(db, tableName, supabaseRecord);
+        console.log(`✅ Updated local record ${recordId}`);
+      } else if (supabaseRecord.deleted_at) {
+        console.log(`📥 Skipping remote tombstone ${recordId}, no local copy`);
+        return false;
+      } else {
+        console.log(`📥 Inserting new local record ${recordId}`);
+        // Insert new record - only insert fields that exist in local schema
+        const fieldsToInsert = Object.keys(supabaseRecord)
+          .filter(key => localColumns.includes(key));
+
+        if (fieldsToInsert.length > 0) {
+          await db.runAsync(
+            `INSERT INTO ${tableName} (${fieldsToInsert.join(', ')}) VALUES (${fieldsToInsert.map(() => '?').join(', ')})`,
+            fieldsToInsert.map(key => supabaseRecord[key])
+          );
+          console.log(`✅ Inserted new local record ${recordId}`);
+        }
+      }
 
-        // Process each record
-        for (const supabaseRecord of data) {
-          try {
-            console.log(`📥 Processing record ${supabaseRecord.id} from table ${tableName}:`, supabaseRecord);
-            
-            await withRetry(async () => {
-              const db = getDb();
-              
-              // Check if record exists locally
-              const existingRecord = await db.getFirstAsync(
-                `SELECT id FROM ${tableName} WHERE id = ?`,
-                [supabaseRecord.id]
-              );
-
-              if (existingRecord) {
-                console.log(`📥 Updating existing local record ${supabaseRecord.id}`);
-                // Update existing record - only update fields that exist in local schema
-                const localColumns = await this.getLocalTableColumns(tableName);
-                const updateFields = Object.keys(supabaseRecord)
-                  .filter(key => key !== 'id' && localColumns.includes(key))
-                  .map(key => `${key} = ?`)
-                  .join(', ');
-                
-                const updateValues = Object.keys(supabaseRecord)
-                  .filter(key => key !== 'id' && localColumns.includes(key))
-                  .map(key => supabaseRecord[key]);
-
-                console.log(`📥 Update fields: ${updateFields}`);
-                console.log(`📥 Update values:`, updateValues);
-
-                if (updateFields) {
-                  await db.runAsync(
-                    `UPDATE ${tableName} SET ${updateFields} WHERE id = ?`,
-                    [...updateValues, supabaseRecord.id]
-                  );
-                  console.log(`✅ Updated local record ${supabaseRecord.id}`);
-                }
-              } else {
-                console.log(`📥 Inserting new local record ${supabaseRecord.id}`);
-                // Insert new record - only insert fields that exist in local schema
-                const localColumns = await this.getLocalTableColumns(tableName);
-                const fieldsToInsert = Object.keys(supabaseRecord)
-                  .filter(key => localColumns.includes(key));
-                
-                console.log(`📥 Fields to insert:`, fieldsToInsert);
-                
-                if (fieldsToInsert.length > 0) {
-                  const fields = fieldsToInsert.join(', ');
-                  const placeholders = fieldsToInsert.map(() => '?').join(', ');
-                  const values = fieldsToInsert.map(key => supabaseRecord[key]);
-
-                  console.log(`📥 Insert query: INSERT INTO ${tableName} (${fields}) VALUES (${placeholders})`);
-                  console.log(`📥 Insert values:`, values);
-
-                  await db.runAsync(
-                    `INSERT INTO ${tableName} (${fields}) VALUES (${placeholders})`,
-                    values
-                  );
-                  console.log(`✅ Inserted new local record ${supabaseRecord.id}`);
-                }
-              }
+      // Update sync metadata
+      await this.markSynced(db, tableName, recordId, supabaseRecord);
+      return false;
+    });
+    if (conflicted) {
+      this.conflictsDetected++;
+    }
+  }
 
-              // Update sync metadata
-              await this.updateSyncMetadata(tableName, supabaseRecord.id, {
-                sync_status: 'synced',
-                supabase_id: supabaseRecord.id
-              });
-            });
+  // Download rows changed in Supabase since the last sync
+  async downloadFromSupabase() {
+    console.log('📥 Starting download from Supabase...');
+    let downloadedCount = 0;
+    let errorCount = 0;
 
+    for (const tableName of SYNC_CONFIG.TABLES) {
+      try {
+        let cursor = await this.getSyncState(tableName);
+        console.log(`📥 Downloading from table: ${tableName} (changed after ${cursor?.updatedAt || 'the beginning'})`);
+
+        let pageSize;
+        do {
+          const startTime = Date.now();
+          // Rows are ordered by (updated_at, key) and paged by keyset, so rows
+          // sharing a timestamp are neither skipped nor fetched twice
+          const data = await this.backend.selectSince(tableName, cursor, SYNC_CONFIG.BATCH_SIZE);
+          const responseTime = Date.now() - startTime;
+
+          pageSize = data.length;
+          console.log(`📥 Fetched ${pageSize} changed records from ${tableName} (${responseTime}ms)`);
+
+          for (const supabaseRecord of data) {
+            // A row that fails to apply stops the table here, so the cursor
+            // never moves past it and the next sync retries it
+            await this.applyRemoteRecord(tableName, supabaseRecord);
+            cursor = {
+              updatedAt: supabaseRecord.updated_at,
+              key: TABLE_KEYS[tableName].map(key => supabaseRecord[key]),
+            };
             downloadedCount++;
-            console.log(`✅ Successfully processed record ${supabaseRecord.id} from ${tableName}`);
-            
-          } catch (error) {
-            errorCount++;
-            console.error(`❌ Error processing ${tableName} record ${supabaseRecord.id}:`, error);
-            console.error(`🔍 Error details:`, {
-              message: error.message,
-              code: error.code,
-              details: error.details,
-              hint: error.hint
-            });
           }
-        }
-        
-        console.log(`📥 Completed processing table ${tableName}: ${downloadedCount} successful, ${errorCount} errors`);
-        
+
+          if (pageSize > 0) {
+            await this.saveSyncState(tableName, cursor);
+          }
+        } while (pageSize === SYNC_CONFIG.BATCH_SIZE);
+
+        console.log(`📥 Completed processing table ${tableName}`);
+
       } catch (error) {
         errorCount++;
         console.error(`❌ Error downloading from ${tableName}:`, error);
@@ -383,15 +809,180 @@ class SyncService {
     return downloadedCount;
   }
 
-  // Helper method to get local table columns
-  async getLocalTableColumns(tableName) {
-    return await withRetry(async () => {
-      const db = getDb();
-      const result = await db.getAllAsync(`PRAGMA table_info(${tableName})`);
-      return result.map(col => col.name);
+  // Hard-delete local tombstones whose deletion has been synced. Their
+  // sync_metadata rows (with deleted_at) are kept so downloads skip them.
+  // A tombstone something still references stays, since purging it would
+  // cascade to rows whose own changes may not have synced yet.
+  async purgeDeletedRecords() {
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      let purgedCount = 0;
+
+      for (const tableName of ['reminders', 'checklist_items', 'task_tags', 'tasks', 'projects', 'tags']) {
+        const recordIdSql = TABLE_KEYS[tableName].map(key => `${tableName}.${key}`).join(" || ':' || ");
+        const unreferencedSql = Object.entries(TABLE_PARENTS)
+          .flatMap(([childTable, columns]) => Object.entries(columns)
+            .filter(([, parentTable]) => parentTable === tableName)
+            .map(([column]) => `AND NOT EXISTS (SELECT 1 FROM ${childTable} child WHERE child.${column} = ${tableName}.id)`))
+          .join(' ');
+        const result = await db.runAsync(`
+          DELETE FROM ${tableName}
+          WHERE deleted_at IS NOT NULL
+            AND NOT EXISTS (
+              SELECT 1 FROM sync_metadata sm
+              WHERE sm.table_name = ? AND sm.record_id = ${recordIdSql} AND sm.sync_status != 'synced'
+            )
+            ${unreferencedSql}
+        `, [tableName]);
+        purgedCount += result.changes;
+      }
+
+      if (purgedCount > 0) {
+        console.log(`🧹 Purged ${purgedCount} synced tombstones`);
+      }
+      return purgedCount;
     });
   }
 
+  // Databases migrated from integer ids carry rows that Supabase knows under
+  // their old id. Once the server has been migrated too (see
+  // supabase-uuid-migration.sql), look those rows up by legacy_id and adopt the
+  // server's UUID so both sides agree. Rows the server has never seen are
+  // queued for upload under their new UUID.
+  async reconcileLegacyIds() {
+    const pending = await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      return await db.getAllAsync(
+        'SELECT * FROM legacy_id_map WHERE reconciled_at IS NULL ORDER BY table_name, legacy_id'
+      );
+    });
+
+    if (pending.length === 0) return 0;
+    console.log(`🔑 Reconciling ${pending.length} records migrated from integer ids`);
+
+    let reconciledCount = 0;
+    for (const tableName of ['projects', 'tags', 'tasks']) {
+      const entries = pending.filter(entry => entry.table_name === tableName);
+      if (entries.length === 0) continue;
+
+      const legacyIds = entries
+        .map(entry => entry.remote_legacy_id)
+        .filter(legacyId => legacyId !== null);
+      const remoteIds = new Map();
+
+      for (let i = 0; i < legacyIds.length; i += SYNC_CONFIG.BATCH_SIZE) {
+        let data;
+        try {
+          data = await this.backend.selectByLegacyIds(tableName, legacyIds.slice(i, i + SYNC_CONFIG.BATCH_SIZE));
+        } catch (error) {
+          console.error(`❌ Error looking up legacy ids in ${tableName}:`, error);
+          throw new Error(
+            `Supabase table ${tableName} has no legacy_id column. Run supabase-uuid-migration.sql before syncing.`
+          );
+        }
+        data.forEach(row => remoteIds.set(Number(row.legacy_id), row.id));
+      }
+
+      for (const entry of entries) {
+        const remoteId = entry.remote_legacy_id !== null ? remoteIds.get(entry.remote_legacy_id) : undefined;
+
+        await this.database.withTransaction(async (db) => {
+          if (remoteId) {
+            if (remoteId !== entry.id) {
+              await this.renameLocalRecord(db, tableName, entry.id, remoteId);
+            }
+            // Local edits made before the migration stay pending
+            await db.runAsync(`
+              INSERT INTO sync_metadata (table_name, record_id, sync_status, supabase_id)
+              VALUES (?, ?, 'synced', ?)
+              ON CONFLICT(table_name, record_id) DO UPDATE SET
+                supabase_id = excluded.supabase_id,
+                updated_at = CURRENT_TIMESTAMP
+            `, [tableName, remoteId, remoteId]);
+          } else {
+            // Unknown to the server: upload it as a new record
+            const localRecord = await db.getFirstAsync(`SELECT id FROM ${tableName} WHERE id = ?`, [entry.id]);
+            if (localRecord) {
+              await db.runAsync(`
+                INSERT INTO sync_metadata (table_name, record_id, sync_status)
+                VALUES (?, ?, 'pending')
+                ON CONFLICT(table_name, record_id) DO UPDATE SET
+                  sync_status = 'pending',
+                  last_modified = CURRENT_TIMESTAMP,
+                  updated_at = CURRENT_TIMESTAMP
+              `, [tableName, entry.id]);
+              await enqueueOperation(db, tableName, entry.id, OPERATIONS.CREATE);
+            }
+          }
+
+          await db.runAsync(
+            'UPDATE legacy_id_map SET id = ?, reconciled_at = CURRENT_TIMESTAMP WHERE table_name = ? AND legacy_id = ?',
+            [remoteId || entry.id, tableName, entry.legacy_id]
+          );
+        });
+        reconciledCount++;
+      }
+    }
+
+    console.log(`✅ Reconciled ${reconciledCount} migrated records`);
+    return reconciledCount;
+  }
+
+  // Re-key a local record and everything that references it. If a row with
+  // the new id already exists, the old row is merged into it. Must be called
+  // inside a transaction.
+  async renameLocalRecord(db, tableName, fromId, toId) {
+    console.log(`🔑 Re-keying ${tableName} ${fromId} -> ${toId}`);
+    // References are briefly dangling between the updates below. They move
+    // before the old row goes, which would otherwise cascade to them.
+    await db.execAsync('PRAGMA defer_foreign_keys = ON');
+
+    if (tableName === 'projects') {
+      await db.runAsync('UPDATE tasks SET project_id = ? WHERE project_id = ?', [toId, fromId]);
+      await db.runAsync('UPDATE projects SET parent_id = ? WHERE parent_id = ?', [toId, fromId]);
+    } else {
+      if (tableName === 'tasks') {
+        await db.runAsync('UPDATE checklist_items SET task_id = ? WHERE task_id = ?', [toId, fromId]);
+        await db.runAsync('UPDATE reminders SET task_id = ? WHERE task_id = ?', [toId, fromId]);
+      }
+      const column = tableName === 'tasks' ? 'task_id' : 'tag_id';
+      await db.runAsync(`UPDATE OR IGNORE task_tags SET ${column} = ? WHERE ${column} = ?`, [toId, fromId]);
+      await db.runAsync(`DELETE FROM task_tags WHERE ${column} = ?`, [fromId]);
+      await db.runAsync(
+        "UPDATE OR IGNORE sync_metadata SET record_id = replace(record_id, ?, ?) WHERE table_name = 'task_tags' AND instr(record_id, ?) > 0",
+        [fromId, toId, fromId]
+      );
+      await db.runAsync(
+        "UPDATE sync_queue SET record_id = replace(record_id, ?, ?) WHERE table_name = 'task_tags' AND instr(record_id, ?) > 0",
+        [fromId, toId, fromId]
+      );
+    }
+
+    const existing = await db.getFirstAsync(`SELECT id FROM ${tableName} WHERE id = ?`, [toId]);
+    if (existing) {
+      await db.runAsync(`DELETE FROM ${tableName} WHERE id = ?`, [fromId]);
+    } else {
+      await db.runAsync(`UPDATE ${tableName} SET id = ? WHERE id = ?`, [toId, fromId]);
+    }
+
+    // Queued snapshots may still carry the old id, in the row itself or in a
+    // reference to it. Those operations upload the current row instead.
+    await db.runAsync(
+      'UPDATE sync_queue SET record_id = ?, payload = NULL WHERE table_name = ? AND record_id = ?',
+      [toId, tableName, fromId]
+    );
+    await db.runAsync('UPDATE sync_queue SET payload = NULL WHERE instr(payload, ?) > 0', [fromId]);
+
+    await db.runAsync(
+      'DELETE FROM sync_metadata WHERE table_name = ? AND record_id = ? AND EXISTS (SELECT 1 FROM sync_metadata WHERE table_name = ? AND record_id = ?)',
+      [tableName, fromId, tableName, toId]
+    );
+    await db.runAsync(
+      'UPDATE sync_metadata SET record_id = ? WHERE table_name = ? AND record_id = ?',
+      [toId, tableName, fromId]
+    );
+  }
+
   // Main sync function
   async sync(force = false) {
     const syncStartTime = Date.now();
@@ -403,8 +994,12 @@ class SyncService {
     }
 
     this.syncInProgress = true;
+    this.conflictsDetected = 0;
     this.notifyListeners(SYNC_CONFIG.SYNC_STATUS.SYNCING, { message: 'Starting sync...' });
 
+    // Let a realtime change that is being applied finish first
+    await this.realtimeApplying;
+
     try {
       console.log('🔍 Step 1: Checking Supabase connection...');
       // Check connection
@@ -413,6 +1008,11 @@ class SyncService {
         throw new Error('No internet connection or Supabase unavailable');
       }
 
+      await this.requireUser();
+
+      // Line up records migrated from integer ids with their Supabase copies
+      await this.reconcileLegacyIds();
+
       let uploadedCount = 0;
       let downloadedCount = 0;
 
@@ -426,6 +1026,9 @@ class SyncService {
       this.notifyListeners(SYNC_CONFIG.SYNC_STATUS.SYNCING, { message: 'Downloading changes...' });
       downloadedCount = await this.downloadFromSupabase();
 
+      // Tombstones that reached Supabase are no longer needed locally
+      await this.purgeDeletedRecords();
+
       this.lastSyncTime = new Date();
       const totalSyncTime = Date.now() - syncStartTime;
       
@@ -440,10 +1043,13 @@ class SyncService {
         uploadedCount + downloadedCount
       );
 
+      const conflictCount = this.conflictsDetected;
       this.notifyListeners(SYNC_CONFIG.SYNC_STATUS.SUCCESS, {
-        message: `Sync completed. Uploaded: ${uploadedCount}, Downloaded: ${downloadedCount}`,
+        message: `Sync completed. Uploaded: ${uploadedCount}, Downloaded: ${downloadedCount}` +
+          (conflictCount > 0 ? `, Conflicts: ${conflictCount}` : ''),
         uploadedCount,
         downloadedCount,
+        conflictCount,
         lastSyncTime: this.lastSyncTime
       });
 
@@ -451,6 +1057,7 @@ class SyncService {
         success: true,
         uploadedCount,
         downloadedCount,
+        conflictCount,
         lastSyncTime: this.lastSyncTime,
         syncDuration: totalSyncTime
       };
@@ -489,63 +1096,139 @@ class SyncService {
     } finally {
       this.syncInProgress = false;
       console.log('🔄 Sync operation completed');
+      // Realtime changes that arrived during the sync were held back
+      this.applyRealtimeChanges();
     }
   }
 
+  // Subscribe to the signed-in user's changes in Supabase, so edits from other
+  // devices are applied within seconds instead of at the next sync
+  startRealtime(userId) {
+    this.stopRealtime();
+    console.log('📡 Subscribing to realtime changes...');
+
+    this.realtimeUnsubscribe = this.backend.subscribe(userId, {
+      onChange: (tableName, eventType, record) => this.queueRealtimeChange(tableName, eventType, record),
+      onStatus: (status, error) => {
+        if (status === 'SUBSCRIBED') {
+          console.log('✅ Realtime subscription active');
+          // Nothing is pushed while disconnected; a sync catches up on it
+          this.sync();
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error(`❌ Realtime subscription ${status}:`, error);
+        }
+      },
+    });
+  }
+
+  stopRealtime() {
+    if (!this.realtimeUnsubscribe) return;
+    console.log('📡 Unsubscribing from realtime changes');
+    this.realtimeUnsubscribe();
+    this.realtimeUnsubscribe = null;
+    this.realtimeQueue = [];
+  }
+
+  queueRealtimeChange(tableName, eventType, record) {
+    // Deletions sync as tombstone updates; hard deletes only come from
+    // purges and cascades and need no local action
+    if (eventType === 'DELETE') return;
+
+    console.log(`📡 Realtime ${eventType} on ${tableName}`);
+    this.realtimeQueue.push({ tableName, record });
+    this.applyRealtimeChanges();
+  }
+
+  // Applies queued realtime changes one at a time through the download merge
+  // path. Changes wait while a sync runs, so the echo of a record being
+  // uploaded is not mistaken for a conflicting edit. The download cursor is
+  // left alone: the next sync fetches these rows again, which is harmless.
+  applyRealtimeChanges() {
+    if (this.realtimeApplying || this.syncInProgress) return this.realtimeApplying;
+
+    this.realtimeApplying = (async () => {
+      const applied = [];
+      while (this.realtimeQueue.length > 0 && !this.syncInProgress) {
+        const change = this.realtimeQueue.shift();
+        try {
+          await this.applyRemoteRecord(change.tableName, change.record);
+          applied.push(change);
+        } catch (error) {
+          console.error(`❌ Error applying realtime change to ${change.tableName}:`, error);
+        }
+      }
+
+      if (applied.length > 0) {
+        console.log(`✅ Applied ${applied.length} realtime changes`);
+        this.notifyChangeListeners(applied);
+      }
+    })().finally(() => {
+      this.realtimeApplying = null;
+    });
+
+    return this.realtimeApplying;
+  }
+
   // Get sync status
   getSyncStatus() {
     return {
       isOnline: this.isOnline,
       syncInProgress: this.syncInProgress,
       lastSyncTime: this.lastSyncTime,
-      isConfigured: isSupabaseConfigured()
+      isConfigured: this.backend.isConfigured(),
+      backend: this.backend.name
     };
   }
 
-  // Debug function to check Supabase data directly
+  // Debug function to check the backend's data directly
   async debugSupabaseData() {
-    console.log('🔍 Debugging Supabase data...');
+    console.log(`🔍 Debugging ${this.backend.name} data...`);
     
-    if (!isSupabaseConfigured()) {
-      console.error('❌ Supabase not configured');
+    if (!this.backend.isConfigured()) {
+      console.error(`❌ ${this.backend.name} not configured`);
       return null;
     }
 
-    try {
-      const results = {};
+    const results = {};
+    
+    for (const tableName of SYNC_CONFIG.TABLES) {
+      console.log(`🔍 Checking table: ${tableName}`);
+      const startTime = Date.now();
       
-      for (const tableName of SYNC_CONFIG.TABLES) {
-        console.log(`🔍 Checking table: ${tableName}`);
-        const startTime = Date.now();
-        
-        const { data, error } = await supabase.from(tableName).select('*');
+      try {
+        // Page through the whole table, as downloads do
+        const data = [];
+        let cursor = null;
+        let page;
+        do {
+          page = await this.backend.selectSince(tableName, cursor, SYNC_CONFIG.BATCH_SIZE);
+          data.push(...page);
+          if (page.length > 0) {
+            const last = page[page.length - 1];
+            cursor = { updatedAt: last.updated_at, key: TABLE_KEYS[tableName].map(key => last[key]) };
+          }
+        } while (page.length === SYNC_CONFIG.BATCH_SIZE);
         const responseTime = Date.now() - startTime;
+
+        console.log(`✅ Table ${tableName}: ${data.length} records (${responseTime}ms)`);
+        results[tableName] = { 
+          records: data.length, 
+          data: data,
+          responseTime 
+        };
         
-        if (error) {
-          console.error(`❌ Error querying ${tableName}:`, error);
-          results[tableName] = { error: error.message, records: 0 };
-        } else {
-          console.log(`✅ Table ${tableName}: ${data?.length || 0} records (${responseTime}ms)`);
-          results[tableName] = { 
-            records: data?.length || 0, 
-            data: data,
-            responseTime 
-          };
-          
-          // Log sample data for each table
-          if (data && data.length > 0) {
-            console.log(`📊 Sample data from ${tableName}:`, data[0]);
-          }
+        // Log sample data for each table
+        if (data.length > 0) {
+          console.log(`📊 Sample data from ${tableName}:`, data[0]);
         }
+      } catch (error) {
+        console.error(`❌ Error querying ${tableName}:`, error);
+        results[tableName] = { error: error.message, records: 0 };
       }
-      
-      console.log('📊 Supabase data summary:', results);
-      return results;
-      
-    } catch (error) {
-      console.error('❌ Error debugging Supabase data:', error);
-      return { error: error.message };
     }
+    
+    console.log(`📊 ${this.backend.name} data summary:`, results);
+    return results;
   }
 
   // Export all SQLite data to Supabase
@@ -553,7 +1236,7 @@ class SyncService {
     const {
       clearSupabaseFirst = false,
       skipExisting = true,
-      batchSize = 10,
+      batchSize = SYNC_CONFIG.BATCH_SIZE,
       onProgress = null
     } = options;
 
@@ -572,13 +1255,14 @@ class SyncService {
         throw new Error('No connection to Supabase');
       }
 
+      await this.requireUser();
+
       // Clear Supabase data if requested
       if (clearSupabaseFirst) {
         console.log('🗑️ Clearing existing Supabase data...');
-        for (const tableName of SYNC_CONFIG.TABLES.reverse()) { // Reverse to handle foreign keys
+        for (const tableName of [...SYNC_CONFIG.TABLES].reverse()) { // Reverse to handle foreign keys
           try {
-            const { error } = await supabase.from(tableName).delete().neq('id', 0); // Delete all records
-            if (error) throw error;
+            await this.backend.deleteAll(tableName);
             console.log(`✅ Cleared table: ${tableName}`);
           } catch (error) {
             console.error(`❌ Error clearing table ${tableName}:`, error);
@@ -646,91 +1330,119 @@ class SyncService {
     }
   }
 
-  // Export a single table to Supabase
+  // Export a single table to Supabase in batches of batchSize rows. With
+  // skipExisting, rows Supabase already has are left alone; otherwise they
+  // are overwritten. Exported rows count as synced, and rows that fail to
+  // export as failed uploads (see completeExport and failExport).
   async exportTableToSupabase(tableName, options = {}) {
-    const { skipExisting = true, batchSize = 10, onProgress = null } = options;
+    const { skipExisting = true, batchSize = SYNC_CONFIG.BATCH_SIZE, onProgress = null } = options;
     
     console.log(`📤 Exporting table ${tableName}...`);
-    
-    return await withRetry(async () => {
-      const db = getDb();
-      
-      // Get all records from local table
+
+    // Get all records from local table. The operations queued before they
+    // are read only carry changes the rows already have.
+    const { localRecords, operations } = await this.database.withRetry(async () => {
+      const db = this.database.getDb();
+      const operations = await getTableOperations(db, tableName);
       const localRecords = await db.getAllAsync(`SELECT * FROM ${tableName}`);
-      console.log(`📤 Found ${localRecords.length} records in local table ${tableName}`);
+      return { localRecords, operations };
+    });
+    console.log(`📤 Found ${localRecords.length} records in local table ${tableName}`);
 
-      if (localRecords.length === 0) {
-        console.log(`📤 No records to export from ${tableName}`);
-        return { exported: 0, errors: 0, skipped: 0 };
-      }
+    if (tableName === 'projects') {
+      // Parents first, so no batch references a project Supabase lacks
+      const order = new Map(flattenProjectTree(buildProjectTree(localRecords)).map((node, i) => [node.id, i]));
+      localRecords.sort((a, b) => order.get(a.id) - order.get(b.id));
+    }
 
-      let exported = 0;
-      let errors = 0;
-      let skipped = 0;
+    if (localRecords.length === 0) {
+      console.log(`📤 No records to export from ${tableName}`);
+      return { exported: 0, errors: 0, skipped: 0 };
+    }
+
+    const writeBatch = records => skipExisting
+      ? this.backend.insertBatch(tableName, records)
+      : this.backend.upsertBatch(tableName, records);
+
+    let exported = 0;
+    let errors = 0;
+    let skipped = 0;
 
-      // Process records in batches
-      for (let i = 0; i < localRecords.length; i += batchSize) {
-        const batch = localRecords.slice(i, i + batchSize);
-        console.log(`📤 Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(localRecords.length/batchSize)} (${batch.length} records)`);
+    for (let i = 0; i < localRecords.length; i += batchSize) {
+      const batch = localRecords.slice(i, i + batchSize).map(record => this.toSupabaseRecord(record));
+      console.log(`📤 Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(localRecords.length/batchSize)} (${batch.length} records)`);
 
+      let stored;
+      let failed = 0;
+      try {
+        stored = await writeBatch(batch);
+      } catch (error) {
+        // One bad row fails the whole request, so send the rows one by one
+        // to find it and still export the rest
+        console.error(`❌ Error uploading batch to ${tableName}, retrying records one at a time:`, error);
+        stored = [];
         for (const record of batch) {
+          const recordId = getRecordId(tableName, record);
           try {
-            // Check if record already exists in Supabase (if skipExisting is true)
-            if (skipExisting) {
-              const { data: existing } = await supabase
-                .from(tableName)
-                .select('id')
-                .eq('id', record.id)
-                .single();
-
-              if (existing) {
-                console.log(`⏭️ Skipping existing record ${record.id} in ${tableName}`);
-                skipped++;
-                continue;
-              }
-            }
+            stored.push(...await writeBatch([record]));
+          } catch (recordError) {
+            console.error(`❌ Error uploading record ${recordId}:`, recordError);
+            failed++;
+            await this.failExport(tableName, recordId, recordError);
+          }
+        }
+      }
 
-            // Prepare data for Supabase (remove local-specific fields if any)
-            const supabaseData = { ...record };
-            
-            console.log(`📤 Uploading record ${record.id} to ${tableName}:`, supabaseData);
-
-            // Insert record to Supabase
-            const { data, error } = await supabase
-              .from(tableName)
-              .insert(supabaseData)
-              .select()
-              .single();
-
-            if (error) {
-              console.error(`❌ Error uploading record ${record.id}:`, error);
-              errors++;
-            } else {
-              console.log(`✅ Successfully uploaded record ${record.id} to Supabase`);
-              exported++;
-            }
+      await this.completeExport(tableName, stored, operations);
+      exported += stored.length;
+      errors += failed;
+      skipped += batch.length - stored.length - failed;
+
+      // Update progress
+      if (onProgress) {
+        onProgress({
+          exported: exported + errors + skipped,
+          total: localRecords.length,
+          errors
+        });
+      }
+    }
 
-            // Update progress
-            if (onProgress) {
-              onProgress({
-                exported: exported + errors + skipped,
-                total: localRecords.length,
-                errors
-              });
-            }
+    console.log(`📤 Table ${tableName} export completed: ${exported} exported, ${skipped} skipped, ${errors} errors`);
+    return { exported, skipped, errors };
+  }
 
-          } catch (error) {
-            console.error(`❌ Error processing record ${record.id}:`, error);
-            errors++;
-          }
+  // Rows an export stored are in sync with Supabase: complete the operations
+  // that would upload them again, those queued before the export read the
+  // table, and make the stored rows their base version. Operations for
+  // changes made since stay queued.
+  async completeExport(tableName, storedRows, operations) {
+    if (storedRows.length === 0) return;
+
+    await this.database.withTransaction(async (db) => {
+      for (const row of storedRows) {
+        const recordId = getRecordId(tableName, row);
+        for (const operation of operations.filter(operation => operation.record_id === recordId)) {
+          await completeOperation(db, operation);
         }
+        const stillQueued = await hasQueuedOperations(db, tableName, recordId);
+        await this.markSynced(db, tableName, recordId, row, { pending: stillQueued });
       }
-
-      console.log(`📤 Table ${tableName} export completed: ${exported} exported, ${skipped} skipped, ${errors} errors`);
-      return { exported, skipped, errors };
     });
   }
 
+  // Count a row the export could not store as a failed attempt of its next
+  // queued operation, the same as a failed upload. A row with nothing queued
+  // has no change to retry.
+  async failExport(tableName, recordId, error) {
+    const operation = await this.database.withRetry(async () =>
+      getNextOperation(this.database.getDb(), tableName, recordId)
+    );
+    if (operation) {
+      await this.recordFailure(operation, error);
+    }
+  }
+
   // Simple function to immediately send all SQLite data to Supabase
   async sendAllDataToSupabase() {
     console.log('🚀 SENDING ALL SQLITE DATA TO SUPABASE...');
@@ -752,81 +1464,19 @@ class SyncService {
         throw new Error('Cannot connect to Supabase');
       }
 
-      // Send data table by table
-      const results = {};
-      
-      // Send projects first
-      if (localData.projects && localData.projects.length > 0) {
-        console.log(`📤 Sending ${localData.projects.length} projects to Supabase...`);
-        for (const project of localData.projects) {
-          console.log(`📤 Sending project:`, project);
-          const { data, error } = await supabase
-            .from('projects')
-            .insert({
-              id: project.id,
-              name: project.name
-            })
-            .select()
-            .single();
-          
-          if (error) {
-            console.error(`❌ Error sending project ${project.id}:`, error);
-            results.projects = { error: error.message };
-          } else {
-            console.log(`✅ Project sent successfully:`, data);
-            results.projects = { success: true, count: localData.projects.length };
-          }
-        }
-      }
+      await this.requireUser();
 
-      // Send tasks
-      if (localData.tasks && localData.tasks.length > 0) {
-        console.log(`📤 Sending ${localData.tasks.length} tasks to Supabase...`);
-        for (const task of localData.tasks) {
-          console.log(`📤 Sending task:`, task);
-          const { data, error } = await supabase
-            .from('tasks')
-            .insert({
-              id: task.id,
-              project_id: task.project_id,
-              title: task.title,
-              description: task.description
-            })
-            .select()
-            .single();
-          
-          if (error) {
-            console.error(`❌ Error sending task ${task.id}:`, error);
-            results.tasks = { error: error.message };
-          } else {
-            console.log(`✅ Task sent successfully:`, data);
-            results.tasks = { success: true, count: localData.tasks.length };
-          }
-        }
-      }
-
-      // Send tags
-      if (localData.tags && localData.tags.length > 0) {
-        console.log(`📤 Sending ${localData.tags.length} tags to Supabase...`);
-        for (const tag of localData.tags) {
-          console.log(`📤 Sending tag:`, tag);
-          const { data, error } = await supabase
-            .from('tags')
-            .insert({
-              id: tag.id,
-              name: tag.name
-            })
-            .select()
-            .single();
-          
-          if (error) {
-            console.error(`❌ Error sending tag ${tag.id}:`, error);
-            results.tags = { error: error.message };
-          } else {
-            console.log(`✅ Tag sent successfully:`, data);
-            results.tags = { success: true, count: localData.tags.length };
-          }
-        }
+      // Send data table by table, parents first
+      const results = {};
+      for (const tableName of ['projects', 'tasks', 'tags']) {
+        const count = localData[tableName]?.length || 0;
+        if (count === 0) continue;
+
+        console.log(`📤 Sending ${count} ${tableName} to Supabase...`);
+        const { errors } = await this.exportTableToSupabase(tableName, { skipExisting: true });
+        results[tableName] = errors > 0
+          ? { error: `${errors} of ${count} ${tableName} could not be sent` }
+          : { success: true, count };
       }
 
       console.log('🎉 DATA SENDING COMPLETED!');
@@ -864,24 +1514,24 @@ class SyncService {
       
       // Test 3: Test insert/update/delete (if we have data)
       console.log('🧪 Test 3: Testing CRUD operations');
-      const testData = { name: 'Test Project ' + Date.now() };
+      const testData = { id: generateId(), name: 'Test Project ' + Date.now() };
       
       // Insert test
       console.log('🧪 Testing INSERT operation');
-      const insertResult = await supabase.from('projects').insert(testData).select().single();
+      const insertResult = await this.backend.insert('projects', testData);
       console.log('📤 INSERT result:', insertResult);
       
-      if (insertResult.data) {
-        const testId = insertResult.data.id;
+      if (insertResult) {
+        const testKey = { id: testData.id };
         
         // Update test
         console.log('🧪 Testing UPDATE operation');
-        const updateResult = await supabase.from('projects').update({ name: testData.name + ' Updated' }).eq('id', testId).select().single();
+        const updateResult = await this.backend.update('projects', testKey, { name: testData.name + ' Updated' });
         console.log('📤 UPDATE result:', updateResult);
         
-        // Delete test
+        // Delete test (a tombstone, like any other deletion)
         console.log('🧪 Testing DELETE operation');
-        const deleteResult = await supabase.from('projects').delete().eq('id', testId).select().single();
+        const deleteResult = await this.backend.delete('projects', testKey, new Date().toISOString());
         console.log('📤 DELETE result:', deleteResult);
       }
       
@@ -896,8 +1546,8 @@ class SyncService {
 
   // Get sync history
   async getSyncHistory(limit = 10) {
-    return await withRetry(async () => {
-      const db = getDb();
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
       const history = await db.getAllAsync(`
         SELECT * FROM sync_log 
         ORDER BY started_at DESC 
@@ -909,10 +1559,13 @@ class SyncService {
 
   // Clear sync metadata (useful for reset)
   async clearSyncMetadata() {
-    return await withRetry(async () => {
-      const db = getDb();
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
       await db.runAsync('DELETE FROM sync_metadata');
+      await db.runAsync('DELETE FROM sync_queue');
       await db.runAsync('DELETE FROM sync_log');
+      // Without metadata the next download has to start from scratch
+      await db.runAsync('DELETE FROM sync_state');
     });
   }
 
@@ -920,8 +1573,8 @@ class SyncService {
   async debugLocalData() {
     console.log('📊 Debugging local SQLite data...');
     
-    return await withRetry(async () => {
-      const db = getDb();
+    return await this.database.withRetry(async () => {
+      const db = this.database.getDb();
       const results = {};
 
       for (const tableName of SYNC_CONFIG.TABLES) {
@@ -951,7 +1604,3 @@ class SyncService {
     });
   }
 }
-
-// Export singleton instance
-export const syncService = new SyncService();
-export default syncService;
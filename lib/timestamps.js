@@ -0,0 +1,4 @@
+// SQL expression for the current time as an ISO 8601 UTC string with
+// milliseconds, the same shape Supabase returns, so local and remote
+// updated_at values compare and parse alike
+export const TIMESTAMP_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
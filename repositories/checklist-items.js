@@ -0,0 +1,118 @@
+import { syncService } from '../lib/app-sync-service.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+import { generateId } from '../lib/ids.js';
+import { keyBetween } from '../lib/sort-keys.js';
+import { manualOrder } from './tasks.js';
+
+// The steps of a task's checklist. Items are records of their own, synced
+// like tasks; deleting a task deletes its items with it.
+
+export async function getChecklistItems(taskId) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const items = await db.getAllAsync(
+      `SELECT * FROM checklist_items WHERE task_id = ? AND deleted_at IS NULL ORDER BY ${manualOrder()}`,
+      [taskId]
+    );
+    return items;
+  });
+}
+
+// New items go to the end of the checklist
+export async function addChecklistItem(taskId, title) {
+  console.log(`📝 Adding checklist item "${title}" to task ${taskId}`);
+  return await withTransaction(async (db) => {
+    const task = await db.getFirstAsync('SELECT id FROM tasks WHERE id = ? AND deleted_at IS NULL', [taskId]);
+    if (!task) {
+      console.error(`❌ Task ${taskId} not found for new checklist item`);
+      throw new Error('Task not found');
+    }
+
+    const last = await db.getFirstAsync('SELECT MAX(sort_key) AS key FROM checklist_items WHERE task_id = ?', [taskId]);
+    const sortKey = keyBetween(last?.key ?? null, null);
+
+    const itemId = generateId();
+    await db.runAsync(
+      `INSERT INTO checklist_items (id, task_id, title, sort_key, updated_at) VALUES (?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+      [itemId, taskId, title, sortKey]
+    );
+
+    console.log(`✅ Checklist item created locally with ID: ${itemId}`);
+
+    // Add sync metadata
+    await syncService.insertSyncMetadata(db, 'checklist_items', itemId);
+    console.log(`📤 Checklist item ${itemId} marked for sync to Supabase`);
+
+    return { id: itemId, task_id: taskId, title, completed: 0, sort_key: sortKey };
+  });
+}
+
+export async function updateChecklistItem(id, title) {
+  console.log(`📝 Updating checklist item ${id} to: "${title}"`);
+  return await withTransaction(async (db) => {
+    const result = await db.runAsync(
+      `UPDATE checklist_items SET title = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [title, id]
+    );
+
+    if (result.changes === 0) {
+      console.error(`❌ Checklist item ${id} not found for update`);
+      throw new Error('Checklist item not found');
+    }
+
+    console.log(`✅ Checklist item ${id} updated locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'checklist_items', id);
+    console.log(`📤 Checklist item ${id} marked for sync to Supabase`);
+
+    return { id, title };
+  });
+}
+
+export async function toggleChecklistItem(id) {
+  console.log(`☑️ Toggling checklist item ${id}`);
+  return await withTransaction(async (db) => {
+    const result = await db.runAsync(
+      `UPDATE checklist_items SET completed = 1 - completed, updated_at = ${TIMESTAMP_NOW}
+       WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
+
+    if (result.changes === 0) {
+      console.error(`❌ Checklist item ${id} not found for toggle`);
+      throw new Error('Checklist item not found');
+    }
+
+    console.log(`✅ Checklist item ${id} toggled locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'checklist_items', id);
+    console.log(`📤 Checklist item ${id} marked for sync to Supabase`);
+
+    return await db.getFirstAsync('SELECT * FROM checklist_items WHERE id = ?', [id]);
+  });
+}
+
+export async function deleteChecklistItem(id) {
+  console.log(`🗑️ Deleting checklist item ${id}`);
+  return await withTransaction(async (db) => {
+    const result = await db.runAsync(
+      `UPDATE checklist_items SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
+
+    if (result.changes === 0) {
+      console.error(`❌ Checklist item ${id} not found for deletion`);
+      throw new Error('Checklist item not found');
+    }
+
+    console.log(`✅ Checklist item ${id} deleted locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'checklist_items', id, { deleted: true });
+    console.log(`📤 Checklist item ${id} deletion marked for sync to Supabase`);
+
+    return { id };
+  });
+}
@@ -0,0 +1,90 @@
+import { syncService } from '../lib/app-sync-service.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+
+// Tables whose conflicts can be reviewed and reverted from the app
+const REVIEWABLE_TABLES = ['projects', 'tasks', 'tags', 'checklist_items', 'reminders'];
+
+function parseConflict(row) {
+  return {
+    ...row,
+    fields: JSON.parse(row.fields),
+    local_data: JSON.parse(row.local_data),
+    remote_data: JSON.parse(row.remote_data),
+    base_data: row.base_data ? JSON.parse(row.base_data) : null,
+    resolved_data: JSON.parse(row.resolved_data),
+  };
+}
+
+export async function getUnreviewedConflicts() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const rows = await db.getAllAsync(
+      'SELECT * FROM sync_conflicts WHERE reviewed_at IS NULL ORDER BY detected_at DESC, id DESC'
+    );
+    return rows.map(parseConflict);
+  });
+}
+
+export async function getUnreviewedConflictCount() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const result = await db.getFirstAsync('SELECT COUNT(*) AS count FROM sync_conflicts WHERE reviewed_at IS NULL');
+    return result.count;
+  });
+}
+
+// Accept the automatic resolution
+export async function markConflictReviewed(id) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const result = await db.runAsync(
+      'UPDATE sync_conflicts SET reviewed_at = CURRENT_TIMESTAMP WHERE id = ? AND reviewed_at IS NULL',
+      [id]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('Conflict not found');
+    }
+  });
+}
+
+// Replace the automatic resolution with one side's values for the conflicting
+// fields ('local' = this device, 'remote' = Supabase). The record is saved as
+// a new local edit, so the choice reaches every device on the next sync.
+export async function applyConflictVersion(id, side) {
+  console.log(`⚔️ Applying ${side} version for conflict ${id}`);
+  return await withTransaction(async (db) => {
+    const row = await db.getFirstAsync('SELECT * FROM sync_conflicts WHERE id = ?', [id]);
+    if (!row) {
+      throw new Error('Conflict not found');
+    }
+
+    const conflict = parseConflict(row);
+    if (!REVIEWABLE_TABLES.includes(conflict.table_name)) {
+      throw new Error(`Conflicts on ${conflict.table_name} cannot be reverted`);
+    }
+
+    const version = side === 'local' ? conflict.local_data : conflict.remote_data;
+    const fields = conflict.fields;
+
+    if (fields.length > 0) {
+      const result = await db.runAsync(
+        `UPDATE ${conflict.table_name}
+         SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = ${TIMESTAMP_NOW}
+         WHERE id = ?`,
+        [...fields.map(field => version[field] ?? null), conflict.record_id]
+      );
+
+      if (result.changes === 0) {
+        throw new Error('Record no longer exists');
+      }
+
+      await syncService.insertSyncMetadata(db, conflict.table_name, conflict.record_id);
+    }
+
+    await db.runAsync('UPDATE sync_conflicts SET reviewed_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+    console.log(`✅ Conflict ${id} resolved with ${side} version`);
+
+    return { tableName: conflict.table_name, recordId: conflict.record_id };
+  });
+}
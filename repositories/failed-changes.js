@@ -0,0 +1,74 @@
+import { getDb, withRetry, withTransaction } from '../lib/database.js';
+
+// Local changes that kept failing to upload. Each one holds back later
+// changes to the same record until it is retried or discarded.
+
+async function parseFailedChange(db, row) {
+  let record = row.payload ? JSON.parse(row.payload) : null;
+  if (!record && row.table_name !== 'task_tags') {
+    record = await db.getFirstAsync(`SELECT * FROM ${row.table_name} WHERE id = ?`, [row.record_id]);
+  }
+  return { ...row, record };
+}
+
+export async function getFailedChanges() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const rows = await db.getAllAsync(
+      'SELECT * FROM sync_queue WHERE dead_at IS NOT NULL ORDER BY id'
+    );
+    return await Promise.all(rows.map(row => parseFailedChange(db, row)));
+  });
+}
+
+export async function getFailedChangeCount() {
+  return await withRetry(async () => {
+    const db = getDb();
+    const result = await db.getFirstAsync('SELECT COUNT(*) AS count FROM sync_queue WHERE dead_at IS NOT NULL');
+    return result.count;
+  });
+}
+
+// Put a failed change back in the queue with a fresh set of attempts
+export async function retryFailedChange(id) {
+  console.log(`🔁 Retrying failed change ${id}`);
+  return await withTransaction(async (db) => {
+    const row = await db.getFirstAsync('SELECT * FROM sync_queue WHERE id = ? AND dead_at IS NOT NULL', [id]);
+    if (!row) {
+      throw new Error('Failed change not found');
+    }
+
+    await db.runAsync(
+      'UPDATE sync_queue SET attempts = 0, next_attempt_at = NULL, dead_at = NULL, last_error = NULL WHERE id = ?',
+      [id]
+    );
+    await db.runAsync(
+      "UPDATE sync_metadata SET sync_status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE table_name = ? AND record_id = ?",
+      [row.table_name, row.record_id]
+    );
+  });
+}
+
+// Give up on a change. The local record keeps it, but it is not uploaded, so
+// the next download may overwrite it.
+export async function discardFailedChange(id) {
+  console.log(`🗑️ Discarding failed change ${id}`);
+  return await withTransaction(async (db) => {
+    const row = await db.getFirstAsync('SELECT * FROM sync_queue WHERE id = ? AND dead_at IS NOT NULL', [id]);
+    if (!row) {
+      throw new Error('Failed change not found');
+    }
+
+    await db.runAsync('DELETE FROM sync_queue WHERE id = ?', [id]);
+    await db.runAsync(
+      `UPDATE sync_metadata
+       SET sync_status = CASE
+             WHEN EXISTS (SELECT 1 FROM sync_queue WHERE table_name = ? AND record_id = ?) THEN 'pending'
+             ELSE 'synced'
+           END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE table_name = ? AND record_id = ?`,
+      [row.table_name, row.record_id, row.table_name, row.record_id]
+    );
+  });
+}
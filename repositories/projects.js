@@ -1,10 +1,17 @@
-import { getDb, withRetry } from '../lib/database.js';
-import { syncService } from '../lib/sync-service.js';
+import { syncService } from '../lib/app-sync-service.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+import { generateId } from '../lib/ids.js';
+import { keyBetween, planMove } from '../lib/sort-keys.js';
+import { tombstoneTaskChildren, tombstoneTaskTags } from './tasks.js';
+
+// Manual order: projects created before sort keys existed come first, in
+// creation order
+const PROJECT_ORDER = 'sort_key IS NOT NULL, sort_key, rowid';
 
 export async function getAllProjects() {
   return await withRetry(async () => {
     const db = getDb();
-    const projects = await db.getAllAsync('SELECT * FROM projects ORDER BY id');
+    const projects = await db.getAllAsync(`SELECT * FROM projects WHERE deleted_at IS NULL ORDER BY ${PROJECT_ORDER}`);
     return projects;
   });
 }
@@ -12,34 +19,95 @@ export async function getAllProjects() {
 export async function getProjectById(id) {
   return await withRetry(async () => {
     const db = getDb();
-    const project = await db.getFirstAsync('SELECT * FROM projects WHERE id = ?', [id]);
+    const project = await db.getFirstAsync('SELECT * FROM projects WHERE id = ? AND deleted_at IS NULL', [id]);
     return project;
   });
 }
 
-export async function createProject(name) {
-  console.log(`📝 Creating new project: "${name}"`);
-  return await withRetry(async () => {
-    const db = getDb();
-    const result = await db.runAsync('INSERT INTO projects (name) VALUES (?)', [name]);
-    const projectId = result.lastInsertRowId;
-    
-    console.log(`✅ Project created locally with ID: ${projectId}`);
-    
-    // Add sync metadata
-    await syncService.insertSyncMetadata('projects', projectId);
-    console.log(`📤 Project ${projectId} marked for sync to Supabase`);
-    
-    return { id: projectId, name };
+// The live project called `name`, ignoring case, or null
+export async function getProjectByName(name) {
+  return await withRetry(async () => await findProjectByName(getDb(), name));
+}
+
+async function findProjectByName(db, name) {
+  return await db.getFirstAsync(
+    `SELECT * FROM projects WHERE name = ? COLLATE NOCASE AND deleted_at IS NULL ORDER BY ${PROJECT_ORDER}`,
+    [name.trim()]
+  );
+}
+
+// Fails unless parentId is null or a live project outside the subtree of
+// projectId (when given), so the hierarchy never loops
+async function checkParent(db, parentId, projectId = null) {
+  if (!parentId) return;
+
+  const parent = await db.getFirstAsync('SELECT id FROM projects WHERE id = ? AND deleted_at IS NULL', [parentId]);
+  if (!parent) {
+    throw new Error('Parent project not found');
+  }
+
+  if (projectId) {
+    const loop = await db.getFirstAsync(`
+      WITH RECURSIVE ancestors(id) AS (
+        SELECT ?
+        UNION
+        SELECT p.parent_id FROM projects p INNER JOIN ancestors a ON p.id = a.id WHERE p.parent_id IS NOT NULL
+      )
+      SELECT 1 AS found FROM ancestors WHERE id = ?
+    `, [parentId, projectId]);
+    if (loop) {
+      throw new Error('Cannot move a project into itself or one of its subprojects');
+    }
+  }
+}
+
+// Sort key placing a project after every current child of parentId
+async function lastSortKey(db, parentId) {
+  const row = await db.getFirstAsync('SELECT MAX(sort_key) AS last FROM projects WHERE parent_id IS ?', [parentId]);
+  return keyBetween(row?.last ?? null, null);
+}
+
+export async function createProject(name, options = {}) {
+  const { parentId = null } = options;
+  console.log(`📝 Creating new project: "${name}"${parentId ? ` in project ${parentId}` : ''}`);
+  return await withTransaction(async (db) => {
+    await checkParent(db, parentId);
+    return await insertProject(db, name, parentId);
   });
 }
 
+// The live project called `name`, ignoring case, or a new top-level one, inside
+// a transaction the caller already holds
+export async function ensureProject(db, name) {
+  const project = await findProjectByName(db, name);
+  if (project) return project;
+
+  console.log(`📝 Creating new project: "${name}"`);
+  return await insertProject(db, name, null);
+}
+
+async function insertProject(db, name, parentId) {
+  const projectId = generateId();
+  const sortKey = await lastSortKey(db, parentId);
+  await db.runAsync(
+    `INSERT INTO projects (id, name, parent_id, sort_key, updated_at) VALUES (?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+    [projectId, name, parentId, sortKey]
+  );
+  
+  console.log(`✅ Project created locally with ID: ${projectId}`);
+  
+  // Add sync metadata
+  await syncService.insertSyncMetadata(db, 'projects', projectId);
+  console.log(`📤 Project ${projectId} marked for sync to Supabase`);
+  
+  return { id: projectId, name, parent_id: parentId, sort_key: sortKey };
+}
+
 export async function updateProject(id, name) {
   console.log(`📝 Updating project ${id} to: "${name}"`);
-  return await withRetry(async () => {
-    const db = getDb();
+  return await withTransaction(async (db) => {
     const result = await db.runAsync(
-      'UPDATE projects SET name = ? WHERE id = ?',
+      `UPDATE projects SET name = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
       [name, id]
     );
     
@@ -51,35 +119,185 @@ export async function updateProject(id, name) {
     console.log(`✅ Project ${id} updated locally`);
     
     // Update sync metadata
-    await syncService.insertSyncMetadata('projects', id);
+    await syncService.insertSyncMetadata(db, 'projects', id);
     console.log(`📤 Project ${id} marked for sync to Supabase`);
     
     return { id, name };
   });
 }
 
-export async function deleteProject(id) {
-  console.log(`🗑️ Deleting project ${id}`);
-  return await withRetry(async () => {
-    const db = getDb();
-    
-    // First delete all tasks in this project
-    const tasksResult = await db.runAsync('DELETE FROM tasks WHERE project_id = ?', [id]);
-    console.log(`🗑️ Deleted ${tasksResult.changes} tasks from project ${id}`);
-    
-    // Then delete the project
-    const result = await db.runAsync('DELETE FROM projects WHERE id = ?', [id]);
-    
+// Move a project under another one, or to the top level with a null parentId.
+// It goes last among its new siblings, and its subprojects and tasks come
+// along.
+export async function moveProject(id, parentId) {
+  console.log(`📁 Moving project ${id} under ${parentId ?? 'the top level'}`);
+  return await withTransaction(async (db) => {
+    await checkParent(db, parentId, id);
+
+    const sortKey = await lastSortKey(db, parentId);
+    const result = await db.runAsync(
+      `UPDATE projects SET parent_id = ?, sort_key = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [parentId, sortKey, id]
+    );
+
     if (result.changes === 0) {
-      console.error(`❌ Project ${id} not found for deletion`);
+      console.error(`❌ Project ${id} not found for move`);
       throw new Error('Project not found');
     }
-    
-    console.log(`✅ Project ${id} deleted locally`);
-    
+
+    console.log(`✅ Project ${id} moved locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'projects', id);
+    console.log(`📤 Project ${id} marked for sync to Supabase`);
+
+    return { id, parent_id: parentId, sort_key: sortKey };
+  });
+}
+
+// Put a project right before or after another one, as a sibling of that
+// project. Dropping it among another project's children moves it there.
+async function placeProject(id, targetId, placement) {
+  console.log(`↕️ Moving project ${id} ${placement} project ${targetId}`);
+  return await withTransaction(async (db) => {
+    const project = await db.getFirstAsync('SELECT id, parent_id FROM projects WHERE id = ? AND deleted_at IS NULL', [id]);
+    const target = await db.getFirstAsync('SELECT id, parent_id FROM projects WHERE id = ? AND deleted_at IS NULL', [targetId]);
+    if (!project || !target) {
+      console.error(`❌ Project ${id} or ${targetId} not found for reorder`);
+      throw new Error('Project not found');
+    }
+    if (id === targetId) {
+      return { id, parent_id: project.parent_id };
+    }
+
+    const parentId = target.parent_id;
+    const reparented = parentId !== project.parent_id;
+    if (reparented) {
+      await checkParent(db, parentId, id);
+      await db.runAsync(
+        `UPDATE projects SET parent_id = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ?`,
+        [parentId, id]
+      );
+    }
+
+    const siblings = await db.getAllAsync(
+      `SELECT id, sort_key FROM projects WHERE parent_id IS ? AND deleted_at IS NULL ORDER BY ${PROJECT_ORDER}`,
+      [parentId]
+    );
+    const updates = planMove(siblings, id, targetId, placement);
+    for (const row of updates) {
+      await db.runAsync(
+        `UPDATE projects SET sort_key = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ?`,
+        [row.sort_key, row.id]
+      );
+    }
+
+    console.log(`✅ Project ${id} reordered locally, ${updates.length} sort keys written`);
+
     // Update sync metadata
-    await syncService.insertSyncMetadata('projects', id);
-    console.log(`📤 Project ${id} deletion marked for sync to Supabase`);
+    const changedIds = new Set(updates.map(row => row.id));
+    if (reparented) changedIds.add(id);
+    for (const changedId of changedIds) {
+      await syncService.insertSyncMetadata(db, 'projects', changedId);
+    }
+    console.log(`📤 ${changedIds.size} projects marked for sync to Supabase`);
+
+    return { id, parent_id: parentId };
+  });
+}
+
+export async function moveProjectBefore(id, targetId) {
+  return await placeProject(id, targetId, 'before');
+}
+
+export async function moveProjectAfter(id, targetId) {
+  return await placeProject(id, targetId, 'after');
+}
+
+// Tombstone one project and its tasks. Subprojects are left to the caller.
+async function tombstoneProject(db, id) {
+  // Tombstone the tag links of the project's tasks so their removals sync too
+  const linkCount = await tombstoneTaskTags(db, 'task_id IN (SELECT id FROM tasks WHERE project_id = ?)', [id]);
+  console.log(`🗑️ Deleted ${linkCount} tag relationships for project ${id}`);
+
+  // Tombstone the checklist items and reminders of the project's tasks, which
+  // sync on their own
+  await tombstoneTaskChildren(db, 'SELECT id FROM tasks WHERE project_id = ?', [id]);
+  
+  // Tombstone the project's tasks first so their deletions sync too
+  const tasks = await db.getAllAsync(
+    'SELECT id FROM tasks WHERE project_id = ? AND deleted_at IS NULL',
+    [id]
+  );
+  await db.runAsync(
+    `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE project_id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  for (const task of tasks) {
+    await syncService.insertSyncMetadata(db, 'tasks', task.id, { deleted: true });
+  }
+  console.log(`🗑️ Deleted ${tasks.length} tasks from project ${id}`);
+  
+  // Then tombstone the project
+  const result = await db.runAsync(
+    `UPDATE projects SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  
+  if (result.changes === 0) {
+    console.error(`❌ Project ${id} not found for deletion`);
+    throw new Error('Project not found');
+  }
+  
+  console.log(`✅ Project ${id} deleted locally`);
+  
+  // Update sync metadata
+  await syncService.insertSyncMetadata(db, 'projects', id, { deleted: true });
+  console.log(`📤 Project ${id} deletion marked for sync to Supabase`);
+}
+
+// Delete a project with its tasks. Its subprojects either move up to take its
+// place (children: 'move') or are deleted with everything below them
+// (children: 'delete').
+export async function deleteProject(id, { children = 'move' } = {}) {
+  console.log(`🗑️ Deleting project ${id}, ${children === 'delete' ? 'with' : 'keeping'} its subprojects`);
+  return await withTransaction(async (db) => {
+    const project = await db.getFirstAsync('SELECT id, parent_id FROM projects WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!project) {
+      console.error(`❌ Project ${id} not found for deletion`);
+      throw new Error('Project not found');
+    }
+
+    if (children === 'delete') {
+      const descendants = await db.getAllAsync(`
+        WITH RECURSIVE subtree(id) AS (
+          SELECT id FROM projects WHERE parent_id = ?
+          UNION
+          SELECT p.id FROM projects p INNER JOIN subtree s ON p.parent_id = s.id
+        )
+        SELECT projects.id FROM projects INNER JOIN subtree ON projects.id = subtree.id
+        WHERE projects.deleted_at IS NULL AND projects.id != ?
+      `, [id, id]);
+      for (const descendant of descendants) {
+        await tombstoneProject(db, descendant.id);
+      }
+      console.log(`🗑️ Deleted ${descendants.length} subprojects of project ${id}`);
+    } else {
+      const subprojects = await db.getAllAsync(
+        'SELECT id FROM projects WHERE parent_id = ? AND deleted_at IS NULL',
+        [id]
+      );
+      await db.runAsync(
+        `UPDATE projects SET parent_id = ?, updated_at = ${TIMESTAMP_NOW} WHERE parent_id = ? AND deleted_at IS NULL`,
+        [project.parent_id, id]
+      );
+      for (const subproject of subprojects) {
+        await syncService.insertSyncMetadata(db, 'projects', subproject.id);
+      }
+      console.log(`📁 Moved ${subprojects.length} subprojects of project ${id} up a level`);
+    }
+
+    await tombstoneProject(db, id);
     
     return { id };
   });
@@ -0,0 +1,32 @@
+import { withTransaction } from '../lib/database.js';
+import { ensureProject } from './projects.js';
+import { ensureTag } from './tags.js';
+import { insertTask } from './tasks.js';
+
+// Creates the task a quick-add line describes (see lib/quick-add.js). The
+// project and tags it names are looked up by name and created when there is
+// none yet. It all happens in one transaction, so a task that fails to save
+// leaves no new project or tag behind.
+// `projectId` is where the task goes when the line names no project, and
+// `priority` applies when it names no priority. `tagIds` are tags picked
+// outside the line.
+export async function createQuickAddTask(projectId, parsed, description, options = {}) {
+  const { priority, tagIds = [] } = options;
+  return await withTransaction(async (db) => {
+    const project = parsed.projectName ? await ensureProject(db, parsed.projectName) : null;
+
+    const allTagIds = [...tagIds];
+    for (const name of parsed.tagNames) {
+      const tag = await ensureTag(db, name);
+      allTagIds.push(tag.id);
+    }
+
+    return await insertTask(db, project?.id ?? projectId, parsed.title, description, {
+      dueDate: parsed.dueDate,
+      dueTime: parsed.dueTime,
+      priority: parsed.priority ?? priority,
+      recurrence: parsed.recurrence,
+      tagIds: [...new Set(allTagIds)],
+    });
+  });
+}
@@ -0,0 +1,96 @@
+import { syncService } from '../lib/app-sync-service.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+import { generateId } from '../lib/ids.js';
+import { parseRemindAt } from '../lib/reminders.js';
+
+// A task's reminders (see lib/reminders.js). The rows sync like checklist
+// items; the notifications they turn into are scheduled on each device by
+// lib/reminder-scheduler.js.
+
+// Relative reminders first, earliest first, then fixed times in order
+const REMINDER_ORDER = 'remind_at IS NOT NULL, offset_minutes DESC, remind_at, rowid';
+
+export async function getReminders(taskId) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const reminders = await db.getAllAsync(
+      `SELECT * FROM reminders WHERE task_id = ? AND deleted_at IS NULL ORDER BY ${REMINDER_ORDER}`,
+      [taskId]
+    );
+    return reminders;
+  });
+}
+
+// `offsetMinutes` before the task is due, or at `remindAt`
+// ('YYYY-MM-DDTHH:MM'). Adding a reminder the task already has returns the
+// existing one.
+export async function addReminder(taskId, reminder) {
+  const offsetMinutes = reminder.offsetMinutes ?? null;
+  const remindAt = reminder.remindAt ?? null;
+  const relative = offsetMinutes !== null;
+  if (relative === (remindAt !== null)) {
+    throw new Error('A reminder needs either an offset or a time');
+  }
+  if (relative && (!Number.isInteger(offsetMinutes) || offsetMinutes < 0)) {
+    throw new Error('Invalid reminder offset');
+  }
+  if (!relative && !parseRemindAt(remindAt)) {
+    throw new Error('Invalid reminder time');
+  }
+
+  console.log(`⏰ Adding reminder to task ${taskId}: ${relative ? `${offsetMinutes} minutes before due` : remindAt}`);
+  return await withTransaction(async (db) => {
+    const task = await db.getFirstAsync('SELECT id FROM tasks WHERE id = ? AND deleted_at IS NULL', [taskId]);
+    if (!task) {
+      console.error(`❌ Task ${taskId} not found for new reminder`);
+      throw new Error('Task not found');
+    }
+
+    const existing = await db.getFirstAsync(
+      `SELECT * FROM reminders WHERE task_id = ? AND deleted_at IS NULL
+       AND offset_minutes IS ? AND remind_at IS ?`,
+      [taskId, offsetMinutes, remindAt]
+    );
+    if (existing) {
+      console.log(`ℹ️ Task ${taskId} already has this reminder (${existing.id})`);
+      return existing;
+    }
+
+    const reminderId = generateId();
+    await db.runAsync(
+      `INSERT INTO reminders (id, task_id, offset_minutes, remind_at, updated_at) VALUES (?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+      [reminderId, taskId, offsetMinutes, remindAt]
+    );
+
+    console.log(`✅ Reminder created locally with ID: ${reminderId}`);
+
+    // Add sync metadata
+    await syncService.insertSyncMetadata(db, 'reminders', reminderId);
+    console.log(`📤 Reminder ${reminderId} marked for sync to Supabase`);
+
+    return { id: reminderId, task_id: taskId, offset_minutes: offsetMinutes, remind_at: remindAt };
+  });
+}
+
+export async function deleteReminder(id) {
+  console.log(`🗑️ Deleting reminder ${id}`);
+  return await withTransaction(async (db) => {
+    const result = await db.runAsync(
+      `UPDATE reminders SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
+
+    if (result.changes === 0) {
+      console.error(`❌ Reminder ${id} not found for deletion`);
+      throw new Error('Reminder not found');
+    }
+
+    console.log(`✅ Reminder ${id} deleted locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'reminders', id, { deleted: true });
+    console.log(`📤 Reminder ${id} deletion marked for sync to Supabase`);
+
+    return { id };
+  });
+}
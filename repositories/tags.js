@@ -1,10 +1,12 @@
-import { getDb, withRetry } from '../lib/database.js';
-import { syncService } from '../lib/sync-service.js';
+import { syncService } from '../lib/app-sync-service.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+import { generateId } from '../lib/ids.js';
+import { CHECKLIST_COUNT_COLUMNS, priorityOrder, statusCondition, TASK_TAGS_COLUMN, tombstoneTaskTags, withTags } from './tasks.js';
 
 export async function getAllTags() {
   return await withRetry(async () => {
     const db = getDb();
-    const tags = await db.getAllAsync('SELECT * FROM tags ORDER BY name');
+    const tags = await db.getAllAsync('SELECT * FROM tags WHERE deleted_at IS NULL ORDER BY name');
     return tags;
   });
 }
@@ -12,29 +14,49 @@ export async function getAllTags() {
 export async function getTagById(id) {
   return await withRetry(async () => {
     const db = getDb();
-    const tag = await db.getFirstAsync('SELECT * FROM tags WHERE id = ?', [id]);
+    const tag = await db.getFirstAsync('SELECT * FROM tags WHERE id = ? AND deleted_at IS NULL', [id]);
     return tag;
   });
 }
 
+// The live tag called `name`, ignoring case, or null
+export async function getTagByName(name) {
+  return await withRetry(async () => await findTagByName(getDb(), name));
+}
+
+// Names are not unique: tags made on two devices before they sync keep both
+// copies, so the oldest wins
+async function findTagByName(db, name) {
+  return await db.getFirstAsync(
+    'SELECT * FROM tags WHERE name = ? COLLATE NOCASE AND deleted_at IS NULL ORDER BY rowid',
+    [name.trim()]
+  );
+}
+
 export async function createTag(name) {
-  return await withRetry(async () => {
-    const db = getDb();
-    const result = await db.runAsync('INSERT INTO tags (name) VALUES (?)', [name]);
-    const tagId = result.lastInsertRowId;
-    
-    // Add sync metadata
-    await syncService.insertSyncMetadata('tags', tagId);
-    
-    return { id: tagId, name };
-  });
+  return await withTransaction(async (db) => await insertTag(db, name));
+}
+
+// The live tag called `name`, ignoring case, or a new one, inside a transaction
+// the caller already holds
+export async function ensureTag(db, name) {
+  return await findTagByName(db, name) ?? await insertTag(db, name);
+}
+
+async function insertTag(db, name) {
+  const tagId = generateId();
+  await db.runAsync(`INSERT INTO tags (id, name, updated_at) VALUES (?, ?, ${TIMESTAMP_NOW})`, [tagId, name]);
+  
+  // Add sync metadata
+  await syncService.insertSyncMetadata(db, 'tags', tagId);
+  
+  return { id: tagId, name };
 }
 
 export async function updateTag(id, name) {
-  return await withRetry(async () => {
-    const db = getDb();
+  return await withTransaction(async (db) => {
     const result = await db.runAsync(
-      'UPDATE tags SET name = ? WHERE id = ?',
+      `UPDATE tags SET name = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
       [name, id]
     );
     
@@ -43,44 +65,46 @@ export async function updateTag(id, name) {
     }
     
     // Update sync metadata
-    await syncService.insertSyncMetadata('tags', id);
+    await syncService.insertSyncMetadata(db, 'tags', id);
     
     return { id, name };
   });
 }
 
 export async function deleteTag(id) {
-  return await withRetry(async () => {
-    const db = getDb();
-    
-    // First delete task_tags relationships
-    await db.runAsync('DELETE FROM task_tags WHERE tag_id = ?', [id]);
+  return await withTransaction(async (db) => {
+    // First tombstone the tag's links to tasks so their removals sync too
+    await tombstoneTaskTags(db, 'tag_id = ?', [id]);
     
-    // Then delete the tag
-    const result = await db.runAsync('DELETE FROM tags WHERE id = ?', [id]);
+    // Then tombstone the tag
+    const result = await db.runAsync(
+      `UPDATE tags SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
     
     if (result.changes === 0) {
       throw new Error('Tag not found');
     }
     
     // Update sync metadata
-    await syncService.insertSyncMetadata('tags', id);
+    await syncService.insertSyncMetadata(db, 'tags', id, { deleted: true });
     
     return { id };
   });
 }
 
-export async function getTasksByTagId(tagId) {
+export async function getTasksByTagId(tagId, { status = 'all', sort = 'created' } = {}) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(`
-      SELECT t.*, p.name as project_name 
+      SELECT t.*, p.name as project_name, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS}
       FROM tasks t 
       INNER JOIN task_tags tt ON t.id = tt.task_id 
       LEFT JOIN projects p ON t.project_id = p.id 
-      WHERE tt.tag_id = ?
-      ORDER BY t.id
+      WHERE tt.tag_id = ? AND tt.deleted_at IS NULL AND t.deleted_at IS NULL
+        AND ${statusCondition(status, 't.')}
+      ORDER BY t.completed, ${sort === 'priority' ? priorityOrder('t.') : 't.rowid'}
     `, [tagId]);
-    return tasks;
+    return tasks.map(withTags);
   });
 }
@@ -1,27 +1,169 @@
-import { getDb, withRetry } from '../lib/database.js';
-import { syncService } from '../lib/sync-service.js';
+import { syncService } from '../lib/app-sync-service.js';
+import { toDateKey } from '../lib/dates.js';
+import { getDb, TIMESTAMP_NOW, withRetry, withTransaction } from '../lib/database.js';
+import { generateId } from '../lib/ids.js';
+import { DEFAULT_PRIORITY, isValidPriority } from '../lib/priorities.js';
+import { formatRecurrence, nextDates, parseRecurrence } from '../lib/recurrence.js';
+import { buildMatchQuery, HIGHLIGHT_END, HIGHLIGHT_START } from '../lib/search.js';
+import { keyBetween, planMove } from '../lib/sort-keys.js';
+import { getRecordId } from '../lib/sync-service.js';
 
-export async function getAllTasks() {
+// Maps a task status filter ('all' | 'active' | 'completed') to a WHERE fragment
+export function statusCondition(status, alias = '') {
+  const column = `${alias}completed`;
+  switch (status) {
+    case 'active':
+      return `${column} = 0`;
+    case 'completed':
+      return `${column} = 1`;
+    default:
+      return '1 = 1';
+  }
+}
+
+// Manual order of tasks within a project. Tasks created before sort keys
+// existed come first, in creation order.
+export function manualOrder(alias = '') {
+  return `${alias}sort_key IS NOT NULL, ${alias}sort_key, ${alias}rowid`;
+}
+
+// Triage order: P1 first, then by due date and time (undated last), then in
+// manual order. Lists take it with their `sort: 'priority'` option.
+export function priorityOrder(alias = '') {
+  return `${alias}priority, ${alias}due_date IS NULL, ${alias}due_date, ${alias}due_time IS NULL, ${alias}due_time, ${manualOrder(alias)}`;
+}
+
+// Live tags of the task aliased `t`, as a JSON array of { id, name } sorted by
+// name. Rows selected with it go through withTags() before being returned.
+export const TASK_TAGS_COLUMN = `(
+  SELECT json_group_array(json_object('id', tag.id, 'name', tag.name))
+  FROM (
+    SELECT g.id, g.name
+    FROM task_tags tt
+    INNER JOIN tags g ON g.id = tt.tag_id
+    WHERE tt.task_id = t.id AND tt.deleted_at IS NULL AND g.deleted_at IS NULL
+    ORDER BY g.name
+  ) tag
+) AS tags_json`;
+
+// How many live checklist items the task aliased `t` has, and how many of
+// them are checked off
+export const CHECKLIST_COUNT_COLUMNS = `
+  (SELECT COUNT(*) FROM checklist_items ci WHERE ci.task_id = t.id AND ci.deleted_at IS NULL) AS checklist_total,
+  (SELECT COUNT(*) FROM checklist_items ci WHERE ci.task_id = t.id AND ci.deleted_at IS NULL AND ci.completed = 1) AS checklist_done`;
+
+// Replace the raw `tags_json` column with a parsed `tags` array
+export function withTags(task) {
+  const { tags_json: tagsJson, ...rest } = task;
+  return { ...rest, tags: tagsJson ? JSON.parse(tagsJson) : [] };
+}
+
+export async function getAllTasks({ status = 'all', sort = 'created' } = {}) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(`
-      SELECT t.*, p.name as project_name 
+      SELECT t.*, p.name as project_name, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS}
       FROM tasks t 
       LEFT JOIN projects p ON t.project_id = p.id 
-      ORDER BY t.id
+      WHERE t.deleted_at IS NULL AND ${statusCondition(status, 't.')}
+      ORDER BY t.completed, ${sort === 'priority' ? priorityOrder('t.') : 't.rowid'}
     `);
-    return tasks;
+    return tasks.map(withTags);
   });
 }
 
-export async function getTasksByProjectId(projectId) {
+// `sort` is 'manual' (the order tasks were dragged into) or 'priority'
+export async function getTasksByProjectId(projectId, { status = 'all', sort = 'manual' } = {}) {
   return await withRetry(async () => {
     const db = getDb();
     const tasks = await db.getAllAsync(
-      'SELECT * FROM tasks WHERE project_id = ? ORDER BY id',
+      `SELECT t.*, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS} FROM tasks t
+       WHERE t.project_id = ? AND t.deleted_at IS NULL AND ${statusCondition(status, 't.')}
+       ORDER BY t.completed, ${sort === 'priority' ? priorityOrder('t.') : manualOrder('t.')}`,
       [projectId]
     );
-    return tasks;
+    return tasks.map(withTags);
+  });
+}
+
+// Tasks due between two date keys (inclusive). With `includeStarting`, tasks whose
+// start date falls in the range are included as well.
+export async function getTasksDueBetween(start, end, { status = 'active', includeStarting = false } = {}) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const startingClause = includeStarting ? 'OR (t.start_date BETWEEN ? AND ?)' : '';
+    const params = includeStarting ? [start, end, start, end] : [start, end];
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS}
+      FROM tasks t 
+      LEFT JOIN projects p ON t.project_id = p.id 
+      WHERE ((t.due_date BETWEEN ? AND ?) ${startingClause})
+        AND t.deleted_at IS NULL
+        AND ${statusCondition(status, 't.')}
+      ORDER BY COALESCE(t.due_date, t.start_date), t.completed, t.rowid
+    `, params);
+    return tasks.map(withTags);
+  });
+}
+
+export async function getOverdueTasks(today = toDateKey()) {
+  return await withRetry(async () => {
+    const db = getDb();
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS}
+      FROM tasks t 
+      LEFT JOIN projects p ON t.project_id = p.id 
+      WHERE t.due_date < ? AND t.completed = 0 AND t.deleted_at IS NULL
+      ORDER BY t.due_date, t.rowid
+    `, [today]);
+    return tasks.map(withTags);
+  });
+}
+
+// Full-text search over task titles and descriptions, best matches first.
+// Results carry `title_highlight` and `description_snippet` with matched terms
+// wrapped in the HIGHLIGHT_START/HIGHLIGHT_END markers from lib/search.js.
+// When `tagIds` is given, only tasks carrying all of those tags are returned.
+export async function searchTasks(query, options = {}) {
+  const { projectId = null, tagIds = [], limit = 50 } = options;
+  const matchQuery = buildMatchQuery(query);
+  if (!matchQuery) return [];
+
+  return await withRetry(async () => {
+    const db = getDb();
+    const conditions = ['tasks_fts MATCH ?', 't.deleted_at IS NULL'];
+    const params = [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END, matchQuery];
+
+    if (projectId) {
+      conditions.push('t.project_id = ?');
+      params.push(projectId);
+    }
+
+    if (tagIds.length > 0) {
+      conditions.push(`t.id IN (
+        SELECT task_id FROM task_tags
+        WHERE deleted_at IS NULL AND tag_id IN (${tagIds.map(() => '?').join(', ')})
+        GROUP BY task_id
+        HAVING COUNT(DISTINCT tag_id) = ?
+      )`);
+      params.push(...tagIds, tagIds.length);
+    }
+
+    params.push(limit);
+
+    // Title matches weigh more than description matches in the bm25 ranking
+    const tasks = await db.getAllAsync(`
+      SELECT t.*, p.name as project_name, ${TASK_TAGS_COLUMN}, ${CHECKLIST_COUNT_COLUMNS},
+        highlight(tasks_fts, 0, ?, ?) AS title_highlight,
+        snippet(tasks_fts, 1, ?, ?, '…', 12) AS description_snippet
+      FROM tasks_fts
+      INNER JOIN tasks t ON t.rowid = tasks_fts.rowid
+      LEFT JOIN projects p ON t.project_id = p.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY bm25(tasks_fts, 10.0, 1.0)
+      LIMIT ?
+    `, params);
+    return tasks.map(withTags);
   });
 }
 
@@ -32,41 +174,112 @@ export async function getTaskById(id) {
       SELECT t.*, p.name as project_name 
       FROM tasks t 
       LEFT JOIN projects p ON t.project_id = p.id 
-      WHERE t.id = ?
+      WHERE t.id = ? AND t.deleted_at IS NULL
     `, [id]);
     return task;
   });
 }
 
-export async function createTask(projectId, title, description = null) {
+// Sort key placing a task after every current task of projectId
+async function lastSortKey(db, projectId) {
+  const row = await db.getFirstAsync('SELECT MAX(sort_key) AS last FROM tasks WHERE project_id = ?', [projectId]);
+  return keyBetween(row?.last ?? null, null);
+}
+
+// `tagIds` links the new task to existing tags in the same transaction.
+// `recurrence` is a repeat rule as updateTask takes it.
+export async function createTask(projectId, title, description, options = {}) {
+  return await withTransaction(async (db) => await insertTask(db, projectId, title, description, options));
+}
+
+// createTask inside a transaction the caller already holds
+export async function insertTask(db, projectId, title, description, options = {}) {
+  const { dueDate = null, dueTime = null, startDate = null, priority = DEFAULT_PRIORITY, tagIds = [] } = options;
+  if (!isValidPriority(priority)) {
+    throw new Error('Invalid priority');
+  }
+  // Throws on a rule that cannot be read
+  const recurrence = options.recurrence ? formatRecurrence(parseRecurrence(options.recurrence)) : null;
+
   console.log(`📝 Creating new task: "${title}" in project ${projectId}`);
-  return await withRetry(async () => {
-    const db = getDb();
-    const result = await db.runAsync(
-      'INSERT INTO tasks (project_id, title, description) VALUES (?, ?, ?)',
-      [projectId, title, description]
+  const taskId = generateId();
+  const sortKey = await lastSortKey(db, projectId);
+  await db.runAsync(
+    `INSERT INTO tasks (id, project_id, title, description, due_date, due_time, start_date, priority, recurrence, sort_key, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+    [taskId, projectId, title, description ?? null, dueDate, dueDate ? dueTime : null, startDate, priority, recurrence, sortKey]
+  );
+  
+  console.log(`✅ Task created locally with ID: ${taskId}`);
+  
+  // Add sync metadata
+  await syncService.insertSyncMetadata(db, 'tasks', taskId);
+  console.log(`📤 Task ${taskId} marked for sync to Supabase`);
+
+  for (const tagId of new Set(tagIds)) {
+    const link = { task_id: taskId, tag_id: tagId };
+    await db.runAsync(
+      `INSERT INTO task_tags (task_id, tag_id, updated_at) VALUES (?, ?, ${TIMESTAMP_NOW})`,
+      [taskId, tagId]
     );
-    const taskId = result.lastInsertRowId;
-    
-    console.log(`✅ Task created locally with ID: ${taskId}`);
-    
-    // Add sync metadata
-    await syncService.insertSyncMetadata('tasks', taskId);
-    console.log(`📤 Task ${taskId} marked for sync to Supabase`);
-    
-    return { id: taskId, project_id: projectId, title, description };
-  });
+    await syncService.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link));
+  }
+  if (tagIds.length > 0) {
+    console.log(`🏷️ Task ${taskId} tagged with ${tagIds.length} tags`);
+  }
+  
+  return {
+    id: taskId,
+    project_id: projectId,
+    title,
+    description: description ?? null,
+    completed: 0,
+    completed_at: null,
+    due_date: dueDate,
+    due_time: dueDate ? dueTime : null,
+    start_date: startDate,
+    priority,
+    recurrence,
+    sort_key: sortKey,
+  };
 }
 
+// Columns updateTask can change. Fields missing from `updates` keep their
+// current value, so callers can save the title alone or move a task without
+// touching its text. A task moved to another project goes to the end of it.
+// `recurrence` is a repeat rule (lib/recurrence.js), or null to stop repeating.
+// `priority` is 1 (P1) to 4 (P4), see lib/priorities.js.
+const EDITABLE_TASK_FIELDS = ['project_id', 'title', 'description', 'recurrence', 'priority'];
+
 export async function updateTask(id, updates) {
   console.log(`📝 Updating task ${id}:`, updates);
-  return await withRetry(async () => {
-    const db = getDb();
-    const { project_id, title, description } = updates;
-    
+  const fields = EDITABLE_TASK_FIELDS.filter(field => updates[field] !== undefined);
+  if (fields.length === 0) {
+    throw new Error('No task fields to update');
+  }
+  if (updates.priority !== undefined && !isValidPriority(updates.priority)) {
+    throw new Error('Invalid priority');
+  }
+  if (updates.recurrence) {
+    // Store rules in one canonical form; throws on a rule that cannot be read
+    updates = { ...updates, recurrence: formatRecurrence(parseRecurrence(updates.recurrence)) };
+  }
+
+  return await withTransaction(async (db) => {
+    const assignments = fields.map(field => `${field} = ?`);
+    const values = fields.map(field => updates[field]);
+    if (updates.project_id !== undefined) {
+      const current = await db.getFirstAsync('SELECT project_id FROM tasks WHERE id = ?', [id]);
+      if (current && current.project_id !== updates.project_id) {
+        assignments.push('sort_key = ?');
+        values.push(await lastSortKey(db, updates.project_id));
+      }
+    }
+
     const result = await db.runAsync(
-      'UPDATE tasks SET project_id = ?, title = ?, description = ? WHERE id = ?',
-      [project_id, title, description, id]
+      `UPDATE tasks SET ${assignments.join(', ')}, updated_at = ${TIMESTAMP_NOW}
+       WHERE id = ? AND deleted_at IS NULL`,
+      [...values, id]
     );
     
     if (result.changes === 0) {
@@ -77,24 +290,154 @@ export async function updateTask(id, updates) {
     console.log(`✅ Task ${id} updated locally`);
     
     // Update sync metadata
-    await syncService.insertSyncMetadata('tasks', id);
+    await syncService.insertSyncMetadata(db, 'tasks', id);
     console.log(`📤 Task ${id} marked for sync to Supabase`);
     
     return { id, ...updates };
   });
 }
 
+// A due time ('HH:MM') only applies with a due date. Leaving dueTime out
+// keeps the current one, unless the due date is cleared.
+export async function updateTaskDates(id, { dueDate, startDate, dueTime }) {
+  console.log(`📅 Updating dates for task ${id}: due ${dueDate}${dueTime ? ` ${dueTime}` : ''}, start ${startDate}`);
+  return await withTransaction(async (db) => {
+    const assignments = ['due_date = ?', 'start_date = ?'];
+    const values = [dueDate ?? null, startDate ?? null];
+    if (dueTime !== undefined || !dueDate) {
+      assignments.push('due_time = ?');
+      values.push(dueDate ? dueTime ?? null : null);
+    }
+
+    const result = await db.runAsync(
+      `UPDATE tasks SET ${assignments.join(', ')}, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [...values, id]
+    );
+
+    if (result.changes === 0) {
+      console.error(`❌ Task ${id} not found for date update`);
+      throw new Error('Task not found');
+    }
+
+    console.log(`✅ Task ${id} dates updated locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'tasks', id);
+    console.log(`📤 Task ${id} marked for sync to Supabase`);
+
+    return await db.getFirstAsync('SELECT id, due_date, due_time, start_date FROM tasks WHERE id = ?', [id]);
+  });
+}
+
+// Completing a repeating task creates its next occurrence (see
+// lib/recurrence.js) as a copy placed after it. The repeat rule moves to the
+// new task, so un-completing the old one does not schedule a second copy.
+// `today` is the completion date the next dates are worked out from.
+export async function toggleTaskCompleted(id, today = toDateKey()) {
+  console.log(`☑️ Toggling completion for task ${id}`);
+  return await withTransaction(async (db) => {
+    const task = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL', [id]);
+
+    if (!task) {
+      console.error(`❌ Task ${id} not found for completion toggle`);
+      throw new Error('Task not found');
+    }
+
+    const completed = task.completed ? 0 : 1;
+    let next = null;
+    if (completed && task.recurrence) {
+      try {
+        next = nextDates(task, today);
+      } catch (error) {
+        // A rule this version cannot read (synced from a newer one, say)
+        // leaves the task complete without a next occurrence
+        console.warn(`⚠️ Task ${id} has an unreadable repeat rule:`, error.message);
+      }
+    }
+    await db.runAsync(
+      `UPDATE tasks
+       SET completed = ?, completed_at = CASE WHEN ? = 1 THEN CURRENT_TIMESTAMP ELSE NULL END,
+         recurrence = ?, updated_at = ${TIMESTAMP_NOW}
+       WHERE id = ?`,
+      [completed, completed, next ? null : task.recurrence, id]
+    );
+
+    console.log(`✅ Task ${id} marked ${completed ? 'completed' : 'active'} locally`);
+
+    // Update sync metadata
+    await syncService.insertSyncMetadata(db, 'tasks', id);
+    console.log(`📤 Task ${id} marked for sync to Supabase`);
+
+    let nextTaskId = null;
+    if (next) {
+      nextTaskId = await insertTaskCopy(db, task, next);
+      console.log(`🔁 Task ${id} repeats: next occurrence ${nextTaskId} due ${next.due_date ?? next.start_date}`);
+    }
+
+    const row = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [id]);
+    return { ...row, next_task_id: nextTaskId };
+  });
+}
+
+// Tables of records that belong to a task but sync on their own
+const TASK_CHILD_TABLES = ['checklist_items', 'reminders'];
+
+// Tombstone the checklist items and reminders of the tasks selected by
+// `taskIdsSql` (SQL yielding task ids, e.g. '?' or a subquery) and mark the
+// deletions for sync. Must be called inside a transaction.
+export async function tombstoneTaskChildren(db, taskIdsSql, params) {
+  for (const tableName of TASK_CHILD_TABLES) {
+    const rows = await db.getAllAsync(
+      `SELECT id FROM ${tableName} WHERE task_id IN (${taskIdsSql}) AND deleted_at IS NULL`,
+      params
+    );
+    await db.runAsync(
+      `UPDATE ${tableName} SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW}
+       WHERE task_id IN (${taskIdsSql}) AND deleted_at IS NULL`,
+      params
+    );
+    for (const row of rows) {
+      await syncService.insertSyncMetadata(db, tableName, row.id, { deleted: true });
+    }
+    console.log(`🗑️ Deleted ${rows.length} ${tableName.replace('_', ' ')}`);
+  }
+}
+
+// Tombstone the live tag links matching `condition` (SQL over task_tags
+// columns, e.g. 'task_id = ?') and mark each removal for sync, as
+// removeTagFromTask does. Must be called inside a transaction.
+export async function tombstoneTaskTags(db, condition, params) {
+  const links = await db.getAllAsync(
+    `SELECT task_id, tag_id FROM task_tags WHERE (${condition}) AND deleted_at IS NULL`,
+    params
+  );
+  await db.runAsync(
+    `UPDATE task_tags SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW}
+     WHERE (${condition}) AND deleted_at IS NULL`,
+    params
+  );
+  for (const link of links) {
+    await syncService.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link), { deleted: true });
+  }
+  return links.length;
+}
+
 export async function deleteTask(id) {
   console.log(`🗑️ Deleting task ${id}`);
-  return await withRetry(async () => {
-    const db = getDb();
-    
-    // First delete task_tags relationships
-    const tagsResult = await db.runAsync('DELETE FROM task_tags WHERE task_id = ?', [id]);
-    console.log(`🗑️ Deleted ${tagsResult.changes} tag relationships for task ${id}`);
+  return await withTransaction(async (db) => {
+    // First tombstone the task's tag links so their removals sync too
+    const linkCount = await tombstoneTaskTags(db, 'task_id = ?', [id]);
+    console.log(`🗑️ Deleted ${linkCount} tag relationships for task ${id}`);
+
+    // Checklist items and reminders are records of their own, so their
+    // deletions sync too
+    await tombstoneTaskChildren(db, '?', [id]);
     
-    // Then delete the task
-    const result = await db.runAsync('DELETE FROM tasks WHERE id = ?', [id]);
+    // Then tombstone the task so the deletion can sync
+    const result = await db.runAsync(
+      `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW} WHERE id = ? AND deleted_at IS NULL`,
+      [id]
+    );
     
     if (result.changes === 0) {
       console.error(`❌ Task ${id} not found for deletion`);
@@ -104,13 +447,149 @@ export async function deleteTask(id) {
     console.log(`✅ Task ${id} deleted locally`);
     
     // Update sync metadata
-    await syncService.insertSyncMetadata('tasks', id);
+    await syncService.insertSyncMetadata(db, 'tasks', id, { deleted: true });
     console.log(`📤 Task ${id} deletion marked for sync to Supabase`);
     
     return { id };
   });
 }
 
+// Insert a copy of `task` as a new active task right after it in its
+// project, with its tags, an unchecked copy of its checklist and its
+// reminders relative to the due date. `overrides` replaces copied columns
+// (due_date, start_date, recurrence). Returns the new task's ID.
+async function insertTaskCopy(db, task, overrides = {}) {
+  let sortKey;
+  if (task.sort_key) {
+    const next = await db.getFirstAsync(
+      'SELECT MIN(sort_key) AS key FROM tasks WHERE project_id = ? AND sort_key > ?',
+      [task.project_id, task.sort_key]
+    );
+    sortKey = keyBetween(task.sort_key, next?.key ?? null);
+  } else {
+    sortKey = await lastSortKey(db, task.project_id);
+  }
+
+  const copy = { ...task, ...overrides };
+  const taskId = generateId();
+  await db.runAsync(
+    `INSERT INTO tasks (id, project_id, title, description, due_date, due_time, start_date, recurrence, priority, sort_key, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+    [
+      taskId, copy.project_id, copy.title, copy.description, copy.due_date, copy.due_date ? copy.due_time : null,
+      copy.start_date, copy.recurrence ?? null, copy.priority ?? DEFAULT_PRIORITY, sortKey,
+    ]
+  );
+  await syncService.insertSyncMetadata(db, 'tasks', taskId);
+
+  const links = await db.getAllAsync(
+    'SELECT tag_id FROM task_tags WHERE task_id = ? AND deleted_at IS NULL',
+    [task.id]
+  );
+  for (const { tag_id } of links) {
+    const link = { task_id: taskId, tag_id };
+    await db.runAsync(
+      `INSERT INTO task_tags (task_id, tag_id, updated_at) VALUES (?, ?, ${TIMESTAMP_NOW})`,
+      [taskId, tag_id]
+    );
+    await syncService.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link));
+  }
+
+  const items = await db.getAllAsync(
+    `SELECT title, sort_key FROM checklist_items WHERE task_id = ? AND deleted_at IS NULL ORDER BY ${manualOrder()}`,
+    [task.id]
+  );
+  for (const item of items) {
+    const itemId = generateId();
+    await db.runAsync(
+      `INSERT INTO checklist_items (id, task_id, title, sort_key, updated_at) VALUES (?, ?, ?, ?, ${TIMESTAMP_NOW})`,
+      [itemId, taskId, item.title, item.sort_key]
+    );
+    await syncService.insertSyncMetadata(db, 'checklist_items', itemId);
+  }
+
+  // Reminders at a fixed time stay with the original
+  const reminders = await db.getAllAsync(
+    'SELECT offset_minutes FROM reminders WHERE task_id = ? AND offset_minutes IS NOT NULL AND deleted_at IS NULL',
+    [task.id]
+  );
+  for (const reminder of reminders) {
+    const reminderId = generateId();
+    await db.runAsync(
+      `INSERT INTO reminders (id, task_id, offset_minutes, updated_at) VALUES (?, ?, ?, ${TIMESTAMP_NOW})`,
+      [reminderId, taskId, reminder.offset_minutes]
+    );
+    await syncService.insertSyncMetadata(db, 'reminders', reminderId);
+  }
+
+  console.log(`✅ Task ${task.id} copied as ${taskId} with ${links.length} tags, ${items.length} checklist items and ${reminders.length} reminders`);
+  console.log(`📤 Task ${taskId} marked for sync to Supabase`);
+
+  return taskId;
+}
+
+// Copy a task, with its dates, repeat rule, tags, checklist and relative
+// reminders, into the same project as a new active task, placed right after
+// the original. The copied checklist starts unchecked.
+export async function duplicateTask(id) {
+  console.log(`📄 Duplicating task ${id}`);
+  return await withTransaction(async (db) => {
+    const task = await db.getFirstAsync('SELECT * FROM tasks WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!task) {
+      console.error(`❌ Task ${id} not found for duplication`);
+      throw new Error('Task not found');
+    }
+
+    const taskId = await insertTaskCopy(db, task);
+    return await db.getFirstAsync('SELECT * FROM tasks WHERE id = ?', [taskId]);
+  });
+}
+
+// Put a task right before or after another task of the same project
+async function placeTask(id, targetId, placement) {
+  console.log(`↕️ Moving task ${id} ${placement} task ${targetId}`);
+  return await withTransaction(async (db) => {
+    const task = await db.getFirstAsync('SELECT id, project_id FROM tasks WHERE id = ? AND deleted_at IS NULL', [id]);
+    const target = await db.getFirstAsync('SELECT id, project_id FROM tasks WHERE id = ? AND deleted_at IS NULL', [targetId]);
+    if (!task || !target) {
+      console.error(`❌ Task ${id} or ${targetId} not found for reorder`);
+      throw new Error('Task not found');
+    }
+    if (task.project_id !== target.project_id) {
+      throw new Error('Cannot reorder tasks across projects');
+    }
+    if (id === targetId) {
+      return { id, updates: [] };
+    }
+
+    const siblings = await db.getAllAsync(
+      `SELECT id, sort_key FROM tasks WHERE project_id = ? AND deleted_at IS NULL ORDER BY ${manualOrder()}`,
+      [task.project_id]
+    );
+    const updates = planMove(siblings, id, targetId, placement);
+    for (const row of updates) {
+      await db.runAsync(
+        `UPDATE tasks SET sort_key = ?, updated_at = ${TIMESTAMP_NOW} WHERE id = ?`,
+        [row.sort_key, row.id]
+      );
+      await syncService.insertSyncMetadata(db, 'tasks', row.id);
+    }
+
+    console.log(`✅ Task ${id} reordered locally, ${updates.length} sort keys written`);
+    console.log(`📤 ${updates.length} tasks marked for sync to Supabase`);
+
+    return { id, updates };
+  });
+}
+
+export async function moveTaskBefore(id, targetId) {
+  return await placeTask(id, targetId, 'before');
+}
+
+export async function moveTaskAfter(id, targetId) {
+  return await placeTask(id, targetId, 'after');
+}
+
 export async function getTaskTags(taskId) {
   return await withRetry(async () => {
     const db = getDb();
@@ -118,30 +597,52 @@ export async function getTaskTags(taskId) {
       SELECT t.* 
       FROM tags t 
       INNER JOIN task_tags tt ON t.id = tt.tag_id 
-      WHERE tt.task_id = ?
+      WHERE tt.task_id = ? AND tt.deleted_at IS NULL AND t.deleted_at IS NULL
     `, [taskId]);
     return tags;
   });
 }
 
 export async function addTagToTask(taskId, tagId) {
-  return await withRetry(async () => {
-    const db = getDb();
-    await db.runAsync(
-      'INSERT OR IGNORE INTO task_tags (task_id, tag_id) VALUES (?, ?)',
-      [taskId, tagId]
-    );
-    return { task_id: taskId, tag_id: tagId };
+  console.log(`🏷️ Adding tag ${tagId} to task ${taskId}`);
+  return await withTransaction(async (db) => {
+    const link = { task_id: taskId, tag_id: tagId };
+
+    // Re-adding a removed tag revives its tombstone instead of inserting
+    const result = await db.runAsync(`
+      INSERT INTO task_tags (task_id, tag_id, updated_at) VALUES (?, ?, ${TIMESTAMP_NOW})
+      ON CONFLICT(task_id, tag_id) DO UPDATE SET
+        deleted_at = NULL,
+        updated_at = excluded.updated_at
+      WHERE task_tags.deleted_at IS NOT NULL
+    `, [taskId, tagId]);
+
+    if (result.changes > 0) {
+      await syncService.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link));
+      console.log(`📤 Tag ${tagId} on task ${taskId} marked for sync to Supabase`);
+    }
+
+    return link;
   });
 }
 
 export async function removeTagFromTask(taskId, tagId) {
-  return await withRetry(async () => {
-    const db = getDb();
+  console.log(`🏷️ Removing tag ${tagId} from task ${taskId}`);
+  return await withTransaction(async (db) => {
+    const link = { task_id: taskId, tag_id: tagId };
+
+    // Tombstone the link so the removal can sync
     const result = await db.runAsync(
-      'DELETE FROM task_tags WHERE task_id = ? AND tag_id = ?',
+      `UPDATE task_tags SET deleted_at = CURRENT_TIMESTAMP, updated_at = ${TIMESTAMP_NOW}
+       WHERE task_id = ? AND tag_id = ? AND deleted_at IS NULL`,
       [taskId, tagId]
     );
-    return { task_id: taskId, tag_id: tagId };
+
+    if (result.changes > 0) {
+      await syncService.insertSyncMetadata(db, 'task_tags', getRecordId('task_tags', link), { deleted: true });
+      console.log(`📤 Tag ${tagId} removal from task ${taskId} marked for sync to Supabase`);
+    }
+
+    return link;
   });
 }
@@ -53,3 +53,188 @@ UPDATE projects SET created_at = NOW(), updated_at = NOW() WHERE created_at IS N
 UPDATE tasks SET created_at = NOW(), updated_at = NOW() WHERE created_at IS NULL;
 UPDATE tags SET created_at = NOW(), updated_at = NOW() WHERE created_at IS NULL;
 UPDATE task_tags SET created_at = NOW(), updated_at = NOW() WHERE created_at IS NULL;
+
+-- Task completion state (local schema version 2)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+
+-- Task due and start dates (local schema version 3)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_date DATE;
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+
+-- Soft-delete tombstones (local schema version 5)
+-- Deleted rows keep a deleted_at timestamp so the deletion reaches every device
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Incremental downloads (local schema version 7)
+-- Devices pull rows with updated_at after their last sync, ordered by
+-- (updated_at, key), so every row needs a timestamp and the ordering an index
+UPDATE projects SET updated_at = NOW() WHERE updated_at IS NULL;
+UPDATE tasks SET updated_at = NOW() WHERE updated_at IS NULL;
+UPDATE tags SET updated_at = NOW() WHERE updated_at IS NULL;
+UPDATE task_tags SET updated_at = NOW() WHERE updated_at IS NULL;
+ALTER TABLE projects ALTER COLUMN updated_at SET NOT NULL;
+ALTER TABLE tasks ALTER COLUMN updated_at SET NOT NULL;
+ALTER TABLE tags ALTER COLUMN updated_at SET NOT NULL;
+ALTER TABLE task_tags ALTER COLUMN updated_at SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_projects_updated_at ON projects(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_tags_updated_at ON tags(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_task_tags_updated_at ON task_tags(updated_at, task_id, tag_id);
+
+-- Stamp inserts with server time too, whatever updated_at a client sends
+DROP TRIGGER IF EXISTS update_projects_updated_at ON projects;
+CREATE TRIGGER update_projects_updated_at
+    BEFORE INSERT OR UPDATE ON projects
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at
+    BEFORE INSERT OR UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_tags_updated_at ON tags;
+CREATE TRIGGER update_tags_updated_at
+    BEFORE INSERT OR UPDATE ON tags
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_task_tags_updated_at ON task_tags;
+CREATE TRIGGER update_task_tags_updated_at
+    BEFORE INSERT OR UPDATE ON task_tags
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Tag link tombstones (local schema version 9)
+-- Removing a tag from a task marks the link deleted so other devices see it
+ALTER TABLE task_tags ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Per-user data with Supabase Auth
+-- Every row belongs to the account that created it. The app stamps user_id on
+-- upload; the default covers rows inserted any other way.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE tags ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE task_tags ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
+CREATE INDEX IF NOT EXISTS idx_tags_user_id ON tags(user_id);
+CREATE INDEX IF NOT EXISTS idx_task_tags_user_id ON task_tags(user_id);
+
+-- Rows created before sign-in existed have no owner and are hidden from
+-- everyone by the policies below. To keep them, give them to an account
+-- (its id is listed under Authentication > Users):
+--   UPDATE projects SET user_id = '<user id>' WHERE user_id IS NULL;
+--   UPDATE tasks SET user_id = '<user id>' WHERE user_id IS NULL;
+--   UPDATE tags SET user_id = '<user id>' WHERE user_id IS NULL;
+--   UPDATE task_tags SET user_id = '<user id>' WHERE user_id IS NULL;
+
+-- Tag names are not unique. Tags are created offline, so two devices can each
+-- create one called "work" and both have to upload; deleted tags keep their
+-- name too. Quick add reuses a live local tag with the name when there is one.
+ALTER TABLE tags DROP CONSTRAINT IF EXISTS tags_name_key;
+DROP INDEX IF EXISTS idx_tags_user_id_name;
+
+-- Replace the public policies with ones limited to the signed-in user
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_tags ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on projects" ON projects;
+DROP POLICY IF EXISTS "Allow all operations on tasks" ON tasks;
+DROP POLICY IF EXISTS "Allow all operations on tags" ON tags;
+DROP POLICY IF EXISTS "Allow all operations on task_tags" ON task_tags;
+
+CREATE POLICY "Users manage their own projects" ON projects FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+CREATE POLICY "Users manage their own tasks" ON tasks FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+CREATE POLICY "Users manage their own tags" ON tags FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+CREATE POLICY "Users manage their own task tags" ON task_tags FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+
+-- Realtime
+-- Signed-in devices subscribe to changes so edits appear within seconds
+ALTER PUBLICATION supabase_realtime ADD TABLE projects, tasks, tags, task_tags;
+
+-- Nested projects (local schema version 12)
+-- parent_id points at the enclosing project; top-level projects have none
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES projects(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_projects_parent_id ON projects(parent_id);
+
+-- Manual ordering (local schema version 13)
+-- Fractional keys compared byte by byte, hence the "C" collation
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS sort_key TEXT COLLATE "C";
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS sort_key TEXT COLLATE "C";
+
+-- Checklists (local schema version 14)
+-- Steps inside a task, ordered by sort_key like tasks within a project
+CREATE TABLE IF NOT EXISTS checklist_items (
+    id UUID PRIMARY KEY,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    completed BOOLEAN NOT NULL DEFAULT FALSE,
+    sort_key TEXT COLLATE "C",
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON checklist_items(task_id);
+CREATE INDEX IF NOT EXISTS idx_checklist_items_updated_at ON checklist_items(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_checklist_items_user_id ON checklist_items(user_id);
+
+DROP TRIGGER IF EXISTS update_checklist_items_updated_at ON checklist_items;
+CREATE TRIGGER update_checklist_items_updated_at
+    BEFORE INSERT OR UPDATE ON checklist_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE checklist_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users manage their own checklist items" ON checklist_items;
+CREATE POLICY "Users manage their own checklist items" ON checklist_items FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE checklist_items;
+
+-- Repeating tasks (local schema version 15)
+-- Repeat rule such as FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH (see lib/recurrence.js)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence TEXT;
+
+-- Reminders (local schema version 16)
+-- Time of day a task is due, 'HH:MM'; reminders count from 09:00 without one
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TEXT;
+
+-- Either offset_minutes before the task is due or a fixed remind_at
+-- ('YYYY-MM-DDTHH:MM', device local time)
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    offset_minutes INTEGER CHECK (offset_minutes >= 0),
+    remind_at TEXT,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_reminders_task_id ON reminders(task_id);
+CREATE INDEX IF NOT EXISTS idx_reminders_updated_at ON reminders(updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_reminders_user_id ON reminders(user_id);
+
+DROP TRIGGER IF EXISTS update_reminders_updated_at ON reminders;
+CREATE TRIGGER update_reminders_updated_at
+    BEFORE INSERT OR UPDATE ON reminders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE reminders ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Users manage their own reminders" ON reminders;
+CREATE POLICY "Users manage their own reminders" ON reminders FOR ALL TO authenticated
+    USING (user_id = (SELECT auth.uid())) WITH CHECK (user_id = (SELECT auth.uid()));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE reminders;
+
+-- Priorities (local schema version 17)
+-- 1 (P1, most urgent) to 4 (P4, the default), see lib/priorities.js
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 4 CHECK (priority BETWEEN 1 AND 4);
@@ -0,0 +1,88 @@
+-- Convert integer primary keys to UUIDs (local schema version 6)
+-- Run this once in your Supabase SQL editor, before syncing from an app
+-- version that uses UUID ids. Projects created with the SQL in SYNC_README.md
+-- after this change already use UUIDs and do not need it.
+--
+-- Every existing row gets a new UUID id. The old integer id is kept in
+-- legacy_id so devices that still know a row by its integer id can find it
+-- and adopt the UUID on their next sync.
+
+BEGIN;
+
+-- New ids, generated for every existing row
+ALTER TABLE projects ADD COLUMN uuid UUID NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE tasks ADD COLUMN uuid UUID NOT NULL DEFAULT gen_random_uuid();
+ALTER TABLE tags ADD COLUMN uuid UUID NOT NULL DEFAULT gen_random_uuid();
+
+-- Rewrite references to the new ids
+ALTER TABLE tasks ADD COLUMN project_uuid UUID;
+UPDATE tasks t SET project_uuid = p.uuid FROM projects p WHERE p.id = t.project_id;
+
+ALTER TABLE task_tags ADD COLUMN task_uuid UUID;
+ALTER TABLE task_tags ADD COLUMN tag_uuid UUID;
+UPDATE task_tags tt SET task_uuid = t.uuid FROM tasks t WHERE t.id = tt.task_id;
+UPDATE task_tags tt SET tag_uuid = g.uuid FROM tags g WHERE g.id = tt.tag_id;
+
+-- Rows pointing at records that no longer exist cannot be carried over
+DELETE FROM task_tags WHERE task_uuid IS NULL OR tag_uuid IS NULL;
+DELETE FROM tasks WHERE project_uuid IS NULL;
+
+ALTER TABLE task_tags DROP CONSTRAINT IF EXISTS task_tags_pkey;
+ALTER TABLE task_tags DROP CONSTRAINT IF EXISTS task_tags_task_id_fkey;
+ALTER TABLE task_tags DROP CONSTRAINT IF EXISTS task_tags_tag_id_fkey;
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_project_id_fkey;
+
+ALTER TABLE task_tags DROP COLUMN task_id;
+ALTER TABLE task_tags DROP COLUMN tag_id;
+ALTER TABLE task_tags RENAME COLUMN task_uuid TO task_id;
+ALTER TABLE task_tags RENAME COLUMN tag_uuid TO tag_id;
+
+ALTER TABLE tasks DROP COLUMN project_id;
+ALTER TABLE tasks RENAME COLUMN project_uuid TO project_id;
+
+-- Swap the primary keys, keeping the integer ids as legacy_id
+ALTER TABLE projects DROP CONSTRAINT projects_pkey;
+ALTER TABLE projects RENAME COLUMN id TO legacy_id;
+ALTER TABLE projects ALTER COLUMN legacy_id DROP DEFAULT;
+ALTER TABLE projects ALTER COLUMN legacy_id DROP NOT NULL;
+DROP SEQUENCE IF EXISTS projects_id_seq;
+ALTER TABLE projects RENAME COLUMN uuid TO id;
+ALTER TABLE projects ADD PRIMARY KEY (id);
+
+ALTER TABLE tasks DROP CONSTRAINT tasks_pkey;
+ALTER TABLE tasks RENAME COLUMN id TO legacy_id;
+ALTER TABLE tasks ALTER COLUMN legacy_id DROP DEFAULT;
+ALTER TABLE tasks ALTER COLUMN legacy_id DROP NOT NULL;
+DROP SEQUENCE IF EXISTS tasks_id_seq;
+ALTER TABLE tasks RENAME COLUMN uuid TO id;
+ALTER TABLE tasks ADD PRIMARY KEY (id);
+
+ALTER TABLE tags DROP CONSTRAINT tags_pkey;
+ALTER TABLE tags RENAME COLUMN id TO legacy_id;
+ALTER TABLE tags ALTER COLUMN legacy_id DROP DEFAULT;
+ALTER TABLE tags ALTER COLUMN legacy_id DROP NOT NULL;
+DROP SEQUENCE IF EXISTS tags_id_seq;
+ALTER TABLE tags RENAME COLUMN uuid TO id;
+ALTER TABLE tags ADD PRIMARY KEY (id);
+
+-- Restore constraints on the UUID columns
+ALTER TABLE tasks ALTER COLUMN project_id SET NOT NULL;
+ALTER TABLE tasks ADD CONSTRAINT tasks_project_id_fkey
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE;
+
+ALTER TABLE task_tags ALTER COLUMN task_id SET NOT NULL;
+ALTER TABLE task_tags ALTER COLUMN tag_id SET NOT NULL;
+ALTER TABLE task_tags ADD PRIMARY KEY (task_id, tag_id);
+ALTER TABLE task_tags ADD CONSTRAINT task_tags_task_id_fkey
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE;
+ALTER TABLE task_tags ADD CONSTRAINT task_tags_tag_id_fkey
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_task_tags_task_id ON task_tags(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_projects_legacy_id ON projects(legacy_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_legacy_id ON tasks(legacy_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_legacy_id ON tags(legacy_id);
+
+COMMIT;